@@ -26,6 +26,8 @@ module.exports = [
         clearInterval: 'readonly',
         setImmediate: 'readonly',
         clearImmediate: 'readonly',
+        URL: 'readonly',
+        AbortController: 'readonly',
       }
     },
     rules: {
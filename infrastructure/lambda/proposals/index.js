@@ -5,10 +5,18 @@
  *   GET    /teams/{teamId}/proposals                    - List proposals
  *   POST   /teams/{teamId}/proposals                    - Create proposal
  *   GET    /teams/{teamId}/proposals/{proposalId}       - Get proposal
- *   POST   /teams/{teamId}/proposals/{proposalId}/vote  - Vote on proposal
- *   POST   /teams/{teamId}/proposals/{proposalId}/decide - Admin decision
+ *   POST   /teams/{teamId}/proposals/{proposalId}/vote  - Vote on proposal (member)
+ *   POST   /teams/{teamId}/proposals/{proposalId}/decide - Decision (maintainer)
+ *   GET    /teams/{teamId}/audit                        - Proposal audit log
+ *
+ * Votes settle a proposal once the team's quorum is met (settings.governance).
+ * Creating a proposal with an Idempotency-Key header is safe to retry: the key
+ * determines the proposal id, so a replay returns the existing proposal.
+ * Every state change is appended to the audit table, which the Lambda role
+ * can only put to and query.
  */
 
+const crypto = require('crypto');
 const {
   docClient,
   GetCommand,
@@ -25,11 +33,15 @@ const {
   generateId,
   now
 } = require('../shared/utils');
+const governance = require('../shared/governance');
 
 const PROPOSALS_TABLE = process.env.PROPOSALS_TABLE;
 const VOTES_TABLE = process.env.VOTES_TABLE;
 const TEAMS_TABLE = process.env.TEAMS_TABLE;
 const TEAM_MEMBERS_TABLE = process.env.TEAM_MEMBERS_TABLE || TEAMS_TABLE.replace('teams', 'team-members');
+const PROPOSAL_AUDIT_TABLE = process.env.PROPOSAL_AUDIT_TABLE;
+
+const MAX_AUDIT_ENTRIES = 500;
 
 // Route handlers
 const handlers = {
@@ -37,7 +49,8 @@ const handlers = {
   'POST /teams/{teamId}/proposals': createProposal,
   'GET /teams/{teamId}/proposals/{proposalId}': getProposal,
   'POST /teams/{teamId}/proposals/{proposalId}/vote': voteOnProposal,
-  'POST /teams/{teamId}/proposals/{proposalId}/decide': decideProposal
+  'POST /teams/{teamId}/proposals/{proposalId}/decide': decideProposal,
+  'GET /teams/{teamId}/audit': listAudit
 };
 
 exports.handler = async (event) => {
@@ -64,14 +77,108 @@ exports.handler = async (event) => {
 };
 
 /**
- * Verify team membership
+ * Get team record
+ */
+async function getTeamRecord(teamId) {
+  const team = await docClient.send(new GetCommand({
+    TableName: TEAMS_TABLE,
+    Key: { teamId }
+  }));
+  return team.Item;
+}
+
+/**
+ * Verify team membership; role is resolved to owner/maintainer/member/viewer
  */
 async function verifyMembership(teamId, userId) {
   const membership = await docClient.send(new GetCommand({
     TableName: TEAM_MEMBERS_TABLE,
     Key: { teamId, userId }
   }));
-  return membership.Item;
+
+  // Only legacy admins need the team record to tell the creator apart
+  const team = membership.Item?.role === 'admin' ? await getTeamRecord(teamId) : null;
+  const role = governance.effectiveRole(membership.Item, team?.ownerId);
+  return role ? { ...membership.Item, role } : null;
+}
+
+/**
+ * Count members allowed to vote (pending invites excluded)
+ */
+async function countVoters(teamId) {
+  const members = await docClient.send(new QueryCommand({
+    TableName: TEAM_MEMBERS_TABLE,
+    KeyConditionExpression: 'teamId = :teamId',
+    ExpressionAttributeValues: {
+      ':teamId': teamId
+    }
+  }));
+
+  return (members.Items || [])
+    .filter(member => governance.can(governance.effectiveRole(member), 'vote'))
+    .length;
+}
+
+/**
+ * Append a proposal state change to the audit log
+ * Entries are never updated; the condition guards against key reuse.
+ */
+async function recordAudit(proposal, action, user, membership, { fromStatus = proposal.status, toStatus = fromStatus, details = {} } = {}) {
+  const timestamp = now();
+
+  await docClient.send(new PutCommand({
+    TableName: PROPOSAL_AUDIT_TABLE,
+    Item: {
+      teamId: proposal.teamId,
+      auditId: `${timestamp}#${generateId('audit')}`,
+      proposalId: proposal.proposalId,
+      action,
+      fromStatus,
+      toStatus,
+      actorId: user.userId,
+      actorEmail: user.email,
+      actorRole: membership.role,
+      details,
+      timestamp
+    },
+    ConditionExpression: 'attribute_not_exists(auditId)'
+  }));
+}
+
+/**
+ * Move a pending proposal to approved/rejected
+ * @returns {Object|null} Updated proposal, or null if it was settled concurrently
+ */
+async function settleProposal(proposal, status, user, extra = {}) {
+  const timestamp = now();
+
+  try {
+    const result = await docClient.send(new UpdateCommand({
+      TableName: PROPOSALS_TABLE,
+      Key: { teamId: proposal.teamId, proposalId: proposal.proposalId },
+      UpdateExpression: 'SET #status = :status, decidedBy = :decidedBy, decidedByEmail = :email, decidedAt = :decidedAt, decisionReason = :reason, updatedAt = :updatedAt',
+      ConditionExpression: '#status = :pending',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':status': status,
+        ':pending': 'pending',
+        ':decidedBy': user.userId,
+        ':email': user.email,
+        ':decidedAt': timestamp,
+        ':reason': extra.reason || '',
+        ':updatedAt': timestamp
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return result.Attributes;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw err;
+  }
 }
 
 /**
@@ -122,12 +229,19 @@ async function createProposal(event, user) {
     return error(403, 'Not a member of this team');
   }
 
+  if (!governance.can(membership.role, 'propose')) {
+    return error(403, 'Viewers cannot create proposals');
+  }
+
   // Validate
   if (!body.rule) {
     return error(400, 'Rule text is required');
   }
 
-  const proposalId = generateId('prop');
+  const idempotencyKey = event.headers?.['idempotency-key'];
+  const proposalId = idempotencyKey
+    ? `prop_${crypto.createHash('sha256').update(`${teamId}:${user.userId}:${idempotencyKey}`).digest('hex').slice(0, 16)}`
+    : generateId('prop');
   const timestamp = now();
 
   const proposal = {
@@ -149,10 +263,25 @@ async function createProposal(event, user) {
     expiresAt: body.expiresAt // optional TTL
   };
 
-  await docClient.send(new PutCommand({
-    TableName: PROPOSALS_TABLE,
-    Item: proposal
-  }));
+  try {
+    await docClient.send(new PutCommand({
+      TableName: PROPOSALS_TABLE,
+      Item: proposal,
+      ConditionExpression: 'attribute_not_exists(proposalId)'
+    }));
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') {
+      throw err;
+    }
+    // Retried request: return what the first attempt created
+    const existing = await docClient.send(new GetCommand({
+      TableName: PROPOSALS_TABLE,
+      Key: { teamId, proposalId }
+    }));
+    return success(existing.Item);
+  }
+
+  await recordAudit(proposal, 'created', user, membership, { fromStatus: null, toStatus: 'pending' });
 
   return created(proposal);
 }
@@ -196,7 +325,8 @@ async function getProposal(event, user) {
     ...proposal.Item,
     voteDetails: votes.Items || [],
     userVote: userVote?.vote,
-    userRole: membership.role
+    userRole: membership.role,
+    governance: governance.getGovernance((await getTeamRecord(teamId))?.settings)
   });
 }
 
@@ -218,6 +348,10 @@ async function voteOnProposal(event, user) {
     return error(403, 'Not a member of this team');
   }
 
+  if (!governance.can(membership.role, 'vote')) {
+    return error(403, 'Viewers cannot vote on proposals');
+  }
+
   // Get proposal
   const proposal = await docClient.send(new GetCommand({
     TableName: PROPOSALS_TABLE,
@@ -277,15 +411,45 @@ async function voteOnProposal(event, user) {
     ExpressionAttributeValues: expressionValues
   }));
 
+  // A repeated identical vote (e.g. an offline replay) changes no state
+  if (oldVote !== body.vote) {
+    await recordAudit(proposal.Item, oldVote ? 'vote-changed' : 'voted', user, membership, {
+      details: oldVote ? { vote: body.vote, previousVote: oldVote } : { vote: body.vote }
+    });
+  }
+
+  // Settle once quorum is met
+  const votes = await docClient.send(new QueryCommand({
+    TableName: VOTES_TABLE,
+    KeyConditionExpression: 'proposalId = :proposalId',
+    ExpressionAttributeValues: {
+      ':proposalId': proposalId
+    }
+  }));
+
+  const team = await getTeamRecord(teamId);
+  const tally = governance.tallyVotes(votes.Items || [], await countVoters(teamId), governance.getGovernance(team?.settings));
+
+  let status = 'pending';
+  if (tally.outcome !== 'pending') {
+    const settled = await settleProposal(proposal.Item, tally.outcome, user);
+    if (settled) {
+      status = settled.status;
+      await recordAudit(proposal.Item, 'settled', user, membership, { toStatus: status, details: { tally } });
+    }
+  }
+
   return success({
     vote: body.vote,
     previousVote: oldVote,
-    changed: oldVote !== body.vote
+    changed: oldVote !== body.vote,
+    status,
+    tally
   });
 }
 
 /**
- * Admin decision on proposal
+ * Maintainer/owner decision on proposal
  */
 async function decideProposal(event, user) {
   const teamId = getPathParam(event, 'teamId');
@@ -296,10 +460,14 @@ async function decideProposal(event, user) {
     return error(400, 'Decision must be "approved" or "rejected"');
   }
 
-  // Verify admin membership
+  // Verify maintainer membership
   const membership = await verifyMembership(teamId, user.userId);
-  if (!membership || membership.role !== 'admin') {
-    return error(403, 'Only admins can make decisions');
+  if (!membership) {
+    return error(403, 'Not a member of this team');
+  }
+
+  if (!governance.can(membership.role, 'decide')) {
+    return error(403, 'Only maintainers and owners can make decisions');
   }
 
   // Get proposal
@@ -316,26 +484,60 @@ async function decideProposal(event, user) {
     return error(400, 'Proposal already decided');
   }
 
-  const timestamp = now();
-
   // Update proposal
-  const result = await docClient.send(new UpdateCommand({
-    TableName: PROPOSALS_TABLE,
-    Key: { teamId, proposalId },
-    UpdateExpression: 'SET #status = :status, decidedBy = :decidedBy, decidedByEmail = :email, decidedAt = :decidedAt, decisionReason = :reason, updatedAt = :updatedAt',
-    ExpressionAttributeNames: {
-      '#status': 'status'
-    },
+  const result = await settleProposal(proposal.Item, body.decision, user, { reason: body.reason });
+  if (!result) {
+    return error(400, 'Proposal already decided');
+  }
+
+  await recordAudit(proposal.Item, 'decided', user, membership, {
+    toStatus: body.decision,
+    details: body.reason ? { reason: body.reason } : {}
+  });
+
+  return success(result);
+}
+
+/**
+ * List the proposal audit log, newest first
+ */
+async function listAudit(event, user) {
+  const teamId = getPathParam(event, 'teamId');
+  const proposalId = getQueryParam(event, 'proposalId');
+  const since = getQueryParam(event, 'since');
+  const limit = Math.min(parseInt(getQueryParam(event, 'limit')) || 100, MAX_AUDIT_ENTRIES);
+
+  // Verify membership
+  const membership = await verifyMembership(teamId, user.userId);
+  if (!membership) {
+    return error(403, 'Not a member of this team');
+  }
+
+  const params = {
+    TableName: PROPOSAL_AUDIT_TABLE,
+    KeyConditionExpression: 'teamId = :teamId',
     ExpressionAttributeValues: {
-      ':status': body.decision,
-      ':decidedBy': user.userId,
-      ':email': user.email,
-      ':decidedAt': timestamp,
-      ':reason': body.reason || '',
-      ':updatedAt': timestamp
+      ':teamId': teamId
     },
-    ReturnValues: 'ALL_NEW'
-  }));
+    ScanIndexForward: false, // newest first
+    Limit: limit
+  };
+
+  if (proposalId) {
+    params.IndexName = 'proposal-index';
+    params.KeyConditionExpression = 'proposalId = :proposalId';
+    params.ExpressionAttributeValues = { ':proposalId': proposalId };
+    params.FilterExpression = 'teamId = :teamId';
+    params.ExpressionAttributeValues[':teamId'] = teamId;
+  }
+
+  if (since) {
+    params.KeyConditionExpression += ' AND auditId > :since';
+    params.ExpressionAttributeValues[':since'] = since;
+  }
+
+  const result = await docClient.send(new QueryCommand(params));
+  const entries = result.Items || [];
 
-  return success(result.Attributes);
+  return success({ entries, count: entries.length });
 }
@@ -0,0 +1,189 @@
+// GENERATED from scripts/flow-team-governance.js - do not edit.
+// Run `npm run sync:governance` in infrastructure/lambda after changing it.
+
+/**
+ * Wogi Flow - Team Governance
+ *
+ * Roles, permissions and proposal voting rules shared by the team client
+ * (flow-team.js, including its offline queue) and the self-hosted team
+ * server. The hosted backend's infrastructure/lambda/shared/governance.js
+ * is generated from this file (npm run sync:governance there).
+ *
+ * Roles, highest first:
+ *   owner       Everything, including governance settings
+ *   maintainer  Decide proposals, invite members/viewers, update the team
+ *   member      Create and vote on proposals
+ *   viewer      Read-only
+ *
+ * Governance (team settings.governance):
+ *   quorum             Share of voting members (member and above) that must
+ *                      vote before a proposal settles on its own (default 0.5)
+ *   approvalThreshold  Share of cast votes approvals must exceed (default 0.5)
+ */
+
+// ============================================================
+// Roles & Permissions
+// ============================================================
+
+const ROLES = ['owner', 'maintainer', 'member', 'viewer'];
+
+// Roles issued before role-based permissions existed
+const LEGACY_ROLES = {
+  admin: 'maintainer'
+};
+
+// Lowest role allowed to perform each action
+const PERMISSIONS = {
+  view: 'viewer',
+  propose: 'member',
+  vote: 'member',
+  decide: 'maintainer',
+  invite: 'maintainer',
+  manage: 'maintainer',
+  govern: 'owner'
+};
+
+const DEFAULT_GOVERNANCE = {
+  quorum: 0.5,
+  approvalThreshold: 0.5
+};
+
+/**
+ * Map a stored role onto the current role set
+ * @returns {string|null} null for unknown roles
+ */
+function normalizeRole(role) {
+  const mapped = LEGACY_ROLES[role] || role;
+  return ROLES.includes(mapped) ? mapped : null;
+}
+
+/**
+ * Rank of a role; higher outranks lower, unknown roles rank below viewer
+ */
+function roleRank(role) {
+  const normalized = normalizeRole(role);
+  return normalized ? ROLES.length - ROLES.indexOf(normalized) : 0;
+}
+
+/**
+ * Check whether a role may perform an action
+ * @param {string} role
+ * @param {string} permission - Key of PERMISSIONS
+ */
+function can(role, permission) {
+  const required = PERMISSIONS[permission];
+  if (!required) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roleRank(role) >= roleRank(required);
+}
+
+/**
+ * Roles a member may hand out through invites: strictly below their own
+ */
+function assignableRoles(role) {
+  if (!can(role, 'invite')) return [];
+  return ROLES.filter(candidate => roleRank(candidate) < roleRank(role));
+}
+
+/**
+ * Effective role of a membership record
+ *
+ * Team creators were stored as 'admin' before roles existed; the team's
+ * ownerId tells them apart from other legacy admins.
+ *
+ * @param {{ userId: string, role: string, status?: string }|null} membership
+ * @param {string} [ownerId] - The team's owner
+ * @returns {string|null} null for no membership, a pending invite or an unknown role
+ */
+function effectiveRole(membership, ownerId) {
+  if (!membership || membership.status === 'pending') return null;
+  if (membership.role === 'admin' && ownerId && membership.userId === ownerId) return 'owner';
+  return normalizeRole(membership.role);
+}
+
+// ============================================================
+// Governance Settings
+// ============================================================
+
+/**
+ * Resolve a team's governance settings over the defaults
+ * @param {Object} [settings] - Team settings object
+ * @returns {{ quorum: number, approvalThreshold: number }}
+ */
+function getGovernance(settings = {}) {
+  return { ...DEFAULT_GOVERNANCE, ...(settings?.governance || {}) };
+}
+
+/**
+ * Validate a governance update
+ * @returns {string[]} Problems; empty when valid
+ */
+function validateGovernance(governance) {
+  if (!governance || typeof governance !== 'object' || Array.isArray(governance)) {
+    return ['governance must be an object'];
+  }
+
+  const problems = [];
+  for (const [key, value] of Object.entries(governance)) {
+    if (!(key in DEFAULT_GOVERNANCE)) {
+      problems.push(`Unknown governance setting: ${key}`);
+    } else if (typeof value !== 'number' || !(value > 0 && value <= 1)) {
+      problems.push(`${key} must be a number greater than 0 and at most 1`);
+    }
+  }
+  return problems;
+}
+
+// ============================================================
+// Voting
+// ============================================================
+
+/**
+ * Tally votes against a team's quorum and approval threshold
+ *
+ * Nothing settles before quorum. Once it is met, the proposal is approved
+ * when approvals exceed the threshold share of cast votes, else rejected:
+ * a tie at the default 0.5 is rejected. A threshold of 1 needs every cast
+ * vote to approve.
+ *
+ * @param {Array<{ vote: string }>} votes - Cast votes
+ * @param {number} eligibleVoters - Members allowed to vote
+ * @param {Object} [governance] - Resolved governance settings
+ * @returns {{ outcome: string, approvals: number, rejections: number, cast: number,
+ *   eligibleVoters: number, quorumVotes: number, quorumMet: boolean, approvalThreshold: number }}
+ */
+function tallyVotes(votes, eligibleVoters, governance = DEFAULT_GOVERNANCE) {
+  const { quorum, approvalThreshold } = { ...DEFAULT_GOVERNANCE, ...governance };
+  const approvals = votes.filter(v => v.vote === 'approve').length;
+  const rejections = votes.filter(v => v.vote === 'reject').length;
+  const cast = approvals + rejections;
+  const quorumVotes = Math.max(1, Math.ceil(eligibleVoters * quorum));
+  const quorumMet = cast >= quorumVotes;
+
+  let outcome = 'pending';
+  if (quorumMet) {
+    const approved = approvalThreshold >= 1 ? approvals === cast : approvals / cast > approvalThreshold;
+    outcome = approved ? 'approved' : 'rejected';
+  }
+
+  return { outcome, approvals, rejections, cast, eligibleVoters, quorumVotes, quorumMet, approvalThreshold };
+}
+
+// ============================================================
+// Exports
+// ============================================================
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_GOVERNANCE,
+  normalizeRole,
+  roleRank,
+  can,
+  assignableRoles,
+  effectiveRole,
+  getGovernance,
+  validateGovernance,
+  tallyVotes
+};
@@ -18,7 +18,7 @@ function response(statusCode, body, headers = {}) {
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Team-Id',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Team-Id,Idempotency-Key',
       ...headers
     },
     body: JSON.stringify(body)
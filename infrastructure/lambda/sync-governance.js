@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Generate shared/governance.js from scripts/flow-team-governance.js
+ *
+ * The hosted backend and the CLI / self-hosted server apply the same role
+ * and voting rules. Lambda packages can't reach outside this directory, so
+ * the rules are copied in rather than required.
+ *
+ * Usage:
+ *   node sync-governance.js          Write shared/governance.js
+ *   node sync-governance.js --check  Exit 1 if it is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, '..', '..', 'scripts', 'flow-team-governance.js');
+const TARGET = path.join(__dirname, 'shared', 'governance.js');
+
+const HEADER = `// GENERATED from scripts/flow-team-governance.js - do not edit.
+// Run \`npm run sync:governance\` in infrastructure/lambda after changing it.
+
+`;
+
+/**
+ * Contents shared/governance.js should have
+ */
+function renderGovernance() {
+  const source = fs.readFileSync(SOURCE, 'utf-8').replace(/^#!.*\n\n?/, '');
+  return HEADER + source;
+}
+
+function isUpToDate() {
+  return fs.existsSync(TARGET) && fs.readFileSync(TARGET, 'utf-8') === renderGovernance();
+}
+
+module.exports = { SOURCE, TARGET, renderGovernance, isUpToDate };
+
+if (require.main === module) {
+  if (process.argv.includes('--check')) {
+    if (!isUpToDate()) {
+      console.error('shared/governance.js is out of date; run: npm run sync:governance');
+      process.exit(1);
+    }
+  } else {
+    fs.writeFileSync(TARGET, renderGovernance());
+    console.log(`Wrote ${path.relative(process.cwd(), TARGET)}`);
+  }
+}
@@ -5,10 +5,12 @@
  *   GET    /teams              - List user's teams
  *   POST   /teams              - Create a new team
  *   GET    /teams/{teamId}     - Get team details
- *   PUT    /teams/{teamId}     - Update team
+ *   PUT    /teams/{teamId}     - Update team (maintainer; governance: owner)
  *   DELETE /teams/{teamId}     - Delete team
  *   GET    /teams/{teamId}/members - List team members
- *   POST   /teams/{teamId}/invite  - Invite member
+ *   POST   /teams/{teamId}/invite  - Invite member (maintainer)
+ *
+ * Roles: owner, maintainer, member, viewer (see ../shared/governance.js).
  */
 
 const {
@@ -27,6 +29,7 @@ const {
   generateId,
   now
 } = require('../shared/utils');
+const governance = require('../shared/governance');
 
 const TEAMS_TABLE = process.env.TEAMS_TABLE;
 const TEAM_MEMBERS_TABLE = process.env.TEAM_MEMBERS_TABLE;
@@ -94,7 +97,7 @@ async function listTeams(event, user) {
     if (team.Item) {
       teams.push({
         ...team.Item,
-        role: membership.role,
+        role: governance.effectiveRole(membership, team.Item.ownerId),
         joinedAt: membership.joinedAt
       });
     }
@@ -113,6 +116,13 @@ async function createTeam(event, user) {
     return error(400, 'Team name is required');
   }
 
+  if (body.settings?.governance) {
+    const problems = governance.validateGovernance(body.settings.governance);
+    if (problems.length > 0) {
+      return error(400, problems.join('; '));
+    }
+  }
+
   const teamId = generateId('team');
   const timestamp = now();
 
@@ -133,7 +143,7 @@ async function createTeam(event, user) {
     Item: team
   }));
 
-  // Add owner as admin member
+  // Add creator as owner
   await docClient.send(new PutCommand({
     TableName: TEAM_MEMBERS_TABLE,
     Item: {
@@ -141,7 +151,7 @@ async function createTeam(event, user) {
       userId: user.userId,
       email: user.email,
       name: user.name,
-      role: 'admin',
+      role: 'owner',
       joinedAt: timestamp
     }
   }));
@@ -177,7 +187,8 @@ async function getTeam(event, user) {
 
   return success({
     ...team.Item,
-    role: membership.Item.role
+    governance: governance.getGovernance(team.Item.settings),
+    role: governance.effectiveRole(membership.Item, team.Item.ownerId)
   });
 }
 
@@ -188,14 +199,35 @@ async function updateTeam(event, user) {
   const teamId = getPathParam(event, 'teamId');
   const body = parseBody(event);
 
-  // Verify admin membership
+  // Verify maintainer membership
   const membership = await docClient.send(new GetCommand({
     TableName: TEAM_MEMBERS_TABLE,
     Key: { teamId, userId: user.userId }
   }));
 
-  if (!membership.Item || membership.Item.role !== 'admin') {
-    return error(403, 'Only admins can update team');
+  const team = await docClient.send(new GetCommand({
+    TableName: TEAMS_TABLE,
+    Key: { teamId }
+  }));
+
+  if (!team.Item) {
+    return error(404, 'Team not found');
+  }
+
+  const role = governance.effectiveRole(membership.Item, team.Item.ownerId);
+  if (!governance.can(role, 'manage')) {
+    return error(403, 'Only maintainers and owners can update team');
+  }
+
+  // Quorum and approval thresholds are owner-only
+  if (body.settings && JSON.stringify(body.settings.governance) !== JSON.stringify(team.Item.settings?.governance)) {
+    if (!governance.can(role, 'govern')) {
+      return error(403, 'Only the owner can change governance settings');
+    }
+    const problems = body.settings.governance === undefined ? [] : governance.validateGovernance(body.settings.governance);
+    if (problems.length > 0) {
+      return error(400, problems.join('; '));
+    }
   }
 
   // Build update expression
@@ -319,14 +351,26 @@ async function inviteMember(event, user) {
     return error(400, 'Email is required');
   }
 
-  // Verify admin membership
+  // Verify maintainer membership
   const membership = await docClient.send(new GetCommand({
     TableName: TEAM_MEMBERS_TABLE,
     Key: { teamId, userId: user.userId }
   }));
 
-  if (!membership.Item || membership.Item.role !== 'admin') {
-    return error(403, 'Only admins can invite members');
+  const team = membership.Item?.role === 'admin'
+    ? await docClient.send(new GetCommand({ TableName: TEAMS_TABLE, Key: { teamId } }))
+    : null;
+  const role = governance.effectiveRole(membership.Item, team?.Item?.ownerId);
+
+  if (!governance.can(role, 'invite')) {
+    return error(403, 'Only maintainers and owners can invite members');
+  }
+
+  // Invitees get a role strictly below the inviter's
+  const inviteRole = body.role || 'member';
+  const allowed = governance.assignableRoles(role);
+  if (!allowed.includes(inviteRole)) {
+    return error(governance.normalizeRole(inviteRole) ? 403 : 400, `Role must be one of: ${allowed.join(', ')}`);
   }
 
   // Check if already a member (by email)
@@ -357,7 +401,7 @@ async function inviteMember(event, user) {
       userId: inviteId, // Will be replaced with actual userId when accepted
       email: body.email,
       name: body.name || body.email.split('@')[0],
-      role: body.role || 'member',
+      role: inviteRole,
       status: 'pending',
       invitedBy: user.userId,
       joinedAt: timestamp
@@ -369,6 +413,7 @@ async function inviteMember(event, user) {
   return created({
     inviteId,
     email: body.email,
+    role: inviteRole,
     status: 'pending'
   });
 }
@@ -7,7 +7,7 @@ resource "aws_apigatewayv2_api" "main" {
 
   cors_configuration {
     allow_credentials = true
-    allow_headers     = ["Content-Type", "Authorization", "X-Team-Id"]
+    allow_headers     = ["Content-Type", "Authorization", "X-Team-Id", "Idempotency-Key"]
     allow_methods     = ["GET", "POST", "PUT", "DELETE", "OPTIONS"]
     allow_origins     = ["http://localhost:3000", "https://app.wogi-flow.dev", "https://wogi-flow.dev"]
     max_age           = 3600
@@ -189,6 +189,14 @@ resource "aws_apigatewayv2_route" "proposals_decide" {
   authorizer_id      = aws_apigatewayv2_authorizer.cognito.id
 }
 
+resource "aws_apigatewayv2_route" "proposals_audit" {
+  api_id             = aws_apigatewayv2_api.main.id
+  route_key          = "GET /teams/{teamId}/audit"
+  target             = "integrations/${aws_apigatewayv2_integration.proposals.id}"
+  authorization_type = "JWT"
+  authorizer_id      = aws_apigatewayv2_authorizer.cognito.id
+}
+
 # ============================================================
 # Memory Routes
 # ============================================================
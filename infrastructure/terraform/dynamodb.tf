@@ -129,6 +129,45 @@ resource "aws_dynamodb_table" "proposals" {
   }
 }
 
+# Proposal audit table - append-only log of proposal state changes
+# Lambdas may only put and query (see iam.tf); auditId is "<timestamp>#<id>"
+resource "aws_dynamodb_table" "proposal_audit" {
+  name         = "${var.project_name}-${var.environment}-proposal-audit"
+  billing_mode = var.dynamodb_billing_mode
+  hash_key     = "teamId"
+  range_key    = "auditId"
+
+  attribute {
+    name = "teamId"
+    type = "S"
+  }
+
+  attribute {
+    name = "auditId"
+    type = "S"
+  }
+
+  attribute {
+    name = "proposalId"
+    type = "S"
+  }
+
+  global_secondary_index {
+    name            = "proposal-index"
+    hash_key        = "proposalId"
+    range_key       = "auditId"
+    projection_type = "ALL"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Name = "${var.project_name}-proposal-audit"
+  }
+}
+
 # Shared memory table - stores promoted facts/patterns
 resource "aws_dynamodb_table" "shared_memory" {
   name         = "${var.project_name}-${var.environment}-shared-memory"
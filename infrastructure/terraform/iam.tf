@@ -64,6 +64,18 @@ resource "aws_iam_policy" "lambda_dynamodb" {
           aws_dynamodb_table.memory_metrics.arn,
           "${aws_dynamodb_table.memory_metrics.arn}/index/*"
         ]
+      },
+      {
+        # Audit log is append-only: no update or delete
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:Query"
+        ]
+        Resource = [
+          aws_dynamodb_table.proposal_audit.arn,
+          "${aws_dynamodb_table.proposal_audit.arn}/index/*"
+        ]
       }
     ]
   })
@@ -44,10 +44,12 @@ resource "aws_lambda_function" "proposals_api" {
 
   environment {
     variables = {
-      PROPOSALS_TABLE = aws_dynamodb_table.proposals.name
-      VOTES_TABLE     = aws_dynamodb_table.votes.name
-      TEAMS_TABLE     = aws_dynamodb_table.teams.name
-      ENVIRONMENT     = var.environment
+      PROPOSALS_TABLE      = aws_dynamodb_table.proposals.name
+      VOTES_TABLE          = aws_dynamodb_table.votes.name
+      TEAMS_TABLE          = aws_dynamodb_table.teams.name
+      TEAM_MEMBERS_TABLE   = aws_dynamodb_table.team_members.name
+      PROPOSAL_AUDIT_TABLE = aws_dynamodb_table.proposal_audit.name
+      ENVIRONMENT          = var.environment
     }
   }
 
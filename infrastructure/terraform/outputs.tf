@@ -58,6 +58,7 @@ output "dynamodb_tables" {
     teams          = aws_dynamodb_table.teams.name
     team_members   = aws_dynamodb_table.team_members.name
     proposals      = aws_dynamodb_table.proposals.name
+    proposal_audit = aws_dynamodb_table.proposal_audit.name
     shared_memory  = aws_dynamodb_table.shared_memory.name
     votes          = aws_dynamodb_table.votes.name
     activity_log   = aws_dynamodb_table.activity_log.name
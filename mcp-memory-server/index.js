@@ -5,7 +5,7 @@
  *
  * Provides memory tools for Claude and other agents:
  * - remember_fact: Store facts in local SQLite with embeddings
- * - recall_facts: Semantic search over stored facts
+ * - recall_facts: Hybrid keyword (BM25) + semantic search over stored facts
  * - forget_fact: Remove facts from memory
  * - propose_team_rule: Create team proposals (requires team subscription)
  * - get_pending_proposals: View pending proposals
@@ -13,9 +13,20 @@
  * - store_prd: Store PRD chunks with embeddings
  * - get_prd_context: Retrieve relevant PRD context
  *
+ * Resources (subscribable): memory facts, decisions.md, app-map.md and the
+ * current task. Prompts: start-task, record-correction.
+ *
  * Uses shared flow-memory-db.js module for all database operations.
  * Free tier: All local operations work
  * Paid tier: Team operations sync to api.wogi-flow.com
+ *
+ * Usage:
+ *   node index.js                # stdio mode (one editor per process)
+ *   node index.js --http         # Streamable HTTP on 127.0.0.1:3848/mcp
+ *   node index.js --http 8080    # HTTP on custom port
+ *
+ * In HTTP mode every editor on the machine connects to the same process,
+ * so they share one database instead of overwriting each other's writes.
  */
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
@@ -23,7 +34,16 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
+const http = require('http');
+const { randomUUID } = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -36,6 +56,11 @@ const memoryDb = require('../scripts/flow-memory-db');
 
 const PROJECT_ROOT = process.env.WOGI_PROJECT_ROOT || process.cwd();
 const CONFIG_PATH = path.join(PROJECT_ROOT, '.workflow', 'config.json');
+const STATE_DIR = path.join(PROJECT_ROOT, '.workflow', 'state');
+const SERVER_INFO_PATH = path.join(memoryDb.MEMORY_DIR, 'server.json');
+
+const SERVER_VERSION = '0.3.0';
+const DEFAULT_HTTP_PORT = 3848;
 
 function getConfig() {
   try {
@@ -57,21 +82,24 @@ function isTeamEnabled() {
 // Tool Implementations (delegates to shared module)
 // ============================================================
 
-async function rememberFact({ fact, category, scope, model, sourceContext }) {
+async function rememberFact({ fact, category, scope, model, sourceContext, taskId, commitSha, filePaths, supersedes }) {
   const result = await memoryDb.storeFact({
     fact,
     category: category || 'general',
     scope: scope || 'local',
     model: model || null,
-    sourceContext: sourceContext || null
+    sourceContext: sourceContext || null,
+    taskId,
+    commitSha,
+    filePaths,
+    supersedes
   });
 
   // If team scope, create a proposal
   if (scope === 'team') {
     if (!isTeamEnabled()) {
       return {
-        id: result.id,
-        stored: true,
+        ...result,
         warning: 'Team features require a subscription. Fact stored locally only.'
       };
     }
@@ -83,7 +111,7 @@ async function rememberFact({ fact, category, scope, model, sourceContext }) {
       sourceContext
     });
 
-    return { id: result.id, stored: true, proposalCreated: true };
+    return { ...result, proposalCreated: true };
   }
 
   return result;
@@ -202,7 +230,7 @@ async function getMemoryStats({}) {
 const TOOLS = [
   {
     name: 'remember_fact',
-    description: 'Store a fact in memory. Use scope: "local" for project-only, "team" to propose to team (requires subscription).',
+    description: 'Store a fact in memory. Use scope: "local" for project-only, "team" to propose to team (requires subscription). Returns conflicts when the fact contradicts a stored one.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -224,14 +252,18 @@ const TOOLS = [
         sourceContext: {
           type: 'string',
           description: 'Context about where this fact came from (e.g., task ID, file path)'
-        }
+        },
+        taskId: { type: 'string', description: 'Task the fact came from (default: the task in progress)' },
+        commitSha: { type: 'string', description: 'Commit the fact was learned at (default: HEAD)' },
+        filePaths: { type: 'array', items: { type: 'string' }, description: 'Files the fact is about' },
+        supersedes: { type: 'string', description: 'ID of an existing fact this one replaces' }
       },
       required: ['fact']
     }
   },
   {
     name: 'recall_facts',
-    description: 'Retrieve facts from memory using semantic search',
+    description: 'Retrieve facts from memory using hybrid keyword + semantic search (exact identifiers and error codes match even without embeddings)',
     inputSchema: {
       type: 'object',
       properties: {
@@ -336,22 +368,272 @@ const TOOL_HANDLERS = {
   get_memory_stats: getMemoryStats
 };
 
-async function main() {
-  // Initialize shared database
-  await memoryDb.initDatabase();
+// ============================================================
+// Resources
+// ============================================================
+
+const FACTS_URI = 'wogi://memory/facts';
+const FACT_URI_PREFIX = `${FACTS_URI}/`;
+const CURRENT_TASK_URI = 'wogi://task/current';
+
+// State files exposed as resources, watched for subscriptions
+const FILE_RESOURCES = {
+  'wogi://state/decisions.md': {
+    file: path.join(STATE_DIR, 'decisions.md'),
+    name: 'decisions.md',
+    description: 'Project rules and coding decisions'
+  },
+  'wogi://state/app-map.md': {
+    file: path.join(STATE_DIR, 'app-map.md'),
+    name: 'app-map.md',
+    description: 'Registry of screens, components and where they live'
+  }
+};
+
+const RESOURCES = [
+  {
+    uri: FACTS_URI,
+    name: 'Memory facts',
+    description: 'Active (not superseded) facts with provenance',
+    mimeType: 'application/json'
+  },
+  ...Object.entries(FILE_RESOURCES).map(([uri, { name, description }]) => ({
+    uri, name, description, mimeType: 'text/markdown'
+  })),
+  {
+    uri: CURRENT_TASK_URI,
+    name: 'Current task',
+    description: 'Task in progress from ready.json',
+    mimeType: 'application/json'
+  }
+];
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${FACT_URI_PREFIX}{id}`,
+    name: 'Memory fact',
+    description: 'A single fact by ID',
+    mimeType: 'application/json'
+  }
+];
+
+function readReadyData() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(STATE_DIR, 'ready.json'), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Find a task by ID in any ready.json list, or the first task in progress
+ */
+function findTask(taskId) {
+  const data = readReadyData();
+  const lists = ['inProgress', 'ready', 'blocked', 'recentlyCompleted'];
+
+  for (const list of lists) {
+    for (const task of data[list] || []) {
+      const id = typeof task === 'string' ? task : task.id;
+      if (!taskId ? list === 'inProgress' : id === taskId) {
+        return { ...(typeof task === 'string' ? { id: task } : task), status: list };
+      }
+    }
+  }
+  return null;
+}
+
+async function readResource(uri) {
+  const json = (value) => ({ uri, mimeType: 'application/json', text: JSON.stringify(value, null, 2) });
+
+  if (uri === FACTS_URI) {
+    const facts = await memoryDb.getAllFacts();
+    return json(facts.filter(f => !f.superseded_by));
+  }
+
+  if (uri.startsWith(FACT_URI_PREFIX)) {
+    const id = decodeURIComponent(uri.slice(FACT_URI_PREFIX.length));
+    const fact = (await memoryDb.getAllFacts()).find(f => f.id === id);
+    if (!fact) throw new Error(`Fact not found: ${id}`);
+    return json(fact);
+  }
+
+  if (FILE_RESOURCES[uri]) {
+    const { file } = FILE_RESOURCES[uri];
+    const text = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '';
+    return { uri, mimeType: 'text/markdown', text };
+  }
+
+  if (uri === CURRENT_TASK_URI) {
+    const data = readReadyData();
+    return json({ current: findTask(null), inProgress: data.inProgress || [] });
+  }
+
+  throw new Error(`Unknown resource: ${uri}`);
+}
+
+// Subscribed URIs per connected server (one per stdio process or HTTP session)
+const subscriptions = new Map();
+let fileWatchers = [];
+
+function notifyResourceUpdated(uri) {
+  for (const [server, uris] of subscriptions) {
+    if (uris.has(uri)) {
+      server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Notify subscribers of state files edited outside the server
+ */
+function watchStateFiles() {
+  const watched = [
+    ...Object.entries(FILE_RESOURCES).map(([uri, { file }]) => [uri, file]),
+    [CURRENT_TASK_URI, path.join(STATE_DIR, 'ready.json')]
+  ];
+
+  for (const [uri, file] of watched) {
+    const listener = (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) notifyResourceUpdated(uri);
+    };
+    fs.watchFile(file, { interval: 1000, persistent: false }, listener);
+    fileWatchers.push([file, listener]);
+  }
+}
+
+function unwatchStateFiles() {
+  for (const [file, listener] of fileWatchers) {
+    fs.unwatchFile(file, listener);
+  }
+  fileWatchers = [];
+}
+
+// Tools whose results change the facts resources
+const FACT_MUTATING_TOOLS = new Set(['remember_fact', 'forget_fact']);
+
+// ============================================================
+// Prompts
+// ============================================================
+
+const PROMPTS = [
+  {
+    name: 'start-task',
+    description: 'Start a task with its details, relevant memory facts, PRD context and project decisions',
+    arguments: [
+      { name: 'taskId', description: 'Task ID (default: the task in progress)', required: false }
+    ]
+  },
+  {
+    name: 'record-correction',
+    description: 'Turn a correction into a remembered fact, superseding any fact it replaces',
+    arguments: [
+      { name: 'mistake', description: 'What was done wrong', required: true },
+      { name: 'correction', description: 'What should be done instead', required: true },
+      { name: 'category', description: 'Fact category (default: pattern)', required: false }
+    ]
+  }
+];
+
+function formatFactList(facts) {
+  return facts.length > 0
+    ? facts.map(f => `- ${f.fact} (${f.id}, ${f.category}, ${f.relevance}% match)`).join('\n')
+    : '- None found';
+}
+
+async function startTaskPrompt({ taskId }) {
+  const task = findTask(taskId);
+  if (!task) {
+    throw new Error(taskId ? `Task not found: ${taskId}` : 'No task in progress - pass taskId');
+  }
+
+  const query = [task.title, task.description].filter(Boolean).join(' ') || task.id;
+  const facts = await memoryDb.searchFacts({ query, limit: 8, trackAccess: false });
+  const prd = await memoryDb.getPRDContext({ query, maxTokens: 1000 });
+  const decisions = await readResource('wogi://state/decisions.md');
+
+  const text = [
+    `Start task ${task.id}${task.title ? `: ${task.title}` : ''}`,
+    '',
+    'Task details:',
+    '```json',
+    JSON.stringify(task, null, 2),
+    '```',
+    '',
+    'Relevant facts from memory:',
+    formatFactList(facts),
+    ...(prd?.context ? ['', prd.context] : []),
+    '',
+    'Follow the project decisions below. Use recall_facts for anything else you need, and remember_fact for new learnings.'
+  ].join('\n');
+
+  const messages = [{ role: 'user', content: { type: 'text', text } }];
+  if (decisions.text.trim()) {
+    messages.push({ role: 'user', content: { type: 'resource', resource: decisions } });
+  }
+
+  return { description: `Start ${task.id}`, messages };
+}
 
+async function recordCorrectionPrompt({ mistake, correction, category }) {
+  if (!mistake || !correction) {
+    throw new Error('record-correction requires mistake and correction');
+  }
+
+  const related = await memoryDb.searchFacts({ query: `${mistake} ${correction}`, limit: 5, trackAccess: false });
+
+  const text = [
+    'Record this correction in memory.',
+    '',
+    `Mistake: ${mistake}`,
+    `Correction: ${correction}`,
+    '',
+    'Existing facts on the same topic:',
+    formatFactList(related),
+    '',
+    `Call remember_fact once with a short, general rule (category: ${category || 'pattern'}).`,
+    'If one of the existing facts says the opposite or is outdated, pass its ID as supersedes.',
+    'If remember_fact reports conflicts, tell the user which facts disagree.'
+  ].join('\n');
+
+  return {
+    description: 'Record a correction',
+    messages: [{ role: 'user', content: { type: 'text', text } }]
+  };
+}
+
+const PROMPT_HANDLERS = {
+  'start-task': startTaskPrompt,
+  'record-correction': recordCorrectionPrompt
+};
+
+// ============================================================
+// Server
+// ============================================================
+
+/**
+ * Create an MCP server with tools, resources and prompts registered.
+ * Each stdio process or HTTP session gets its own; all share one database.
+ */
+function createServer() {
   const server = new Server(
     {
       name: 'wogi-memory-server',
-      version: '0.2.0',
+      version: SERVER_VERSION,
     },
     {
       capabilities: {
         tools: {},
+        resources: { subscribe: true },
+        prompts: {},
       },
     }
   );
 
+  const subscribed = new Set();
+  subscriptions.set(server, subscribed);
+  server.onclose = () => subscriptions.delete(server);
+
   // List available tools
   server.setRequestHandler(ListToolsRequestSchema, async () => ({
     tools: TOOLS
@@ -370,6 +652,13 @@ async function main() {
 
     try {
       const result = await handler(args || {});
+
+      if (FACT_MUTATING_TOOLS.has(name)) {
+        notifyResourceUpdated(FACTS_URI);
+        const factId = result.id || args?.factId;
+        if (factId) notifyResourceUpdated(`${FACT_URI_PREFIX}${factId}`);
+      }
+
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
       };
@@ -381,11 +670,193 @@ async function main() {
     }
   });
 
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: RESOURCES
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: RESOURCE_TEMPLATES
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+    contents: [await readResource(request.params.uri)]
+  }));
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscribed.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscribed.delete(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: PROMPTS
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    const handler = PROMPT_HANDLERS[name];
+    if (!handler) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    return handler(args || {});
+  });
+
+  return server;
+}
+
+// ============================================================
+// HTTP Transport
+// ============================================================
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : undefined);
+      } catch {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJsonRpcError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+/**
+ * Serve MCP over streamable HTTP at /mcp. Each editor gets a session
+ * (Mcp-Session-Id header) with its own server; the database is shared.
+ */
+async function startHttpServer({ host, port }) {
+  const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+  const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+  const sessions = new Map();
+  const url = `http://${host}:${port}/mcp`;
+
+  const httpServer = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || host}`);
+
+    if (pathname === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', version: SERVER_VERSION, sessions: sessions.size }));
+      return;
+    }
+
+    if (pathname !== '/mcp') {
+      sendJsonRpcError(res, 404, 'Not found - MCP endpoint is /mcp');
+      return;
+    }
+
+    try {
+      const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+      const sessionId = req.headers['mcp-session-id'];
+      let session = sessionId ? sessions.get(sessionId) : null;
+
+      if (!session) {
+        if (sessionId || req.method !== 'POST' || !isInitializeRequest(body)) {
+          sendJsonRpcError(res, sessionId ? 404 : 400, sessionId ? 'Unknown session' : 'No session - send initialize first');
+          return;
+        }
+
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => sessions.set(id, session),
+          enableDnsRebindingProtection: true,
+          allowedHosts: [`${host}:${port}`, `localhost:${port}`, `127.0.0.1:${port}`]
+        });
+        const server = createServer();
+        session = { transport, server };
+
+        transport.onclose = () => {
+          if (transport.sessionId) sessions.delete(transport.sessionId);
+        };
+        await server.connect(transport);
+      }
+
+      await session.transport.handleRequest(req, res, body);
+    } catch (error) {
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, error.message);
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', (error) => {
+      if (error.code === 'EADDRINUSE') {
+        reject(new Error(`Port ${port} is in use - a memory server may already be running at ${url}`));
+      } else {
+        reject(error);
+      }
+    });
+    httpServer.listen(port, host, resolve);
+  });
+
+  // Let editors and CLI tools discover the shared instance
+  fs.writeFileSync(SERVER_INFO_PATH, JSON.stringify({
+    pid: process.pid,
+    url,
+    version: SERVER_VERSION,
+    startedAt: new Date().toISOString()
+  }, null, 2));
+
+  const shutdown = async () => {
+    for (const { transport } of sessions.values()) {
+      await transport.close().catch(() => {});
+    }
+    httpServer.close();
+    unwatchStateFiles();
+    try { fs.unlinkSync(SERVER_INFO_PATH); } catch {}
+    memoryDb.closeDatabase();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  console.error(`Wogi Memory Server v${SERVER_VERSION} listening at ${url}`);
+  return httpServer;
+}
+
+// ============================================================
+// Main
+// ============================================================
+
+async function main() {
+  const args = process.argv.slice(2);
+  const serverConfig = getConfig().memory?.server || {};
+
+  // Initialize shared database
+  await memoryDb.initDatabase();
+  watchStateFiles();
+
+  if (args.includes('--http')) {
+    const portArg = parseInt(args[args.indexOf('--http') + 1], 10);
+    await startHttpServer({
+      host: serverConfig.host || '127.0.0.1',
+      port: portArg || serverConfig.port || DEFAULT_HTTP_PORT
+    });
+    return;
+  }
+
   // Start server
+  const server = createServer();
   const transport = new StdioServerTransport();
   await server.connect(transport);
 
-  console.error('Wogi Memory Server v0.2.0 started (using shared database)');
+  console.error(`Wogi Memory Server v${SERVER_VERSION} started (using shared database)`);
 }
 
-main().catch(console.error);
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exit(1);
+});
@@ -8,9 +8,41 @@
 
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { isDeepStrictEqual } = require('util');
+const { spawnSync } = require('child_process');
 
 process.env.WOGI_PROJECT_ROOT = path.join(__dirname, '..');
 
+/**
+ * A separate instance of the memory database module rooted at `projectRoot`,
+ * standing in for another process using the same project
+ */
+function loadMemoryDb(projectRoot) {
+  const modulePath = require.resolve('../scripts/flow-memory-db');
+  const previousRoot = process.env.WOGI_PROJECT_ROOT;
+  delete require.cache[modulePath];
+  process.env.WOGI_PROJECT_ROOT = projectRoot;
+  try {
+    return require(modulePath);
+  } finally {
+    process.env.WOGI_PROJECT_ROOT = previousRoot;
+    delete require.cache[modulePath];
+  }
+}
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1) (mulberry32), so failures reproduce
+ */
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 async function test() {
   console.log('🧪 Testing MCP Memory Server...\n');
 
@@ -115,9 +147,1660 @@ async function test() {
   console.log('   Reloaded:', result2[0].values[0][0], 'facts');
   console.log('   ✅ Persistence works\n');
 
+  // Test vector index
+  console.log('6. Testing vector index...');
+  const { HnswIndex } = require('../scripts/flow-vector-index');
+  const index = new HnswIndex({ dimensions: 16 });
+  const random = seededRandom(42);
+  const vectors = Array.from({ length: 300 }, () => Array.from({ length: 16 }, () => random() - 0.5));
+  vectors.forEach((vector, i) => index.add(`fact_${i}`, vector));
+
+  const nearest = index.search(vectors[42], 3);
+  if (nearest[0].id !== 'fact_42') {
+    throw new Error(`Vector index returned ${nearest[0].id} as nearest to fact_42`);
+  }
+  index.remove('fact_42');
+  if (index.search(vectors[42], 3).some(hit => hit.id === 'fact_42')) {
+    throw new Error('Vector index returned a removed vector');
+  }
+
+  const INDEX_PATH = path.join(MEMORY_DIR, 'test.hnsw');
+  index.save(INDEX_PATH);
+  const reloaded = HnswIndex.load(INDEX_PATH);
+  console.log('   Indexed', index.size, 'vectors, reloaded', reloaded.size);
+  if (reloaded.search(vectors[7], 1)[0].id !== 'fact_7') {
+    throw new Error('Reloaded vector index lost its vectors');
+  }
+  fs.unlinkSync(INDEX_PATH);
+
+  // A row re-embedded under the same id must not keep its old vector
+  const VECTOR_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-vectors-'));
+  fs.mkdirSync(path.join(VECTOR_ROOT, '.workflow'));
+  fs.writeFileSync(path.join(VECTOR_ROOT, '.workflow', 'config.json'), JSON.stringify({ memory: { vectorIndex: { minEntries: 1 } } }));
+  const vectorMemory = loadMemoryDb(VECTOR_ROOT);
+  const bundle = (facts) => [
+    { type: 'header', format: 'wogi-memory', version: 1, embeddingModel: 'Xenova/all-MiniLM-L6-v2' },
+    ...facts.map(([id, fact, embedding]) => ({ type: 'fact', data: { id, fact, embedding } }))
+  ];
+  await vectorMemory.importMemory(bundle([
+    ['fact_a', 'First fact', vectors[0]],
+    ['fact_b', 'Second fact', vectors[1]],
+    ['fact_c', 'Third fact', vectors[2]]
+  ]), { merge: false });
+  if (vectorMemory.syncVectorIndex('facts').search(vectors[0], 1)[0].id !== 'fact_a') {
+    throw new Error('Synced vector index missed an imported fact');
+  }
+  await vectorMemory.deleteFact('fact_a');
+  await vectorMemory.importMemory(bundle([['fact_a', 'First fact, reworded', vectors[3]]]), { merge: false });
+  const [reembedded] = vectorMemory.syncVectorIndex('facts').search(vectors[3], 1);
+  if (reembedded.id !== 'fact_a' || reembedded.similarity < 0.999) {
+    throw new Error('Vector index kept the old embedding of a re-embedded fact');
+  }
+  vectorMemory.closeDatabase();
+  fs.rmSync(VECTOR_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Vector index works\n');
+
+  // Test keyword index
+  console.log('7. Testing keyword index...');
+  db.run(`CREATE VIRTUAL TABLE memory_fts USING fts4(content, terms, kind, doc_id, notindexed=kind, notindexed=doc_id, tokenize=unicode61 "tokenchars=_")`);
+  db.run('INSERT INTO memory_fts VALUES (?, ?, ?, ?)', ['Build fails with ERR_MODULE_NOT_FOUND', 'err module not found', 'fact', 'fact_a']);
+  db.run('INSERT INTO memory_fts VALUES (?, ?, ?, ?)', ['useAuthToken refreshes the session', 'use auth token', 'fact', 'fact_b']);
+  const keywordHits = db.exec(`SELECT doc_id FROM memory_fts WHERE memory_fts MATCH '"err_module_not_found"'`);
+  if (keywordHits.length === 0 || keywordHits[0].values[0][0] !== 'fact_a') {
+    throw new Error('Keyword index did not match an exact identifier');
+  }
+
+  const { fuseRankings } = require('../scripts/flow-memory-db');
+  const fused = [...fuseRankings([['fact_a', 'fact_b'], ['fact_b']]).keys()];
+  if (fused[0] !== 'fact_b') {
+    throw new Error(`Rank fusion put ${fused[0]} first`);
+  }
+
+  // Text edited under the same id is reindexed
+  const LEXICAL_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-lexical-'));
+  const lexicalMemory = loadMemoryDb(LEXICAL_ROOT);
+  const factBundle = (id, fact) => [
+    { type: 'header', format: 'wogi-memory', version: 1, embeddingModel: null },
+    { type: 'fact', data: { id, fact } }
+  ];
+  await lexicalMemory.importMemory(factBundle('fact_edit', 'Deploys run through Jenkins'), { merge: false });
+  if (lexicalMemory.searchLexical('jenkins').length !== 1) {
+    throw new Error('Keyword index missed a new fact');
+  }
+  await lexicalMemory.deleteFact('fact_edit');
+  await lexicalMemory.importMemory(factBundle('fact_edit', 'Deploys run through Buildkite'), { merge: false });
+  if (lexicalMemory.searchLexical('jenkins').length !== 0 || lexicalMemory.searchLexical('buildkite')[0]?.id !== 'fact_edit') {
+    throw new Error('Keyword index kept the old text of an edited fact');
+  }
+  lexicalMemory.closeDatabase();
+  fs.rmSync(LEXICAL_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Keyword index and rank fusion work\n');
+
+  // Test team store shared between the server and the CLI
+  console.log('8. Testing team store transactions...');
+  const { TeamStore, createTeamRecord } = require('../scripts/flow-team-server');
+  const TEAM_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-team-'));
+  const TEAM_DB = path.join(TEAM_DIR, 'team.db');
+  const serverStore = await new TeamStore(TEAM_DB).open();
+  const cliStore = await new TeamStore(TEAM_DB).open();
+
+  const cliTeam = await cliStore.transaction(() => createTeamRecord(cliStore, { name: 'From CLI' }));
+  serverStore.refresh();
+  if (!serverStore.get('SELECT 1 FROM teams WHERE team_id = ?', [cliTeam])) {
+    throw new Error('Running server did not see a team the CLI created');
+  }
+  await serverStore.transaction(() => createTeamRecord(serverStore, { name: 'From server' }));
+  cliStore.refresh();
+  if (cliStore.get('SELECT COUNT(*) AS count FROM teams').count !== 2) {
+    throw new Error('A server write dropped the CLI team');
+  }
+
+  try {
+    await serverStore.transaction(() => {
+      createTeamRecord(serverStore, { name: 'Half created' });
+      throw new Error('handler failed');
+    });
+  } catch {
+    // Expected
+  }
+  if (serverStore.get("SELECT 1 FROM teams WHERE name = 'Half created'")) {
+    throw new Error('A failed transaction left a team behind');
+  }
+  serverStore.close();
+  cliStore.close();
+  fs.rmSync(TEAM_DIR, { recursive: true, force: true });
+  console.log('   ✅ Team store reloads and rolls back\n');
+
+  // Test per-item three-way merge of synced markdown
+  console.log('9. Testing three-way sync merge...');
+  const { threeWayMergeMarkdown } = require('../scripts/flow-team-sync');
+  const rules = items => `# Rules\n\n## Style\n\n${items.map(item => `- ${item}`).join('\n')}\n`;
+  const BASE_RULES = rules(['tabs', 'semicolons', 'quotes']);
+
+  const editAppend = threeWayMergeMarkdown(BASE_RULES, rules(['tabs', 'semicolons', 'single quotes']), rules(['tabs', 'semicolons', 'quotes', 'trailing commas']));
+  if (editAppend.conflicts.length !== 0 || editAppend.content !== rules(['tabs', 'semicolons', 'single quotes', 'trailing commas'])) {
+    throw new Error(`Edit + append did not merge cleanly: ${editAppend.content}`);
+  }
+
+  const deleteEdit = threeWayMergeMarkdown(BASE_RULES, rules(['tabs', 'quotes']), rules(['tabs', 'semicolons', 'double quotes']));
+  if (deleteEdit.conflicts.length !== 0 || deleteEdit.content !== rules(['tabs', 'double quotes'])) {
+    throw new Error(`Delete + edit of different items did not merge cleanly: ${deleteEdit.content}`);
+  }
+
+  const sameEdit = threeWayMergeMarkdown(BASE_RULES, rules(['spaces', 'semicolons', 'quotes']), rules(['spaces', 'semicolons', 'quotes', 'no any']));
+  if (sameEdit.conflicts.length !== 0 || sameEdit.content !== rules(['spaces', 'semicolons', 'quotes', 'no any'])) {
+    throw new Error(`Same edit on both sides did not merge cleanly: ${sameEdit.content}`);
+  }
+
+  const overlap = threeWayMergeMarkdown(BASE_RULES, rules(['tabs', 'quotes', 'strict']), rules(['tabs', 'no semicolons', 'quotes']));
+  if (overlap.conflicts.length !== 1 || overlap.conflicts[0].base.join() !== '- semicolons' || !overlap.content.includes('- strict')) {
+    throw new Error('Delete + edit of the same item should conflict on that item only');
+  }
+  console.log('   ✅ Only overlapping item changes conflict\n');
+
+  // Test the shared YAML parser against spec examples and round trips
+  console.log('10. Testing YAML parser conformance...');
+  const { parseYaml, parseYamlAll, parseYamlDocument, stringifyYaml, YamlError } = require('../scripts/flow-yaml');
+  const YAML_CASES = [
+    ['hr: 65\navg: 0.278\nrbi: 147\n', { hr: 65, avg: 0.278, rbi: 147 }],
+    ['- Mark McGwire\n- Sammy Sosa\n', ['Mark McGwire', 'Sammy Sosa']],
+    ['american:\n  - Boston Red Sox\n  - Detroit Tigers\nnational:\n  - New York Mets\n', { american: ['Boston Red Sox', 'Detroit Tigers'], national: ['New York Mets'] }],
+    ['- [name, hr, avg]\n- [Mark McGwire, 65, 0.278]\n', [['name', 'hr', 'avg'], ['Mark McGwire', 65, 0.278]]],
+    ['Mark McGwire: {hr: 65, avg: 0.278}\n', { 'Mark McGwire': { hr: 65, avg: 0.278 } }],
+    ['hr:\n  - Mark McGwire\n  - &SS Sammy Sosa\nrbi:\n  - *SS\n', { hr: ['Mark McGwire', 'Sammy Sosa'], rbi: ['Sammy Sosa'] }],
+    ['literal: |\n  a\n  b\nfolded: >\n  a\n  b\n\n  c\n', { literal: 'a\nb\n', folded: 'a b\nc\n' }],
+    ['keep: |+\n  a\n\nstrip: |-\n  a\n', { keep: 'a\n\n', strip: 'a' }],
+    ['indent: |2\n    x\n', { indent: '  x\n' }],
+    ["s: 'it''s'\nd: \"tab\\there \\u00e9\"\n", { s: "it's", d: 'tab\there é' }],
+    ['n: ~\nt: true\nf: False\no: 0o14\nx: 0xC\ni: -12\ne: 1.2e+3\ninf: -.inf\nnan: .nan\n', { n: null, t: true, f: false, o: 12, x: 12, i: -12, e: 1200, inf: -Infinity, nan: NaN }],
+    ['base: &b {a: 1, b: 2}\nderived:\n  <<: *b\n  b: 3\n', { base: { a: 1, b: 2 }, derived: { a: 1, b: 3 } }],
+    ['s: !!str 123\ni: !!int "7"\n', { s: '123', i: 7 }],
+    ['%YAML 1.2\n---\na: 1 # comment\n', { a: 1 }],
+    ['url: http://x.io/a#b\nkey with spaces: v\n"quoted: key": 1\n', { url: 'http://x.io/a#b', 'key with spaces': 'v', 'quoted: key': 1 }],
+    ['- a: 1\n  b: [x, {y: z}]\n-   - nested\n', [{ a: 1, b: ['x', { y: 'z' }] }, ['nested']]],
+    ['{}\n', {}],
+    ['', null]
+  ];
+  for (const [source, expected] of YAML_CASES) {
+    const actual = parseYaml(source);
+    if (!isDeepStrictEqual(actual, expected)) {
+      throw new Error(`YAML ${JSON.stringify(source)} parsed as ${JSON.stringify(actual)}`);
+    }
+  }
+  if (!isDeepStrictEqual(parseYamlAll('a: 1\n---\n- b\n...\n'), [{ a: 1 }, ['b']])) {
+    throw new Error('Multi-document YAML parsed incorrectly');
+  }
+
+  const YAML_ERRORS = [
+    ['a: [1, 2\n', 1, 4],
+    ['a: 1\na: 2\n', 2, 1],
+    ['a:\n  - b\n c: d\n', 3, 2],
+    ['"open\n', 1, 1],
+    ['*missing\n', 1, 1]
+  ];
+  for (const [source, line, column] of YAML_ERRORS) {
+    let error = null;
+    try {
+      parseYaml(source);
+    } catch (err) {
+      error = err;
+    }
+    if (!(error instanceof YamlError) || error.line !== line || error.column !== column) {
+      throw new Error(`Invalid YAML ${JSON.stringify(source)} should fail at ${line}:${column}, got ${error ? error.message : 'no error'}`);
+    }
+  }
+
+  const roundTrip = {
+    name: 'x',
+    multi: 'line one\nline two\n',
+    empty: '',
+    list: [1, 'two', true, null, { deep: ['a: b', '#no', '- dash', ' lead'] }],
+    quoted: "it's \"q\"",
+    lookalikes: ['42', 'true', 'null', '2024-01-01'],
+    nested: { obj: {}, arr: [] },
+    text: ['a\tb', 'é ☃']
+  };
+  if (!isDeepStrictEqual(parseYaml(stringifyYaml(roundTrip)), roundTrip)) {
+    throw new Error('stringifyYaml output did not parse back to the same value');
+  }
+
+  const LINKS_SOURCE = '# header\nlinks:\n  # docs\n  prd: ./PRD.md   # main\n\n  api: "https://a"\n';
+  const linksDoc = parseYamlDocument(LINKS_SOURCE);
+  if (linksDoc.toString() !== LINKS_SOURCE) {
+    throw new Error('An untouched YAML document did not print back unchanged');
+  }
+  const edited = linksDoc.toJS();
+  edited.links.new = 'x';
+  if (linksDoc.setValue(edited).toString() !== `${LINKS_SOURCE}  new: x\n`) {
+    throw new Error('Editing a YAML document lost its comments or formatting');
+  }
+  console.log('   ✅ YAML parses, reports errors and round-trips\n');
+
+  // Test team governance rules and the hosted backend's generated copy
+  console.log('11. Testing team governance...');
+  const governance = require('../scripts/flow-team-governance');
+  const { hasTeamPermission } = require('../scripts/flow-team');
+  const votes = outcomes => outcomes.map(vote => ({ vote }));
+
+  if (governance.tallyVotes(votes(['approve', 'reject']), 2).outcome !== 'rejected') {
+    throw new Error('A tied vote passed at the default threshold');
+  }
+  if (governance.tallyVotes(votes(['approve', 'approve', 'reject']), 3).outcome !== 'approved') {
+    throw new Error('A majority vote did not pass');
+  }
+  if (governance.tallyVotes(votes(['approve', 'approve']), 2, { approvalThreshold: 1 }).outcome !== 'approved') {
+    throw new Error('A unanimous vote did not pass a threshold of 1');
+  }
+  if (hasTeamPermission({ role: 'superuser' }, 'vote') || hasTeamPermission({ role: null }, 'view')) {
+    throw new Error('An unknown role was granted a permission');
+  }
+  if (!hasTeamPermission({ role: 'member' }, 'vote') || hasTeamPermission({ role: 'member' }, 'decide')) {
+    throw new Error('Known roles got the wrong permissions');
+  }
+  if (governance.effectiveRole({ userId: 'u1', role: 'admin' }, 'u1') !== 'owner' ||
+      governance.effectiveRole({ userId: 'u2', role: 'admin' }, 'u1') !== 'maintainer') {
+    throw new Error('Legacy admin roles resolved incorrectly');
+  }
+  if (!require('../infrastructure/lambda/sync-governance').isUpToDate()) {
+    throw new Error('infrastructure/lambda/shared/governance.js is out of date; run npm run sync:governance');
+  }
+  console.log('   ✅ Ties fail, unknown roles are denied, backend copy is current\n');
+
+  // Test the memory database shared by a long-running server and the CLI
+  console.log('12. Testing memory database shared between processes...');
+  const MEMORY_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-memory-'));
+  const serverMemory = loadMemoryDb(MEMORY_ROOT);
+  const cliMemory = loadMemoryDb(MEMORY_ROOT);
+
+  await serverMemory.initDatabase();
+  await cliMemory.storeFact({ fact: 'Stored by the CLI while the server runs' });
+  await serverMemory.storeFact({ fact: 'Stored by the server afterwards' });
+  const sharedFacts = (await cliMemory.getAllFacts()).map(row => row.fact).sort();
+  if (sharedFacts.length !== 2 || sharedFacts[0] !== 'Stored by the CLI while the server runs') {
+    throw new Error(`Server write overwrote the CLI's fact: ${JSON.stringify(sharedFacts)}`);
+  }
+  serverMemory.closeDatabase();
+  cliMemory.closeDatabase();
+  fs.rmSync(MEMORY_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Server reloads writes made by other processes\n');
+
+  // Test workflow triggers in a scratch project (triggers find the project from the cwd)
+  console.log('13. Testing workflow triggers...');
+  const TRIGGER_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-triggers-'));
+  const TRIGGER_WORKFLOWS = path.join(TRIGGER_ROOT, '.workflow', 'workflows');
+  fs.mkdirSync(TRIGGER_WORKFLOWS, { recursive: true });
+  fs.writeFileSync(path.join(TRIGGER_ROOT, '.workflow', 'config.json'), '{}');
+  fs.writeFileSync(path.join(TRIGGER_WORKFLOWS, 'on-src.yaml'), [
+    'name: on-src',
+    'on:',
+    '  file-changed: { paths: ["src/**", "!src/legacy/**"] }',
+    'steps:',
+    '  - id: report',
+    '    run: echo changed $event_file',
+    '    stream: true',
+    ''
+  ].join('\n'));
+  fs.writeFileSync(path.join(TRIGGER_WORKFLOWS, 'on-test-gate.yaml'), [
+    'name: on-test-gate',
+    'on: { gate-failed: { gates: test } }',
+    'steps:',
+    '  - id: noop',
+    '    run: "true"',
+    ''
+  ].join('\n'));
+  fs.writeFileSync(path.join(TRIGGER_WORKFLOWS, 'on-done.yaml'), [
+    'name: on-done',
+    'on: task-done',
+    'steps:',
+    '  - id: fail',
+    '    run: exit 3',
+    '    retry: { count: 1, delay: 10 }',
+    ''
+  ].join('\n'));
+
+  const triggerScript = `
+    const { fireTrigger, getTriggerHistory } = require(${JSON.stringify(path.join(__dirname, '..', 'scripts', 'flow-workflow-triggers'))});
+    (async () => {
+      const fired = [
+        ...await fireTrigger('file-changed', { file: 'src/legacy/old.js' }, { quiet: true }),
+        ...await fireTrigger('gate-failed', { gate: 'lint' }, { quiet: true }),
+        ...await fireTrigger('file-changed', { file: 'src/app.js' }, { quiet: true }),
+        ...await fireTrigger('task-done', { task: 'wf-1' }, { quiet: true })
+      ];
+      const history = getTriggerHistory().map(run => ({ workflow: run.workflow, status: run.status }));
+      const onSrc = getTriggerHistory({ workflow: 'on-src' }).length;
+      console.log(JSON.stringify({ fired: fired.map(r => [r.workflow, r.success]), history, onSrc }));
+    })();
+  `;
+  const triggerRun = spawnSync(process.execPath, ['-e', triggerScript], {
+    cwd: TRIGGER_ROOT,
+    encoding: 'utf-8',
+    env: { ...process.env, WOGI_PROJECT_ROOT: TRIGGER_ROOT },
+    timeout: 60000
+  });
+  let triggerResult;
+  try {
+    triggerResult = JSON.parse(triggerRun.stdout);
+  } catch {
+    throw new Error(`Triggered workflows wrote to stdout: ${JSON.stringify(triggerRun.stdout)} ${triggerRun.stderr}`);
+  }
+  if (!isDeepStrictEqual(triggerResult.fired, [['on-src', true], ['on-done', false]])) {
+    throw new Error(`Trigger filters ran the wrong workflows: ${JSON.stringify(triggerResult.fired)}`);
+  }
+  if (!isDeepStrictEqual(triggerResult.history.map(run => run.workflow), ['on-done', 'on-src']) || triggerResult.onSrc !== 1) {
+    throw new Error(`Trigger history is wrong: ${JSON.stringify(triggerResult)}`);
+  }
+  if (!triggerRun.stderr.includes('changed src/app.js') || !triggerRun.stderr.includes('retrying')) {
+    throw new Error('Triggered workflow output did not go to stderr');
+  }
+  fs.rmSync(TRIGGER_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Filters pick workflows, runs are recorded, stdout stays clean\n');
+
+  // Test task dependency status
+  console.log('14. Testing task dependencies...');
+  const { getDependencyStatus, releaseUnblockedTasks, validateReadyJson } = require('../scripts/flow-utils');
+  const queue = {
+    ready: [{ id: 'wf-b', dependencies: ['wf-a'] }],
+    inProgress: [{ id: 'wf-a' }],
+    blocked: [
+      { id: 'wf-c', dependencies: ['wf-old'] },
+      { id: 'wf-d', dependencies: ['wf-typo'] }
+    ],
+    recentlyCompleted: [{ id: 'wf-done' }],
+    completedIds: ['wf-old', 'wf-done']
+  };
+
+  const waitingOnActive = getDependencyStatus(queue.ready[0], queue);
+  if (waitingOnActive.satisfied || waitingOnActive.pending[0]?.list !== 'inProgress') {
+    throw new Error('A dependency still in progress was not reported as pending');
+  }
+  const missingDep = getDependencyStatus(queue.blocked[1], queue);
+  if (missingDep.satisfied || !isDeepStrictEqual(missingDep.missing, ['wf-typo'])) {
+    throw new Error('A dependency found in no list was treated as completed');
+  }
+  if (!getDependencyStatus(queue.blocked[0], queue).satisfied) {
+    throw new Error('A dependency recorded in completedIds was not treated as completed');
+  }
+
+  const released = releaseUnblockedTasks(queue).map(task => task.id);
+  if (!isDeepStrictEqual(released, ['wf-c']) || queue.blocked.map(task => task.id).join() !== 'wf-d') {
+    throw new Error(`Unblocking released the wrong tasks: ${released.join(', ')}`);
+  }
+  if (validateReadyJson({ ...queue, completedIds: 'wf-old' }).valid) {
+    throw new Error('An invalid completedIds list passed validation');
+  }
+  console.log('   ✅ Missing dependencies block, completed ones release\n');
+
+  // Test verify gate error parsers against recorded tool output (fixtures/verify)
+  console.log('15. Testing verify error parsers...');
+  const VERIFY_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-verify-'));
+  fs.mkdirSync(path.join(VERIFY_ROOT, '.workflow'));
+  fs.writeFileSync(path.join(VERIFY_ROOT, '.workflow', 'config.json'), '{}');
+  fs.writeFileSync(path.join(VERIFY_ROOT, 'go.mod'), 'module example.com/app\n\ngo 1.22\n');
+  fs.mkdirSync(path.join(VERIFY_ROOT, 'services', 'api'), { recursive: true });
+  fs.writeFileSync(path.join(VERIFY_ROOT, 'services', 'api', 'go.mod'), 'module example.com/api\n');
+  fs.writeFileSync(path.join(VERIFY_ROOT, 'package.json'), JSON.stringify({
+    scripts: { check: 'tsc --noEmit && eslint .', test: 'node test.js' }
+  }));
+
+  const verifyScript = `
+    const fs = require('fs');
+    const path = require('path');
+    const { ERROR_PARSERS, selectParsers } = require(${JSON.stringify(path.join(__dirname, '..', 'scripts', 'flow-verify'))});
+    const fixtures = ${JSON.stringify(path.join(__dirname, 'fixtures', 'verify'))};
+    const parsed = {};
+    for (const file of fs.readdirSync(fixtures)) {
+      const errors = ERROR_PARSERS[file.split('.')[0]](fs.readFileSync(path.join(fixtures, file), 'utf-8'));
+      parsed[file.split('.')[0]] = errors.map(e => \`\${e.file}:\${e.line}:\${e.column} \${e.rule || e.code || '-'} \${e.severity} \${e.message}\`);
+    }
+    const gate = { parser: 'jest' };
+    const selected = [
+      selectParsers(gate, { cmd: 'npm', args: ['run', 'check'] }, ''),
+      selectParsers(gate, { cmd: 'npm', args: ['test'] }, ''),
+      selectParsers(gate, { cmd: 'npx', args: ['vitest', 'run'] }, '<testsuites>'),
+      selectParsers(gate, { cmd: 'npx', args: ['tsc'], parser: 'generic' }, '')
+    ];
+    console.log(JSON.stringify({ parsed, selected }));
+  `;
+  const verifyRun = spawnSync(process.execPath, ['-e', verifyScript], {
+    cwd: VERIFY_ROOT,
+    encoding: 'utf-8',
+    env: { ...process.env, WOGI_PROJECT_ROOT: VERIFY_ROOT },
+    timeout: 60000
+  });
+  if (verifyRun.status !== 0) {
+    throw new Error(`Parsing fixtures failed: ${verifyRun.stderr}`);
+  }
+  const { parsed, selected } = JSON.parse(verifyRun.stdout);
+  const expectedErrors = {
+    eslint: [
+      "src/app.js:3:7 no-unused-vars error 'unused' is assigned a value but never used.",
+      'src/app.js:10:1 no-console warning Unexpected console statement, warning'
+    ],
+    typescript: ["src/app.ts:12:5 TS2322 error Type 'string' is not assignable to type 'number'."],
+    jest: [
+      'undefined:undefined:undefined - error Test failed: adds numbers',
+      'src/sum.test.js:5:17 - error Test assertion failed'
+    ],
+    prettier: ['src/app.js:undefined:undefined - warning File needs formatting'],
+    biome: [
+      'src/app.ts:3:7 lint/style/useConst error This let declares a variable that is only assigned once.',
+      'src/style.ts:null:null format error Formatter would have printed the following content:'
+    ],
+    vitest: ['src/sum.test.ts:5:17 AssertionError error Test failed: sum > adds numbers - expected 3 to be 4 // Object.is equality'],
+    mocha: ['test/array.test.js:7:14 AssertionError error Test failed: Array #indexOf() returns -1 when missing - Expected values to be strictly equal:'],
+    pytest: ['tests/test_math.py:12:null AssertionError error Test failed: test_add - assert 3 == 4'],
+    go: [
+      'internal/math/math_test.go:12:null TestAdd error TestAdd: expected 3, got 4',
+      'cmd/server/main.go:10:2 - error undefined: foo',
+      'services/api/handlers/handler_test.go:20:null TestList error TestList: status 500'
+    ],
+    cargo: [
+      'src/main.rs:2:9 unused_variables warning unused variable: `x`',
+      'src/main.rs:3:20 E0425 error cannot find value `y` in this scope',
+      'src/lib.rs:10:9 tests::adds error Test failed: tests::adds - assertion `left == right` failed'
+    ],
+    ruff: [
+      'src/app.py:1:8 F401 error `os` imported but unused',
+      'src/app.py:4:89 E501 error Line too long (120 > 88)',
+      'src/util.py:null:null format error File needs formatting'
+    ],
+    mypy: ['src/app.py:12:5 assignment error Incompatible types in assignment (expression has type "str", variable has type "int")'],
+    stylelint: [
+      'src/app.css:3:10 length-zero-no-unit error Unexpected unit',
+      'src/app.css:7:3 rule-empty-line-before warning Expected empty line before rule'
+    ],
+    junit: ['tests/test_math.py:11:null AssertionError error Test failed: tests.test_math > test_add - assert 3 == 4']
+  };
+  for (const [parser, expected] of Object.entries(expectedErrors)) {
+    if (!isDeepStrictEqual(parsed[parser], expected)) {
+      throw new Error(`${parser} parser returned ${JSON.stringify(parsed[parser], null, 2)}`);
+    }
+  }
+  if (!isDeepStrictEqual(selected, [['eslint', 'typescript'], ['jest'], ['vitest', 'junit'], ['generic']])) {
+    throw new Error(`Wrong parsers selected: ${JSON.stringify(selected)}`);
+  }
+  fs.rmSync(VERIFY_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Every tool parser reads its fixture, multi-tool commands use all their parsers\n');
+
+  // Test hybrid plan validation and dry runs in a scratch project with hybrid mode off
+  console.log('16. Testing hybrid plan validation and dry run...');
+  const PLAN_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-plan-'));
+  fs.mkdirSync(path.join(PLAN_ROOT, '.workflow'));
+  fs.writeFileSync(path.join(PLAN_ROOT, '.workflow', 'config.json'), JSON.stringify({ hybrid: { enabled: false } }));
+  fs.cpSync(path.join(__dirname, '..', 'templates', 'hybrid'), path.join(PLAN_ROOT, 'templates', 'hybrid'), { recursive: true });
+  const runOrchestrate = (...args) => spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'flow-orchestrate.js'), ...args], {
+    cwd: PLAN_ROOT,
+    encoding: 'utf-8',
+    env: { ...process.env, WOGI_PROJECT_ROOT: PLAN_ROOT },
+    timeout: 60000
+  });
+
+  fs.writeFileSync(path.join(PLAN_ROOT, 'broken-plan.json'), JSON.stringify({
+    task: 'Broken plan',
+    steps: [
+      { id: 1, type: 'create-file', title: 42, params: { path: 'src/a.ts' } },
+      { id: 2, type: 'modify-file', params: { path: 'src/missing.ts' }, dependsOn: [1, 9] }
+    ]
+  }));
+  const validation = runOrchestrate('--validate', 'broken-plan.json', '--json');
+  const categories = JSON.parse(validation.stdout).errors.map(error => error.category).sort();
+  if (validation.status !== 1 || !isDeepStrictEqual(categories, ['graph', 'missing-file', 'schema'])) {
+    throw new Error(`Validation stopped early: ${validation.stdout}`);
+  }
+
+  fs.writeFileSync(path.join(PLAN_ROOT, 'plan.json'), JSON.stringify({
+    task: 'Add a helper',
+    steps: [{ id: 1, type: 'create-file', title: 'Helper', params: { path: 'src/helper.ts' } }]
+  }));
+  const listFiles = () => fs.readdirSync(PLAN_ROOT, { recursive: true }).sort();
+  const filesBefore = listFiles();
+  const dryRun = runOrchestrate('--dry-run', 'plan.json');
+  if (dryRun.status !== 0 || !dryRun.stdout.includes('src/helper.ts')) {
+    throw new Error(`Dry run failed with hybrid mode off: ${dryRun.stdout}${dryRun.stderr}`);
+  }
+  if (!isDeepStrictEqual(listFiles(), filesBefore)) {
+    throw new Error('Dry run wrote to the project');
+  }
+  fs.rmSync(PLAN_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Validation reports every problem, dry runs need no provider and write nothing\n');
+
+  // Test memory bundles between two projects
+  console.log('17. Testing memory export and import...');
+  const EXPORT_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-export-'));
+  const IMPORT_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-import-'));
+  const sourceMemory = loadMemoryDb(EXPORT_ROOT);
+  const targetMemory = loadMemoryDb(IMPORT_ROOT);
+  const header = { type: 'header', format: 'wogi-memory', version: 1, embeddingModel: null };
+
+  await sourceMemory.importMemory([
+    header,
+    { type: 'fact', data: { id: 'fact_old', fact: 'The API uses REST' } },
+    { type: 'fact', data: { id: 'fact_new', fact: 'The API uses GraphQL' } },
+    { type: 'fact_conflict', data: { id: 'conflict_1', fact_id: 'fact_new', conflicting_id: 'fact_old', reason: 'contradiction' } }
+  ], { merge: false });
+  const exported = await sourceMemory.exportMemory();
+  if (exported[0].embeddingModel !== null || exported.slice(1).some(record => 'embedding' in record.data)) {
+    throw new Error('Export named an embedding model for a bundle without embeddings');
+  }
+  if (!exported.some(record => record.type === 'fact_conflict' && record.data.id === 'conflict_1')) {
+    throw new Error('Export left out fact conflicts');
+  }
+
+  // A failing row rolls back the rows before it
+  let badImportFailed = false;
+  try {
+    await targetMemory.importMemory([
+      header,
+      { type: 'fact', data: { id: 'fact_partial', fact: 'Written before the bad row' } },
+      { type: 'proposal', data: { id: 'proposal_without_rule' } }
+    ]);
+  } catch {
+    badImportFailed = true;
+  }
+  if (!badImportFailed) {
+    throw new Error('An import with a bad row was accepted');
+  }
+  if ((await targetMemory.getAllFacts()).length !== 0) {
+    throw new Error('A failed import left rows behind');
+  }
+
+  // A fact already stored under another id takes its conflicts with it
+  await targetMemory.importMemory([header, { type: 'fact', data: { id: 'fact_local', fact: 'The API uses REST' } }], { merge: false });
+  const importResult = await targetMemory.importMemory(exported, { merge: false });
+  const conflict = (await targetMemory.exportMemory({ tables: ['fact_conflicts'] }))[1]?.data;
+  if (importResult.imported.fact_conflicts !== 1 || conflict?.conflicting_id !== 'fact_local' || conflict?.fact_id !== 'fact_new') {
+    throw new Error(`Imported conflict does not point at the stored facts: ${JSON.stringify(conflict)}`);
+  }
+  sourceMemory.closeDatabase();
+  targetMemory.closeDatabase();
+  fs.rmSync(EXPORT_ROOT, { recursive: true, force: true });
+  fs.rmSync(IMPORT_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Conflicts travel with their facts, imports are all or nothing\n');
+
+  // Test delivery plan estimates, critical path and task timestamps
+  console.log('18. Testing delivery plan...');
+  const { buildHistory, estimateTask, computeCriticalPath } = require('../scripts/flow-plan');
+  const HOUR = 60 * 60 * 1000;
+  const NOW = Date.parse('2026-03-02T12:00:00Z');
+  const completedAfter = (hours) => ({
+    complexity: 'small',
+    startedAt: new Date(NOW - 10 * HOUR).toISOString(),
+    completedAt: new Date(NOW - 10 * HOUR + hours * HOUR).toISOString()
+  });
+
+  const history = buildHistory([completedAfter(1), completedAfter(4), completedAfter(2), { complexity: 'small' }]);
+  if (history.small.samples !== 3 || history.small.medianHours !== 2 || history.medium.medianHours !== null) {
+    throw new Error(`Wrong duration history: ${JSON.stringify(history)}`);
+  }
+
+  const estimate = (status, raw) => estimateTask({ status, raw }, history, NOW);
+  const startedAgo = (hours) => new Date(NOW - hours * HOUR).toISOString();
+  const estimates = [
+    estimate('pending', { complexity: 'small' }),
+    estimate('pending', { complexity: 'medium' }),
+    estimate('inProgress', { complexity: 'small', startedAt: startedAgo(1.5) }),
+    estimate('inProgress', { complexity: 'small', startedAt: startedAgo(5) }),
+    estimate('done', { complexity: 'small' })
+  ];
+  const summary = estimates.map(({ remainingHours, estimateSource }) => [remainingHours, estimateSource]);
+  if (!isDeepStrictEqual(summary, [[2, 'history'], [3, 'default'], [0.5, 'history'], [0.2, 'history'], [0, 'history']])) {
+    throw new Error(`Wrong task estimates: ${JSON.stringify(summary)}`);
+  }
+
+  const planTask = (id, remainingHours, dependencies = []) => ({ id, remainingHours, dependencies });
+  const schedule = computeCriticalPath([
+    planTask('wf-d', 4, ['wf-c']),
+    planTask('wf-b', 3, ['wf-a']),
+    planTask('wf-c', 1, ['wf-a']),
+    planTask('wf-a', 2),
+    planTask('wf-x', 1, ['wf-y']),
+    planTask('wf-y', 1, ['wf-x'])
+  ]);
+  if (!isDeepStrictEqual(schedule.criticalPath, ['wf-a', 'wf-c', 'wf-d']) || schedule.criticalPathHours !== 7) {
+    throw new Error(`Wrong critical path: ${schedule.criticalPath.join(' → ')} (${schedule.criticalPathHours}h)`);
+  }
+  if (!isDeepStrictEqual([...schedule.cyclic].sort(), ['wf-x', 'wf-y'])) {
+    throw new Error(`Dependency cycle not reported: ${JSON.stringify(schedule.cyclic)}`);
+  }
+
+  // Moving a task through the queue records when it started and completed
+  const STAMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-stamp-'));
+  fs.mkdirSync(path.join(STAMP_ROOT, '.workflow', 'state'), { recursive: true });
+  fs.writeFileSync(path.join(STAMP_ROOT, '.workflow', 'config.json'), '{}');
+  const READY_PATH = path.join(STAMP_ROOT, '.workflow', 'state', 'ready.json');
+  fs.writeFileSync(READY_PATH, JSON.stringify({
+    ready: [{ id: 'wf-stamp', title: 'Stamp me' }],
+    inProgress: [],
+    blocked: [],
+    recentlyCompleted: []
+  }));
+  const moved = spawnSync(process.execPath, ['-e', `
+    const { moveTask } = require(${JSON.stringify(require.resolve('../scripts/flow-utils'))});
+    moveTask('wf-stamp', 'ready', 'inProgress');
+    moveTask('wf-stamp', 'inProgress', 'recentlyCompleted');
+  `], { cwd: STAMP_ROOT, encoding: 'utf-8', env: { ...process.env, WOGI_PROJECT_ROOT: STAMP_ROOT }, timeout: 30000 });
+  const stamped = JSON.parse(fs.readFileSync(READY_PATH, 'utf-8')).recentlyCompleted[0];
+  if (moved.status !== 0 || !stamped?.startedAt || !stamped?.completedAt || stamped.completedAt < stamped.startedAt) {
+    throw new Error(`Task moves did not record timestamps: ${JSON.stringify(stamped)} ${moved.stderr}`);
+  }
+  fs.rmSync(STAMP_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Estimates follow history, the longest dependency chain is critical, moves are timestamped\n');
+
+  // Test tokenizer selection and counting in a scratch project with a tiny BPE vocab
+  console.log('19. Testing tokenizers...');
+  const { resolveTokenizerName } = require('../scripts/flow-tokenizer');
+  const tokenizerSettings = { enabled: true, default: 'heuristic', models: { 'qwen2.5-coder': 'Qwen/Qwen2.5-Coder-7B-Instruct' } };
+  const resolved = [
+    resolveTokenizerName({ provider: 'openai', model: 'gpt-4' }, tokenizerSettings),
+    resolveTokenizerName({ provider: 'openai', model: 'gpt-4o-mini' }, tokenizerSettings),
+    resolveTokenizerName({ provider: 'ollama', model: 'Qwen2.5-Coder:7b' }, tokenizerSettings),
+    resolveTokenizerName({ provider: 'ollama', model: 'llama3' }, tokenizerSettings),
+    resolveTokenizerName({ provider: 'openai', model: 'gpt-4' }, { ...tokenizerSettings, enabled: false })
+  ];
+  if (!isDeepStrictEqual(resolved, ['cl100k_base', 'o200k_base', 'Qwen/Qwen2.5-Coder-7B-Instruct', 'heuristic', 'heuristic'])) {
+    throw new Error(`Wrong tokenizers picked: ${resolved.join(', ')}`);
+  }
+
+  const TOKENIZER_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-tokens-'));
+  fs.mkdirSync(path.join(TOKENIZER_ROOT, '.workflow'));
+  fs.writeFileSync(path.join(TOKENIZER_ROOT, '.workflow', 'config.json'), JSON.stringify({
+    tokenizer: { vocabDir: 'vocab', models: tokenizerSettings.models }
+  }));
+  fs.mkdirSync(path.join(TOKENIZER_ROOT, 'vocab'));
+  // "hello" is one token; " world" only merges " w", leaving 5
+  const vocab = ['h', 'e', 'l', 'o', ' ', 'w', 'r', 'd', 'he', 'll', 'hell', 'hello', ' w'];
+  fs.writeFileSync(path.join(TOKENIZER_ROOT, 'vocab', 'cl100k_base.tiktoken'),
+    vocab.map((token, rank) => `${Buffer.from(token).toString('base64')} ${rank}`).join('\n'));
+  const counted = spawnSync(process.execPath, ['-e', `
+    const { countTokens, loadTokenizer } = require(${JSON.stringify(require.resolve('../scripts/flow-tokenizer'))});
+    const { estimateTokens, createTokenBudget } = require(${JSON.stringify(require.resolve('../scripts/flow-providers'))});
+    (async () => {
+      const local = await loadTokenizer({ provider: 'ollama', model: 'qwen2.5-coder:7b' });
+      console.log(JSON.stringify({
+        bpe: countTokens('hello world', { provider: 'openai', model: 'gpt-4' }),
+        missingVocab: countTokens('hello world', { provider: 'openai', model: 'gpt-4o' }),
+        heuristic: countTokens('hello world'),
+        localType: local.type,
+        providers: estimateTokens('hello world', { provider: 'openai', model: 'gpt-4' }),
+        fits: createTokenBudget(2000, 1995, { provider: 'openai', model: 'gpt-4' }).fitsWithin('hello world')
+      }));
+    })();
+  `], { cwd: TOKENIZER_ROOT, encoding: 'utf-8', env: { ...process.env, WOGI_PROJECT_ROOT: TOKENIZER_ROOT }, timeout: 30000 });
+  const counts = counted.status === 0 ? JSON.parse(counted.stdout) : null;
+  const expectedCounts = { bpe: 6, missingVocab: 3, heuristic: 3, localType: 'heuristic', providers: 6, fits: false };
+  if (!isDeepStrictEqual(counts, expectedCounts)) {
+    throw new Error(`Wrong token counts: ${counted.stdout}${counted.stderr}`);
+  }
+  fs.rmSync(TOKENIZER_ROOT, { recursive: true, force: true });
+  console.log('   ✅ BPE vocab counts exactly, missing tokenizers fall back to the heuristic\n');
+
+  // Test the hybrid response cache in a scratch project
+  console.log('20. Testing hybrid response cache...');
+  const CACHE_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-cache-'));
+  fs.mkdirSync(path.join(CACHE_ROOT, '.workflow'));
+  fs.writeFileSync(path.join(CACHE_ROOT, '.workflow', 'config.json'), '{}');
+  const cacheRun = spawnSync(process.execPath, ['-e', `
+    const fs = require('fs');
+    const cache = require(${JSON.stringify(require.resolve('../scripts/flow-hybrid-cache'))});
+    const { Orchestrator } = require(${JSON.stringify(require.resolve('../scripts/flow-orchestrate'))});
+    (async () => {
+      const request = { provider: 'ollama', model: 'coder', prompt: 'Write a helper', params: { temperature: 0.2, maxTokens: 512 } };
+      const key = cache.createCacheKey(request);
+      const settings = cache.getCacheSettings();
+      const keys = {
+        stable: key === cache.createCacheKey({ ...request, params: { maxTokens: 512, temperature: 0.2 } }),
+        promptChanges: key !== cache.createCacheKey({ ...request, prompt: 'Write a test' }),
+        modelChanges: key !== cache.createCacheKey({ ...request, model: 'other' })
+      };
+
+      cache.setCachedResponse(key, 'const helper = 1;');
+      const hit = cache.getCachedResponse(key);
+      const expired = cache.getCachedResponse(key, { ...settings, ttlMs: -1 });
+      const removedWhenExpired = cache.getCacheStats().entries === 0;
+
+      const disabled = { ...settings, enabled: false };
+      cache.setCachedResponse(key, 'const helper = 1;', {}, disabled);
+      const writtenWhenDisabled = cache.getCacheStats().entries;
+      cache.setCachedResponse(key, 'const helper = 1;');
+      const readWhenDisabled = cache.getCachedResponse(key, disabled);
+      cache.clearCache();
+
+      // Four equal entries, room for two: the least recently used go first
+      const small = { ...settings, maxBytes: 1 << 20 };
+      const entryKeys = ['a', 'b', 'c', 'd'].map(name => cache.createCacheKey({ ...request, prompt: name }));
+      const entryPath = entryKey => require('path').join(${JSON.stringify(path.join(CACHE_ROOT, '.workflow', 'state', 'hybrid-cache'))}, entryKey + '.json');
+      entryKeys.slice(0, 3).forEach((entryKey, i) => {
+        cache.setCachedResponse(entryKey, 'x'.repeat(1000), {}, small);
+        const usedAt = new Date(Date.now() - (40 - i * 10) * 1000);
+        fs.utimesSync(entryPath(entryKey), usedAt, usedAt);
+      });
+      cache.getCachedResponse(entryKeys[0], small);
+      const entrySize = fs.statSync(entryPath(entryKeys[0])).size;
+      cache.setCachedResponse(entryKeys[3], 'x'.repeat(1000), {}, { ...small, maxBytes: entrySize * 2.5 });
+      const kept = entryKeys.map((entryKey, i) => fs.existsSync(entryPath(entryKey)) ? 'abcd'[i] : null).filter(Boolean).join('');
+      cache.clearCache();
+
+      // Step output is cached only once the step has validated it
+      const orchestrator = Object.create(Orchestrator.prototype);
+      orchestrator.llm = { config: { provider: 'ollama', model: 'coder' } };
+      let generations = 0;
+      orchestrator.generateFresh = async () => \`const attempt = \${++generations};\`;
+      await orchestrator.generateStep('Write a helper');
+      await orchestrator.generateStep('Write a helper');
+      orchestrator.cacheValidatedResponse();
+      const replayed = await orchestrator.generateStep('Write a helper');
+
+      console.log(JSON.stringify({ keys, hit, expired, removedWhenExpired, writtenWhenDisabled, readWhenDisabled, kept, generations, replayed }));
+    })();
+  `], { cwd: CACHE_ROOT, encoding: 'utf-8', env: { ...process.env, WOGI_PROJECT_ROOT: CACHE_ROOT }, timeout: 60000 });
+  const cacheResult = cacheRun.status === 0 ? JSON.parse(cacheRun.stdout.trim().split('\n').pop()) : null;
+  const expectedCache = {
+    keys: { stable: true, promptChanges: true, modelChanges: true },
+    hit: 'const helper = 1;',
+    expired: null,
+    removedWhenExpired: true,
+    writtenWhenDisabled: 0,
+    readWhenDisabled: null,
+    kept: 'ad',
+    generations: 2,
+    replayed: 'const attempt = 2;'
+  };
+  if (!isDeepStrictEqual(cacheResult, expectedCache)) {
+    throw new Error(`Response cache misbehaved: ${cacheRun.stdout}${cacheRun.stderr}`);
+  }
+  fs.rmSync(CACHE_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Keys are stable, entries expire and evict by last use, only validated output is cached\n');
+
+  // Test fact provenance, supersession and contradiction detection (keyword path, no embeddings)
+  console.log('21. Testing fact provenance and contradictions...');
+  const FACTS_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-facts-'));
+  fs.mkdirSync(path.join(FACTS_ROOT, '.workflow', 'state'), { recursive: true });
+  fs.writeFileSync(path.join(FACTS_ROOT, '.workflow', 'config.json'), '{}');
+  fs.writeFileSync(path.join(FACTS_ROOT, '.workflow', 'state', 'ready.json'), JSON.stringify({
+    ready: [], inProgress: [{ id: 'wf-provenance' }], blocked: [], recentlyCompleted: []
+  }));
+  const git = (...args) => spawnSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: FACTS_ROOT, encoding: 'utf-8', timeout: 30000
+  });
+  git('init', '-q');
+  git('commit', '-q', '--allow-empty', '-m', 'init');
+  const headSha = git('rev-parse', 'HEAD').stdout.trim();
+  const factMemory = loadMemoryDb(FACTS_ROOT);
+  const storedFact = async (id) => (await factMemory.getAllFacts()).find(row => row.id === id);
+
+  const useLodash = await factMemory.storeFact({ fact: 'Use lodash', filePaths: ['src/util.js'] });
+  const provenance = await storedFact(useLodash.id);
+  if (provenance.task_id !== 'wf-provenance' || provenance.commit_sha !== headSha || provenance.file_paths !== '["src/util.js"]') {
+    throw new Error(`Provenance defaults not recorded: ${JSON.stringify(provenance)}`);
+  }
+
+  const neverLodash = await factMemory.storeFact({ fact: 'Never use lodash' });
+  const noLodashInTests = await factMemory.storeFact({ fact: 'Do not add lodash to tests' });
+  const flagged = [neverLodash, noLodashInTests].map(stored => (stored.conflicts || []).map(c => [c.factId, c.reason]));
+  if (!isDeepStrictEqual(flagged, [[[useLodash.id, 'keyword-negation']], [[useLodash.id, 'keyword-negation']]])) {
+    throw new Error(`Negated facts not flagged: ${JSON.stringify(flagged)}`);
+  }
+  const openBefore = await factMemory.getFactConflicts();
+  if (openBefore.length !== 2 || (await factMemory.getEntropyStats()).openConflicts !== 2) {
+    throw new Error(`Expected 2 open conflicts, got ${openBefore.length}`);
+  }
+
+  // Superseding "Use lodash" closes every conflict it was part of
+  const neverConflict = openBefore.find(c => c.fact.id === neverLodash.id);
+  await factMemory.resolveFactConflict(neverConflict.id, 'keep-new');
+  const entropyAfter = await factMemory.getEntropyStats();
+  if ((await factMemory.getFactConflicts()).length !== 0 || entropyAfter.openConflicts !== 0 || entropyAfter.supersededFacts !== 1) {
+    throw new Error(`Superseded fact left conflicts open: ${JSON.stringify(entropyAfter)}`);
+  }
+  if ((await storedFact(useLodash.id)).superseded_by !== neverLodash.id) {
+    throw new Error('keep-new did not supersede the older fact');
+  }
+  let resolvedTwice = false;
+  try {
+    await factMemory.resolveFactConflict(openBefore.find(c => c !== neverConflict).id, 'keep-both');
+  } catch {
+    resolvedTwice = true;
+  }
+  if (!resolvedTwice) {
+    throw new Error('A closed conflict was resolved again');
+  }
+
+  const cacheBuilds = await factMemory.storeFact({ fact: 'Cache builds in CI' });
+  const noCache = await factMemory.storeFact({ fact: 'Never cache builds in CI' });
+  await factMemory.resolveFactConflict(noCache.conflicts[0].conflictId, 'keep-both');
+  const keptBoth = (await factMemory.getFactConflicts({ status: 'resolved' })).find(c => c.fact.id === noCache.id);
+  if (keptBoth?.resolution !== 'kept-both' || (await storedFact(cacheBuilds.id)).superseded_by) {
+    throw new Error(`keep-both did not keep both facts: ${JSON.stringify(keptBoth)}`);
+  }
+
+  const replacement = await factMemory.storeFact({ fact: 'Run eslint before commits', supersedes: noLodashInTests.id });
+  await factMemory.supersedeFact(cacheBuilds.id, replacement.id);
+  const replaced = await Promise.all([noLodashInTests.id, cacheBuilds.id].map(storedFact));
+  if (replacement.supersedes !== noLodashInTests.id || replaced.some(row => row.superseded_by !== replacement.id)) {
+    throw new Error(`supersedes/supersedeFact not recorded: ${JSON.stringify(replaced)}`);
+  }
+  let unknownSuperseded = false;
+  try {
+    await factMemory.supersedeFact('fact_missing', replacement.id);
+  } catch {
+    unknownSuperseded = true;
+  }
+  if (!unknownSuperseded) {
+    throw new Error('Superseding an unknown fact was accepted');
+  }
+  factMemory.closeDatabase();
+  fs.rmSync(FACTS_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Provenance defaults, supersession and negation conflicts work without embeddings\n');
+
+  // Test the team offline queue against a stubbed fetch in a scratch project
+  console.log('22. Testing team offline queue...');
+  const TEAM_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-team-'));
+  fs.mkdirSync(path.join(TEAM_ROOT, '.workflow', 'state'), { recursive: true });
+  fs.writeFileSync(path.join(TEAM_ROOT, '.workflow', 'config.json'), JSON.stringify({
+    team: { backendUrl: 'http://team.test', offlineQueue: { baseDelayMs: 60000 } }
+  }));
+  const teamRun = spawnSync(process.execPath, ['-e', `
+    const team = require(${JSON.stringify(require.resolve('../scripts/flow-team'))});
+    const requests = [];
+    let respond = () => { throw new Error('ECONNREFUSED'); };
+    global.fetch = async (url, options = {}) => {
+      requests.push({ url, method: options.method || 'GET', key: options.headers?.['Idempotency-Key'] || null });
+      const { status = 200, body = {} } = respond(url, options);
+      return { ok: status < 400, status, statusText: 'stub', json: async () => body };
+    };
+    const login = role => team.saveTeamState({
+      loggedIn: true, teamId: 'team1', userId: 'u1', role,
+      accessToken: 'token', refreshToken: 'refresh', tokenExpiresAt: new Date(Date.now() + 3600000).toISOString()
+    });
+    const entry = id => team.getOfflineQueue().find(item => item.id === id);
+    (async () => {
+      login('member');
+      const queued = await team.apiRequest('/teams/team1/proposals', { method: 'POST', body: JSON.stringify({ rule: 'Use tabs' }) });
+      const originalKey = requests[0].key;
+
+      requests.length = 0;
+      respond = () => ({ status: 503, body: { error: 'Service unavailable' } });
+      const unavailable = await team.processOfflineQueue();
+      const afterRetry = entry(queued.operationId);
+      const notDue = await team.processOfflineQueue();
+      const retriedKeys = requests.map(r => r.key);
+
+      respond = () => ({ status: 201, body: { id: 'prop_1' } });
+      const forced = await team.processOfflineQueue({ force: true });
+      const afterForce = entry(queued.operationId);
+
+      respond = () => { throw new Error('ECONNREFUSED'); };
+      const vote = await team.apiRequest('/teams/team1/proposals/p1/vote', { method: 'POST', body: JSON.stringify({ vote: 'approve' }) });
+      requests.length = 0;
+      respond = () => ({ status: 200, body: { id: 'p1', status: 'approved' } });
+      const settled = await team.processOfflineQueue();
+      const settledRequests = requests.map(r => r.method);
+
+      respond = () => { throw new Error('ECONNREFUSED'); };
+      const proposal = await team.apiRequest('/teams/team1/proposals', { method: 'POST', body: JSON.stringify({ rule: 'Use spaces' }) });
+      const toDrop = await team.apiRequest('/teams/team1/proposals', { method: 'POST', body: JSON.stringify({ rule: 'Use semicolons' }) });
+      login('viewer');
+      const denied = await team.processOfflineQueue({ ids: [proposal.operationId] });
+      const dropped = await team.dropQueuedOperations([toDrop.operationId]);
+
+      console.log(JSON.stringify({
+        queued: queued.error,
+        queuedKey: entry(queued.operationId).idempotencyKey === originalKey,
+        unavailable: [unavailable.failed, afterRetry.status, afterRetry.attempts, Date.parse(afterRetry.nextAttemptAt) > Date.now()],
+        notDue: notDue.results.length,
+        sameKey: retriedKeys.length === 1 && retriedKeys[0] === originalKey,
+        forced: [forced.processed, afterForce.status, afterForce.attempts],
+        settled: [vote.error, settled.skipped, entry(vote.operationId).status, settledRequests],
+        denied: [denied.denied, entry(proposal.operationId).status],
+        dropped: [dropped, entry(toDrop.operationId).status, team.getOfflineQueue().filter(item => item.status === 'pending').length]
+      }));
+    })();
+  `], { cwd: TEAM_ROOT, encoding: 'utf-8', env: { ...process.env, WOGI_PROJECT_ROOT: TEAM_ROOT }, timeout: 60000 });
+  const teamResult = teamRun.status === 0 ? JSON.parse(teamRun.stdout.trim().split('\n').pop()) : null;
+  const expectedTeam = {
+    queued: 'queued',
+    queuedKey: true,
+    unavailable: [1, 'pending', 1, true],
+    notDue: 0,
+    sameKey: true,
+    forced: [1, 'done', 2],
+    settled: ['queued', 1, 'skipped', ['GET']],
+    denied: [1, 'denied'],
+    dropped: [1, 'dropped', 0]
+  };
+  if (!isDeepStrictEqual(teamResult, expectedTeam)) {
+    throw new Error(`Offline queue misbehaved: ${teamRun.stdout}${teamRun.stderr}`);
+  }
+  fs.rmSync(TEAM_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Writes queue offline, replays keep their key, back off, skip settled votes and respect roles\n');
+
+  // Test workflow scheduling: needs, cycles, concurrency, outputs, retries and timeouts
+  console.log('23. Testing workflow step graph...');
+  const { Workflow, resolveStepGraph } = require('../scripts/flow-workflow');
+  const cycleErrors = resolveStepGraph([{ id: 'a', needs: ['b'] }, { id: 'b', needs: 'a' }]).errors;
+  const unknownErrors = resolveStepGraph([{ id: 'a', needs: ['missing'] }]).errors;
+  if (!/cycle between steps: a, b/.test(cycleErrors.join()) || !/needs unknown step "missing"/.test(unknownErrors.join())) {
+    throw new Error(`Step graph errors not reported: ${[...cycleErrors, ...unknownErrors].join('; ')}`);
+  }
+
+  const engineOutput = [];
+  const runWorkflow = (workflow) => {
+    const context = workflow.createContext();
+    context.output = { write: text => engineOutput.push(text) };
+    return workflow.run(context);
+  };
+
+  // Scheduling with stub steps: at most `concurrency` at once, failed needs skip
+  const scheduler = new Workflow({
+    onError: 'continue',
+    concurrency: 2,
+    steps: [
+      { id: 'build', needs: [] },
+      { id: 'lint', needs: [] },
+      { id: 'unit', needs: [] },
+      { id: 'deploy', needs: ['build', 'unit'] },
+      { id: 'report' }
+    ]
+  });
+  const startedSteps = [];
+  let activeSteps = 0;
+  let maxActiveSteps = 0;
+  scheduler.runStep = async (step) => {
+    startedSteps.push(step.id);
+    maxActiveSteps = Math.max(maxActiveSteps, ++activeSteps);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    activeSteps--;
+    return { id: step.id, success: step.id !== 'unit' };
+  };
+  const scheduled = await runWorkflow(scheduler);
+  const deployResult = scheduled.steps.find(step => step.id === 'deploy');
+  if (maxActiveSteps !== 2 || startedSteps.includes('deploy') || startedSteps[startedSteps.length - 1] !== 'report') {
+    throw new Error(`Steps scheduled out of order: ${startedSteps.join(', ')} (max ${maxActiveSteps} at once)`);
+  }
+  if (!deployResult.skipped || !deployResult.skipReason.includes('"unit"')) {
+    throw new Error(`A step whose need failed was not skipped: ${JSON.stringify(deployResult)}`);
+  }
+
+  // Real commands: outputs, parallel groups, retry backoff and timeouts
+  const TIMEOUT_MARKER = path.join(os.tmpdir(), `wogi-workflow-timeout-${process.pid}`);
+  const commands = await runWorkflow(new Workflow({
+    onError: 'continue',
+    steps: [
+      { id: 'version', run: 'echo "tag=v1.2" >> "$FLOW_OUTPUT"' },
+      { id: 'publish', needs: ['version'], when: '$version_tag == "v1.2"', run: 'test "$version_tag" = v1.2' },
+      { id: 'e2e', needs: [], parallel: [{ id: 'chrome', run: 'true' }, { id: 'firefox', run: 'exit 2' }] },
+      { id: 'flaky', needs: [], retry: { count: 2, delay: '10ms', backoff: 3 }, run: 'exit 1' },
+      { id: 'slow', needs: [], timeout: '200ms', parallel: [{ id: 'sleeper', run: `sleep 1 && touch "${TIMEOUT_MARKER}"` }] }
+    ]
+  }));
+  const commandResult = id => commands.steps.find(step => step.id === id);
+  if (commandResult('version').outputs?.tag !== 'v1.2' || !commandResult('publish').success || commandResult('publish').skipped) {
+    throw new Error(`$FLOW_OUTPUT outputs did not reach later steps: ${JSON.stringify(commandResult('publish'))}`);
+  }
+  if (!isDeepStrictEqual(commandResult('e2e').parallelResults.map(step => step.success), [true, false]) || commandResult('e2e').success) {
+    throw new Error('A failing parallel branch did not fail its group');
+  }
+  const retryMessages = engineOutput.filter(text => text.includes('retrying in')).map(text => text.match(/retrying in (\d+)ms/)[1]);
+  if (commandResult('flaky').attempts !== 3 || !isDeepStrictEqual(retryMessages, ['10', '30'])) {
+    throw new Error(`Retries did not back off: ${commandResult('flaky').attempts} attempts, delays ${retryMessages.join(', ')}`);
+  }
+  if (!/timed out after 200ms/.test(commandResult('slow').error || '')) {
+    throw new Error(`Timeout not reported: ${JSON.stringify(commandResult('slow'))}`);
+  }
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  if (fs.existsSync(TIMEOUT_MARKER)) {
+    fs.rmSync(TIMEOUT_MARKER, { force: true });
+    throw new Error('A timed-out step kept running its command');
+  }
+  console.log('   ✅ Needs, cycles, concurrency, outputs, retries and timeouts behave\n');
+
+  // Test reusable workflows and matrices in a scratch project
+  console.log('24. Testing reusable workflows and matrices...');
+  const { expandMatrix } = require('../scripts/flow-workflow');
+  const matrixErrors = [{}, { node: [] }, { 'node-version': [20] }, { a: [1, 2, 3, 4, 5, 6, 7, 8, 9], b: [1, 2, 3, 4, 5, 6, 7, 8] }]
+    .map(matrix => {
+      try {
+        expandMatrix(matrix);
+        return null;
+      } catch (err) {
+        return err.message;
+      }
+    });
+  if (expandMatrix({ node: [18, 20], os: ['linux', 'macos'] }).length !== 4 || matrixErrors.some(message => message === null)) {
+    throw new Error(`Matrix limits not enforced: ${JSON.stringify(matrixErrors)}`);
+  }
+
+  const REUSE_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-reuse-'));
+  const WORKFLOWS = path.join(REUSE_ROOT, '.workflow', 'workflows');
+  fs.mkdirSync(WORKFLOWS, { recursive: true });
+  fs.writeFileSync(path.join(REUSE_ROOT, '.workflow', 'config.json'), '{}');
+  const writeWorkflow = (name, definition) => fs.writeFileSync(path.join(WORKFLOWS, `${name}.json`), JSON.stringify({ name, ...definition }));
+  writeWorkflow('test-package', {
+    inputs: { package: { required: true }, node: 20 },
+    outputs: { coverage: '$unit_coverage' },
+    steps: [{ id: 'unit', run: 'echo "coverage=$package-$node" >> "$FLOW_OUTPUT"' }]
+  });
+  writeWorkflow('ci', {
+    steps: [
+      { id: 'test', matrix: { package: ['api', 'web'], node: [18, 20] }, concurrency: 2, uses: 'test-package', with: { package: '$matrix_package', node: '$matrix_node' } },
+      { id: 'summary', needs: ['test'], run: 'test "$test_coverage_web_18" = web-18 && echo "api=$test_coverage_api_20" >> "$FLOW_OUTPUT"' }
+    ]
+  });
+  writeWorkflow('defaults', { steps: [{ id: 'test', uses: 'test-package', with: { package: 'shared' } }] });
+  writeWorkflow('missing-input', { steps: [{ id: 'test', uses: 'test-package', with: { node: 18 } }] });
+  writeWorkflow('loop-a', { steps: [{ id: 'b', uses: 'loop-b' }] });
+  writeWorkflow('loop-b', { steps: [{ id: 'a', uses: 'loop-a' }] });
+  for (let depth = 1; depth <= 6; depth++) {
+    writeWorkflow(`nest-${depth}`, { steps: [depth < 6 ? { id: 'inner', uses: `nest-${depth + 1}` } : { id: 'inner', run: 'true' }] });
+  }
+  const reuseRun = spawnSync(process.execPath, ['-e', `
+    const { loadWorkflow, validateWorkflow } = require(${JSON.stringify(require.resolve('../scripts/flow-workflow'))});
+    const run = async name => {
+      const workflow = loadWorkflow(name);
+      const context = workflow.createContext();
+      context.output = { write() {} };
+      return workflow.run(context);
+    };
+    const firstError = result => {
+      let step = result.steps[0];
+      while (step && !step.error && step.steps) step = step.steps[0];
+      return step?.error || null;
+    };
+    (async () => {
+      const ci = await run('ci');
+      const defaults = await run('defaults');
+      const nested = await run('nest-1');
+      console.log(JSON.stringify({
+        matrixOutputs: ci.steps[0].outputs,
+        summary: ci.steps[1].outputs,
+        defaults: defaults.steps[0].outputs,
+        missingInput: [validateWorkflow('missing-input').errors.join(), firstError(await run('missing-input'))],
+        cycle: [validateWorkflow('loop-a').errors.join(), firstError(await run('loop-a'))],
+        depth: firstError(nested)
+      }));
+    })();
+  `], { cwd: REUSE_ROOT, encoding: 'utf-8', env: { ...process.env, WOGI_PROJECT_ROOT: REUSE_ROOT }, timeout: 60000 });
+  const reuse = reuseRun.status === 0 ? JSON.parse(reuseRun.stdout.trim().split('\n').pop()) : null;
+  if (!reuse || !isDeepStrictEqual(reuse.matrixOutputs, {
+    coverage_api_18: 'api-18', coverage_api_20: 'api-20', coverage_web_18: 'web-18', coverage_web_20: 'web-20'
+  }) || reuse.summary?.api !== 'api-20' || reuse.defaults?.coverage !== 'shared-20') {
+    throw new Error(`Workflow outputs lost: ${reuseRun.stdout}${reuseRun.stderr}`);
+  }
+  const expectedProblems = [
+    [reuse.missingInput[0], /missing required input "package"/],
+    [reuse.missingInput[1], /missing required input "package"/],
+    [reuse.cycle[0], /Workflow cycle: loop-a -> loop-b -> loop-a/],
+    [reuse.cycle[1], /Workflow cycle: loop-a -> loop-b -> loop-a/],
+    [reuse.depth, /nested deeper than 5/]
+  ];
+  const unreported = expectedProblems.filter(([message, pattern]) => !pattern.test(message || ''));
+  if (unreported.length > 0) {
+    throw new Error(`Workflow problems not reported: ${JSON.stringify(reuse)}`);
+  }
+  fs.rmSync(REUSE_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Inputs, outputs and matrix outputs flow between workflows; cycles, depth and bad matrices are caught\n');
+
+  // Test provider fallback chains with stub executors in a scratch project
+  console.log('25. Testing provider fallback chain...');
+  const CHAIN_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-chain-'));
+  fs.mkdirSync(path.join(CHAIN_ROOT, '.workflow'));
+  fs.writeFileSync(path.join(CHAIN_ROOT, '.workflow', 'config.json'), JSON.stringify({ hybrid: { enabled: true } }));
+  const chainRun = spawnSync(process.execPath, ['-e', `
+    const { ExecutorChain, Orchestrator } = require(${JSON.stringify(require.resolve('../scripts/flow-orchestrate'))});
+    const { classifyProviderError, StreamCancelledError } = require(${JSON.stringify(require.resolve('../scripts/flow-providers'))});
+    const { recordModelResult, getAllModelStats } = require(${JSON.stringify(require.resolve('../scripts/flow-model-adapter'))});
+
+    const failure = (message, fields = {}) => Object.assign(new Error(message), fields);
+    const wrapped = cause => Object.assign(new Error('Cloud executor error'), { originalError: cause });
+    const classified = [
+      failure('connect', { code: 'ECONNREFUSED' }),
+      wrapped(failure('Too Many Requests', { status: 429 })),
+      failure('Model is overloaded'),
+      new StreamCancelledError('Step timed out', 'timeout'),
+      failure('Invalid API key', { status: 401 })
+    ].map(classifyProviderError);
+
+    const createChain = (routing = {}) => {
+      const chain = new ExecutorChain({
+        model: 'coder',
+        routing: { fallbackOn: ['connection', 'rateLimit', 'validation'], validationFailures: 2, rules: [], ...routing },
+        providerChain: [{ name: 'local' }, { name: 'cloud' }, { name: 'backup' }]
+      });
+      const calls = [];
+      const stub = (name, behaviour) => ({ generate: async () => { calls.push(name); return behaviour(); } });
+      chain.members[0].executor = stub('local', () => { throw failure('connect', { code: 'ECONNREFUSED' }); });
+      chain.members[1].executor = stub('cloud', () => 'from cloud');
+      chain.members[2].executor = stub('backup', () => 'from backup');
+      return { chain, calls };
+    };
+    const rejects = promise => promise.then(() => null, err => err.message);
+
+    (async () => {
+      const { chain, calls } = createChain();
+      const output = await chain.generate('prompt');
+      const connection = { output, calls, fallbackFrom: chain.fallbackFrom, unreachable: chain.members[0].unreachable };
+
+      const validation = [chain.recordValidationFailure(), chain.recordValidationFailure(), chain.config.name, chain.fallbackFrom];
+      const exhausted = [chain.recordValidationFailure(), chain.recordValidationFailure(), chain.config.name];
+
+      chain.selectForStep({ title: 'Add a helper', type: 'create-file' });
+      const reselected = [chain.active.map(member => member.name), chain.fallbackFrom];
+
+      const noValidation = createChain({ fallbackOn: ['connection'] });
+      await noValidation.chain.generate('prompt');
+      const validationIgnored = [noValidation.chain.recordValidationFailure(), noValidation.chain.recordValidationFailure(), noValidation.chain.config.name];
+
+      const noConnection = createChain({ fallbackOn: ['rateLimit'] });
+      const notFallenBack = [await rejects(noConnection.chain.generate('prompt')), noConnection.calls];
+
+      const other = createChain();
+      other.chain.members[0].executor = { generate: async () => { throw failure('Invalid API key', { status: 401 }); } };
+      const otherError = await rejects(other.chain.generate('prompt'));
+
+      const lastOnly = createChain();
+      lastOnly.chain.members[1].executor = lastOnly.chain.members[0].executor;
+      lastOnly.chain.members[2].executor = lastOnly.chain.members[0].executor;
+      const allFailed = [await rejects(lastOnly.chain.generate('prompt')), lastOnly.chain.fallbackFrom];
+
+      const routed = createChain({ rules: [{ taskType: 'create-file', providers: ['backup', 'cloud'] }] });
+      routed.chain.selectForStep({ title: 'Add a helper', type: 'create-file' });
+      const routedChain = routed.chain.active.map(member => member.name);
+
+      // A step that fell back is recorded against the provider that ran it
+      const orchestrator = Object.create(Orchestrator.prototype);
+      orchestrator.llm = createChain().chain;
+      await orchestrator.llm.generate('prompt');
+      recordModelResult('coder', { taskType: 'create-file', success: true, ...orchestrator.getProviderResult() });
+      recordModelResult('coder', { taskType: 'create-file', success: false, errorType: 'lint', provider: 'local', fallbackFrom: [] });
+      const breakdown = getAllModelStats().find(stats => stats.model === 'coder')?.providerBreakdown;
+
+      console.log(JSON.stringify({ classified, connection, validation, exhausted, reselected, validationIgnored, notFallenBack, otherError, allFailed, routedChain, breakdown }));
+    })();
+  `], { cwd: CHAIN_ROOT, encoding: 'utf-8', env: { ...process.env, WOGI_PROJECT_ROOT: CHAIN_ROOT }, timeout: 60000 });
+  const chainResult = chainRun.status === 0 ? JSON.parse(chainRun.stdout.trim().split('\n').pop()) : null;
+  const expectedChain = {
+    classified: ['connection', 'rateLimit', 'rateLimit', 'timeout', 'other'],
+    connection: { output: 'from cloud', calls: ['local', 'cloud'], fallbackFrom: ['local'], unreachable: true },
+    validation: [false, true, 'backup', ['local', 'cloud']],
+    exhausted: [false, false, 'backup'],
+    reselected: [['cloud', 'backup'], []],
+    validationIgnored: [false, false, 'cloud'],
+    notFallenBack: ['connect', ['local']],
+    otherError: 'Invalid API key',
+    allFailed: ['connect', ['local', 'cloud']],
+    routedChain: ['backup', 'cloud'],
+    breakdown: [
+      { provider: 'cloud', total: 1, fallbacks: 1, successRate: '100%' },
+      { provider: 'local', total: 1, fallbacks: 0, successRate: '0%' }
+    ]
+  };
+  if (!isDeepStrictEqual(chainResult, expectedChain)) {
+    throw new Error(`Provider chain misbehaved: ${chainRun.stdout.trim().split('\n').pop()}${chainRun.stderr}`);
+  }
+  fs.rmSync(CHAIN_ROOT, { recursive: true, force: true });
+  console.log('   ✅ Chains fall back only on configured errors, validation failures move on, stats name the provider\n');
+
+  // Test streamed response parsing over canned byte streams from a local server
+  console.log('26. Testing streamed responses...');
+  const http = require('http');
+  const { streamJsonEvents, streamChatCompletion, collectStream, StreamCancelledError } = require('../scripts/flow-providers');
+  const { Orchestrator: StreamingOrchestrator } = require('../scripts/flow-orchestrate');
+  // Each route answers with its chunks, written separately so lines and JSON split across reads
+  const cannedStreams = {
+    '/sse': [
+      ': keep-alive\n\nevent: message\ndata: {"model":"gpt-test","choices":[{"delta":{"content":"Hel',
+      'lo"}}]}\n\ndata: {"choices":[{"delta":{"content":" wor"}}]}\r\n\r\ndata: {"choices":[{"delta":{"content":"ld"},"finish_reason":"stop"}]}\n',
+      'data: {"choices":[],"usage":{"prompt_tokens":3,"completion_tokens":2,"total_tokens":5}}\n\ndata: [DONE]\n\ndata: {"choices":[{"delta":{"content":"ignored"}}]}\n'
+    ],
+    '/ndjson': ['{"response":"con', 'st x"}\n{"respon', 'se":" = 1;"}\nnot json\n{"response":"","done":true}'],
+    '/stall': ['{"response":"first"}\n']
+  };
+  const streamServer = http.createServer((req, res) => {
+    req.resume();
+    if (req.url === '/error') {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end('{"error":{"message":"model not found"}}');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const chunks = [...cannedStreams[req.url]];
+    const writeNext = () => {
+      if (chunks.length > 0) {
+        res.write(chunks.shift());
+        setTimeout(writeNext, 10);
+      } else if (req.url !== '/stall') {
+        res.end();
+      }
+    };
+    writeNext();
+  });
+  await new Promise(resolve => streamServer.listen(0, '127.0.0.1', resolve));
+  const streamUrl = route => new URL(`http://127.0.0.1:${streamServer.address().port}${route}`);
+  const streamFailure = promise => promise.then(() => null, err => err);
+
+  try {
+    const tokens = [];
+    const chat = await collectStream(streamChatCompletion(streamUrl('/sse'), { body: { model: 'requested' } }), token => tokens.push(token));
+    const expectedChat = { content: 'Hello world', model: 'gpt-test', stopReason: 'stop', usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 } };
+    if (!isDeepStrictEqual(chat, expectedChat) || !isDeepStrictEqual(tokens, ['Hello', ' wor', 'ld'])) {
+      throw new Error(`SSE stream parsed wrong: ${JSON.stringify(chat)} from ${JSON.stringify(tokens)}`);
+    }
+
+    const ndjson = [];
+    for await (const event of streamJsonEvents(streamUrl('/ndjson'), { body: {} })) ndjson.push(event.response);
+    if (!isDeepStrictEqual(ndjson, ['const x', ' = 1;', ''])) {
+      throw new Error(`NDJSON stream parsed wrong: ${JSON.stringify(ndjson)}`);
+    }
+
+    const httpError = await streamFailure(collectStream(streamJsonEvents(streamUrl('/error'), { body: {} })));
+    if (httpError?.status !== 400 || httpError.message !== 'HTTP 400: model not found') {
+      throw new Error(`HTTP error not reported: ${httpError?.message}`);
+    }
+
+    const controller = new AbortController();
+    const cancelledStream = await streamFailure(collectStream(
+      streamJsonEvents(streamUrl('/stall'), { body: {}, signal: controller.signal }),
+      () => controller.abort()
+    ));
+    const timedOutStream = await streamFailure(collectStream(streamJsonEvents(streamUrl('/stall'), { body: {}, stepTimeout: 100 })));
+    if (!(cancelledStream instanceof StreamCancelledError) || cancelledStream.reason !== 'cancelled' ||
+        !(timedOutStream instanceof StreamCancelledError) || timedOutStream.reason !== 'timeout') {
+      throw new Error(`Stream cancellation misreported: ${cancelledStream?.message} / ${timedOutStream?.message}`);
+    }
+  } finally {
+    streamServer.closeAllConnections();
+    streamServer.close();
+  }
+
+  // Ctrl+C during a streamed step cancels the generation, not the run
+  const streamingStep = Object.create(StreamingOrchestrator.prototype);
+  streamingStep.config = { streaming: true, stepTimeout: 5000 };
+  let streamOptions = null;
+  streamingStep.llm = {
+    generate: (prompt, options) => new Promise((resolve, reject) => {
+      streamOptions = options;
+      options.signal.addEventListener('abort', () => reject(new StreamCancelledError('Generation cancelled')));
+    })
+  };
+  const sigintListeners = process.listenerCount('SIGINT');
+  const interrupted = streamFailure(streamingStep.generateFresh('prompt'));
+  process.emit('SIGINT');
+  const interruptError = await interrupted;
+  if (!(interruptError instanceof StreamCancelledError) || interruptError.reason !== 'cancelled' ||
+      streamOptions.stepTimeout !== 5000 || !streamOptions.stream || process.listenerCount('SIGINT') !== sigintListeners) {
+    throw new Error(`Interrupting a streamed generation misbehaved: ${interruptError?.message}`);
+  }
+  console.log('   ✅ SSE and NDJSON parse across chunk splits, errors, cancellation and timeouts are reported\n');
+
+  // Test OpenAI-compatible servers against a local server, in a scratch project registering one
+  console.log('27. Testing OpenAI-compatible provider...');
+  const COMPAT_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-compat-'));
+  fs.mkdirSync(path.join(COMPAT_ROOT, '.workflow'));
+  fs.writeFileSync(path.join(COMPAT_ROOT, '.workflow', 'config.json'), JSON.stringify({
+    hybrid: {
+      enabled: true,
+      openaiCompatible: {
+        lab: { name: 'Lab server', endpoint: 'http://10.0.0.5:9000/v1', envKey: 'LAB_LLM_KEY', headers: { 'X-Team': 'wogi' } }
+      }
+    }
+  }));
+  const compatRun = spawnSync(process.execPath, ['-e', `
+    const http = require('http');
+    const { LocalLLM, CloudExecutor, createSingleExecutor } = require(${JSON.stringify(require.resolve('../scripts/flow-orchestrate'))});
+    const { OpenAICompatibleProvider, getDefaultEndpoint } = require(${JSON.stringify(require.resolve('../scripts/flow-providers'))});
+
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        if (req.url === '/v1/models') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ data: [{ id: 'qwen-coder', owned_by: 'vllm', max_model_len: 32768 }] }));
+          return;
+        }
+        const payload = JSON.parse(body);
+        requests.push({ auth: req.headers.authorization, team: req.headers['x-team'], model: payload.model, roles: payload.messages.map(m => m.role), stream: payload.stream === true });
+        if (payload.stream) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.end('data: {"model":"qwen-coder","choices":[{"delta":{"content":"streamed "}}]}\\n\\ndata: {"choices":[{"delta":{"content":"text"},"finish_reason":"stop"}]}\\n\\ndata: [DONE]\\n\\n');
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ model: 'qwen-coder', choices: [{ message: { content: 'plain text' }, finish_reason: 'stop' }], usage: { total_tokens: 7 } }));
+        }
+      });
+    });
+    const rejects = fn => { try { fn(); return null; } catch (err) { return err.message; } };
+
+    server.listen(0, '127.0.0.1', async () => {
+      const endpoint = 'http://127.0.0.1:' + server.address().port + '/v1';
+      const endpoints = [
+        getDefaultEndpoint('openai-compatible', 'lab'),
+        getDefaultEndpoint('openai-compatible', 'llama-cpp'),
+        getDefaultEndpoint('openai-compatible', 'unknown'),
+        getDefaultEndpoint('openai', 'lab'),
+        getDefaultEndpoint('nope')
+      ];
+
+      const provider = new OpenAICompatibleProvider({ server: 'lab', endpoint });
+      const models = (await provider.fetchModels()).map(m => [m.id, m.ownedBy, m.contextWindow]);
+      const completion = await provider.complete('hi', { system: 'Be brief' });
+
+      const executor = createSingleExecutor({ provider: 'openai-compatible', server: 'lab', providerEndpoint: endpoint });
+      const streamed = [];
+      const generated = [
+        await executor.generate('hi'),
+        await executor.generate('hi', { stream: true, onToken: token => streamed.push(token) })
+      ];
+
+      const routed = [
+        executor instanceof CloudExecutor,
+        createSingleExecutor({ executorType: 'cloud', provider: 'openai', model: 'gpt-4o-mini', apiKey: 'sk-test' }) instanceof CloudExecutor,
+        createSingleExecutor({ provider: 'ollama', model: 'qwen3-coder' }) instanceof LocalLLM,
+        rejects(() => createSingleExecutor({ executorType: 'cloud', provider: 'ollama' }))
+      ];
+
+      server.close();
+      console.log(JSON.stringify({
+        endpoints, models, completion: [completion.content, completion.stopReason, completion.usage.totalTokens],
+        generated, streamed, contextWindow: executor.contextWindow, routed, requests
+      }));
+    });
+  `], { cwd: COMPAT_ROOT, encoding: 'utf-8', env: { ...process.env, WOGI_PROJECT_ROOT: COMPAT_ROOT, LAB_LLM_KEY: 'lab-secret' }, timeout: 60000 });
+  let compatResult;
+  try {
+    compatResult = JSON.parse(compatRun.stdout.trim().split('\n').pop());
+  } catch {
+    throw new Error(`OpenAI-compatible run failed: ${compatRun.stderr || compatRun.stdout}`);
+  }
+  const labRequest = { auth: 'Bearer lab-secret', team: 'wogi', model: 'qwen-coder' };
+  const expectedCompat = {
+    endpoints: ['http://10.0.0.5:9000/v1', 'http://localhost:8080/v1', 'http://localhost:8000/v1', 'https://api.openai.com/v1', null],
+    models: [['qwen-coder', 'vllm', 32768]],
+    completion: ['plain text', 'stop', 7],
+    // generate() returns the text on both paths, not the provider's response object
+    generated: ['plain text', 'streamed text'],
+    streamed: ['streamed ', 'text'],
+    contextWindow: 32768,
+    routed: [true, true, true, 'Invalid cloud provider: ollama. Supported: openai, anthropic, google'],
+    requests: [
+      { ...labRequest, roles: ['system', 'user'], stream: false },
+      { ...labRequest, roles: ['user'], stream: false },
+      { ...labRequest, roles: ['user'], stream: true }
+    ]
+  };
+  fs.rmSync(COMPAT_ROOT, { recursive: true, force: true });
+  if (!isDeepStrictEqual(compatResult, expectedCompat)) {
+    throw new Error(`OpenAI-compatible provider misbehaved: ${JSON.stringify(compatResult)}`);
+  }
+  console.log('   ✅ Registered servers resolve endpoints and keys, executors route to it and generate() returns text\n');
+
+  // Test the workflow MCP server over stdio against a scratch project
+  console.log('28. Testing workflow MCP server...');
+  const MCP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-mcp-'));
+  fs.mkdirSync(path.join(MCP_ROOT, '.workflow', 'state'), { recursive: true });
+  fs.writeFileSync(path.join(MCP_ROOT, '.workflow', 'config.json'), JSON.stringify({}));
+  fs.writeFileSync(path.join(MCP_ROOT, '.workflow', 'state', 'ready.json'), JSON.stringify({
+    ready: [
+      { id: 'wf-profile01', title: 'Add profile page', priority: 'P1', dependencies: ['wf-login01'] },
+      { id: 'wf-login01', title: 'Add login', priority: 'P2' }
+    ],
+    inProgress: [],
+    blocked: [],
+    recentlyCompleted: []
+  }));
+  const mcpRequests = [
+    { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {} } },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+    { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'wogi_tasks', arguments: {} } },
+    { jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'wogi_tasks', arguments: { list: 'inProgress' } } },
+    { jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'wogi_nope', arguments: {} } },
+    { jsonrpc: '2.0', id: 6, method: 'resources/list' }
+  ];
+  const mcpRun = spawnSync(process.execPath, [require.resolve('../scripts/flow-mcp-server')], {
+    cwd: MCP_ROOT,
+    input: mcpRequests.map(request => JSON.stringify(request)).join('\n') + '\nnot json\n',
+    encoding: 'utf-8',
+    env: { ...process.env, WOGI_PROJECT_ROOT: MCP_ROOT },
+    timeout: 60000
+  });
+  fs.rmSync(MCP_ROOT, { recursive: true, force: true });
+  // Tool calls answer asynchronously, so match responses by id
+  const mcpResponses = {};
+  for (const line of mcpRun.stdout.trim().split('\n').filter(Boolean)) {
+    const response = JSON.parse(line);
+    mcpResponses[response.id] = response;
+  }
+  const toolText = id => JSON.parse(mcpResponses[id].result.content[0].text);
+  const listed = toolText(3);
+  const mcpSummary = {
+    ids: Object.keys(mcpResponses).sort(),
+    server: mcpResponses[1].result.serverInfo.name,
+    protocolVersion: mcpResponses[1].result.protocolVersion,
+    tools: mcpResponses[2].result.tools.map(tool => tool.name),
+    ready: listed.tasks.ready.map(task => task.id),
+    waiting: listed.dependencies.waiting,
+    filtered: Object.keys(toolText(4).tasks),
+    unknownTool: [mcpResponses[5].result.isError, toolText(5).error],
+    unknownMethod: mcpResponses[6].error.code,
+    parseError: mcpResponses.null.error.code
+  };
+  const expectedMcp = {
+    ids: ['1', '2', '3', '4', '5', '6', 'null'],
+    server: 'wogi-flow',
+    protocolVersion: '2025-03-26',
+    tools: ['wogi_tasks', 'wogi_task_start', 'wogi_task_done', 'wogi_story_create', 'wogi_bug_create', 'wogi_gates_run'],
+    ready: ['wf-login01', 'wf-profile01'],
+    waiting: { 'wf-profile01': ['wf-login01'] },
+    filtered: ['inProgress'],
+    unknownTool: [true, 'Unknown tool: wogi_nope'],
+    unknownMethod: -32601,
+    parseError: -32700
+  };
+  if (!isDeepStrictEqual(mcpSummary, expectedMcp) || toolText(3).success !== true) {
+    throw new Error(`MCP round trip misbehaved: ${JSON.stringify(mcpSummary)} ${mcpRun.stderr}`);
+  }
+  console.log('   ✅ initialize, tools/list and wogi_tasks answer over stdio; unknown tools return isError\n');
+
+  // Test the Gemini CLI adapter and settings.json hook installation
+  console.log('29. Testing Gemini CLI hooks...');
+  const { geminiCliAdapter } = require('../scripts/hooks/adapters/gemini-cli');
+  const { installSettingsHooks, removeSettingsHooks } = require('../scripts/flow-hooks');
+
+  const parsedWrite = geminiCliAdapter.parseInput({
+    hook_event_name: 'BeforeTool',
+    tool_name: 'write_file',
+    tool_input: { absolute_path: '/project/src/a.js', content: 'x' }
+  });
+  const parsedShell = geminiCliAdapter.parseInput({ tool_name: 'run_shell_command', tool_input: { command: 'ls' } });
+  const geminiTransforms = {
+    parsed: [parsedWrite.operation, parsedWrite.filePath, parsedShell.operation],
+    blocked: geminiCliAdapter.transformResult('BeforeTool', { blocked: true, message: 'Start a task first' }),
+    warned: geminiCliAdapter.transformResult('BeforeTool', { warning: true, message: 'Similar component exists' }),
+    allowed: geminiCliAdapter.transformResult('BeforeTool', {}),
+    validated: geminiCliAdapter.transformResult('AfterTool', { passed: true }),
+    invalid: geminiCliAdapter.transformResult('AfterTool', { blocked: true, summary: 'Lint failed', message: '2 errors' }),
+    exit: geminiCliAdapter.transformResult('AfterAgent', { canExit: true }),
+    incomplete: geminiCliAdapter.transformResult('AfterAgent', { message: '1 criterion left' }),
+    nextTask: geminiCliAdapter.transformResult('AfterAgent', { continueToNext: true, nextTaskId: 'wf-next', remaining: 2 }).reason.includes('/wogi-start wf-next'),
+    sessionEnd: geminiCliAdapter.transformResult('SessionEnd', { warning: 'Uncommitted changes', logged: true, requestId: 'R-042' }),
+    quietEnd: geminiCliAdapter.transformResult('SessionEnd', {}),
+    noContext: geminiCliAdapter.transformResult('SessionStart', { enabled: false }),
+    unhandled: geminiCliAdapter.transformResult('Notification', { message: 'x' })
+  };
+  const expectedGemini = {
+    parsed: ['write', '/project/src/a.js', null],
+    blocked: { decision: 'deny', reason: 'Start a task first' },
+    warned: { decision: 'allow', systemMessage: 'Similar component exists' },
+    allowed: { decision: 'allow' },
+    validated: { systemMessage: 'Validation passed' },
+    invalid: {
+      systemMessage: 'Lint failed',
+      decision: 'deny',
+      reason: '2 errors',
+      hookSpecificOutput: { hookEventName: 'AfterTool', additionalContext: '2 errors' }
+    },
+    exit: {},
+    incomplete: { decision: 'deny', reason: '1 criterion left' },
+    nextTask: true,
+    sessionEnd: { systemMessage: 'Uncommitted changes\nLogged as R-042' },
+    quietEnd: {},
+    noContext: {},
+    unhandled: {}
+  };
+  if (!isDeepStrictEqual(geminiTransforms, expectedGemini)) {
+    throw new Error(`Gemini transforms wrong: ${JSON.stringify(geminiTransforms)}`);
+  }
+
+  const geminiConfig = geminiCliAdapter.generateConfig({ validation: { enabled: false } }, '/project');
+  const beforeTool = geminiConfig.hooks.BeforeTool[0];
+  if (!isDeepStrictEqual(Object.keys(geminiConfig.hooks), ['SessionStart', 'BeforeTool', 'AfterAgent', 'SessionEnd']) ||
+      beforeTool.matcher !== 'write_file|replace' || beforeTool.hooks[0].timeout !== 5000 ||
+      beforeTool.hooks[0].command !== `node "${path.join('/project', 'scripts', 'hooks', 'entry', 'gemini', 'before-tool.js')}"`) {
+    throw new Error(`Gemini hook config wrong: ${JSON.stringify(geminiConfig)}`);
+  }
+
+  // Existing user hooks are backed up on install and restored on removal
+  const SETTINGS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-settings-'));
+  const settingsPath = path.join(SETTINGS_DIR, '.gemini', 'settings.json');
+  const readSettings = () => JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+  const userHooks = { BeforeTool: [{ matcher: 'run_shell_command', hooks: [{ type: 'command', command: 'audit.sh' }] }] };
+  fs.mkdirSync(path.dirname(settingsPath));
+  fs.writeFileSync(settingsPath, JSON.stringify({ theme: 'dark', hooks: userHooks }));
+
+  const installed = installSettingsHooks(settingsPath, geminiConfig);
+  const afterInstall = readSettings();
+  installSettingsHooks(settingsPath, geminiConfig);
+  const backup = JSON.parse(fs.readFileSync(`${settingsPath}.backup`, 'utf-8'));
+  const removed = removeSettingsHooks(settingsPath);
+  const afterRemove = readSettings();
+  const unmanagedRemoval = removeSettingsHooks(settingsPath);
+
+  fs.unlinkSync(settingsPath);
+  installSettingsHooks(settingsPath, geminiConfig);
+  removeSettingsHooks(settingsPath);
+  const freshRemoved = !fs.existsSync(settingsPath);
+  fs.rmSync(SETTINGS_DIR, { recursive: true, force: true });
+
+  if (!installed || !isDeepStrictEqual(afterInstall.hooks, geminiConfig.hooks) || afterInstall.theme !== 'dark' || !afterInstall._wogiFlowManaged ||
+      !isDeepStrictEqual(backup.hooks, userHooks) || !removed || unmanagedRemoval !== false || !freshRemoved ||
+      !isDeepStrictEqual(afterRemove, { theme: 'dark', hooks: userHooks }) || fs.existsSync(`${settingsPath}.backup`)) {
+    throw new Error(`settings.json hooks not installed/removed cleanly: ${JSON.stringify(afterRemove)}`);
+  }
+  console.log('   ✅ Gemini results map to its hook format; settings hooks install, back up and restore\n');
+
+  // Test the command-wrapper proxy and Codex guardrails in a scratch project with an active task
+  console.log('30. Testing command wrapper and Codex adapter...');
+  const { codexAdapter } = require('../scripts/hooks/adapters/codex');
+  const { MANAGED_BLOCK_START, MANAGED_BLOCK_END } = require('../scripts/hooks/adapters/command-wrapper');
+
+  const wrapperTransforms = {
+    parsed: [codexAdapter.parseInput({ action: 'write' }).operation, codexAdapter.parseInput({ action: 'check' }).operation],
+    blocked: codexAdapter.transformResult('BeforeCommand', { blocked: true, message: 'Dangerous command' }),
+    warned: codexAdapter.transformResult('BeforeWrite', { warning: true, message: 'Similar component exists' }),
+    allowed: codexAdapter.transformResult('BeforeWrite', { allowed: true, message: 'ignored without a warning' }),
+    invalid: codexAdapter.transformResult('AfterWrite', { passed: false, summary: 'Lint failed' }),
+    nextTask: codexAdapter.transformResult('Stop', { continueToNext: true, nextTaskId: 'wf-next', remaining: 1 }).message.includes('./scripts/flow start wf-next'),
+    incomplete: codexAdapter.transformResult('Stop', {})
+  };
+  const expectedWrapper = {
+    parsed: ['write', 'edit'],
+    blocked: { proceed: false, exitCode: 2, message: 'Dangerous command' },
+    warned: { proceed: true, exitCode: 0, message: 'Similar component exists' },
+    allowed: { proceed: true, exitCode: 0, message: null },
+    invalid: { proceed: true, exitCode: 1, message: 'Lint failed' },
+    nextTask: true,
+    incomplete: { proceed: false, exitCode: 2, message: 'Acceptance criteria not complete' }
+  };
+  if (!isDeepStrictEqual(wrapperTransforms, expectedWrapper)) {
+    throw new Error(`Command wrapper transforms wrong: ${JSON.stringify(wrapperTransforms)}`);
+  }
+  const codexInstructions = codexAdapter.generateConfig({ validation: { enabled: false } }, '/project').instructions;
+  if (!codexInstructions.startsWith(MANAGED_BLOCK_START) || !codexInstructions.endsWith(MANAGED_BLOCK_END) ||
+      !codexInstructions.includes('Codex CLI has no hook system') || codexInstructions.includes('wrap validate')) {
+    throw new Error(`Codex guardrails wrong:\n${codexInstructions}`);
+  }
+
+  const WRAP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'wogi-wrap-'));
+  fs.mkdirSync(path.join(WRAP_ROOT, '.workflow', 'state'), { recursive: true });
+  fs.mkdirSync(path.join(WRAP_ROOT, '.codex'));
+  fs.writeFileSync(path.join(WRAP_ROOT, '.workflow', 'config.json'), JSON.stringify({}));
+  fs.writeFileSync(path.join(WRAP_ROOT, '.workflow', 'state', 'ready.json'), JSON.stringify({
+    ready: [], inProgress: [{ id: 'wf-wrapper' }], blocked: [], recentlyCompleted: []
+  }));
+  const wrap = (args, input) => spawnSync(process.execPath, [require.resolve('../scripts/hooks/entry/command-wrapper/proxy'), ...args], {
+    cwd: WRAP_ROOT,
+    input,
+    encoding: 'utf-8',
+    env: { ...process.env, WOGI_PROJECT_ROOT: WRAP_ROOT },
+    timeout: 60000
+  });
+
+  // Markdown has no validation commands, so writes don't depend on a linter
+  const outsideCheck = wrap(['check', '/etc/passwd']);
+  const insideCheck = wrap(['check', 'src/app.js']);
+  const outsideWrite = wrap(['write', '../escape.md'], '# Notes\n');
+  const insideWrite = wrap(['write', 'docs/notes.md'], '# Notes\n');
+  const argvExec = wrap(['exec', '--', process.execPath, '-e', 'process.exit(3)']);
+  const shellExec = wrap(['exec', '--', 'echo wrapped | tr a-z A-Z']);
+  const proxyResults = {
+    outsideCheck: [outsideCheck.status, outsideCheck.stderr.trim()],
+    insideCheck: [insideCheck.status, insideCheck.stderr.trim()],
+    outsideWrite: [outsideWrite.status, fs.existsSync(path.join(WRAP_ROOT, '..', 'escape.md'))],
+    insideWrite: [insideWrite.status, fs.readFileSync(path.join(WRAP_ROOT, 'docs', 'notes.md'), 'utf-8')],
+    argvExec: argvExec.status,
+    shellExec: [shellExec.status, shellExec.stdout.trim()]
+  };
+  const expectedProxy = {
+    outsideCheck: [2, '[Wogi Flow] Refusing to edit outside the project: /etc/passwd'],
+    insideCheck: [0, '[Wogi Flow] OK to edit src/app.js'],
+    outsideWrite: [2, false],
+    insideWrite: [0, '# Notes\n'],
+    argvExec: 3,
+    shellExec: [0, 'WRAPPED']
+  };
+  if (!isDeepStrictEqual(proxyResults, expectedProxy)) {
+    throw new Error(`Command wrapper proxy misbehaved: ${JSON.stringify(proxyResults)}`);
+  }
+
+  // The guardrails block replaces itself on reinstall and leaves the rest of AGENTS.md alone
+  const agentsPath = path.join(WRAP_ROOT, 'AGENTS.md');
+  fs.writeFileSync(agentsPath, '# Project rules\n\nUse tabs.\n');
+  const guardrailRun = spawnSync(process.execPath, ['-e', `
+    const fs = require('fs');
+    const { installForTarget, removeForTarget } = require(${JSON.stringify(require.resolve('../scripts/flow-hooks'))});
+    const agentsPath = ${JSON.stringify(agentsPath)};
+    const read = () => fs.existsSync(agentsPath) ? fs.readFileSync(agentsPath, 'utf-8') : null;
+
+    const installed = [installForTarget('codex'), installForTarget('codex')];
+    const afterInstall = read();
+    const removed = removeForTarget('codex');
+    const afterRemove = read();
+    fs.unlinkSync(agentsPath);
+    installForTarget('codex');
+    removeForTarget('codex');
+    console.log(JSON.stringify({ installed, afterInstall, removed, afterRemove, freshRemoved: read() === null }));
+  `], { cwd: WRAP_ROOT, encoding: 'utf-8', env: { ...process.env, WOGI_PROJECT_ROOT: WRAP_ROOT }, timeout: 60000 });
+  fs.rmSync(WRAP_ROOT, { recursive: true, force: true });
+  let guardrails;
+  try {
+    guardrails = JSON.parse(guardrailRun.stdout.trim().split('\n').pop());
+  } catch {
+    throw new Error(`Codex guardrail run failed: ${guardrailRun.stderr || guardrailRun.stdout}`);
+  }
+  if (!isDeepStrictEqual(guardrails.installed, [true, true]) || !guardrails.removed || !guardrails.freshRemoved ||
+      !guardrails.afterInstall.startsWith('# Project rules\n\nUse tabs.\n\n' + MANAGED_BLOCK_START) ||
+      guardrails.afterInstall.split(MANAGED_BLOCK_START).length !== 2 ||
+      guardrails.afterRemove !== '# Project rules\n\nUse tabs.\n') {
+    throw new Error(`Codex guardrails not installed/removed cleanly: ${JSON.stringify(guardrails)}`);
+  }
+  console.log('   ✅ The proxy keeps writes and edits inside the project; Codex guardrails install and remove in AGENTS.md\n');
+
   // Cleanup
   fs.unlinkSync(DB_PATH);
-  console.log('6. Cleanup complete\n');
+  console.log('31. Cleanup complete\n');
 
   console.log('═'.repeat(40));
   console.log('All tests passed! ✅');
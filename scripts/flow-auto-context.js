@@ -456,7 +456,8 @@ function searchRelatedTasks(keywords) {
 
 /**
  * Search semantic memory (SQLite facts) for relevant context
- * Returns facts that match the task description
+ * Returns facts that match the task description. Matching is hybrid, so
+ * exact identifiers in the keywords hit even without embeddings.
  *
  * @param {object} keywords - Extracted keywords
  * @param {object} config - Config object
@@ -491,6 +492,7 @@ async function searchSemanticMemory(keywords, config = null) {
           fact: fact.fact,
           category: fact.category,
           relevance: fact.relevance,
+          matchedBy: fact.matchedBy,
           score: Math.round(fact.relevance / 25) // Score 1-4 based on relevance
         });
       }
@@ -761,7 +763,7 @@ async function getAutoContext(description, options = {}) {
   const unique = [];
 
   for (const result of actualResults) {
-    const key = result.path || result.taskId || result.keyword;
+    const key = result.path || result.taskId || result.keyword || result.fact;
     if (!seen.has(key)) {
       seen.add(key);
       unique.push(result);
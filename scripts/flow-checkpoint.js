@@ -24,6 +24,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync, spawnSync } = require('child_process');
 const { getProjectRoot, getConfig, colors: c } = require('./flow-utils');
+const { fireTrigger } = require('./flow-workflow-triggers');
 
 const PROJECT_ROOT = getProjectRoot();
 const WORKFLOW_DIR = path.join(PROJECT_ROOT, '.workflow');
@@ -55,6 +56,7 @@ class Checkpoint {
     this.config = { ...DEFAULT_CHECKPOINT_CONFIG, ...cpConfig };
     this.stepCount = 0;
     this.lastCheckpointStep = 0;
+    this.pendingTriggers = [];
     this.checkpoints = [];
 
     this.ensureDir();
@@ -146,9 +148,24 @@ class Checkpoint {
     // Cleanup old checkpoints
     this.cleanup();
 
+    // Workflows with on: checkpoint-created, once the caller has reported it
+    this.pendingTriggers.push(
+      new Promise(resolve => setImmediate(resolve))
+        .then(() => fireTrigger('checkpoint-created', { checkpoint: id, message: checkpoint.message }))
+        .catch(err => console.error(`${c.yellow}⚠ checkpoint-created workflows: ${err.message}${c.reset}`))
+    );
+
     return checkpoint;
   }
 
+  /**
+   * Wait for the workflows fired by create(); call before exiting so their
+   * runs are recorded. Never rejects.
+   */
+  async settleTriggers() {
+    await Promise.all(this.pendingTriggers.splice(0));
+  }
+
   /**
    * Snapshot workflow state files
    */
@@ -389,6 +406,8 @@ if (require.main === module) {
       if (checkpoint.gitCommit) {
         console.log(`   Git commit: ${checkpoint.gitCommit}`);
       }
+      // Stay up until checkpoint-created workflows have run and been recorded
+      cp.settleTriggers();
       break;
     }
 
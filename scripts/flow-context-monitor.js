@@ -24,6 +24,7 @@ const {
   fileExists,
   printHeader
 } = require('./flow-utils');
+const { countTokens, isCodeContent } = require('./flow-tokenizer');
 
 // ============================================================
 // Token Estimation
@@ -31,26 +32,11 @@ const {
 
 /**
  * Estimate tokens from text
- * Uses different ratios for prose vs code content:
- * - Prose: ~4 chars = 1 token
- * - Code: ~3 chars = 1 token (more token-dense)
+ * Uses the tokenizer configured as tokenizer.default (see flow-tokenizer.js);
+ * the heuristic fallback counts code as more token-dense than prose.
  */
 function estimateTokens(text, isCode = false) {
-  if (!text) return 0;
-  // Code is more token-dense due to keywords, punctuation, short variable names
-  const charsPerToken = isCode ? 3 : 4;
-  return Math.ceil(text.length / charsPerToken);
-}
-
-/**
- * Detect if content is primarily code (for token estimation)
- */
-function isCodeContent(content) {
-  if (!content || content.length < 100) return false;
-  // Simple heuristics: code has more brackets, semicolons, imports
-  const codeIndicators = (content.match(/[{}\[\]();=]/g) || []).length;
-  const ratio = codeIndicators / content.length;
-  return ratio > 0.03; // More than 3% is likely code
+  return countTokens(text, { isCode });
 }
 
 /**
@@ -14,15 +14,20 @@
  *   flow damage-control status              Show damage control status
  *   flow damage-control rules               Show all rules
  *   flow dc check "rm -rf node_modules"     Shorthand
+ *
+ * A patterns file that fails to parse never disables protection: the last
+ * rules that loaded are used instead, and with none on record every checked
+ * event is blocked until the file is fixed. `rules` exits 1 either way.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { getProjectRoot, colors, getConfig } = require('./flow-utils');
+const { getProjectRoot, colors, getConfig, parseYaml, formatYamlError } = require('./flow-utils');
 
 const PROJECT_ROOT = getProjectRoot();
 const WORKFLOW_DIR = path.join(PROJECT_ROOT, '.workflow');
 const PATTERNS_FILE = path.join(WORKFLOW_DIR, 'damage-control.yaml');
+const LAST_GOOD_FILE = path.join(WORKFLOW_DIR, 'state', 'damage-control.last-good.yaml');
 
 // ============================================================
 // Event Types and Actions
@@ -111,225 +116,59 @@ const SAFE_COMMANDS = [
 ];
 
 /**
- * Process YAML escape sequences in double-quoted strings
- * Handles: \\ -> \, \n -> newline, \t -> tab, \" -> "
+ * Parse damage-control.yaml into { rules, blocked, ask, paths }
+ * Missing sections default to empty; invalid YAML throws a YamlError
+ * carrying the line and column
  */
-function processYamlEscapes(str) {
-  return str
-    .replace(/\\\\/g, '\x00')      // Temporarily replace \\ with placeholder
-    .replace(/\\n/g, '\n')
-    .replace(/\\t/g, '\t')
-    .replace(/\\"/g, '"')
-    .replace(/\x00/g, '\\');        // Restore \\ as single \
+function parsePatterns(content) {
+  const parsed = parseYaml(content) || {};
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('expected a mapping with rules, blocked, ask and paths sections');
+  }
+
+  return {
+    ...parsed,
+    rules: parsed.rules || [],
+    blocked: parsed.blocked || [],
+    ask: parsed.ask || [],
+    paths: parsed.paths || {}
+  };
 }
 
 /**
- * Simple YAML parser for our specific format
- * Handles: comments, key-value, arrays, nested objects with conditions
+ * Path of the configured patterns file
  */
-function parseSimpleYaml(content) {
-  const result = { rules: [], blocked: [], ask: [], paths: {} };
-  const lines = content.split('\n');
-
-  let currentSection = null;
-  let currentSubSection = null;
-  let currentObject = null;
-  let currentConditions = null;
-  let currentCondition = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    // Skip empty lines and comments
-    if (!trimmed || trimmed.startsWith('#')) {
-      continue;
-    }
-
-    // Check indentation level
-    const indent = line.search(/\S/);
-
-    // Top-level key (no indent): rules:, blocked:, ask:, paths:
-    if (indent === 0 && trimmed.endsWith(':')) {
-      // Save any pending object
-      if (currentObject && currentSection) {
-        if (currentConditions) {
-          currentObject.conditions = currentConditions;
-          currentConditions = null;
-        }
-        result[currentSection].push(currentObject);
-        currentObject = null;
-      }
-
-      currentSection = trimmed.slice(0, -1);
-      currentSubSection = null;
-
-      if (currentSection === 'paths' && !result.paths) {
-        result.paths = {};
-      } else if (!result[currentSection]) {
-        result[currentSection] = [];
-      }
-      continue;
-    }
-
-    // Sub-section under paths (indent 2): zeroAccess:, readOnly:, noDelete:
-    if (currentSection === 'paths' && indent === 2 && trimmed.endsWith(':')) {
-      currentSubSection = trimmed.slice(0, -1);
-      result.paths[currentSubSection] = result.paths[currentSubSection] || [];
-      continue;
-    }
-
-    // Handle rules section specially (supports nested conditions array)
-    if (currentSection === 'rules') {
-      // New rule object (- name: xxx)
-      if (indent === 2 && trimmed.startsWith('-')) {
-        // Save previous rule
-        if (currentObject) {
-          if (currentConditions) {
-            currentObject.conditions = currentConditions;
-            currentConditions = null;
-          }
-          result.rules.push(currentObject);
-        }
-
-        const value = trimmed.slice(1).trim();
-        if (value.includes(':')) {
-          const colonIndex = value.indexOf(':');
-          const key = value.slice(0, colonIndex).trim();
-          const val = value.slice(colonIndex + 1).trim().replace(/^["']|["']$/g, '');
-          currentObject = { [key]: val };
-        }
-        continue;
-      }
-
-      // Rule property (indent 4): event:, action:, message:
-      if (currentObject && indent === 4 && trimmed.includes(':') && !trimmed.startsWith('-')) {
-        const colonIndex = trimmed.indexOf(':');
-        const key = trimmed.slice(0, colonIndex).trim();
-        const rawVal = trimmed.slice(colonIndex + 1).trim();
-
-        if (key === 'conditions' && rawVal === '') {
-          // Start conditions array
-          currentConditions = [];
-          continue;
-        }
-
-        const val = rawVal.replace(/^["']|["']$/g, '');
-        currentObject[key] = rawVal.startsWith('"') ? processYamlEscapes(val) : val;
-        continue;
-      }
-
-      // Condition array item (indent 6): - field: xxx
-      if (currentConditions !== null && indent === 6 && trimmed.startsWith('-')) {
-        // Save previous condition
-        if (currentCondition) {
-          currentConditions.push(currentCondition);
-        }
-
-        const value = trimmed.slice(1).trim();
-        if (value.includes(':')) {
-          const colonIndex = value.indexOf(':');
-          const key = value.slice(0, colonIndex).trim();
-          const val = value.slice(colonIndex + 1).trim().replace(/^["']|["']$/g, '');
-          currentCondition = { [key]: val };
-        }
-        continue;
-      }
-
-      // Condition property (indent 8): pattern: xxx
-      if (currentCondition && indent === 8 && trimmed.includes(':')) {
-        const colonIndex = trimmed.indexOf(':');
-        const key = trimmed.slice(0, colonIndex).trim();
-        const rawVal = trimmed.slice(colonIndex + 1).trim();
-        const val = rawVal.replace(/^["']|["']$/g, '');
-        currentCondition[key] = rawVal.startsWith('"') ? processYamlEscapes(val) : val;
-
-        // Check if next line is still part of condition
-        const nextLine = lines[i + 1];
-        const nextIndent = nextLine ? nextLine.search(/\S/) : 0;
-        if (!nextLine || nextIndent < 8 || (nextLine.trim().startsWith('-') && nextIndent <= 6)) {
-          currentConditions.push(currentCondition);
-          currentCondition = null;
-        }
-        continue;
-      }
-
-      continue;
-    }
-
-    // Array item (starts with -)
-    if (trimmed.startsWith('-')) {
-      const value = trimmed.slice(1).trim();
-
-      // Check if this is a key-value pair in the array item: - pattern: "..."
-      if (value.includes(':') && !value.startsWith('"') && !value.startsWith("'")) {
-        // Start of an object in array - split only on first colon to preserve colons in values
-        const colonIndex = value.indexOf(':');
-        const key = value.slice(0, colonIndex).trim();
-        const val = value.slice(colonIndex + 1).trim();
-        const rawVal = val.replace(/^["']|["']$/g, '');
-        currentObject = { [key]: val.startsWith('"') ? processYamlEscapes(rawVal) : rawVal };
-      } else {
-        // Simple string value
-        const rawValue = value.replace(/^["']|["']$/g, '');
-        const cleanValue = value.startsWith('"') ? processYamlEscapes(rawValue) : rawValue;
-
-        if (currentSection === 'paths' && currentSubSection) {
-          result.paths[currentSubSection].push(cleanValue);
-        } else if (currentSection && currentObject === null) {
-          result[currentSection].push(cleanValue);
-        }
-        currentObject = null;
-      }
-      continue;
-    }
-
-    // Continuation of object in array (indent 4+): reason: "..."
-    if (currentObject && trimmed.includes(':')) {
-      const colonIndex = trimmed.indexOf(':');
-      const key = trimmed.slice(0, colonIndex).trim();
-      const rawVal = trimmed.slice(colonIndex + 1).trim();
-      const strippedVal = rawVal.replace(/^["']|["']$/g, '');
-      currentObject[key] = rawVal.startsWith('"') ? processYamlEscapes(strippedVal) : strippedVal;
-
-      // Check if next line continues this object
-      const nextLine = lines[i + 1];
-      const nextIndent = nextLine ? nextLine.search(/\S/) : 0;
-      const nextTrimmed = nextLine ? nextLine.trim() : '';
-
-      // If next line is a new array item or less indented, push current object
-      if (!nextLine || nextIndent <= 2 || nextTrimmed.startsWith('-')) {
-        if (currentSection && currentSection !== 'rules') {
-          result[currentSection].push(currentObject);
-        }
-        currentObject = null;
-      }
-    }
-  }
+function getPatternsPath() {
+  const dcConfig = getConfig().damageControl || {};
+  return dcConfig.patternsFile
+    ? path.join(PROJECT_ROOT, dcConfig.patternsFile)
+    : PATTERNS_FILE;
+}
 
-  // Don't forget the last object
-  if (currentObject && currentSection === 'rules') {
-    if (currentConditions) {
-      currentObject.conditions = currentConditions;
+/**
+ * Keep a copy of the patterns file that last parsed, to fall back on
+ */
+function rememberGoodPatterns(content) {
+  try {
+    if (fs.existsSync(LAST_GOOD_FILE) && fs.readFileSync(LAST_GOOD_FILE, 'utf-8') === content) {
+      return;
     }
-    result.rules.push(currentObject);
-  } else if (currentObject && currentSection && currentSection !== 'rules') {
-    result[currentSection].push(currentObject);
+    fs.mkdirSync(path.dirname(LAST_GOOD_FILE), { recursive: true });
+    fs.writeFileSync(LAST_GOOD_FILE, content);
+  } catch {
+    // Non-critical: without a copy a later parse error blocks instead
   }
-
-  return result;
 }
 
 /**
  * Load damage control patterns from YAML file
  * Supports both new event-based format and legacy format
+ *
+ * When the file doesn't parse, the result carries `loadError` and either
+ * the last good rules (`usingLastGood`) or none (`failClosed`).
  */
 function loadPatterns() {
-  const config = getConfig();
-  const dcConfig = config.damageControl || {};
-  const patternsPath = dcConfig.patternsFile
-    ? path.join(PROJECT_ROOT, dcConfig.patternsFile)
-    : PATTERNS_FILE;
+  const patternsPath = getPatternsPath();
 
   if (!fs.existsSync(patternsPath)) {
     return {
@@ -342,19 +181,49 @@ function loadPatterns() {
 
   try {
     const content = fs.readFileSync(patternsPath, 'utf-8');
-    const parsed = parseSimpleYaml(content);
-    // Ensure rules array exists
-    parsed.rules = parsed.rules || [];
-    return parsed;
+    const patterns = parsePatterns(content);
+    rememberGoodPatterns(content);
+    return patterns;
   } catch (e) {
-    console.error('Error loading damage-control.yaml:', e.message);
-    return {
-      rules: [],
-      blocked: [],
-      ask: [],
-      paths: { zeroAccess: [], readOnly: [], noDelete: [] }
-    };
+    // Reads "<file>:<line>:<column>: <reason>" for YAML errors
+    const loadError = formatYamlError(e, path.relative(PROJECT_ROOT, patternsPath));
+    console.error(`Error loading ${loadError}`);
+
+    try {
+      const patterns = parsePatterns(fs.readFileSync(LAST_GOOD_FILE, 'utf-8'));
+      console.error('Using the last damage control rules that loaded until the file is fixed');
+      return { ...patterns, loadError, usingLastGood: true };
+    } catch {
+      console.error('No earlier rules to fall back on - blocking until the file is fixed');
+      return {
+        rules: [],
+        blocked: [],
+        ask: [],
+        paths: { zeroAccess: [], readOnly: [], noDelete: [] },
+        loadError,
+        failClosed: true
+      };
+    }
+  }
+}
+
+/**
+ * Block result for an unreadable patterns file, or null when the rules
+ * loaded (or a good copy stood in). Edits to the patterns file itself
+ * stay allowed so it can be fixed.
+ */
+function loadFailure(patterns, filePath = null) {
+  if (!patterns.failClosed) {
+    return null;
   }
+  if (filePath && path.resolve(PROJECT_ROOT, filePath) === getPatternsPath()) {
+    return null;
+  }
+  return {
+    allowed: false,
+    action: 'block',
+    message: `Damage control rules failed to load (${patterns.loadError}). Fix the file to continue.`
+  };
 }
 
 // ============================================================
@@ -424,6 +293,10 @@ function checkEvent(eventType, context = {}) {
   }
 
   const patterns = loadPatterns();
+  const failure = loadFailure(patterns, eventType === 'file' ? (context.file_path || context.filePath) : null);
+  if (failure) {
+    return failure;
+  }
 
   // Check event-based rules first (new format)
   for (const rule of patterns.rules || []) {
@@ -569,6 +442,10 @@ function checkCommand(cmd) {
   }
 
   const patterns = loadPatterns();
+  const failure = loadFailure(patterns);
+  if (failure) {
+    return { action: 'block', reason: failure.message };
+  }
 
   // Check blocked patterns
   for (const pattern of patterns.blocked || []) {
@@ -638,6 +515,10 @@ function checkPath(filePath, operation) {
   }
 
   const patterns = loadPatterns();
+  const failure = loadFailure(patterns, filePath);
+  if (failure) {
+    return { allowed: false, reason: failure.message, level: 'loadError' };
+  }
   const paths = patterns.paths || {};
 
   // Normalize path (handle both forward and backslashes)
@@ -733,6 +614,8 @@ function getStatus() {
       model: dcConfig.promptHook?.model || 'haiku'
     },
     patternsFile: dcConfig.patternsFile || '.workflow/damage-control.yaml',
+    loadError: patterns.loadError || null,
+    usingLastGood: patterns.usingLastGood === true,
     events: dcConfig.events || { bash: true, file: false, stop: false, prompt: false },
     patternsLoaded: {
       rules: (patterns.rules || []).length,
@@ -856,6 +739,12 @@ Configuration (config.json):
       log('white', `  Enabled: ${status.enabled ? colors.green + 'Yes' : colors.yellow + 'No'}${colors.reset}`);
       log('white', `  Prompt Hook: ${status.promptHook.enabled ? colors.green + 'Yes' : colors.dim + 'No'}${colors.reset}`);
       log('white', `  Patterns File: ${status.patternsFile}`);
+      if (status.loadError) {
+        log('red', `  Load Error: ${status.loadError}`);
+        log('yellow', status.usingLastGood
+          ? '  Using the last rules that loaded'
+          : '  Blocking all checked events until the file is fixed');
+      }
       console.log('');
       log('cyan', 'Event Types:');
       log('white', `  bash: ${status.events.bash ? colors.green + 'ON' : colors.dim + 'OFF'}${colors.reset}`);
@@ -882,6 +771,10 @@ Configuration (config.json):
     case 'patterns':
     case 'rules': {
       const patterns = loadPatterns();
+      if (patterns.loadError) {
+        // Details already printed by loadPatterns
+        process.exit(1);
+      }
       console.log('');
 
       // Show event-based rules first (new format)
@@ -949,7 +842,7 @@ module.exports = {
   ACTIONS,
   // Legacy functions (still supported)
   loadPatterns,
-  parseSimpleYaml,
+  parsePatterns,
   isSafeCommand,
   checkCommand,
   checkPath,
@@ -13,6 +13,7 @@ const {
   fileExists,
   getConfig,
   moveTaskAsync,
+  releaseUnblockedTasksAsync,
   findTask,
   readFile,
   writeJson,
@@ -34,6 +35,7 @@ const { suggestBrowserTests } = require('./flow-browser-suggest');
 
 // v2.2 modular workflow steps
 const { runSteps, getAllSteps } = require('./flow-workflow-steps');
+const { fireTrigger } = require('./flow-workflow-triggers');
 
 // v2.0 durable session support
 const { loadDurableSession, archiveDurableSession } = require('./flow-durable-session');
@@ -293,6 +295,11 @@ async function main() {
       if (process.env.DEBUG) console.error(`[DEBUG] Failed to save failure artifact: ${err.message}`);
     }
 
+    // Workflows with on: gate-failed
+    for (const gate of gateResult.failed) {
+      await fireTrigger('gate-failed', { task: taskId, gate });
+    }
+
     console.log('');
     error('Quality gates failed. Fix issues before completing.');
     console.log(color('dim', 'Tip: Review the error output above or check .workflow/state/last-failure.json'));
@@ -324,6 +331,18 @@ async function main() {
 
   console.log(color('green', `✓ Completed: ${taskId}`));
 
+  // Move blocked tasks whose dependencies are now all completed back to ready
+  if (getConfig().taskQueue?.autoUnblock !== false) {
+    try {
+      const released = await releaseUnblockedTasksAsync();
+      for (const task of released) {
+        console.log(color('green', `✓ Unblocked: ${task.id}${task.title ? ` - ${task.title}` : ''}`));
+      }
+    } catch (e) {
+      warn(`Could not update blocked tasks: ${e.message}`);
+    }
+  }
+
   // v2.0: Archive durable session if one exists for this task
   try {
     const durableSession = loadDurableSession();
@@ -414,6 +433,9 @@ async function main() {
   // Commit if there are changes
   commitChanges(commitMsg);
 
+  // Workflows with on: task-done
+  await fireTrigger('task-done', { task: taskId, title: result.task?.title || taskId });
+
   // v1.9.0: Run regression tests if configured (legacy - skipped if using workflowSteps)
   const config = getConfig();
   const usingWorkflowSteps = config.workflowSteps?.regressionTest?.enabled;
@@ -102,6 +102,8 @@ async function showEntropy(config) {
   console.log(`  Never Accessed:   ${stats.neverAccessed} (${Math.round((stats.neverAccessed / Math.max(1, stats.totalFacts)) * 100)}%)`);
   console.log(`  Low Relevance:    ${stats.lowRelevanceCount} (<30%)`);
   console.log(`  Avg Age:          ${stats.avgAgeDays} days`);
+  console.log(`  Superseded:       ${stats.supersededFacts}`);
+  console.log(`  Open Conflicts:   ${stats.openConflicts > 0 ? color('yellow', stats.openConflicts) : 0}`);
 
   console.log(`\n${color('blue', 'Entropy Components')}`);
   console.log(`  Capacity (30%):      ${Math.round(Math.min(1, stats.totalFacts / stats.maxFacts) * 100)}%`);
@@ -109,6 +111,11 @@ async function showEntropy(config) {
   console.log(`  Never Accessed (25%):${Math.round((stats.totalFacts > 0 ? stats.neverAccessed / stats.totalFacts : 0) * 100)}%`);
   console.log(`  Low Relevance (25%): ${Math.round((stats.totalFacts > 0 ? stats.lowRelevanceCount / stats.totalFacts : 0) * 100)}%`);
 
+  if (stats.openConflicts > 0) {
+    console.log(`\n${color('yellow', `⚠ ${stats.openConflicts} fact(s) contradict each other`)}`);
+    console.log(`  Review: ${color('cyan', './scripts/flow memory conflicts')}`);
+  }
+
   if (stats.needsCompaction) {
     console.log(`\n${color('yellow', '⚠ Memory needs compaction')}`);
     console.log(`  Run: ${color('cyan', './scripts/flow compact-memory')}`);
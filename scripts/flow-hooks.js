@@ -3,7 +3,7 @@
 /**
  * Wogi Flow - CLI Hooks Manager
  *
- * Multi-CLI hook manager supporting Claude Code, Gemini, Codex, etc.
+ * Multi-CLI hook manager supporting Claude Code, Gemini CLI, Codex, etc.
  *
  * Usage:
  *   flow hooks setup           # Install hooks for configured targets
@@ -25,7 +25,8 @@ const {
   error
 } = require('./flow-utils');
 
-const { getAdapter, getAllAdapters, getAvailableAdapters } = require('./hooks/adapters');
+const { getAdapter, getAllAdapters, getAvailableAdapters, CommandWrapperAdapter } = require('./hooks/adapters');
+const { MANAGED_BLOCK_START, MANAGED_BLOCK_END } = require('./hooks/adapters/command-wrapper');
 
 const PROJECT_ROOT = getProjectRoot();
 const HOOK_MARKER = '// WOGI_FLOW_MANAGED_HOOKS';
@@ -95,6 +96,16 @@ function installForTarget(targetName) {
     return installClaudeCodeHooks(adapter, hooksConfig);
   }
 
+  // For Gemini CLI, merge into the project's .gemini/settings.json
+  if (targetName === 'gemini') {
+    return installSettingsHooks(adapter.getConfigPath(), hooksConfig);
+  }
+
+  // For hook-less CLIs (Codex, etc.), write guardrail instructions
+  if (adapter instanceof CommandWrapperAdapter) {
+    return installInstructionsHooks(adapter, hooksConfig);
+  }
+
   // For other CLIs, implement their specific installation
   warn(`  ${targetName} installation not yet implemented`);
   return false;
@@ -104,10 +115,17 @@ function installForTarget(targetName) {
  * Install Claude Code hooks into settings.local.json
  */
 function installClaudeCodeHooks(adapter, hooksConfig) {
-  const configPath = adapter.getLocalConfigPath();
+  return installSettingsHooks(adapter.getLocalConfigPath(), hooksConfig);
+}
+
+/**
+ * Merge hooks into a CLI settings.json file (Claude Code, Gemini CLI)
+ * Existing non-Wogi hooks are backed up and restored on removal.
+ */
+function installSettingsHooks(configPath, hooksConfig) {
   const configDir = path.dirname(configPath);
 
-  // Ensure .claude directory exists
+  // Ensure settings directory exists
   if (!fs.existsSync(configDir)) {
     fs.mkdirSync(configDir, { recursive: true });
   }
@@ -146,6 +164,33 @@ function installClaudeCodeHooks(adapter, hooksConfig) {
   return true;
 }
 
+/**
+ * Write the managed guardrails block into a hook-less CLI's instructions file
+ * (e.g., AGENTS.md for Codex). Replaces an existing managed block in place.
+ */
+function installInstructionsHooks(adapter, hooksConfig) {
+  const configPath = adapter.getConfigPath();
+  const existing = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf-8') : '';
+  const block = hooksConfig.instructions;
+
+  let content;
+  const start = existing.indexOf(MANAGED_BLOCK_START);
+  const end = existing.indexOf(MANAGED_BLOCK_END);
+  if (start !== -1 && end > start) {
+    content = existing.slice(0, start) + block + existing.slice(end + MANAGED_BLOCK_END.length);
+  } else if (existing.trim()) {
+    content = existing.replace(/\s*$/, '\n\n') + block + '\n';
+  } else {
+    content = block + '\n';
+  }
+
+  fs.writeFileSync(configPath, content);
+  console.log(`  ${color('green', '✓')} Guardrails written to ${path.relative(PROJECT_ROOT, configPath)}`);
+  console.log(`  ${color('dim', 'Agent actions are routed through: ./scripts/flow wrap')}`);
+
+  return true;
+}
+
 /**
  * Install hooks for all configured targets
  */
@@ -209,6 +254,14 @@ function removeForTarget(targetName) {
     return removeClaudeCodeHooks(adapter);
   }
 
+  if (targetName === 'gemini') {
+    return removeSettingsHooks(adapter.getConfigPath());
+  }
+
+  if (adapter instanceof CommandWrapperAdapter) {
+    return removeInstructionsHooks(adapter);
+  }
+
   warn(`  ${targetName} removal not yet implemented`);
   return false;
 }
@@ -217,8 +270,13 @@ function removeForTarget(targetName) {
  * Remove Claude Code hooks from settings.local.json
  */
 function removeClaudeCodeHooks(adapter) {
-  const configPath = adapter.getLocalConfigPath();
+  return removeSettingsHooks(adapter.getLocalConfigPath());
+}
 
+/**
+ * Remove Wogi-managed hooks from a CLI settings.json file
+ */
+function removeSettingsHooks(configPath) {
   if (!fs.existsSync(configPath)) {
     console.log(`  ${color('dim', '-')} No config file found`);
     return true;
@@ -267,6 +325,40 @@ function removeClaudeCodeHooks(adapter) {
   }
 }
 
+/**
+ * Remove the managed guardrails block from a hook-less CLI's instructions file
+ */
+function removeInstructionsHooks(adapter) {
+  const configPath = adapter.getConfigPath();
+
+  if (!fs.existsSync(configPath)) {
+    console.log(`  ${color('dim', '-')} No instructions file found`);
+    return true;
+  }
+
+  const content = fs.readFileSync(configPath, 'utf-8');
+  const start = content.indexOf(MANAGED_BLOCK_START);
+  const end = content.indexOf(MANAGED_BLOCK_END);
+  if (start === -1 || end < start) {
+    warn(`  No Wogi Flow guardrails in ${path.basename(configPath)} (skipping)`);
+    return false;
+  }
+
+  const remaining = (content.slice(0, start).replace(/\s*$/, '') +
+    '\n' + content.slice(end + MANAGED_BLOCK_END.length).replace(/^\s*/, '')).trim();
+
+  // Remove the file entirely if we were its only content
+  if (!remaining) {
+    fs.unlinkSync(configPath);
+    console.log(`  ${color('green', '✓')} Removed ${path.basename(configPath)}`);
+  } else {
+    fs.writeFileSync(configPath, remaining + '\n');
+    console.log(`  ${color('green', '✓')} Removed guardrails from ${path.basename(configPath)}`);
+  }
+
+  return true;
+}
+
 /**
  * Remove all hooks
  */
@@ -345,20 +437,31 @@ function showStatus() {
  * Check if hooks are installed for an adapter
  */
 function checkIfInstalled(adapter) {
+  if (adapter instanceof CommandWrapperAdapter) {
+    const configPath = adapter.getConfigPath();
+    return fs.existsSync(configPath) &&
+      fs.readFileSync(configPath, 'utf-8').includes(MANAGED_BLOCK_START);
+  }
+
+  let configPath;
   if (adapter.name === 'claude-code') {
-    const configPath = adapter.getLocalConfigPath();
-    if (!fs.existsSync(configPath)) {
-      return false;
-    }
-    try {
-      const content = fs.readFileSync(configPath, 'utf-8');
-      const config = JSON.parse(content);
-      return config._wogiFlowManaged === true;
-    } catch {
-      return false;
-    }
+    configPath = adapter.getLocalConfigPath();
+  } else if (adapter.name === 'gemini') {
+    configPath = adapter.getConfigPath();
+  } else {
+    return false;
+  }
+
+  if (!fs.existsSync(configPath)) {
+    return false;
+  }
+  try {
+    const content = fs.readFileSync(configPath, 'utf-8');
+    const config = JSON.parse(content);
+    return config._wogiFlowManaged === true;
+  } catch {
+    return false;
   }
-  return false;
 }
 
 // ============================================================
@@ -366,13 +469,10 @@ function checkIfInstalled(adapter) {
 // ============================================================
 
 /**
- * Test a hook with sample input
+ * Sample hook inputs per target CLI
  */
-async function testHook(hookName) {
-  console.log(color('cyan', `🧪 Testing Hook: ${hookName}`));
-  console.log('');
-
-  const testInputs = {
+const TEST_INPUTS = {
+  'claude-code': {
     'session-start': { hook_event_name: 'SessionStart', source: 'startup' },
     'pre-tool-use': {
       hook_event_name: 'PreToolUse',
@@ -387,7 +487,46 @@ async function testHook(hookName) {
     },
     'stop': { hook_event_name: 'Stop' },
     'session-end': { hook_event_name: 'SessionEnd', reason: 'manual' }
-  };
+  },
+  'gemini': {
+    'session-start': { hook_event_name: 'SessionStart', source: 'startup' },
+    'before-tool': {
+      hook_event_name: 'BeforeTool',
+      tool_name: 'replace',
+      tool_input: { file_path: 'src/test.ts' }
+    },
+    'after-tool': {
+      hook_event_name: 'AfterTool',
+      tool_name: 'replace',
+      tool_input: { file_path: 'src/test.ts' },
+      tool_response: { llmContent: 'Successfully modified file' }
+    },
+    'after-agent': { hook_event_name: 'AfterAgent', prompt: 'test', prompt_response: 'done' },
+    'session-end': { hook_event_name: 'SessionEnd', reason: 'exit' }
+  },
+  // Command-wrapper targets take proxy arguments instead of stdin JSON
+  'codex': {
+    'context': ['context'],
+    'exec': ['exec', '--', 'git', 'status', '--short'],
+    'check': ['check', 'src/test.ts'],
+    'validate': ['validate', 'src/test.ts'],
+    'stop': ['stop']
+  }
+};
+
+/**
+ * Test a hook with sample input
+ */
+async function testHook(hookName, target = 'claude-code') {
+  console.log(color('cyan', `🧪 Testing Hook: ${hookName} (${target})`));
+  console.log('');
+
+  const testInputs = TEST_INPUTS[target];
+  if (!testInputs) {
+    error(`No test inputs for target: ${target}`);
+    console.log('Available targets: ' + Object.keys(TEST_INPUTS).join(', '));
+    return;
+  }
 
   const input = testInputs[hookName];
   if (!input) {
@@ -396,23 +535,28 @@ async function testHook(hookName) {
     return;
   }
 
-  console.log('Input:', JSON.stringify(input, null, 2));
+  const isProxy = Array.isArray(input);
+  console.log(isProxy ? `Args: ${input.join(' ')}` : `Input: ${JSON.stringify(input, null, 2)}`);
   console.log('');
 
   // Run the hook
-  const hookPath = path.join(__dirname, 'hooks', 'entry', 'claude-code', `${hookName}.js`);
+  const hookPath = isProxy
+    ? path.join(__dirname, 'hooks', 'entry', 'command-wrapper', 'proxy.js')
+    : path.join(__dirname, 'hooks', 'entry', target, `${hookName}.js`);
   if (!fs.existsSync(hookPath)) {
     error(`Hook script not found: ${hookPath}`);
     return;
   }
 
   const { spawn } = require('child_process');
-  const proc = spawn('node', [hookPath], {
+  const proc = spawn('node', [hookPath, ...(isProxy ? input : [])], {
     cwd: PROJECT_ROOT,
     stdio: ['pipe', 'pipe', 'pipe']
   });
 
-  proc.stdin.write(JSON.stringify(input));
+  if (!isProxy) {
+    proc.stdin.write(JSON.stringify(input));
+  }
   proc.stdin.end();
 
   let stdout = '';
@@ -455,11 +599,12 @@ Usage:
   flow hooks remove --target X  Remove for specific CLI
   flow hooks status             Show hook status
   flow hooks test <hook>        Test a hook
+  flow hooks test <hook> --target X  Test a hook for specific CLI
 
 Available targets:
   claude-code    Claude Code CLI (primary)
-  gemini         Gemini CLI (future)
-  codex          Codex CLI (future)
+  gemini         Gemini CLI (.gemini/settings.json)
+  codex          Codex CLI (AGENTS.md guardrails + flow wrap proxy)
 
 Configuration:
   Configure hooks in .workflow/config.json under "hooks":
@@ -485,6 +630,9 @@ Test hooks:
   flow hooks test post-tool-use
   flow hooks test stop
   flow hooks test session-end
+  flow hooks test before-tool --target gemini
+  flow hooks test after-agent --target gemini
+  flow hooks test exec --target codex
 `);
 }
 
@@ -520,7 +668,7 @@ function main() {
       showStatus();
       break;
     case 'test':
-      testHook(args[1]);
+      testHook(args[1], options.target);
       break;
     case 'help':
     case '--help':
@@ -548,6 +696,10 @@ module.exports = {
   testHook,
   installForTarget,
   removeForTarget,
+  installSettingsHooks,
+  removeSettingsHooks,
+  installInstructionsHooks,
+  removeInstructionsHooks,
   checkIfInstalled
 };
 
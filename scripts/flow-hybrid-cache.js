@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Hybrid Response Cache
+ *
+ * Content-addressed cache for executor responses. Hybrid retries and re-runs
+ * of a plan often resend the same prompt; a cache hit skips the generation.
+ *
+ * Entries live in .workflow/state/hybrid-cache/<key>.json, keyed by a hash of
+ * provider, model, prompt hash and generation params. Entries expire after
+ * hybrid.cache.ttlHours; the least recently used ones are evicted once the
+ * cache grows past hybrid.cache.maxSizeMB.
+ *
+ * Usage as module:
+ *   const cache = require('./flow-hybrid-cache');
+ *   const key = cache.createCacheKey({ provider, model, prompt, params });
+ *   const cached = cache.getCachedResponse(key);
+ *   if (cached === null) cache.setCachedResponse(key, output, { provider, model });
+ *
+ * Usage as CLI:
+ *   flow hybrid cache stats          Show entries, size and hit rate
+ *   flow hybrid cache clear          Remove all cached responses
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  PATHS,
+  getConfig,
+  readJson,
+  writeJson,
+  dirExists,
+  parseFlags,
+  outputJson,
+  color,
+  printHeader,
+  success
+} = require('./flow-utils');
+
+// ============================================================
+// Settings
+// ============================================================
+
+const CACHE_DIR = PATHS.hybridCache;
+const STATS_PATH = path.join(CACHE_DIR, '_stats.json');
+
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_MAX_SIZE_MB = 50;
+
+/**
+ * Cache settings from hybrid.cache
+ * @returns {{ enabled: boolean, ttlMs: number, maxBytes: number }}
+ */
+function getCacheSettings(config = getConfig()) {
+  const cache = config.hybrid?.cache || {};
+
+  return {
+    enabled: cache.enabled !== false,
+    ttlMs: (cache.ttlHours ?? DEFAULT_TTL_HOURS) * 60 * 60 * 1000,
+    maxBytes: (cache.maxSizeMB ?? DEFAULT_MAX_SIZE_MB) * 1024 * 1024
+  };
+}
+
+// ============================================================
+// Keys
+// ============================================================
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Build the cache key for one generation
+ * Params are sorted so { a, b } and { b, a } share a key.
+ *
+ * @param {Object} request
+ * @param {string} request.provider
+ * @param {string} request.model
+ * @param {string} request.prompt
+ * @param {Object} [request.params] - Generation params (temperature, maxTokens, ...)
+ * @returns {string} Hex key
+ */
+function createCacheKey({ provider, model, prompt, params = {} }) {
+  const sortedParams = Object.keys(params).sort()
+    .filter(name => params[name] !== undefined && params[name] !== null)
+    .map(name => [name, params[name]]);
+
+  return sha256(JSON.stringify([provider || '', model || '', sha256(prompt), sortedParams]));
+}
+
+// ============================================================
+// Stats
+// ============================================================
+
+function loadStats() {
+  return readJson(STATS_PATH, { hits: 0, misses: 0, writes: 0, evictions: 0 });
+}
+
+function bumpStats(changes) {
+  try {
+    const stats = loadStats();
+    for (const [name, count] of Object.entries(changes)) {
+      stats[name] = (stats[name] || 0) + count;
+    }
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    writeJson(STATS_PATH, stats);
+  } catch {
+    // Stats are best effort - never fail a generation over them
+  }
+}
+
+// ============================================================
+// Entries
+// ============================================================
+
+function getEntryPath(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * List cache entries with their size and last use (file mtime)
+ */
+function listEntries() {
+  if (!dirExists(CACHE_DIR)) return [];
+
+  return fs.readdirSync(CACHE_DIR)
+    .filter(file => file.endsWith('.json') && !file.startsWith('_'))
+    .map(file => {
+      const filePath = path.join(CACHE_DIR, file);
+      try {
+        const stat = fs.statSync(filePath);
+        return { path: filePath, size: stat.size, usedAt: stat.mtimeMs };
+      } catch {
+        return null; // Removed by a concurrent clear
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Look up a cached response
+ * @param {string} key - From createCacheKey()
+ * @returns {string|null} Cached output, or null on a miss or expired entry
+ */
+function getCachedResponse(key, settings = getCacheSettings()) {
+  if (!settings.enabled) return null;
+
+  const entryPath = getEntryPath(key);
+  const entry = readJson(entryPath, null);
+
+  if (!entry || Date.now() - new Date(entry.createdAt).getTime() > settings.ttlMs) {
+    if (entry) {
+      fs.rmSync(entryPath, { force: true });
+    }
+    bumpStats({ misses: 1 });
+    return null;
+  }
+
+  // Touch the entry so eviction keeps recently used responses
+  try {
+    const now = new Date();
+    fs.utimesSync(entryPath, now, now);
+  } catch {
+    // Ignore - only affects eviction order
+  }
+
+  bumpStats({ hits: 1 });
+  return entry.response;
+}
+
+/**
+ * Store a response, then evict least recently used entries over the size cap
+ * @param {string} key - From createCacheKey()
+ * @param {string} response - Executor output
+ * @param {Object} [meta] - Stored alongside for inspection (provider, model, params)
+ */
+function setCachedResponse(key, response, meta = {}, settings = getCacheSettings()) {
+  if (!settings.enabled || typeof response !== 'string' || !response) return;
+
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    writeJson(getEntryPath(key), {
+      key,
+      ...meta,
+      createdAt: new Date().toISOString(),
+      response
+    });
+    bumpStats({ writes: 1 });
+    evictEntries(settings);
+  } catch {
+    // A failed cache write only costs a future generation
+  }
+}
+
+/**
+ * Remove expired entries, then the least recently used until under maxBytes
+ * @returns {number} Entries removed
+ */
+function evictEntries(settings = getCacheSettings()) {
+  const entries = listEntries().sort((a, b) => a.usedAt - b.usedAt);
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let removed = 0;
+
+  for (const entry of entries) {
+    const expired = Date.now() - entry.usedAt > settings.ttlMs;
+    if (!expired && total <= settings.maxBytes) continue;
+
+    fs.rmSync(entry.path, { force: true });
+    total -= entry.size;
+    removed++;
+  }
+
+  if (removed > 0) {
+    bumpStats({ evictions: removed });
+  }
+  return removed;
+}
+
+/**
+ * Remove all cached responses and reset the stats
+ * @returns {{ removed: number, bytes: number }}
+ */
+function clearCache() {
+  const entries = listEntries();
+  for (const entry of entries) {
+    fs.rmSync(entry.path, { force: true });
+  }
+  fs.rmSync(STATS_PATH, { force: true });
+
+  return {
+    removed: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+  };
+}
+
+/**
+ * Cache size and hit rate
+ */
+function getCacheStats(settings = getCacheSettings()) {
+  const entries = listEntries();
+  const stats = loadStats();
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    enabled: settings.enabled,
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    maxBytes: settings.maxBytes,
+    ttlHours: settings.ttlMs / (60 * 60 * 1000),
+    hits: stats.hits,
+    misses: stats.misses,
+    writes: stats.writes,
+    evictions: stats.evictions,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) : null
+  };
+}
+
+// ============================================================
+// CLI
+// ============================================================
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function printStats(stats) {
+  printHeader('Hybrid Response Cache');
+
+  console.log(`Status:     ${stats.enabled ? color('green', 'enabled') : color('yellow', 'disabled')}`);
+  console.log(`Entries:    ${stats.entries}`);
+  console.log(`Size:       ${formatBytes(stats.bytes)} / ${formatBytes(stats.maxBytes)}`);
+  console.log(`TTL:        ${stats.ttlHours}h`);
+  console.log('');
+  console.log(`Hits:       ${stats.hits}`);
+  console.log(`Misses:     ${stats.misses}`);
+  console.log(`Hit rate:   ${stats.hitRate === null ? color('dim', 'n/a') : `${stats.hitRate}%`}`);
+  console.log(`Evictions:  ${stats.evictions}`);
+  console.log('');
+}
+
+function main() {
+  const { flags, positional } = parseFlags(process.argv.slice(2));
+  const command = flags.help ? 'help' : positional[0] || 'stats';
+
+  switch (command) {
+    case 'stats': {
+      const stats = getCacheStats();
+      if (flags.json) {
+        outputJson(stats);
+      }
+      printStats(stats);
+      break;
+    }
+
+    case 'clear': {
+      const { removed, bytes } = clearCache();
+      if (flags.json) {
+        outputJson({ removed, bytes });
+      }
+      success(`Cleared ${removed} cached response(s) (${formatBytes(bytes)})`);
+      break;
+    }
+
+    default:
+      console.log(`
+Wogi Flow - Hybrid Response Cache
+
+Usage:
+  flow hybrid cache stats [--json]   Show entries, size and hit rate
+  flow hybrid cache clear [--json]   Remove all cached responses
+
+Settings (hybrid.cache in config.json):
+  enabled      Cache executor responses (default: true)
+  ttlHours     Hours before an entry expires (default: ${DEFAULT_TTL_HOURS})
+  maxSizeMB    Size cap; least recently used entries are evicted (default: ${DEFAULT_MAX_SIZE_MB})
+`);
+      if (command !== 'help') process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  getCacheSettings,
+  createCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  evictEntries,
+  clearCache,
+  getCacheStats
+};
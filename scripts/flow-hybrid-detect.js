@@ -3,7 +3,8 @@
 /**
  * Wogi Flow - Local LLM Provider Detection
  *
- * Detects Ollama and LM Studio, lists available models.
+ * Detects Ollama, LM Studio and OpenAI-compatible servers (vLLM,
+ * llama.cpp server, LocalAI), lists available models.
  * Usage:
  *   flow-hybrid-detect providers     # List available providers
  *   flow-hybrid-detect models        # List models for all providers
@@ -12,6 +13,11 @@
 
 const http = require('http');
 const https = require('https');
+const {
+  OpenAICompatibleProvider,
+  getOpenAICompatibleServers,
+  identifyOpenAICompatibleServer
+} = require('./flow-providers');
 
 const PROVIDERS = {
   ollama: {
@@ -39,6 +45,35 @@ const PROVIDERS = {
   }
 };
 
+/**
+ * OpenAI-compatible servers from the provider registry (plus hybrid.openaiCompatible)
+ * Servers sharing a port are told apart by the models' owned_by.
+ */
+function getOpenAICompatibleProviders() {
+  const servers = getOpenAICompatibleServers();
+  const providers = {};
+
+  for (const [id, server] of Object.entries(servers)) {
+    if (!server.endpoint) continue;
+    const sharingEndpoint = Object.entries(servers).filter(([, other]) => other.endpoint === server.endpoint);
+
+    providers[id] = {
+      name: server.name || id,
+      type: 'openai-compatible',
+      defaultEndpoint: server.endpoint,
+      check: async () => {
+        const models = await new OpenAICompatibleProvider({ server: id }).fetchModels(3000);
+        if (identifyOpenAICompatibleServer(sharingEndpoint, models) !== id) {
+          throw new Error('Endpoint is served by another server');
+        }
+        return models.map(m => ({ id: m.id, name: m.name, owned_by: m.ownedBy, contextWindow: m.contextWindow }));
+      }
+    };
+  }
+
+  return providers;
+}
+
 async function fetchJSON(url, timeout = 3000) {
   return new Promise((resolve, reject) => {
     const client = url.startsWith('https') ? https : http;
@@ -61,49 +96,51 @@ async function fetchJSON(url, timeout = 3000) {
   });
 }
 
-async function checkProvider(providerId) {
-  const provider = PROVIDERS[providerId];
+function getAllProviders() {
+  return { ...PROVIDERS, ...getOpenAICompatibleProviders() };
+}
+
+async function checkProvider(providerId, providers = getAllProviders()) {
+  const provider = providers[providerId];
   if (!provider) return null;
 
+  const base = {
+    id: providerId,
+    name: provider.name,
+    ...(provider.type && { type: provider.type }),
+    endpoint: provider.defaultEndpoint
+  };
+
   try {
-    const url = `${provider.defaultEndpoint}${provider.checkPath}`;
-    const data = await fetchJSON(url);
-    const models = provider.parseModels(data);
-
-    return {
-      id: providerId,
-      name: provider.name,
-      endpoint: provider.defaultEndpoint,
-      available: true,
-      models
-    };
+    const models = provider.check
+      ? await provider.check()
+      : provider.parseModels(await fetchJSON(`${provider.defaultEndpoint}${provider.checkPath}`));
+
+    return { ...base, available: true, models };
   } catch (e) {
-    return {
-      id: providerId,
-      name: provider.name,
-      endpoint: provider.defaultEndpoint,
-      available: false,
-      error: e.message
-    };
+    return { ...base, available: false, error: e.message };
   }
 }
 
 async function detectAll() {
+  const providers = getAllProviders();
   const results = await Promise.all(
-    Object.keys(PROVIDERS).map(checkProvider)
+    Object.keys(providers).map(id => checkProvider(id, providers))
   );
   return results;
 }
 
 async function testConnection(endpoint, model) {
   const isOllama = endpoint.includes('11434');
+  // OpenAI-compatible endpoints are often given with their /v1 base path
+  const base = endpoint.replace(/\/+$/, '').replace(/\/v1$/, '');
 
   try {
     if (isOllama) {
       const response = await fetchJSON(`${endpoint}/api/tags`, 5000);
       return { success: true, message: 'Connection successful', models: response.models?.length || 0 };
     } else {
-      const response = await fetchJSON(`${endpoint}/v1/models`);
+      const response = await fetchJSON(`${base}/v1/models`);
       return { success: true, message: 'Connection successful', models: response.data?.length || 0 };
     }
   } catch (e) {
@@ -132,7 +169,7 @@ async function main() {
       }
 
       const allModels = available.flatMap(p =>
-        p.models.map(m => ({ ...m, provider: p.id, endpoint: p.endpoint }))
+        p.models.map(m => ({ ...m, provider: p.id, ...(p.type && { type: p.type }), endpoint: p.endpoint }))
       );
       console.log(JSON.stringify(allModels, null, 2));
       break;
@@ -154,7 +191,8 @@ async function main() {
 Wogi Flow - Local LLM Detection
 
 Commands:
-  providers    List available providers (Ollama, LM Studio)
+  providers    List available providers (Ollama, LM Studio, vLLM,
+               llama.cpp server, LocalAI, hybrid.openaiCompatible)
   models       List all models from available providers
   test <url>   Test connection to endpoint
       `);
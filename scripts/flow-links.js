@@ -24,7 +24,7 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
-const { getProjectRoot, colors: c } = require('./flow-utils');
+const { getProjectRoot, colors: c, parseYaml, parseYamlDocument, stringifyYaml, formatYamlError } = require('./flow-utils');
 
 const PROJECT_ROOT = getProjectRoot();
 const WORKFLOW_DIR = path.join(PROJECT_ROOT, '.workflow');
@@ -45,92 +45,19 @@ const LINK_TYPES = {
   FILE: 'file'
 };
 
-/**
- * Simple YAML parser (for links.yaml)
- */
-function parseYaml(content) {
-  const result = {};
-  let currentSection = null;
-  let currentItem = null;
-
-  const lines = content.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    // Skip comments and empty lines
-    if (!trimmed || trimmed.startsWith('#')) continue;
-
-    // Top-level key (no indent)
-    if (!line.startsWith(' ') && !line.startsWith('\t') && trimmed.includes(':')) {
-      const [key, ...valueParts] = trimmed.split(':');
-      const value = valueParts.join(':').trim();
-
-      if (!value) {
-        // Section header
-        currentSection = key;
-        result[currentSection] = {};
-        currentItem = null;
-      } else {
-        // Simple key-value
-        result[key] = value;
-      }
-    }
-    // Nested item
-    else if (currentSection && trimmed.includes(':')) {
-      const indent = line.match(/^(\s*)/)[1].length;
-      const [key, ...valueParts] = trimmed.split(':');
-      const value = valueParts.join(':').trim();
-
-      if (indent <= 2) {
-        // New item in section
-        currentItem = key;
-        result[currentSection][currentItem] = value || {};
-      } else if (currentItem && typeof result[currentSection][currentItem] === 'object') {
-        // Property of current item
-        result[currentSection][currentItem][key] = value;
-      }
-    }
-  }
-
-  return result;
-}
-
-/**
- * Generate YAML from object
- */
-function toYaml(obj, indent = 0) {
-  let result = '';
-  const spaces = '  '.repeat(indent);
-
-  for (const [key, value] of Object.entries(obj)) {
-    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-      result += `${spaces}${key}:\n`;
-      result += toYaml(value, indent + 1);
-    } else if (Array.isArray(value)) {
-      result += `${spaces}${key}:\n`;
-      for (const item of value) {
-        result += `${spaces}  - ${item}\n`;
-      }
-    } else {
-      result += `${spaces}${key}: ${value}\n`;
-    }
-  }
-
-  return result;
-}
-
 /**
  * Load links from YAML or JSON
+ *
+ * A file that doesn't parse throws, naming the file, line and column,
+ * rather than reading as "no links".
  */
 function loadLinks() {
   // Try YAML first
   if (fs.existsSync(LINKS_PATH)) {
     try {
-      const content = fs.readFileSync(LINKS_PATH, 'utf-8');
-      return parseYaml(content);
-    } catch {
-      // Fall through to JSON
+      return parseYaml(fs.readFileSync(LINKS_PATH, 'utf-8')) || {};
+    } catch (err) {
+      throw new Error(`Invalid ${formatYamlError(err, path.relative(PROJECT_ROOT, LINKS_PATH))}`);
     }
   }
 
@@ -138,8 +65,8 @@ function loadLinks() {
   if (fs.existsSync(LINKS_JSON_PATH)) {
     try {
       return JSON.parse(fs.readFileSync(LINKS_JSON_PATH, 'utf-8'));
-    } catch {
-      return {};
+    } catch (err) {
+      throw new Error(`Invalid ${path.relative(PROJECT_ROOT, LINKS_JSON_PATH)}: ${err.message}`);
     }
   }
 
@@ -148,13 +75,24 @@ function loadLinks() {
 
 /**
  * Save links to YAML
+ *
+ * An existing links.yaml is updated in place so its comments survive;
+ * one that no longer parses is left alone (the parse error is thrown).
  */
 function saveLinks(links) {
-  const yaml = `# Wogi Flow - External Links
-# Reference external resources (docs, designs, issues)
-# Run: flow links fetch <name> to cache content
+  let yaml;
 
-${toYaml(links)}`;
+  if (fs.existsSync(LINKS_PATH)) {
+    yaml = parseYamlDocument(fs.readFileSync(LINKS_PATH, 'utf-8')).setValue(links).toString();
+  } else {
+    yaml = stringifyYaml(links, {
+      header: [
+        'Wogi Flow - External Links',
+        'Reference external resources (docs, designs, issues)',
+        'Run: flow links fetch <name> to cache content'
+      ]
+    });
+  }
 
   fs.writeFileSync(LINKS_PATH, yaml);
 }
@@ -468,7 +406,7 @@ function listLinks() {
   const result = [];
 
   for (const [section, items] of Object.entries(links)) {
-    if (typeof items !== 'object') continue;
+    if (!items || typeof items !== 'object') continue;
 
     for (const [name, data] of Object.entries(items)) {
       const url = typeof data === 'string' ? data : data.url;
@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Workflow MCP Server
+ *
+ * Standalone MCP server exposing the task queue and quality gates, so
+ * MCP-capable editors can list, start and complete tasks without the
+ * bash `flow` dispatcher.
+ *
+ * Tools provided:
+ * - wogi_tasks: List tasks by queue with dependency status (flow-ready.js)
+ * - wogi_task_start: Start a ready task (flow-start.js)
+ * - wogi_task_done: Run quality gates and complete a task (flow-done.js)
+ * - wogi_story_create: Create a story, optionally decomposed (flow-story.js)
+ * - wogi_bug_create: File a bug report (flow-bug.js)
+ * - wogi_gates_run: Run verification gates with structured results (flow-verify.js)
+ *
+ * Task commands run as child node processes: they print progress and call
+ * process.exit, neither of which may happen inside the server. Gates run
+ * in-process since runGates already returns structured results.
+ *
+ * Usage:
+ *   node flow-mcp-server.js          # stdio mode (for MCP clients)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { execFile } = require('child_process');
+
+const { PATHS, findTask } = require('./flow-utils');
+const { runGates, getSummary } = require('./flow-verify');
+
+const SERVER_INFO = { name: 'wogi-flow', version: '1.0.0' };
+
+// Task commands can run tests and hooks; give them room before giving up
+const COMMAND_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Keep tool results readable for the model
+const MAX_OUTPUT_CHARS = 4000;
+
+const TASK_LISTS = ['ready', 'inProgress', 'blocked', 'recentlyCompleted'];
+
+// ============================================================
+// Tool Definitions
+// ============================================================
+
+const TOOLS = [
+  {
+    name: 'wogi_tasks',
+    description: 'List tasks from the queue (ready, inProgress, blocked, recentlyCompleted). Ready tasks are sorted by priority and dependencies.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        list: {
+          type: 'string',
+          enum: TASK_LISTS,
+          description: 'Only return this queue. Default: all queues'
+        }
+      }
+    }
+  },
+  {
+    name: 'wogi_task_start',
+    description: 'Start a task: moves it from ready to inProgress and opens a durable session.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID (e.g. wf-a1b2c3d4)' },
+        ignoreDeps: { type: 'boolean', description: 'Start even if dependencies are unfinished' },
+        forceResume: { type: 'boolean', description: 'Resume a suspended task whose resume condition is met' },
+        skipSuspension: { type: 'boolean', description: 'Start a suspended task without checking its resume condition' }
+      },
+      required: ['taskId']
+    }
+  },
+  {
+    name: 'wogi_task_done',
+    description: 'Complete a task: runs the configured quality gates, then moves it to recentlyCompleted and commits. Returns the failed gates and their errors when blocked.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID' },
+        commitMessage: { type: 'string', description: 'Commit message. Default: "Complete <taskId>"' }
+      },
+      required: ['taskId']
+    }
+  },
+  {
+    name: 'wogi_story_create',
+    description: 'Create a story with acceptance criteria template, optionally decomposed into sub-tasks.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Story title' },
+        feature: { type: 'string', description: 'Feature folder. Default: general' },
+        deep: { type: 'boolean', description: 'Decompose into sub-tasks' },
+        priority: { type: 'string', enum: ['P0', 'P1', 'P2', 'P3', 'P4'] }
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'wogi_bug_create',
+    description: 'File a bug report in .workflow/bugs. Links it to the task in progress unless "from" is given.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Bug title' },
+        from: { type: 'string', description: 'Task ID that discovered the bug' },
+        priority: { type: 'string', enum: ['P0', 'P1', 'P2', 'P3', 'P4'] },
+        severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] }
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'wogi_gates_run',
+    description: 'Run verification gates (lint, typecheck, test, build, format, securityScan) and return parsed errors, warnings and fix suggestions per gate.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        gates: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Gate names. Default: all configured gates'
+        },
+        stopOnFailure: { type: 'boolean', description: 'Stop at the first failing gate' }
+      }
+    }
+  }
+];
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function stripAnsi(text) {
+  return String(text || '').replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+function truncate(text) {
+  return text.length > MAX_OUTPUT_CHARS
+    ? `...${text.slice(-MAX_OUTPUT_CHARS)}`
+    : text;
+}
+
+/**
+ * Run a flow script with node and capture its output
+ */
+function runScript(script, args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [path.join(__dirname, script), ...args], {
+      cwd: PATHS.root,
+      env: { ...process.env, NO_COLOR: '1' },
+      timeout: COMMAND_TIMEOUT_MS,
+      maxBuffer: 10 * 1024 * 1024
+    }, (err, stdout, stderr) => {
+      resolve({
+        exitCode: err ? (typeof err.code === 'number' ? err.code : 1) : 0,
+        timedOut: Boolean(err?.killed),
+        stdout: stripAnsi(stdout),
+        stderr: stripAnsi(stderr)
+      });
+    });
+  });
+}
+
+/**
+ * Run a script that supports --json and return its parsed output
+ */
+async function runJsonScript(script, args) {
+  const run = await runScript(script, [...args, '--json']);
+  try {
+    return JSON.parse(run.stdout);
+  } catch {
+    return {
+      success: false,
+      error: truncate((run.stderr || run.stdout).trim()) || `${script} exited with code ${run.exitCode}`
+    };
+  }
+}
+
+/**
+ * Where a task ended up after a command, for structured results
+ */
+function taskState(taskId) {
+  const found = findTask(taskId);
+  return found
+    ? { list: found.list, task: found.task }
+    : { list: null, task: null };
+}
+
+// ============================================================
+// MCP Handler
+// ============================================================
+
+class WorkflowMCP {
+  constructor() {
+    this.tools = TOOLS;
+  }
+
+  async handleToolCall(name, args) {
+    switch (name) {
+      case 'wogi_tasks':
+        return this.listTasks(args.list);
+      case 'wogi_task_start':
+        return this.startTask(args);
+      case 'wogi_task_done':
+        return this.completeTask(args);
+      case 'wogi_story_create':
+        return this.createStory(args);
+      case 'wogi_bug_create':
+        return this.createBug(args);
+      case 'wogi_gates_run':
+        return this.runGates(args);
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  async listTasks(list) {
+    if (list && !TASK_LISTS.includes(list)) {
+      throw new Error(`Unknown list: ${list} (use ${TASK_LISTS.join(', ')})`);
+    }
+
+    const result = await runJsonScript('flow-ready.js', []);
+    if (list && result.tasks) {
+      result.tasks = { [list]: result.tasks[list] };
+    }
+    return result;
+  }
+
+  async startTask({ taskId, ignoreDeps, forceResume, skipSuspension }) {
+    if (!taskId) throw new Error('taskId is required');
+
+    const args = [taskId];
+    if (ignoreDeps) args.push('--ignore-deps');
+    if (forceResume) args.push('--force-resume');
+    if (skipSuspension) args.push('--skip-suspension');
+
+    const run = await runScript('flow-start.js', args);
+    const state = taskState(taskId);
+
+    return {
+      success: run.exitCode === 0 && state.list === 'inProgress',
+      taskId,
+      ...state,
+      output: truncate((run.stdout + run.stderr).trim())
+    };
+  }
+
+  async completeTask({ taskId, commitMessage }) {
+    if (!taskId) throw new Error('taskId is required');
+
+    const failurePath = path.join(PATHS.state, 'last-failure.json');
+    const failureBefore = fs.existsSync(failurePath) ? fs.statSync(failurePath).mtimeMs : 0;
+
+    const run = await runScript('flow-done.js', commitMessage ? [taskId, commitMessage] : [taskId]);
+    const state = taskState(taskId);
+    const result = {
+      success: run.exitCode === 0 && state.list === 'recentlyCompleted',
+      taskId,
+      ...state,
+      output: truncate((run.stdout + run.stderr).trim())
+    };
+
+    // flow-done records failed gates for self-repair; surface them directly
+    if (!result.success && fs.existsSync(failurePath) && fs.statSync(failurePath).mtimeMs > failureBefore) {
+      try {
+        const failure = JSON.parse(fs.readFileSync(failurePath, 'utf-8'));
+        result.failedGates = failure.failedGates;
+        result.errors = failure.errors;
+      } catch {
+        // Keep the plain output
+      }
+    }
+
+    if (run.timedOut) {
+      result.error = `flow-done timed out after ${COMMAND_TIMEOUT_MS / 1000}s`;
+    }
+    return result;
+  }
+
+  async createStory({ title, feature, deep, priority }) {
+    if (!title) throw new Error('title is required');
+
+    const args = [title, feature || 'general'];
+    if (deep) args.push('--deep');
+    if (priority) args.push('--priority', priority);
+    return runJsonScript('flow-story.js', args);
+  }
+
+  async createBug({ title, from, priority, severity }) {
+    if (!title) throw new Error('title is required');
+
+    const args = [title];
+    if (from) args.push('--from', from);
+    if (priority) args.push('--priority', priority);
+    if (severity) args.push('--severity', severity);
+    return runJsonScript('flow-bug.js', args);
+  }
+
+  async runGates({ gates, stopOnFailure }) {
+    const gateNames = Array.isArray(gates) && gates.length > 0 ? gates : ['all'];
+    const results = await runGates(gateNames, { quiet: true, stopOnFailure: Boolean(stopOnFailure) });
+    const summary = getSummary(results);
+
+    for (const result of summary.results) {
+      if (result.stdout) result.stdout = truncate(result.stdout);
+      if (result.stderr) result.stderr = truncate(result.stderr);
+    }
+    return summary;
+  }
+}
+
+// ============================================================
+// stdio Mode (Standard MCP Protocol)
+// ============================================================
+
+class StdioServer {
+  constructor(handler) {
+    this.handler = handler;
+    this.rl = readline.createInterface({
+      input: process.stdin,
+      terminal: false
+    });
+  }
+
+  send(message) {
+    process.stdout.write(JSON.stringify(message) + '\n');
+  }
+
+  start() {
+    // stdout carries the protocol; anything the flow modules print goes to stderr
+    console.log = console.error;
+
+    this.rl.on('line', async (line) => {
+      if (!line.trim()) return;
+
+      let request;
+      try {
+        request = JSON.parse(line);
+      } catch (e) {
+        this.send({
+          jsonrpc: '2.0',
+          error: { code: -32700, message: 'Parse error', data: e.message },
+          id: null
+        });
+        return;
+      }
+
+      const response = await this.handleRequest(request);
+      // Notifications (no id) get no response
+      if (response && request.id !== undefined) {
+        this.send(response);
+      }
+    });
+
+    console.error('Wogi Flow Workflow MCP Server (stdio mode)');
+  }
+
+  async handleRequest(request) {
+    const { method, params, id } = request;
+
+    try {
+      let result;
+
+      switch (method) {
+        case 'initialize':
+          result = {
+            protocolVersion: params?.protocolVersion || '2024-11-05',
+            capabilities: {
+              tools: {}
+            },
+            serverInfo: SERVER_INFO
+          };
+          break;
+
+        case 'notifications/initialized':
+          return null;
+
+        case 'tools/list':
+          result = { tools: this.handler.tools };
+          break;
+
+        case 'tools/call':
+          try {
+            const toolResult = await this.handler.handleToolCall(
+              params.name,
+              params.arguments || {}
+            );
+            result = {
+              content: [{
+                type: 'text',
+                text: JSON.stringify(toolResult, null, 2)
+              }],
+              ...(toolResult?.success === false && { isError: true })
+            };
+          } catch (e) {
+            result = {
+              content: [{ type: 'text', text: JSON.stringify({ error: e.message }) }],
+              isError: true
+            };
+          }
+          break;
+
+        case 'ping':
+          result = {};
+          break;
+
+        default:
+          return {
+            jsonrpc: '2.0',
+            error: { code: -32601, message: `Unknown method: ${method}` },
+            id
+          };
+      }
+
+      return { jsonrpc: '2.0', result, id };
+
+    } catch (e) {
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32603, message: e.message },
+        id
+      };
+    }
+  }
+}
+
+// ============================================================
+// CLI
+// ============================================================
+
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Wogi Flow - Workflow MCP Server
+
+Usage:
+  node flow-mcp-server.js          # stdio mode (for MCP clients)
+
+Add to your editor's MCP config (Claude Desktop, Cursor, VS Code, ...):
+{
+  "mcpServers": {
+    "wogi-flow": {
+      "command": "node",
+      "args": ["${path.resolve(__dirname, 'flow-mcp-server.js')}"],
+      "cwd": "${PATHS.root}"
+    }
+  }
+}
+    `);
+    return;
+  }
+
+  const server = new StdioServer(new WorkflowMCP());
+  server.start();
+}
+
+module.exports = { WorkflowMCP, StdioServer, TOOLS };
+
+if (require.main === module) {
+  main();
+}
@@ -10,13 +10,20 @@
  * - SQLite database with sql.js
  * - Embeddings via @xenova/transformers
  * - Facts, proposals, and PRD storage
- * - Semantic similarity search
+ * - Semantic similarity search (HNSW index once the store is large)
+ * - Portable JSONL export/import bundles
+ *
+ * Several processes share local.db (the CLI, stdio servers, the HTTP
+ * server). Each operation reloads the file if another process saved it
+ * since, and saves replace the file atomically.
  *
  * Part of v1.8.0 - Consolidated memory storage
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { HnswIndex, DEFAULT_SETTINGS: VECTOR_INDEX_DEFAULTS } = require('./flow-vector-index');
 
 // ============================================================
 // Configuration
@@ -26,6 +33,16 @@ const PROJECT_ROOT = process.env.WOGI_PROJECT_ROOT || process.cwd();
 const WORKFLOW_DIR = path.join(PROJECT_ROOT, '.workflow');
 const MEMORY_DIR = path.join(WORKFLOW_DIR, 'memory');
 const DB_PATH = path.join(MEMORY_DIR, 'local.db');
+const EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Below this many embedded rows an exact scan is fast enough
+const VECTOR_INDEX_MIN_ENTRIES = 500;
+
+// Approximate nearest-neighbour indexes kept next to the database
+const VECTOR_INDEXES = {
+  facts: { table: 'facts', path: path.join(MEMORY_DIR, 'facts.hnsw') },
+  prd: { table: 'prd_chunks', path: path.join(MEMORY_DIR, 'prd.hnsw') }
+};
 
 // ============================================================
 // Database Singleton
@@ -35,6 +52,8 @@ let SQL = null;
 let db = null;
 let embedder = null;
 let initPromise = null;
+let vectorIndexes = {};
+let loadedVersion = null;
 
 /**
  * Ensure directory exists
@@ -49,7 +68,10 @@ function ensureDir(dirPath) {
  * Initialize database (singleton)
  */
 async function initDatabase() {
-  if (db) return db;
+  if (db) {
+    refreshDatabase();
+    return db;
+  }
   if (initPromise) return initPromise;
 
   initPromise = (async () => {
@@ -85,7 +107,12 @@ async function initDatabase() {
         access_count INTEGER DEFAULT 0,
         recall_count INTEGER DEFAULT 0,
         relevance_score REAL DEFAULT 1.0,
-        promoted_to TEXT
+        promoted_to TEXT,
+        task_id TEXT,
+        commit_sha TEXT,
+        file_paths TEXT,
+        supersedes TEXT,
+        superseded_by TEXT
       )
     `);
 
@@ -106,11 +133,31 @@ async function initDatabase() {
         recall_count INTEGER DEFAULT 0,
         relevance_score REAL,
         promoted_to TEXT,
+        task_id TEXT,
+        commit_sha TEXT,
+        file_paths TEXT,
+        supersedes TEXT,
+        superseded_by TEXT,
         archived_at TEXT DEFAULT (datetime('now')),
         archive_reason TEXT
       )
     `);
 
+    // Possible contradictions detected when facts are stored
+    db.run(`
+      CREATE TABLE IF NOT EXISTS fact_conflicts (
+        id TEXT PRIMARY KEY,
+        fact_id TEXT NOT NULL,
+        conflicting_id TEXT NOT NULL,
+        similarity REAL,
+        reason TEXT,
+        status TEXT DEFAULT 'open',
+        resolution TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        resolved_at TEXT
+      )
+    `);
+
     // Memory metrics for tracking entropy over time
     db.run(`
       CREATE TABLE IF NOT EXISTS memory_metrics (
@@ -154,6 +201,15 @@ async function initDatabase() {
       )
     `);
 
+    // Full-text index for keyword search (kept in sync by syncLexicalIndex)
+    db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS memory_fts USING fts4(
+        content, terms, kind, doc_id,
+        notindexed=kind, notindexed=doc_id,
+        tokenize=unicode61 "tokenchars=_"
+      )
+    `);
+
     db.run(`
       CREATE TABLE IF NOT EXISTS sync_state (
         key TEXT PRIMARY KEY,
@@ -168,18 +224,44 @@ async function initDatabase() {
       'ALTER TABLE facts ADD COLUMN access_count INTEGER DEFAULT 0',
       'ALTER TABLE facts ADD COLUMN recall_count INTEGER DEFAULT 0',
       'ALTER TABLE facts ADD COLUMN relevance_score REAL DEFAULT 1.0',
-      'ALTER TABLE facts ADD COLUMN promoted_to TEXT'
+      'ALTER TABLE facts ADD COLUMN promoted_to TEXT',
+      // Provenance and supersession
+      ...['facts', 'facts_cold'].flatMap(table => [
+        `ALTER TABLE ${table} ADD COLUMN task_id TEXT`,
+        `ALTER TABLE ${table} ADD COLUMN commit_sha TEXT`,
+        `ALTER TABLE ${table} ADD COLUMN file_paths TEXT`,
+        `ALTER TABLE ${table} ADD COLUMN supersedes TEXT`,
+        `ALTER TABLE ${table} ADD COLUMN superseded_by TEXT`
+      ]),
+      // Tells the vector index when a row's embedding changed under the same id
+      'ALTER TABLE facts ADD COLUMN embedding_hash TEXT',
+      'ALTER TABLE prd_chunks ADD COLUMN embedding_hash TEXT'
     ];
     for (const migration of migrations) {
       try { db.run(migration); } catch {}
     }
 
+    // New rows start without a hash; re-embedded rows lose theirs, so every
+    // writer (including older versions in other processes) is covered
+    for (const table of ['facts', 'prd_chunks']) {
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS ${table}_embedding_changed
+        AFTER UPDATE OF embedding ON ${table}
+        WHEN NEW.embedding IS NOT OLD.embedding
+        BEGIN
+          UPDATE ${table} SET embedding_hash = NULL WHERE id = NEW.id;
+        END
+      `);
+    }
+
     // Create indexes
     try { db.run('CREATE INDEX IF NOT EXISTS idx_facts_category ON facts(category)'); } catch {}
     try { db.run('CREATE INDEX IF NOT EXISTS idx_facts_scope ON facts(scope)'); } catch {}
     try { db.run('CREATE INDEX IF NOT EXISTS idx_facts_model ON facts(model)'); } catch {}
     try { db.run('CREATE INDEX IF NOT EXISTS idx_facts_relevance ON facts(relevance_score)'); } catch {}
     try { db.run('CREATE INDEX IF NOT EXISTS idx_facts_accessed ON facts(last_accessed)'); } catch {}
+    try { db.run('CREATE INDEX IF NOT EXISTS idx_facts_task ON facts(task_id)'); } catch {}
+    try { db.run('CREATE INDEX IF NOT EXISTS idx_fact_conflicts_status ON fact_conflicts(status)'); } catch {}
     try { db.run('CREATE INDEX IF NOT EXISTS idx_facts_cold_archived ON facts_cold(archived_at)'); } catch {}
     try { db.run('CREATE INDEX IF NOT EXISTS idx_proposals_status ON proposals(status)'); } catch {}
     try { db.run('CREATE INDEX IF NOT EXISTS idx_prd_prd_id ON prd_chunks(prd_id)'); } catch {}
@@ -191,14 +273,42 @@ async function initDatabase() {
   return initPromise;
 }
 
+/**
+ * Identity of the database file on disk, to notice saves by other processes
+ */
+function fileVersion() {
+  try {
+    const stat = fs.statSync(DB_PATH);
+    return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reload the database if another process saved it since this one last
+ * read or wrote it, so a long-running server never writes back stale data
+ */
+function refreshDatabase() {
+  const version = fileVersion();
+  if (!db || !version || version === loadedVersion) return;
+
+  db.close();
+  db = new SQL.Database(fs.readFileSync(DB_PATH));
+  loadedVersion = version;
+  vectorIndexes = {};
+}
+
 /**
  * Save database to disk
+ * Written to a temp file and renamed, so readers never see a partial file
  */
 function saveDatabase() {
   if (!db) return;
-  const data = db.export();
-  const buffer = Buffer.from(data);
-  fs.writeFileSync(DB_PATH, buffer);
+  const tmpPath = `${DB_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, Buffer.from(db.export()));
+  fs.renameSync(tmpPath, DB_PATH);
+  loadedVersion = fileVersion();
 }
 
 /**
@@ -210,6 +320,8 @@ function closeDatabase() {
     db.close();
     db = null;
     initPromise = null;
+    vectorIndexes = {};
+    loadedVersion = null;
   }
 }
 
@@ -230,7 +342,7 @@ async function getEmbedder() {
   if (!embedder) {
     try {
       const { pipeline } = await import('@xenova/transformers');
-      embedder = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
+      embedder = await pipeline('feature-extraction', EMBEDDING_MODEL);
       embeddingsAvailable = true;
     } catch (e) {
       if (e.code === 'ERR_MODULE_NOT_FOUND' || e.code === 'MODULE_NOT_FOUND') {
@@ -271,6 +383,299 @@ function cosineSimilarity(a, b) {
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
+// ============================================================
+// Vector Index
+// ============================================================
+
+/**
+ * Vector index settings from config.json (memory.vectorIndex)
+ */
+function getVectorIndexSettings() {
+  let settings = {};
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(WORKFLOW_DIR, 'config.json'), 'utf-8'));
+    settings = config.memory?.vectorIndex || {};
+  } catch {
+    // No config - use defaults
+  }
+
+  return {
+    enabled: settings.enabled !== false,
+    minEntries: settings.minEntries ?? VECTOR_INDEX_MIN_ENTRIES,
+    M: settings.M || VECTOR_INDEX_DEFAULTS.M,
+    efConstruction: settings.efConstruction || VECTOR_INDEX_DEFAULTS.efConstruction,
+    efSearch: settings.efSearch || VECTOR_INDEX_DEFAULTS.efSearch
+  };
+}
+
+const EMBEDDED_ROWS = "embedding IS NOT NULL AND embedding NOT IN ('null', '[]', '')";
+
+/**
+ * Hash of a stored embedding, kept in embedding_hash
+ */
+function hashEmbedding(json) {
+  return crypto.createHash('sha1').update(json).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fill in embedding_hash for rows stored or re-embedded since the last sync
+ */
+function hashNewEmbeddings(table) {
+  const rows = queryToRows(db.exec(`SELECT id, embedding FROM ${table} WHERE embedding_hash IS NULL AND ${EMBEDDED_ROWS}`));
+  for (const row of rows) {
+    db.run(`UPDATE ${table} SET embedding_hash = ? WHERE id = ?`, [hashEmbedding(row.embedding), row.id]);
+  }
+}
+
+/**
+ * Bring a vector index up to date with its table and return it.
+ *
+ * The index is diffed against the table's ids and embedding hashes, so rows
+ * added, removed or re-embedded since the last run (including by other
+ * processes) are applied incrementally; only those rows have their
+ * embeddings loaded.
+ *
+ * Returns null when the index is disabled or the table is small enough for
+ * an exact scan.
+ */
+function syncVectorIndex(name) {
+  const { table, path: indexPath } = VECTOR_INDEXES[name];
+  const settings = getVectorIndexSettings();
+  if (!settings.enabled) return null;
+
+  hashNewEmbeddings(table);
+  const hashes = new Map(queryToRows(db.exec(`SELECT id, embedding_hash FROM ${table} WHERE ${EMBEDDED_ROWS}`))
+    .map(row => [row.id, row.embedding_hash]));
+  const ids = [...hashes.keys()];
+  if (ids.length === 0 || ids.length < settings.minEntries) return null;
+
+  let index = vectorIndexes[name] || HnswIndex.load(indexPath);
+  let changed = false;
+
+  if (index) {
+    for (const id of index.keys()) {
+      if (hashes.get(id) !== index.tagOf(id)) {
+        index.remove(id);
+        changed = true;
+      }
+    }
+  }
+
+  const missing = index ? ids.filter(id => !index.has(id)) : ids;
+
+  // Batches stay well under SQLite's bound parameter limit
+  for (let i = 0; i < missing.length; i += 500) {
+    const batch = missing.slice(i, i + 500);
+    const rows = queryToRows(db.exec(
+      `SELECT id, embedding FROM ${table} WHERE id IN (${batch.map(() => '?').join(', ')})`,
+      batch
+    ));
+
+    for (const row of rows) {
+      const embedding = jsonToEmbedding(row.embedding);
+      if (!Array.isArray(embedding) || embedding.length === 0) continue;
+
+      if (!index) {
+        index = new HnswIndex({ ...settings, dimensions: embedding.length });
+      }
+      // Rows from a different embedding model can't be compared anyway
+      if (embedding.length !== index.dimensions) continue;
+
+      index.add(row.id, embedding, hashes.get(row.id));
+      changed = true;
+    }
+  }
+
+  if (!index) return null;
+
+  if (index.needsCompaction()) {
+    index = index.compact();
+    changed = true;
+  }
+  if (changed) {
+    index.save(indexPath);
+  }
+
+  vectorIndexes[name] = index;
+  return index;
+}
+
+/**
+ * Nearest rows to a query embedding from the vector index, as a Map of
+ * id -> similarity (nearest first), or null to fall back to an exact scan.
+ */
+function searchVectorIndex(name, queryEmbedding, k) {
+  const index = syncVectorIndex(name);
+  if (!index || index.dimensions !== queryEmbedding.length) return null;
+
+  const hits = index.search(queryEmbedding, k, { ef: Math.max(index.efSearch, k) });
+  return hits.length > 0 ? new Map(hits.map(hit => [hit.id, hit.similarity])) : null;
+}
+
+// ============================================================
+// Lexical Search (BM25)
+// ============================================================
+
+// Sources covered by the memory_fts full-text index
+const LEXICAL_SOURCES = {
+  fact: { table: 'facts', text: 'fact' },
+  prd: { table: 'prd_chunks', text: "COALESCE(section, '') || ' ' || COALESCE(content, '')" },
+  proposal: { table: 'proposals', text: "rule || ' ' || COALESCE(rationale, '')" }
+};
+
+// BM25 parameters and per-column weights (content, identifier parts)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const BM25_COLUMN_WEIGHTS = [1.0, 0.5];
+
+/**
+ * Split identifiers into their parts so "auth token" finds useAuthToken
+ * and "module not found" finds ERR_MODULE_NOT_FOUND
+ */
+function identifierParts(text) {
+  const parts = [];
+  for (const word of String(text || '').match(/[\p{L}\p{N}_$]+/gu) || []) {
+    const split = word
+      .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_$]+/)
+      .filter(Boolean);
+    if (split.length > 1) {
+      parts.push(...split.map(p => p.toLowerCase()));
+    }
+  }
+  return parts;
+}
+
+/**
+ * Bring memory_fts up to date with facts, PRD chunks and proposals.
+ * Rows are diffed by id and indexed text, like the vector index, so every
+ * writer stays covered and edited rows are reindexed.
+ */
+function syncLexicalIndex() {
+  let changed = 0;
+
+  for (const [kind, source] of Object.entries(LEXICAL_SOURCES)) {
+    // Removed rows (no text) and rows whose text changed since they were indexed
+    db.run(`
+      DELETE FROM memory_fts WHERE kind = ? AND content IS NOT (
+        SELECT ${source.text} FROM ${source.table} WHERE ${source.table}.id = memory_fts.doc_id
+      )
+    `, [kind]);
+    changed += db.getRowsModified();
+
+    const missing = queryToRows(db.exec(`
+      SELECT id, ${source.text} AS text FROM ${source.table}
+      WHERE id NOT IN (SELECT doc_id FROM memory_fts WHERE kind = ?)
+    `, [kind]));
+
+    for (const row of missing) {
+      db.run(
+        'INSERT INTO memory_fts (content, terms, kind, doc_id) VALUES (?, ?, ?, ?)',
+        [row.text, identifierParts(row.text).join(' '), kind, row.id]
+      );
+    }
+    changed += missing.length;
+  }
+
+  if (changed > 0) saveDatabase();
+  return changed;
+}
+
+/**
+ * Build an FTS4 MATCH expression: any query word or identifier part
+ */
+function buildMatchQuery(query) {
+  const words = (String(query || '').match(/[\p{L}\p{N}_]+/gu) || []).map(w => w.toLowerCase());
+  const terms = [...new Set([...words, ...identifierParts(query)])]
+    .filter(term => term.length > 1)
+    .slice(0, 32);
+
+  return terms.length > 0 ? terms.map(term => `"${term}"`).join(' OR ') : null;
+}
+
+/**
+ * Okapi BM25 from FTS4 matchinfo('pcnalx'), plus coverage: the idf-weighted
+ * share of query terms the row contains (0-1, comparable across queries)
+ */
+function bm25Score(matchinfo) {
+  const info = new Uint32Array(Uint8Array.from(matchinfo).buffer);
+  const [phrases, columns, totalDocs] = info;
+  const avgLength = info.subarray(3, 3 + columns);
+  const docLength = info.subarray(3 + columns, 3 + columns * 2);
+  const hits = info.subarray(3 + columns * 2);
+  let score = 0;
+  let matchedIdf = 0;
+  let totalIdf = 0;
+
+  for (let p = 0; p < phrases; p++) {
+    let termIdf = 0;
+    let matched = false;
+
+    BM25_COLUMN_WEIGHTS.forEach((weight, c) => {
+      const offset = 3 * (p * columns + c);
+      const termFrequency = hits[offset];
+      const docsWithTerm = hits[offset + 2];
+      const idf = Math.log((totalDocs - docsWithTerm + 0.5) / (docsWithTerm + 0.5) + 1);
+      termIdf = Math.max(termIdf, idf);
+      if (termFrequency === 0) return;
+
+      matched = true;
+      const lengthNorm = 1 - BM25_B + BM25_B * (docLength[c] / (avgLength[c] || 1));
+      score += weight * idf * (termFrequency * (BM25_K1 + 1)) / (termFrequency + BM25_K1 * lengthNorm);
+    });
+
+    totalIdf += termIdf;
+    if (matched) matchedIdf += termIdf;
+  }
+
+  return { score, coverage: totalIdf > 0 ? matchedIdf / totalIdf : 0 };
+}
+
+/**
+ * Keyword search over memory with BM25 ranking
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string[]} [options.kinds] - Any of 'fact', 'prd', 'proposal' (default: all)
+ * @param {number} [options.limit]
+ * @returns {Array<{kind: string, id: string, score: number, coverage: number}>} Best match first
+ */
+function searchLexical(query, { kinds = Object.keys(LEXICAL_SOURCES), limit = 20 } = {}) {
+  const match = buildMatchQuery(query);
+  if (!match || kinds.length === 0) return [];
+
+  syncLexicalIndex();
+
+  const rows = queryToRows(db.exec(`
+    SELECT kind, doc_id, matchinfo(memory_fts, 'pcnalx') AS info
+    FROM memory_fts
+    WHERE memory_fts MATCH ? AND kind IN (${kinds.map(() => '?').join(', ')})
+  `, [match, ...kinds]));
+
+  return rows
+    .map(row => ({ kind: row.kind, id: row.doc_id, ...bm25Score(row.info) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Reciprocal rank fusion: each ranking contributes 1 / (k + rank)
+ *
+ * @param {string[][]} rankings - Lists of ids, best first
+ * @param {number} [k] - Damping constant (60 in the original paper)
+ * @returns {Map<string, number>} id -> fused score, best first
+ */
+function fuseRankings(rankings, k = 60) {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((id, rank) => {
+      scores.set(id, (scores.get(id) || 0) + 1 / (k + rank + 1));
+    });
+  }
+  return new Map([...scores].sort((a, b) => b[1] - a[1]));
+}
+
 // ============================================================
 // Utility Functions
 // ============================================================
@@ -307,70 +712,136 @@ function queryToRows(result) {
 
 /**
  * Store a fact
+ *
+ * Provenance defaults to the task in progress and the current HEAD commit.
+ * Existing facts that look like contradictions are recorded in
+ * fact_conflicts and returned; the fact is stored either way.
+ *
+ * @param {Object} options
+ * @param {string} options.fact
+ * @param {string} [options.taskId] - Task the fact came from
+ * @param {string} [options.commitSha] - Commit the fact was learned at
+ * @param {string[]} [options.filePaths] - Files the fact is about
+ * @param {string} [options.supersedes] - ID of a fact this one replaces
  */
-async function storeFact({ fact, category, scope, model, sourceContext }) {
+async function storeFact({ fact, category, scope, model, sourceContext, taskId, commitSha, filePaths, supersedes }) {
   await initDatabase();
+  if (supersedes && queryToRows(db.exec('SELECT id FROM facts WHERE id = ?', [supersedes])).length === 0) {
+    throw new Error(`Fact not found: ${supersedes}`);
+  }
+
   const id = generateId('fact');
   const embedding = await getEmbedding(fact);
+  const provenance = resolveProvenance({ taskId, commitSha });
 
   db.run(`
-    INSERT INTO facts (id, fact, category, scope, model, embedding, source_context)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `, [id, fact, category || 'general', scope || 'local', model || null, embeddingToJson(embedding), sourceContext || null]);
+    INSERT INTO facts (id, fact, category, scope, model, embedding, source_context,
+      task_id, commit_sha, file_paths)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [id, fact, category || 'general', scope || 'local', model || null, embeddingToJson(embedding), sourceContext || null,
+      provenance.taskId, provenance.commitSha, filePaths?.length ? JSON.stringify(filePaths) : null]);
+
+  if (supersedes) {
+    markSuperseded(supersedes, id);
+  }
   saveDatabase();
 
-  return { id, stored: true };
+  if (embedding) {
+    syncVectorIndex('facts');
+  }
+
+  const conflicts = detectContradictions({ id, fact, embedding, exclude: supersedes });
+
+  return {
+    id,
+    stored: true,
+    ...(supersedes && { supersedes }),
+    ...(conflicts.length > 0 && { conflicts })
+  };
 }
 
 /**
- * Search facts by similarity (with access tracking)
- * Falls back to text search if embeddings are not available
+ * Search facts (with access tracking)
+ *
+ * Hybrid ranking: embedding similarity (vector index for large stores, exact
+ * scan otherwise) fused with BM25 keyword matches by reciprocal rank fusion,
+ * so exact identifiers and error codes are found even when embeddings are
+ * unavailable or rank them poorly.
  */
 async function searchFacts({ query, category, model, scope, limit = 10, trackAccess = true }) {
   await initDatabase();
   const queryEmbedding = await getEmbedding(query);
+  const filtered = Boolean(category || model || scope);
+  // Each ranking contributes a deeper pool than the final limit
+  const pool = Math.max(limit * 3, 20);
 
-  let sql = 'SELECT * FROM facts WHERE 1=1';
-  const params = [];
+  const selectFacts = (candidateIds) => {
+    let sql = 'SELECT * FROM facts WHERE superseded_by IS NULL';
+    const params = [];
 
-  if (category) {
-    sql += ' AND category = ?';
-    params.push(category);
-  }
-  if (model) {
-    sql += ' AND model = ?';
-    params.push(model);
-  }
-  if (scope) {
-    sql += ' AND scope = ?';
-    params.push(scope);
-  }
+    if (category) {
+      sql += ' AND category = ?';
+      params.push(category);
+    }
+    if (model) {
+      sql += ' AND model = ?';
+      params.push(model);
+    }
+    if (scope) {
+      sql += ' AND scope = ?';
+      params.push(scope);
+    }
+    if (candidateIds) {
+      sql += ` AND id IN (${candidateIds.map(() => '?').join(', ')})`;
+      params.push(...candidateIds);
+    }
 
-  const result = db.exec(sql, params);
-  const facts = queryToRows(result);
+    return queryToRows(db.exec(sql, params));
+  };
+
+  const similarityTo = f => cosineSimilarity(queryEmbedding, f.embedding ? jsonToEmbedding(f.embedding) : []);
 
-  // Calculate similarity and rank
-  let ranked;
+  // Semantic ranking
+  let semantic = [];
   if (queryEmbedding) {
-    // Semantic search with embeddings
-    ranked = facts.map(f => {
-      const embedding = f.embedding ? jsonToEmbedding(f.embedding) : [];
-      const similarity = cosineSimilarity(queryEmbedding, embedding);
-      return { ...f, similarity, embedding: undefined };
-    }).sort((a, b) => b.similarity - a.similarity).slice(0, limit);
-  } else {
-    // Fallback: simple text matching when embeddings unavailable
-    const queryLower = query.toLowerCase();
-    const queryWords = queryLower.split(/\s+/).filter(w => w.length > 2);
-    ranked = facts.map(f => {
-      const factLower = f.fact.toLowerCase();
-      // Score based on word matches
-      const matches = queryWords.filter(w => factLower.includes(w)).length;
-      const similarity = queryWords.length > 0 ? matches / queryWords.length : 0;
-      return { ...f, similarity, embedding: undefined };
-    }).sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+    // Over-fetch when filtering, since filters discard some nearest neighbours
+    let candidates = searchVectorIndex('facts', queryEmbedding, filtered ? pool * 5 : pool);
+    let facts = selectFacts(candidates ? [...candidates.keys()] : null);
+
+    if (candidates && filtered && facts.length < limit) {
+      candidates = null;
+      facts = selectFacts(null);
+    }
+
+    semantic = facts
+      .map(f => ({ ...f, similarity: candidates ? candidates.get(f.id) : similarityTo(f) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, pool);
   }
 
+  // Lexical ranking (BM25)
+  const lexicalHits = searchLexical(query, { kinds: ['fact'], limit: filtered ? pool * 5 : pool });
+  const coverage = new Map(lexicalHits.map(hit => [hit.id, hit.coverage]));
+  const rows = new Map(semantic.map(f => [f.id, f]));
+
+  const lexicalOnly = lexicalHits.map(hit => hit.id).filter(id => !rows.has(id));
+  if (lexicalOnly.length > 0) {
+    for (const f of selectFacts(lexicalOnly)) {
+      rows.set(f.id, { ...f, similarity: queryEmbedding ? similarityTo(f) : 0 });
+    }
+  }
+
+  const fused = fuseRankings([
+    semantic.map(f => f.id),
+    lexicalHits.map(hit => hit.id).filter(id => rows.has(id))
+  ]);
+
+  const ranked = [...fused.keys()].slice(0, limit).map(id => ({
+    ...rows.get(id),
+    embedding: undefined,
+    keyword: coverage.get(id) || 0
+  }));
+
   // Track access for returned facts (strategic forgetting support)
   if (trackAccess && ranked.length > 0) {
     for (const fact of ranked) {
@@ -388,15 +859,95 @@ async function searchFacts({ query, category, model, scope, limit = 10, trackAcc
     saveDatabase();
   }
 
-  return ranked.map(({ id, fact, category, scope, model, similarity, created_at, relevance_score, access_count }) => ({
+  return ranked.map(({ id, fact, category, scope, model, similarity, keyword, created_at, relevance_score, access_count, ...row }) => ({
     id, fact, category, scope, model,
-    relevance: Math.round(similarity * 100),
+    relevance: Math.round(Math.max(similarity || 0, keyword) * 100),
+    matchedBy: [similarity > 0 && 'semantic', keyword > 0 && 'keyword'].filter(Boolean),
     storedRelevance: Math.round((relevance_score || 1.0) * 100),
     accessCount: access_count || 0,
-    createdAt: created_at
+    createdAt: created_at,
+    ...formatProvenance(row)
   }));
 }
 
+/**
+ * Hybrid search across facts, PRD chunks and proposals (flow memory search).
+ * Facts are ranked by searchFacts; PRD chunks combine embedding and keyword
+ * candidates; proposals are matched by keyword. Results are ordered by
+ * relevance across kinds.
+ *
+ * @param {Object} options
+ * @param {string} options.query
+ * @param {string[]} [options.kinds] - Any of 'fact', 'prd', 'proposal'
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{kind: string, id: string, text: string, relevance: number, matchedBy: string[]}>>}
+ */
+async function searchMemory({ query, kinds = Object.keys(LEXICAL_SOURCES), limit = 10 }) {
+  await initDatabase();
+  const pool = Math.max(limit * 3, 20);
+  const results = [];
+
+  if (kinds.includes('fact')) {
+    const facts = await searchFacts({ query, limit, trackAccess: false });
+    results.push(...facts.map(f => ({
+      kind: 'fact', id: f.id, text: f.fact, category: f.category,
+      relevance: f.relevance, matchedBy: f.matchedBy
+    })));
+  }
+
+  const lexicalKinds = kinds.filter(kind => kind !== 'fact');
+  const lexicalHits = searchLexical(query, { kinds: lexicalKinds, limit: pool });
+  const coverage = new Map(lexicalHits.map(hit => [hit.id, hit.coverage]));
+  const hitIds = kind => lexicalHits.filter(hit => hit.kind === kind).map(hit => hit.id);
+  const selectByIds = (table, ids) => ids.length > 0
+    ? queryToRows(db.exec(`SELECT * FROM ${table} WHERE id IN (${ids.map(() => '?').join(', ')})`, ids))
+    : [];
+
+  if (kinds.includes('prd')) {
+    const queryEmbedding = await getEmbedding(query);
+    const semantic = new Map();
+
+    if (queryEmbedding) {
+      const candidates = searchVectorIndex('prd', queryEmbedding, pool);
+      if (candidates) {
+        candidates.forEach((similarity, id) => semantic.set(id, similarity));
+      } else {
+        queryToRows(db.exec('SELECT id, embedding FROM prd_chunks'))
+          .map(c => [c.id, cosineSimilarity(queryEmbedding, c.embedding ? jsonToEmbedding(c.embedding) : [])])
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, pool)
+          .forEach(([id, similarity]) => semantic.set(id, similarity));
+      }
+    }
+
+    const ids = [...new Set([...semantic.keys(), ...hitIds('prd')])];
+    for (const chunk of selectByIds('prd_chunks', ids)) {
+      const similarity = semantic.get(chunk.id) || 0;
+      const keyword = coverage.get(chunk.id) || 0;
+      results.push({
+        kind: 'prd', id: chunk.id, text: chunk.content, section: chunk.section, prdId: chunk.prd_id,
+        relevance: Math.round(Math.max(similarity, keyword) * 100),
+        matchedBy: [similarity > 0 && 'semantic', keyword > 0 && 'keyword'].filter(Boolean)
+      });
+    }
+  }
+
+  if (kinds.includes('proposal')) {
+    for (const proposal of selectByIds('proposals', hitIds('proposal'))) {
+      results.push({
+        kind: 'proposal', id: proposal.id, text: proposal.rule, category: proposal.category, status: proposal.status,
+        relevance: Math.round((coverage.get(proposal.id) || 0) * 100),
+        matchedBy: ['keyword']
+      });
+    }
+  }
+
+  return results
+    .filter(result => result.relevance > 0)
+    .sort((a, b) => b.relevance - a.relevance)
+    .slice(0, limit);
+}
+
 /**
  * Delete a fact
  */
@@ -413,7 +964,8 @@ async function deleteFact(factId) {
  */
 async function getAllFacts({ scope } = {}) {
   await initDatabase();
-  let sql = 'SELECT id, fact, category, scope, model, source_context, created_at FROM facts';
+  let sql = `SELECT id, fact, category, scope, model, source_context, created_at,
+    task_id, commit_sha, file_paths, supersedes, superseded_by FROM facts`;
   const params = [];
   if (scope) {
     sql += ' WHERE scope = ?';
@@ -423,6 +975,293 @@ async function getAllFacts({ scope } = {}) {
   return queryToRows(result);
 }
 
+// ============================================================
+// Provenance & Contradictions
+// ============================================================
+
+// Words that flip the meaning of an otherwise similar fact
+const NEGATION_CUES = /\b(?:not|never|no|none|nothing|avoid|avoids|avoided|stop|stopped|without|instead|disable|disabled|disables|deprecated|forbid|forbidden|forbids|prohibit|prohibited|dont|doesnt|didnt|isnt|arent|wasnt|shouldnt|mustnt|cannot|cant|wont|neither|nor)\b|n't\b/gi;
+
+// Words ignored when comparing what two facts are about
+const COMPARISON_STOPWORDS = new Set([
+  'a', 'an', 'the', 'to', 'of', 'in', 'on', 'for', 'with', 'and', 'or', 'is', 'are', 'be', 'by',
+  'we', 'you', 'it', 'this', 'that', 'should', 'must', 'always', 'do', 'does', 'use', 'using', 'when'
+]);
+
+/**
+ * Contradiction detection settings from config.json (memory.contradictions)
+ */
+function getContradictionSettings() {
+  let settings = {};
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(WORKFLOW_DIR, 'config.json'), 'utf-8'));
+    settings = config.memory?.contradictions || {};
+  } catch {
+    // No config - use defaults
+  }
+
+  return {
+    enabled: settings.enabled !== false,
+    similarityThreshold: settings.similarityThreshold ?? 0.8,
+    overlapThreshold: settings.overlapThreshold ?? 0.75,
+    maxCandidates: settings.maxCandidates || 10
+  };
+}
+
+/**
+ * Fill in provenance the caller did not supply: the single task in
+ * progress (ready.json) and the current HEAD commit
+ */
+function resolveProvenance({ taskId, commitSha }) {
+  if (!taskId) {
+    try {
+      const ready = JSON.parse(fs.readFileSync(path.join(WORKFLOW_DIR, 'state', 'ready.json'), 'utf-8'));
+      const inProgress = ready.inProgress || [];
+      if (inProgress.length === 1) {
+        taskId = typeof inProgress[0] === 'string' ? inProgress[0] : inProgress[0].id;
+      }
+    } catch {
+      // No task queue
+    }
+  }
+
+  if (!commitSha) {
+    try {
+      const { execFileSync } = require('child_process');
+      commitSha = execFileSync('git', ['rev-parse', 'HEAD'], {
+        cwd: PROJECT_ROOT,
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        timeout: 2000
+      }).trim();
+    } catch {
+      // Not a git repository, or no commits yet
+    }
+  }
+
+  return { taskId: taskId || null, commitSha: commitSha || null };
+}
+
+/**
+ * Provenance fields of a facts row, as returned to callers
+ */
+function formatProvenance(row) {
+  let filePaths = [];
+  try { filePaths = row.file_paths ? JSON.parse(row.file_paths) : []; } catch {}
+
+  return {
+    taskId: row.task_id || null,
+    commitSha: row.commit_sha || null,
+    filePaths,
+    supersedes: row.supersedes || null,
+    supersededBy: row.superseded_by || null
+  };
+}
+
+/**
+ * Content words and negation count of a fact
+ */
+function analyzeStatement(text) {
+  const lower = String(text || '').toLowerCase();
+  const negations = (lower.match(NEGATION_CUES) || []).length;
+  const words = lower
+    .replace(NEGATION_CUES, ' ')
+    .match(/[\p{L}\p{N}_$]+/gu) || [];
+
+  return {
+    negated: negations % 2 === 1,
+    words: new Set(words.filter(w => w.length > 1 && !COMPARISON_STOPWORDS.has(w)))
+  };
+}
+
+/**
+ * Share of the smaller fact's content words that the other fact also uses
+ * (a fact with one content word, like "Use lodash", overlaps fully or not at all)
+ */
+function wordOverlap(a, b) {
+  const smaller = a.size <= b.size ? a : b;
+  const larger = smaller === a ? b : a;
+  if (smaller.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of smaller) {
+    if (larger.has(word)) shared++;
+  }
+  return shared / smaller.size;
+}
+
+/**
+ * Find active facts that say the opposite of a newly stored fact and record
+ * them as open conflicts. Two facts conflict when they are about the same
+ * thing (embedding similarity, or content-word overlap without embeddings)
+ * but only one of them is negated ("use X" vs "never use X").
+ */
+function detectContradictions({ id, fact, embedding, exclude }) {
+  const settings = getContradictionSettings();
+  if (!settings.enabled) return [];
+
+  const statement = analyzeStatement(fact);
+  const candidates = new Map();
+
+  if (embedding) {
+    const nearest = searchVectorIndex('facts', embedding, settings.maxCandidates + 1);
+    const rows = nearest
+      ? queryToRows(db.exec(
+        `SELECT id, fact, embedding FROM facts WHERE id IN (${[...nearest.keys()].map(() => '?').join(', ')})`,
+        [...nearest.keys()]
+      ))
+      : queryToRows(db.exec(`SELECT id, fact, embedding FROM facts WHERE ${EMBEDDED_ROWS}`));
+    for (const row of rows) candidates.set(row.id, row);
+  }
+
+  const lexicalHits = searchLexical(fact, { kinds: ['fact'], limit: settings.maxCandidates });
+  const lexicalIds = lexicalHits.map(hit => hit.id).filter(hitId => !candidates.has(hitId));
+  if (lexicalIds.length > 0) {
+    const rows = queryToRows(db.exec(
+      `SELECT id, fact, embedding FROM facts WHERE id IN (${lexicalIds.map(() => '?').join(', ')})`,
+      lexicalIds
+    ));
+    for (const row of rows) candidates.set(row.id, row);
+  }
+
+  const superseded = new Set(queryToRows(db.exec('SELECT id FROM facts WHERE superseded_by IS NOT NULL')).map(r => r.id));
+  const conflicts = [];
+
+  for (const candidate of candidates.values()) {
+    if (candidate.id === id || candidate.id === exclude || superseded.has(candidate.id)) continue;
+
+    const other = analyzeStatement(candidate.fact);
+    if (other.negated === statement.negated) continue;
+
+    const otherEmbedding = candidate.embedding ? jsonToEmbedding(candidate.embedding) : [];
+    let similarity;
+    let reason;
+    if (embedding && otherEmbedding.length > 0) {
+      similarity = cosineSimilarity(embedding, otherEmbedding);
+      if (similarity < settings.similarityThreshold) continue;
+      reason = 'semantic-negation';
+    } else {
+      similarity = wordOverlap(statement.words, other.words);
+      if (similarity < settings.overlapThreshold) continue;
+      reason = 'keyword-negation';
+    }
+
+    conflicts.push({ factId: candidate.id, fact: candidate.fact, similarity: Math.round(similarity * 100) / 100, reason });
+  }
+
+  conflicts.sort((a, b) => b.similarity - a.similarity);
+  for (const conflict of conflicts) {
+    conflict.conflictId = generateId('conflict');
+    db.run(`
+      INSERT INTO fact_conflicts (id, fact_id, conflicting_id, similarity, reason)
+      VALUES (?, ?, ?, ?, ?)
+    `, [conflict.conflictId, id, conflict.factId, conflict.similarity, conflict.reason]);
+  }
+  if (conflicts.length > 0) saveDatabase();
+
+  return conflicts;
+}
+
+/**
+ * Mark a fact as replaced by a newer one. Superseded facts stay in the
+ * database for provenance but are no longer recalled, and every open
+ * conflict involving the old fact is closed.
+ */
+function markSuperseded(oldId, newId) {
+  db.run(`UPDATE facts SET superseded_by = ?, updated_at = datetime('now') WHERE id = ?`, [newId, oldId]);
+  if (db.getRowsModified() === 0) {
+    throw new Error(`Fact not found: ${oldId}`);
+  }
+  db.run(`UPDATE facts SET supersedes = ?, updated_at = datetime('now') WHERE id = ?`, [oldId, newId]);
+
+  db.run(`
+    UPDATE fact_conflicts SET status = 'resolved', resolution = 'superseded', resolved_at = datetime('now')
+    WHERE status = 'open' AND (fact_id = ? OR conflicting_id = ?)
+  `, [oldId, oldId]);
+}
+
+/**
+ * Record that an existing fact replaces another
+ */
+async function supersedeFact(oldId, newId) {
+  await initDatabase();
+  markSuperseded(oldId, newId);
+  saveDatabase();
+  return { superseded: oldId, by: newId };
+}
+
+/**
+ * List detected contradictions (flow memory conflicts).
+ * Conflicts whose facts were since deleted or demoted are left out.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'open' (default), 'resolved' or 'all'
+ */
+async function getFactConflicts({ status = 'open' } = {}) {
+  await initDatabase();
+
+  let sql = `
+    SELECT c.id, c.status, c.similarity, c.reason, c.resolution, c.created_at, c.resolved_at,
+      n.id AS new_id, n.fact AS new_fact, n.task_id AS new_task, n.commit_sha AS new_commit, n.created_at AS new_created,
+      o.id AS old_id, o.fact AS old_fact, o.task_id AS old_task, o.commit_sha AS old_commit, o.created_at AS old_created
+    FROM fact_conflicts c
+    JOIN facts n ON n.id = c.fact_id
+    JOIN facts o ON o.id = c.conflicting_id
+  `;
+  const params = [];
+  if (status !== 'all') {
+    sql += ' WHERE c.status = ?';
+    params.push(status);
+  }
+  sql += ' ORDER BY c.created_at DESC';
+
+  return queryToRows(db.exec(sql, params)).map(row => ({
+    id: row.id,
+    status: row.status,
+    similarity: row.similarity,
+    reason: row.reason,
+    resolution: row.resolution || null,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at || null,
+    fact: { id: row.new_id, fact: row.new_fact, taskId: row.new_task, commitSha: row.new_commit, createdAt: row.new_created },
+    conflictsWith: { id: row.old_id, fact: row.old_fact, taskId: row.old_task, commitSha: row.old_commit, createdAt: row.old_created }
+  }));
+}
+
+/**
+ * Resolve a detected contradiction
+ *
+ * @param {string} conflictId
+ * @param {string} choice - 'keep-new' (newer fact supersedes the older),
+ *   'keep-existing' (older fact supersedes the newer) or 'keep-both'
+ */
+async function resolveFactConflict(conflictId, choice) {
+  await initDatabase();
+  const conflict = queryToRows(db.exec('SELECT * FROM fact_conflicts WHERE id = ?', [conflictId]))[0];
+  if (!conflict) throw new Error(`Conflict not found: ${conflictId}`);
+  if (conflict.status !== 'open') throw new Error(`Conflict ${conflictId} is already resolved`);
+
+  switch (choice) {
+    case 'keep-new':
+      markSuperseded(conflict.conflicting_id, conflict.fact_id);
+      break;
+    case 'keep-existing':
+      markSuperseded(conflict.fact_id, conflict.conflicting_id);
+      break;
+    case 'keep-both':
+      db.run(`
+        UPDATE fact_conflicts SET status = 'resolved', resolution = 'kept-both', resolved_at = datetime('now')
+        WHERE id = ?
+      `, [conflictId]);
+      break;
+    default:
+      throw new Error(`Unknown resolution: ${choice} (use keep-new, keep-existing or keep-both)`);
+  }
+
+  saveDatabase();
+  return { resolved: true, id: conflictId, choice };
+}
+
 // ============================================================
 // Proposals Operations
 // ============================================================
@@ -601,6 +1440,7 @@ async function storePRD({ content, prdId, fileName }) {
   }
 
   saveDatabase();
+  syncVectorIndex('prd');
 
   return {
     prdId,
@@ -611,50 +1451,75 @@ async function storePRD({ content, prdId, fileName }) {
 
 /**
  * Get PRD context for a task
+ * Uses the vector index for large stores, an exact scan otherwise.
  * Falls back to text search if embeddings are not available
  */
 async function getPRDContext({ query, maxTokens = 2000, prdId }) {
   await initDatabase();
   const queryEmbedding = await getEmbedding(query);
 
-  let sql = 'SELECT * FROM prd_chunks';
-  const params = [];
-  if (prdId) {
-    sql += ' WHERE prd_id = ?';
-    params.push(prdId);
+  const selectChunks = (candidateIds) => {
+    const conditions = [];
+    const params = [];
+    if (prdId) {
+      conditions.push('prd_id = ?');
+      params.push(prdId);
+    }
+    if (candidateIds) {
+      conditions.push(`id IN (${candidateIds.map(() => '?').join(', ')})`);
+      params.push(...candidateIds);
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    return queryToRows(db.exec(`SELECT * FROM prd_chunks${where}`, params));
+  };
+
+  // Enough nearest chunks to fill the token budget even with the shortest chunks (30 chars)
+  const neededChunks = Math.ceil((maxTokens * 4) / 30);
+  let candidates = queryEmbedding
+    ? searchVectorIndex('prd', queryEmbedding, prdId ? neededChunks * 5 : neededChunks)
+    : null;
+  let chunks = selectChunks(candidates ? [...candidates.keys()] : null);
+
+  if (candidates && chunks.length === 0) {
+    candidates = null;
+    chunks = selectChunks(null);
   }
 
-  const result = db.exec(sql, params);
-  const chunks = queryToRows(result);
+  // Keyword matches, including chunks the vector index didn't return
+  const lexicalHits = searchLexical(query, { kinds: ['prd'], limit: prdId ? neededChunks * 5 : neededChunks });
+  const coverage = new Map(lexicalHits.map(hit => [hit.id, hit.coverage]));
+  const loaded = new Set(chunks.map(c => c.id));
+  const lexicalOnly = lexicalHits.map(hit => hit.id).filter(id => !loaded.has(id));
+  if (lexicalOnly.length > 0) {
+    chunks.push(...selectChunks(lexicalOnly));
+  }
 
   if (chunks.length === 0) return null;
 
-  // Calculate similarity and rank
-  let ranked;
-  if (queryEmbedding) {
-    // Semantic search with embeddings
-    ranked = chunks.map(c => {
-      const embedding = c.embedding ? jsonToEmbedding(c.embedding) : [];
-      const similarity = cosineSimilarity(queryEmbedding, embedding);
-      return { ...c, similarity };
-    });
-  } else {
-    // Fallback: simple text matching when embeddings unavailable
-    const queryLower = query.toLowerCase();
-    const queryWords = queryLower.split(/\s+/).filter(w => w.length > 2);
-    ranked = chunks.map(c => {
-      const contentLower = c.content.toLowerCase();
-      const matches = queryWords.filter(w => contentLower.includes(w)).length;
-      const similarity = queryWords.length > 0 ? matches / queryWords.length : 0;
-      return { ...c, similarity };
-    });
-  }
+  // Similarity is the stronger of the semantic and keyword signals
+  const ranked = chunks.map(c => {
+    let semantic = 0;
+    if (queryEmbedding) {
+      semantic = candidates?.has(c.id)
+        ? candidates.get(c.id)
+        : cosineSimilarity(queryEmbedding, c.embedding ? jsonToEmbedding(c.embedding) : []);
+    }
+    return { ...c, semantic, similarity: Math.max(semantic, coverage.get(c.id) || 0) };
+  });
+
+  const ids = new Set(ranked.map(c => c.id));
+  const fused = fuseRankings([
+    queryEmbedding ? [...ranked].sort((a, b) => b.semantic - a.semantic).map(c => c.id) : [],
+    lexicalHits.map(hit => hit.id).filter(id => ids.has(id))
+  ]);
 
-  // Sort by similarity, then by type priority
+  // Sort by fused rank, then by type priority
   const typePriority = { constraint: 0, criteria: 1, goal: 2, technical: 3, description: 4, list: 5 };
   ranked.sort((a, b) => {
-    if (Math.abs(a.similarity - b.similarity) > 0.1) return b.similarity - a.similarity;
-    return (typePriority[a.chunk_type] || 99) - (typePriority[b.chunk_type] || 99);
+    const difference = (fused.get(b.id) || 0) - (fused.get(a.id) || 0);
+    if (difference !== 0) return difference;
+    return (typePriority[a.chunk_type] ?? 99) - (typePriority[b.chunk_type] ?? 99);
   });
 
   // Build context within token limit
@@ -678,7 +1543,7 @@ async function getPRDContext({ query, maxTokens = 2000, prdId }) {
 
   return {
     context: context.trim(),
-    topRelevance: ranked[0] ? Math.round(ranked[0].similarity * 100) : 0
+    topRelevance: ranked.length > 0 ? Math.round(Math.max(...ranked.map(c => c.similarity)) * 100) : 0
   };
 }
 
@@ -804,6 +1669,13 @@ async function getEntropyStats(config = {}) {
     FROM facts
   `);
   const lowRelevanceCount = count('SELECT COUNT(*) FROM facts WHERE relevance_score < 0.3');
+  const supersededFacts = count('SELECT COUNT(*) FROM facts WHERE superseded_by IS NOT NULL');
+  const openConflicts = count(`
+    SELECT COUNT(*) FROM fact_conflicts c
+    JOIN facts n ON n.id = c.fact_id
+    JOIN facts o ON o.id = c.conflicting_id
+    WHERE c.status = 'open'
+  `);
 
   // Calculate entropy score (0-1, higher = needs cleanup)
   const capacityRatio = Math.min(1, totalFacts / maxFacts);
@@ -826,6 +1698,8 @@ async function getEntropyStats(config = {}) {
     avgRelevance: Math.round(avgRelevance * 100) / 100,
     avgAgeDays: Math.round(avgAgeDays * 10) / 10,
     lowRelevanceCount,
+    supersededFacts,
+    openConflicts,
     entropy: Math.round(entropy * 1000) / 1000,
     needsCompaction: entropy > 0.7,
     status: entropy < 0.4 ? 'healthy' : entropy < 0.7 ? 'moderate' : 'needs_cleanup'
@@ -868,10 +1742,10 @@ async function demoteToColdStorage(config = {}) {
   await initDatabase();
   const relevanceThreshold = config.relevanceThreshold || 0.3;
 
-  // Find facts to demote (low relevance, not promoted anywhere)
+  // Find facts to demote (low relevance or superseded, not promoted anywhere)
   const result = db.exec(`
     SELECT * FROM facts
-    WHERE relevance_score < ?
+    WHERE (relevance_score < ? OR superseded_by IS NOT NULL)
       AND (promoted_to IS NULL OR promoted_to = '')
   `, [relevanceThreshold]);
   const toDemote = queryToRows(result);
@@ -882,11 +1756,14 @@ async function demoteToColdStorage(config = {}) {
     db.run(`
       INSERT INTO facts_cold (id, fact, category, scope, model, embedding, source_context,
         created_at, updated_at, last_accessed, access_count, recall_count,
-        relevance_score, promoted_to, archived_at, archive_reason)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), 'low_relevance')
+        relevance_score, promoted_to, task_id, commit_sha, file_paths, supersedes, superseded_by,
+        archived_at, archive_reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?)
     `, [fact.id, fact.fact, fact.category, fact.scope, fact.model, fact.embedding,
         fact.source_context, fact.created_at, fact.updated_at, fact.last_accessed,
-        fact.access_count, fact.recall_count, fact.relevance_score, fact.promoted_to]);
+        fact.access_count, fact.recall_count, fact.relevance_score, fact.promoted_to,
+        fact.task_id, fact.commit_sha, fact.file_paths, fact.supersedes, fact.superseded_by,
+        fact.superseded_by ? 'superseded' : 'low_relevance']);
 
     // Delete from active facts
     db.run('DELETE FROM facts WHERE id = ?', [fact.id]);
@@ -922,7 +1799,7 @@ async function mergeSimilarFacts(config = {}) {
   await initDatabase();
   const similarityThreshold = config.mergeSimilarityThreshold || 0.95;
 
-  const result = db.exec('SELECT id, fact, embedding, relevance_score FROM facts');
+  const result = db.exec('SELECT id, fact, embedding, relevance_score FROM facts WHERE superseded_by IS NULL');
   const facts = queryToRows(result);
 
   const merged = [];
@@ -1017,6 +1894,7 @@ async function getPromotionCandidates(config = {}) {
     WHERE relevance_score >= ?
       AND access_count >= ?
       AND (promoted_to IS NULL OR promoted_to = '')
+      AND superseded_by IS NULL
     ORDER BY relevance_score DESC, access_count DESC
   `, [minRelevance, minAccessCount]);
 
@@ -1039,10 +1917,12 @@ async function restoreFromColdStorage(factId) {
   // Insert back into active facts with boosted relevance
   db.run(`
     INSERT INTO facts (id, fact, category, scope, model, embedding, source_context,
-      created_at, updated_at, last_accessed, access_count, recall_count, relevance_score, promoted_to)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'), ?, ?, 0.5, ?)
+      created_at, updated_at, last_accessed, access_count, recall_count, relevance_score, promoted_to,
+      task_id, commit_sha, file_paths, supersedes, superseded_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'), ?, ?, 0.5, ?, ?, ?, ?, ?, ?)
   `, [fact.id, fact.fact, fact.category, fact.scope, fact.model, fact.embedding,
-      fact.source_context, fact.created_at, fact.access_count, fact.recall_count, fact.promoted_to]);
+      fact.source_context, fact.created_at, fact.access_count, fact.recall_count, fact.promoted_to,
+      fact.task_id, fact.commit_sha, fact.file_paths, fact.supersedes, fact.superseded_by]);
 
   // Remove from cold storage
   db.run('DELETE FROM facts_cold WHERE id = ?', [factId]);
@@ -1051,6 +1931,225 @@ async function restoreFromColdStorage(factId) {
   return { restored: true };
 }
 
+// ============================================================
+// Export / Import
+// ============================================================
+
+// Bump when the bundle layout changes incompatibly
+const BUNDLE_FORMAT = 'wogi-memory';
+const BUNDLE_VERSION = 1;
+
+// Bundle record type for each exportable table; conflicts come after the
+// facts they reference
+const BUNDLE_TABLES = {
+  facts: 'fact',
+  facts_cold: 'fact_cold',
+  proposals: 'proposal',
+  prd_chunks: 'prd_chunk',
+  fact_conflicts: 'fact_conflict'
+};
+
+// Tables whose rows carry a scope
+const SCOPED_TABLES = new Set(['facts', 'facts_cold']);
+
+// Tables whose rows carry an embedding, and the column it is computed from
+const EMBEDDED_TABLES = { facts: 'fact', facts_cold: 'fact', prd_chunks: 'content' };
+
+// Columns of fact_conflicts holding fact ids
+const CONFLICT_FACT_COLUMNS = ['fact_id', 'conflicting_id'];
+
+function tableColumns(table) {
+  return queryToRows(db.exec(`PRAGMA table_info(${table})`)).map(col => col.name);
+}
+
+/**
+ * Export memory as bundle records: a header followed by one record per row.
+ * Serialised one record per line, this is the JSONL written by
+ * `flow memory export`.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.tables] - Subset of facts, facts_cold, proposals, prd_chunks, fact_conflicts
+ * @param {string} [options.scope] - Only facts with this scope (and conflicts between them)
+ * @param {boolean} [options.includeEmbeddings=true] - Omit to keep bundles small; they are recomputed on import
+ * @returns {Promise<Array<Object>>}
+ */
+async function exportMemory({ tables = Object.keys(BUNDLE_TABLES), scope, includeEmbeddings = true } = {}) {
+  await initDatabase();
+  const unknown = tables.filter(table => !BUNDLE_TABLES[table]);
+  if (unknown.length > 0) throw new Error(`Unknown table: ${unknown.join(', ')}`);
+
+  const records = [];
+  const counts = {};
+
+  for (const table of tables) {
+    let sql = `SELECT * FROM ${table}`;
+    const params = [];
+    if (scope && SCOPED_TABLES.has(table)) {
+      sql += ' WHERE scope = ?';
+      params.push(scope);
+    } else if (scope && table === 'fact_conflicts') {
+      sql += ` WHERE ${CONFLICT_FACT_COLUMNS.map(column =>
+        `${column} IN (SELECT id FROM facts WHERE scope = ? UNION SELECT id FROM facts_cold WHERE scope = ?)`
+      ).join(' AND ')}`;
+      params.push(scope, scope, scope, scope);
+    }
+    sql += ' ORDER BY created_at, id';
+
+    const rows = queryToRows(db.exec(sql, params));
+    counts[table] = rows.length;
+
+    for (const row of rows) {
+      const data = { ...row };
+      delete data.embedding_hash; // Derived; recomputed after import
+      if ('embedding' in data) {
+        const embedding = includeEmbeddings && data.embedding ? jsonToEmbedding(data.embedding) : null;
+        if (embedding && embedding.length > 0) {
+          data.embedding = embedding;
+        } else {
+          delete data.embedding;
+        }
+      }
+      records.push({ type: BUNDLE_TABLES[table], data });
+    }
+  }
+
+  return [
+    {
+      type: 'header',
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      // Names the model only when the bundle carries embeddings from it
+      embeddingModel: records.some(record => Array.isArray(record.data.embedding)) ? EMBEDDING_MODEL : null,
+      scope: scope || null,
+      counts
+    },
+    ...records
+  ];
+}
+
+/**
+ * Import bundle records produced by exportMemory.
+ *
+ * Rows whose id already exists are skipped, as are facts whose text matches
+ * an existing fact exactly; conflicts follow such facts to the existing id
+ * and are skipped when a fact they name isn't there. Missing embeddings, or
+ * embeddings from another model, are recomputed when embeddings are
+ * available. Every record is checked and embedded before anything is
+ * written, and the rows are written in one transaction, so a bad bundle
+ * imports nothing. Afterwards near-duplicate facts are merged with
+ * mergeSimilarFacts.
+ *
+ * @param {Array<Object>} records - Header first, then row records
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Only import facts with this scope
+ * @param {boolean} [options.merge=true] - Merge near-duplicate facts after import
+ * @param {number} [options.mergeSimilarityThreshold] - Passed to mergeSimilarFacts
+ * @returns {Promise<{imported: Object, skipped: Object, merged: number}>}
+ */
+async function importMemory(records, { scope, merge = true, mergeSimilarityThreshold } = {}) {
+  await initDatabase();
+
+  const [header, ...rows] = records;
+  if (!header || header.type !== 'header' || header.format !== BUNDLE_FORMAT) {
+    throw new Error('Not a memory bundle (missing wogi-memory header)');
+  }
+  if (header.version > BUNDLE_VERSION) {
+    throw new Error(`Memory bundle version ${header.version} is newer than supported version ${BUNDLE_VERSION}`);
+  }
+
+  const tableByType = Object.fromEntries(Object.entries(BUNDLE_TABLES).map(([table, type]) => [type, table]));
+  const reuseEmbeddings = header.embeddingModel === EMBEDDING_MODEL;
+  const columns = {};
+  const imported = {};
+  const skipped = {};
+  const inserts = [];
+
+  // Fact text -> id, and bundle fact id -> the id it is stored under here
+  const factIdByText = new Map(queryToRows(db.exec('SELECT id, fact FROM facts UNION ALL SELECT id, fact FROM facts_cold'))
+    .map(row => [row.fact.trim().toLowerCase(), row.id]));
+  const factIds = new Map();
+  const bundleIds = {};
+
+  for (const record of rows) {
+    const table = tableByType[record.type];
+    if (!table || !record.data || !record.data.id) {
+      throw new Error(`Invalid memory bundle record: ${JSON.stringify(record).slice(0, 80)}`);
+    }
+
+    imported[table] = imported[table] || 0;
+    skipped[table] = skipped[table] || 0;
+    bundleIds[table] = bundleIds[table] || new Set();
+    const data = { ...record.data };
+    delete data.embedding_hash;
+
+    if (table === 'fact_conflicts') {
+      for (const column of CONFLICT_FACT_COLUMNS) {
+        data[column] = factIds.get(data[column]) || data[column];
+      }
+    }
+
+    const existingFactId = SCOPED_TABLES.has(table) ? factIdByText.get(String(data.fact).trim().toLowerCase()) : null;
+    const isDuplicate = bundleIds[table].has(data.id) || Boolean(existingFactId) ||
+      queryToRows(db.exec(`SELECT id FROM ${table} WHERE id = ?`, [data.id])).length > 0;
+    const isOutOfScope = scope && SCOPED_TABLES.has(table) && data.scope !== scope;
+    const isDangling = table === 'fact_conflicts' && CONFLICT_FACT_COLUMNS.some(column => !factIds.has(data[column]) &&
+      queryToRows(db.exec('SELECT id FROM facts WHERE id = ? UNION SELECT id FROM facts_cold WHERE id = ?', [data[column], data[column]])).length === 0);
+
+    if (existingFactId && !isOutOfScope) {
+      factIds.set(data.id, existingFactId);
+    }
+    if (isOutOfScope || isDuplicate || isDangling) {
+      skipped[table]++;
+      continue;
+    }
+
+    if (EMBEDDED_TABLES[table]) {
+      const embedding = reuseEmbeddings && Array.isArray(data.embedding) && data.embedding.length > 0
+        ? data.embedding
+        : await getEmbedding(data[EMBEDDED_TABLES[table]]);
+      data.embedding = embedding ? embeddingToJson(embedding) : null;
+    }
+
+    // Only columns this database knows, so bundles from newer versions still import
+    columns[table] = columns[table] || tableColumns(table);
+    const names = columns[table].filter(name => data[name] !== undefined);
+    inserts.push([
+      `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      names.map(name => data[name])
+    ]);
+
+    bundleIds[table].add(data.id);
+    if (SCOPED_TABLES.has(table)) {
+      factIdByText.set(String(data.fact).trim().toLowerCase(), data.id);
+      factIds.set(data.id, data.id);
+    }
+    imported[table]++;
+  }
+
+  db.run('BEGIN');
+  try {
+    for (const [sql, params] of inserts) {
+      db.run(sql, params);
+    }
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+
+  saveDatabase();
+  syncVectorIndex('facts');
+  syncVectorIndex('prd');
+
+  let merged = 0;
+  if (merge && imported.facts > 0) {
+    merged = (await mergeSimilarFacts({ mergeSimilarityThreshold })).merged;
+  }
+
+  return { imported, skipped, merged };
+}
+
 // ============================================================
 // Exports
 // ============================================================
@@ -1065,12 +2164,27 @@ module.exports = {
   getEmbedding,
   cosineSimilarity,
 
+  // Vector index
+  syncVectorIndex,
+  getVectorIndexSettings,
+
+  // Lexical search
+  syncLexicalIndex,
+  searchLexical,
+  fuseRankings,
+
   // Facts
   storeFact,
   searchFacts,
+  searchMemory,
   deleteFact,
   getAllFacts,
 
+  // Provenance & contradictions
+  supersedeFact,
+  getFactConflicts,
+  resolveFactConflict,
+
   // Proposals
   createProposal,
   getProposals,
@@ -1104,6 +2218,10 @@ module.exports = {
   getPromotionCandidates,
   restoreFromColdStorage,
 
+  // Export / Import
+  exportMemory,
+  importMemory,
+
   // Paths
   DB_PATH,
   MEMORY_DIR
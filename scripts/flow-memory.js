@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Memory CLI
+ *
+ * Command-line access to the local memory database.
+ *
+ * Commands:
+ *   ./scripts/flow memory search "<query>"              - Search facts, PRDs and proposals
+ *   ./scripts/flow memory search "<query>" --kind fact  - Only one kind (fact, prd, proposal)
+ *   ./scripts/flow memory search "<query>" --limit 20   - More results
+ *   ./scripts/flow memory search "<query>" --json       - JSON output
+ *   ./scripts/flow memory conflicts                     - List contradicting facts
+ *   ./scripts/flow memory conflicts resolve <id> <keep-new|keep-existing|keep-both>
+ *   ./scripts/flow memory export [file.jsonl]           - Export a portable JSONL bundle
+ *   ./scripts/flow memory import <file.jsonl>           - Import a bundle, merging duplicates
+ *
+ * Search is hybrid: BM25 keyword matches (exact identifiers and error
+ * codes) fused with embedding similarity when @xenova/transformers is
+ * installed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const memoryDb = require('./flow-memory-db');
+
+// ============================================================
+// Output Formatting
+// ============================================================
+
+function color(c, text) {
+  const colors = {
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    gray: '\x1b[90m',
+    reset: '\x1b[0m'
+  };
+  return `${colors[c] || ''}${text}${colors.reset}`;
+}
+
+function formatRelevance(relevance) {
+  const label = `${String(relevance).padStart(3)}%`;
+  if (relevance >= 70) return color('green', label);
+  if (relevance >= 40) return color('yellow', label);
+  return color('gray', label);
+}
+
+const KIND_LABELS = { fact: 'fact', prd: 'prd ', proposal: 'prop' };
+
+// ============================================================
+// Commands
+// ============================================================
+
+/**
+ * Hybrid search across memory
+ */
+async function search(query, { kinds, limit, json }) {
+  const results = await memoryDb.searchMemory({ query, kinds, limit });
+
+  if (json) {
+    console.log(JSON.stringify({ query, results }, null, 2));
+    return results;
+  }
+
+  console.log(color('cyan', `\nMemory search: "${query}"`));
+  console.log('═'.repeat(70));
+
+  if (results.length === 0) {
+    console.log(color('gray', 'No matching facts, PRD chunks or proposals.\n'));
+    return results;
+  }
+
+  for (const result of results) {
+    const text = result.text.replace(/\s+/g, ' ');
+    const detail = result.kind === 'prd'
+      ? `${result.prdId} › ${result.section}`
+      : [result.category, result.status].filter(Boolean).join(' | ');
+
+    console.log(`  ${formatRelevance(result.relevance)} ${color('cyan', KIND_LABELS[result.kind])} ${text.length > 80 ? text.slice(0, 77) + '...' : text}`);
+    console.log(color('gray', `        ${result.id} · ${detail || 'general'} · ${result.matchedBy.join(' + ')}`));
+  }
+
+  console.log('');
+  return results;
+}
+
+/**
+ * List contradictions detected when facts were stored
+ */
+async function listConflicts({ all, json }) {
+  const conflicts = await memoryDb.getFactConflicts({ status: all ? 'all' : 'open' });
+
+  if (json) {
+    console.log(JSON.stringify({ conflicts }, null, 2));
+    return conflicts;
+  }
+
+  console.log(color('cyan', `\nFact conflicts${all ? '' : ' (open)'}`));
+  console.log('═'.repeat(70));
+
+  if (conflicts.length === 0) {
+    console.log(color('green', 'No contradicting facts.\n'));
+    return conflicts;
+  }
+
+  const describe = f => [f.createdAt, f.taskId, f.commitSha && f.commitSha.slice(0, 7)].filter(Boolean).join(' · ');
+
+  for (const conflict of conflicts) {
+    const state = conflict.status === 'open'
+      ? color('yellow', 'open')
+      : color('gray', `resolved: ${conflict.resolution}`);
+    console.log(`\n  ${color('cyan', conflict.id)} [${state}] ${Math.round(conflict.similarity * 100)}% similar (${conflict.reason})`);
+    console.log(`    new:      ${conflict.fact.fact}`);
+    console.log(color('gray', `              ${conflict.fact.id} · ${describe(conflict.fact)}`));
+    console.log(`    existing: ${conflict.conflictsWith.fact}`);
+    console.log(color('gray', `              ${conflict.conflictsWith.id} · ${describe(conflict.conflictsWith)}`));
+  }
+
+  if (conflicts.some(c => c.status === 'open')) {
+    console.log(`\nResolve with: ${color('cyan', './scripts/flow memory conflicts resolve <id> keep-new|keep-existing|keep-both')}`);
+  }
+  console.log('');
+  return conflicts;
+}
+
+/**
+ * Resolve a contradiction; the losing fact is superseded
+ */
+async function resolveConflict(id, choice, { json }) {
+  const result = await memoryDb.resolveFactConflict(id, choice);
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(color('green', `✓ Resolved ${id} (${choice})`));
+  }
+  return result;
+}
+
+/**
+ * Export memory to a JSONL bundle (stdout when no file is given)
+ */
+async function exportBundle(file, { scope, tables, includeEmbeddings }) {
+  const records = await memoryDb.exportMemory({ scope, tables, includeEmbeddings });
+  const jsonl = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+
+  if (!file) {
+    process.stdout.write(jsonl);
+    return records[0];
+  }
+
+  fs.writeFileSync(file, jsonl);
+  const counts = Object.entries(records[0].counts).map(([table, count]) => `${count} ${table}`).join(', ');
+  console.log(color('green', `✓ Exported ${counts} to ${path.relative(process.cwd(), file) || file}`));
+  if (!includeEmbeddings) {
+    console.log(color('gray', '  Embeddings omitted; they are recomputed on import'));
+  }
+  return records[0];
+}
+
+/**
+ * Import a JSONL bundle
+ */
+async function importBundle(file, { scope, merge, json }) {
+  const records = fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .map((line, i) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${i + 1}: ${error.message}`);
+      }
+    })
+    .filter(Boolean);
+
+  const result = await memoryDb.importMemory(records, { scope, merge });
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  }
+
+  console.log(color('cyan', `\nImported ${path.basename(file)}`));
+  for (const [table, count] of Object.entries(result.imported)) {
+    const skipped = result.skipped[table] ? color('gray', ` (${result.skipped[table]} skipped)`) : '';
+    console.log(`  ${table.padEnd(14)} ${count}${skipped}`);
+  }
+  if (result.merged > 0) {
+    console.log(`  Merged ${result.merged} near-duplicate fact(s)`);
+  }
+  console.log('');
+  return result;
+}
+
+// ============================================================
+// Main
+// ============================================================
+
+function printUsage() {
+  console.log(`
+${color('cyan', 'Memory')}
+
+Usage: ./scripts/flow memory <command> [options]
+
+Commands:
+  search "<query>"      Hybrid keyword + semantic search
+  conflicts             List facts that contradict each other
+  conflicts resolve <id> <keep-new|keep-existing|keep-both>
+                        Resolve a conflict (the other fact is superseded)
+  export [file]         Export facts, cold facts, proposals and PRD chunks (JSONL)
+  import <file>         Import a bundle; existing and near-duplicate facts are skipped
+  stats                 Show memory statistics
+
+Search options:
+  --kind <kind>         fact, prd or proposal (repeatable; default: all)
+  --limit <n>           Maximum results (default: 10)
+  --json                JSON output
+
+Conflicts options:
+  --all                 Include resolved conflicts
+  --json                JSON output
+
+Export options:
+  --scope <scope>       Only facts with this scope (local, team)
+  --tables <list>       Comma-separated subset of facts,facts_cold,proposals,prd_chunks,fact_conflicts
+  --no-embeddings       Leave embeddings out of the bundle
+
+Import options:
+  --scope <scope>       Only import facts with this scope
+  --no-merge            Skip merging near-duplicate facts
+  --json                JSON output
+
+Examples:
+  ./scripts/flow memory search "useAuthToken"
+  ./scripts/flow memory search "ERR_MODULE_NOT_FOUND" --kind fact
+  ./scripts/flow memory export seed.jsonl --scope team --no-embeddings
+  ./scripts/flow memory import ../seed.jsonl
+`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  const kinds = [];
+  const positional = [];
+  let limit = 10;
+  let json = false;
+  let all = false;
+  let scope;
+  let tables;
+  let includeEmbeddings = true;
+  let merge = true;
+
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--kind') {
+      kinds.push(args[++i]);
+    } else if (args[i] === '--limit') {
+      limit = parseInt(args[++i], 10) || limit;
+    } else if (args[i] === '--json') {
+      json = true;
+    } else if (args[i] === '--all') {
+      all = true;
+    } else if (args[i] === '--scope') {
+      scope = args[++i];
+    } else if (args[i] === '--tables') {
+      tables = String(args[++i] || '').split(',').map(t => t.trim()).filter(Boolean);
+    } else if (args[i] === '--no-embeddings') {
+      includeEmbeddings = false;
+    } else if (args[i] === '--no-merge') {
+      merge = false;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  try {
+    if (command === 'search') {
+      const query = positional.join(' ').trim();
+      const unknown = kinds.filter(kind => !['fact', 'prd', 'proposal'].includes(kind));
+
+      if (!query || unknown.length > 0) {
+        if (unknown.length > 0) console.error(color('red', `Unknown kind: ${unknown.join(', ')}`));
+        console.error('Usage: ./scripts/flow memory search "<query>" [--kind fact|prd|proposal] [--limit n] [--json]');
+        process.exitCode = 1;
+        return;
+      }
+
+      await search(query, { kinds: kinds.length > 0 ? kinds : undefined, limit, json });
+    } else if (command === 'conflicts') {
+      const [action = 'list', id, choice] = positional;
+
+      if (action === 'list') {
+        await listConflicts({ all, json });
+      } else if (action === 'resolve' && id && choice) {
+        await resolveConflict(id, choice, { json });
+      } else {
+        console.error('Usage: ./scripts/flow memory conflicts [list|resolve <id> <keep-new|keep-existing|keep-both>] [--all] [--json]');
+        process.exitCode = 1;
+      }
+    } else if (command === 'export') {
+      await exportBundle(positional[0] ? path.resolve(positional[0]) : null, { scope, tables, includeEmbeddings });
+    } else if (command === 'import') {
+      if (!positional[0]) {
+        console.error('Usage: ./scripts/flow memory import <file.jsonl> [--scope <scope>] [--no-merge] [--json]');
+        process.exitCode = 1;
+        return;
+      }
+      await importBundle(path.resolve(positional[0]), { scope, merge, json });
+    } else {
+      printUsage();
+    }
+  } catch (error) {
+    console.error(color('red', `Error: ${error.message}`));
+    if (process.env.DEBUG) console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    memoryDb.closeDatabase();
+  }
+}
+
+main();
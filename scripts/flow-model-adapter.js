@@ -368,7 +368,9 @@ function saveModelStats(stats) {
 /**
  * Record a model execution result
  * @param {string} modelName - Model that was used
- * @param {object} result - { taskType, success, errorType?, errorContext? }
+ * @param {object} result - { taskType, success, errorType?, errorContext?, provider?, fallbackFrom? }
+ *   provider: provider that ran the step (last one tried in a provider chain)
+ *   fallbackFrom: providers in the chain that failed before it
  */
 function recordModelResult(modelName, result) {
   const config = getConfig();
@@ -411,7 +413,8 @@ function recordModelResult(modelName, result) {
       timestamp: new Date().toISOString(),
       taskType: result.taskType || 'unknown',
       errorType: result.errorType || 'unknown',
-      errorContext: result.errorContext || null
+      errorContext: result.errorContext || null,
+      provider: result.provider || null
     });
     modelStats.recentErrors = modelStats.recentErrors.slice(0, 20);
 
@@ -432,6 +435,24 @@ function recordModelResult(modelName, result) {
     }
   }
 
+  // Track which provider ran the task (and how often it was reached by fallback)
+  if (result.provider) {
+    if (!modelStats.providers) {
+      modelStats.providers = {};
+    }
+    if (!modelStats.providers[result.provider]) {
+      modelStats.providers[result.provider] = { total: 0, success: 0, fallbacks: 0 };
+    }
+    const providerStats = modelStats.providers[result.provider];
+    providerStats.total++;
+    if (result.success) {
+      providerStats.success++;
+    }
+    if (result.fallbackFrom?.length > 0) {
+      providerStats.fallbacks++;
+    }
+  }
+
   saveModelStats(stats);
 }
 
@@ -605,6 +626,13 @@ function getAllModelStats() {
         type,
         total: info.total,
         successRate: info.total > 0 ? ((info.success / info.total) * 100).toFixed(0) + '%' : 'N/A'
+      })),
+    providerBreakdown: Object.entries(data.providers || {})
+      .map(([provider, info]) => ({
+        provider,
+        total: info.total,
+        fallbacks: info.fallbacks,
+        successRate: info.total > 0 ? ((info.success / info.total) * 100).toFixed(0) + '%' : 'N/A'
       }))
   }));
 }
@@ -708,6 +736,14 @@ function formatStats() {
       output += '\n';
     }
 
+    if (modelStat.providerBreakdown.length > 0) {
+      output += `  By provider: `;
+      output += modelStat.providerBreakdown
+        .map(p => `${p.provider}(${p.successRate}${p.fallbacks > 0 ? `, ${p.fallbacks} via fallback` : ''})`)
+        .join(', ');
+      output += '\n';
+    }
+
     output += '\n';
   }
 
@@ -49,16 +49,33 @@ const {
 } = require('./flow-export-scanner');
 
 // Import utilities for consistent project root, colors, and config
-const { getProjectRoot, colors, getConfig } = require('./flow-utils');
+const { getProjectRoot, colors, getConfig, parseFlags } = require('./flow-utils');
 const { getPromptAdjustments, recordModelResult } = require('./flow-model-adapter');
 
 // Import provider infrastructure for cloud executors
 const {
   createExecutorFromConfig,
-  getExecutorConfig,
+  getProviderChain,
+  getRoutingPolicy,
+  getDefaultEndpoint,
+  routeProviderChain,
+  classifyProviderError,
   MODEL_CAPABILITIES,
-  getModelContextLimit
+  getModelContextLimit,
+  StreamCancelledError,
+  streamJsonEvents,
+  streamChatCompletion,
+  collectStream
 } = require('./flow-providers');
+const { StreamDisplay } = require('./flow-progress');
+const { createCacheKey, getCachedResponse, setCachedResponse } = require('./flow-hybrid-cache');
+const { countTokens, loadTokenizer } = require('./flow-tokenizer');
+const {
+  validatePlan,
+  validatePlanSchema,
+  orderPlanSteps,
+  printValidationReport
+} = require('./flow-plan-validator');
 
 // Import response parser for error recovery
 const { parseOnRetry, cleanCodeBlock } = require('./flow-response-parser');
@@ -169,24 +186,56 @@ function generateFixSuggestion(errorHistory) {
 // Config Loader (uses centralized getConfig from flow-utils)
 // ============================================================
 
-function loadHybridConfig() {
+/**
+ * Executor identification and type-dependent limits for one provider
+ */
+function getExecutorSettings(executorConfig, settings = {}) {
+  const provider = executorConfig.provider || 'ollama';
+
+  return {
+    executorType: executorConfig.type || 'local',  // 'local' or 'cloud'
+    provider,
+    endpoint: executorConfig.endpoint || executorConfig.providerEndpoint ||
+      getDefaultEndpoint(provider, executorConfig.server) || 'http://localhost:11434',
+    model: executorConfig.model || '',
+    apiKey: executorConfig.apiKey || null,  // For cloud providers
+    // OpenAI-compatible servers (vLLM, llama.cpp, LocalAI)
+    server: executorConfig.server || null,
+    headers: executorConfig.headers || null,
+
+    // Cloud models may have different token limits
+    maxTokens: settings.maxTokens ?? (executorConfig.type === 'cloud' ? 4096 : 16384),
+    timeout: settings.timeout ?? (executorConfig.type === 'cloud' ? 60000 : 120000)
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.requireEnabled=true] - Throw when hybrid mode is off (dry runs don't need it)
+ */
+function loadHybridConfig({ requireEnabled = true } = {}) {
   const config = getConfig();
   const hybrid = config.hybrid || {};
 
-  if (!hybrid.enabled) {
+  if (requireEnabled && !hybrid.enabled) {
     throw new Error('Hybrid mode is not enabled. Run /wogi-hybrid first.');
   }
 
-  // Use getExecutorConfig to normalize legacy vs new config format
-  const executorConfig = getExecutorConfig(hybrid);
+  // Ordered provider chain (hybrid.providers), or the single executor
+  // from the new/legacy config format - the first entry is the primary
+  const providerChain = getProviderChain(hybrid);
+  const settings = hybrid.settings || {};
 
   return {
     // Executor identification (new format)
-    executorType: executorConfig.type || 'local',  // 'local' or 'cloud'
-    provider: executorConfig.provider || 'ollama',
-    endpoint: executorConfig.endpoint || 'http://localhost:11434',
-    model: executorConfig.model || '',
-    apiKey: executorConfig.apiKey || null,  // For cloud providers
+    ...getExecutorSettings(providerChain[0] || {}, settings),
+
+    // Fallback chain and routing rules (used when more than one provider is configured)
+    providerChain: providerChain.map(entry => ({
+      name: entry.name,
+      ...getExecutorSettings(entry, settings)
+    })),
+    routing: getRoutingPolicy(hybrid),
 
     // Planner settings
     adaptToExecutor: hybrid.planner?.adaptToExecutor ?? true,
@@ -194,10 +243,10 @@ function loadHybridConfig() {
 
     // Execution settings
     temperature: hybrid.settings?.temperature ?? 0.7,
-    // Cloud models may have different token limits
-    maxTokens: hybrid.settings?.maxTokens ?? (executorConfig.type === 'cloud' ? 4096 : 16384),
     maxRetries: hybrid.settings?.maxRetries ?? 20,
-    timeout: hybrid.settings?.timeout ?? (executorConfig.type === 'cloud' ? 60000 : 120000),
+    // Stream output live; stepTimeout (ms) caps the total time of one streamed generation
+    streaming: hybrid.settings?.streaming ?? true,
+    stepTimeout: hybrid.settings?.stepTimeout ?? null,
     autoExecute: hybrid.settings?.autoExecute ?? false,
     // Context window can be overridden in config, otherwise auto-detected from model
     contextWindow: hybrid.settings?.contextWindow || null,
@@ -402,10 +451,24 @@ class LocalLLM {
     });
   }
 
-  async generate(prompt) {
+  /**
+   * @param {string} prompt
+   * @param {Object} [options]
+   * @param {boolean} [options.stream] - Stream tokens (see stream())
+   * @param {Function} [options.onToken] - Called with each streamed token
+   * @param {AbortSignal} [options.signal] - Cancels a streamed generation
+   * @param {number} [options.stepTimeout] - Total time allowed for a streamed generation
+   * @returns {Promise<string>} Generated text
+   */
+  async generate(prompt, options = {}) {
     // Fetch model info on first call
     await this.fetchModelInfo();
 
+    if (options.stream) {
+      const response = await collectStream(this.stream(prompt, options), options.onToken);
+      return response.content;
+    }
+
     if (this.config.provider === 'ollama') {
       return this.ollamaGenerate(prompt);
     } else {
@@ -413,6 +476,53 @@ class LocalLLM {
     }
   }
 
+  /**
+   * Stream a generation as an async iterator of tokens
+   * @throws {StreamCancelledError} When cancelled or the step timeout expires
+   */
+  async *stream(prompt, options = {}) {
+    const requestOptions = {
+      timeout: this.config.timeout,
+      signal: options.signal,
+      stepTimeout: options.stepTimeout
+    };
+
+    if (this.config.provider !== 'ollama') {
+      return yield* streamChatCompletion(new URL('/v1/chat/completions', this.config.endpoint), {
+        ...requestOptions,
+        body: {
+          model: this.config.model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: this.config.temperature,
+          max_tokens: this.config.maxTokens,
+          stream: true
+        }
+      });
+    }
+
+    for await (const event of streamJsonEvents(new URL('/api/generate', this.config.endpoint), {
+      ...requestOptions,
+      body: {
+        model: this.config.model,
+        prompt: prompt,
+        stream: true,
+        options: {
+          temperature: this.config.temperature,
+          num_predict: this.config.maxTokens
+        }
+      }
+    })) {
+      if (event.error) {
+        throw new Error(event.error);
+      }
+      if (event.response) {
+        yield event.response;
+      }
+    }
+
+    return { model: this.config.model };
+  }
+
   async ollamaGenerate(prompt) {
     return new Promise((resolve, reject) => {
       const url = new URL('/api/generate', this.config.endpoint);
@@ -521,7 +631,8 @@ class CloudExecutor {
       throw new Error(`Failed to create cloud executor for provider: ${config.provider}`);
     }
 
-    log('cyan', `   ☁️  Cloud executor: ${config.provider} / ${config.model}`);
+    const label = config.executorType === 'cloud' ? '☁️  Cloud executor' : '🖥️  Provider executor';
+    log('cyan', `   ${label}: ${config.provider} / ${config.model || 'server default'}`);
   }
 
   /**
@@ -539,7 +650,22 @@ class CloudExecutor {
       return;
     }
 
-    // Priority 2: Look up in MODEL_CAPABILITIES
+    // Priority 2: Ask OpenAI-compatible servers (vLLM and llama.cpp report it)
+    if (this.provider.fetchModels) {
+      try {
+        const models = await this.provider.fetchModels();
+        const served = models.find(m => m.id === this.config.model) || (!this.config.model && models[0]);
+        if (served?.contextWindow) {
+          this.contextWindow = served.contextWindow;
+          log('dim', `   📊 Model context window (detected): ${this.contextWindow.toLocaleString()} tokens`);
+          return;
+        }
+      } catch (e) {
+        log('dim', `   ⚠️ Could not fetch model info: ${e.message}`);
+      }
+    }
+
+    // Priority 3: Look up in MODEL_CAPABILITIES
     const modelName = this.config.model || '';
     const lowerModel = modelName.toLowerCase();
 
@@ -550,8 +676,8 @@ class CloudExecutor {
       return;
     }
 
-    // Try partial match
-    for (const [key, caps] of Object.entries(MODEL_CAPABILITIES)) {
+    // Try partial match (servers may run without a configured model name)
+    for (const [key, caps] of Object.entries(lowerModel ? MODEL_CAPABILITIES : {})) {
       if (lowerModel.includes(key.toLowerCase()) || key.toLowerCase().includes(lowerModel)) {
         this.contextWindow = caps.contextWindow;
         log('dim', `   📊 Model context window (matched ${key}): ${this.contextWindow.toLocaleString()} tokens`);
@@ -559,11 +685,12 @@ class CloudExecutor {
       }
     }
 
-    // Priority 3: Provider-specific defaults
+    // Priority 4: Provider-specific defaults
     const providerDefaults = {
       'openai': 128000,    // GPT-4o-mini
       'anthropic': 200000, // Claude Haiku
-      'google': 1000000    // Gemini Flash
+      'google': 1000000,   // Gemini Flash
+      'openai-compatible': 8192 // Self-hosted - conservative
     };
 
     this.contextWindow = providerDefaults[this.config.provider] || 128000;
@@ -572,20 +699,31 @@ class CloudExecutor {
 
   /**
    * Generate a response from the cloud LLM.
-   * Matches the LocalLLM interface.
+   * Matches the LocalLLM interface, including the streaming options, and
+   * returns the text like LocalLLM does - not the provider's response object.
+   * @returns {Promise<string>} Generated text
    */
-  async generate(prompt) {
+  async generate(prompt, options = {}) {
     // Fetch model info on first call
     await this.fetchModelInfo();
 
+    const requestOptions = {
+      model: this.config.model,
+      temperature: this.config.temperature,
+      maxTokens: this.config.maxTokens
+    };
+
     try {
-      const response = await this.provider.complete(prompt, {
-        model: this.config.model,
-        temperature: this.config.temperature,
-        maxTokens: this.config.maxTokens
-      });
-      return response;
+      const response = options.stream
+        ? await this.provider.completeStream(prompt, { ...requestOptions, ...options })
+        : await this.provider.complete(prompt, requestOptions);
+      return response.content;
     } catch (error) {
+      // Cancellation is not a provider failure - let callers recognize it
+      if (error instanceof StreamCancelledError) {
+        throw error;
+      }
+
       // Enhance error message with cloud-specific context
       const enhancedError = new Error(
         `Cloud executor error (${this.config.provider}/${this.config.model}): ${error.message}`
@@ -596,13 +734,170 @@ class CloudExecutor {
   }
 }
 
+// ============================================================
+// Executor Chain (hybrid.providers)
+// ============================================================
+
+/**
+ * ExecutorChain runs steps on an ordered chain of executors and exposes
+ * the same interface as LocalLLM (generate, contextWindow, config).
+ *
+ * - Routing rules pick the chain for each step (by task type or complexity)
+ * - Connection errors and rate limits fall through to the next executor
+ * - The Orchestrator reports validation failures; after
+ *   routing.validationFailures in a row the step moves on as well
+ */
+class ExecutorChain {
+  constructor(config) {
+    this.baseConfig = config;
+    this.routing = config.routing;
+    this.members = config.providerChain.map(entry => ({
+      name: entry.name,
+      config: { ...config, ...entry },
+      executor: null,
+      unreachable: false
+    }));
+    this.active = this.members;
+    this.index = 0;
+    this.failed = [];
+    this.validationFailures = 0;
+  }
+
+  /** Config of the executor currently in use */
+  get config() {
+    return this.active[this.index].config;
+  }
+
+  get contextWindow() {
+    return this.active[this.index].executor?.contextWindow || null;
+  }
+
+  /** Names of the providers that failed before the current one (this step) */
+  get fallbackFrom() {
+    return [...this.failed];
+  }
+
+  getExecutor(member) {
+    if (!member.executor) {
+      member.executor = createSingleExecutor(member.config);
+    }
+    return member.executor;
+  }
+
+  /**
+   * Select the chain for a step and start from its first provider
+   * Providers that refused connections earlier in the run are skipped.
+   */
+  selectForStep(step) {
+    const complexity = assessTaskComplexity({
+      title: step.title,
+      description: step.description || step.title,
+      technicalNotes: step.params?.path
+    }).level;
+
+    const { chain, rule } = routeProviderChain(this.members, this.routing.rules, {
+      taskType: [step.type, step.action].filter(Boolean),
+      complexity
+    });
+
+    const reachable = chain.filter(member => !member.unreachable);
+    this.active = reachable.length > 0 ? reachable : chain;
+    this.index = 0;
+    this.failed = [];
+    this.validationFailures = 0;
+
+    if (rule) {
+      log('dim', `   🔀 Routed (${complexity}) to: ${this.active.map(m => m.name).join(' → ')}`);
+    }
+    return this.active[0];
+  }
+
+  /**
+   * Move to the next executor in the active chain
+   * @returns {boolean} false when there is none left
+   */
+  advance(reason, detail) {
+    if (this.index >= this.active.length - 1) {
+      return false;
+    }
+
+    const from = this.active[this.index];
+    this.failed.push(from.name);
+    this.index++;
+    this.validationFailures = 0;
+
+    log('yellow', `   ↪️ Falling back from ${from.name} to ${this.active[this.index].name} (${reason}${detail ? `: ${detail}` : ''})`);
+    return true;
+  }
+
+  /**
+   * Record a failed validation of the current executor's output
+   * @returns {boolean} true if the step moved to the next executor
+   */
+  recordValidationFailure() {
+    if (!this.routing.fallbackOn.includes('validation')) {
+      return false;
+    }
+
+    this.validationFailures++;
+    if (this.validationFailures < this.routing.validationFailures) {
+      return false;
+    }
+
+    return this.advance('validation', `${this.validationFailures} failed attempts`);
+  }
+
+  /**
+   * Generate with the current executor, moving down the chain on failures
+   * the routing rules fall back on
+   * @returns {Promise<string>} Generated text
+   */
+  async generate(prompt, options = {}) {
+    for (;;) {
+      const member = this.active[this.index];
+      try {
+        return await this.getExecutor(member).generate(prompt, options);
+      } catch (error) {
+        const reason = classifyProviderError(error);
+        if (!this.routing.fallbackOn.includes(reason)) {
+          throw error;
+        }
+        if (reason === 'connection') {
+          member.unreachable = true;
+        }
+        if (!this.advance(reason, error.message)) {
+          throw error;
+        }
+      }
+    }
+  }
+}
+
 /**
  * Factory function to create the appropriate executor based on config.
- * Returns either LocalLLM or CloudExecutor.
+ * Returns an ExecutorChain when hybrid.providers lists more than one
+ * provider, otherwise LocalLLM or CloudExecutor.
  */
 function createExecutor(config) {
+  if (config.providerChain?.length > 1) {
+    return new ExecutorChain(config);
+  }
+
+  return createSingleExecutor(config);
+}
+
+/**
+ * Create a LocalLLM or CloudExecutor for one provider
+ */
+function createSingleExecutor(config) {
   const executorType = config.executorType || 'local';
 
+  // OpenAI-compatible servers (vLLM, llama.cpp, LocalAI) need custom headers
+  // and model listing - run them through their provider like cloud models
+  if (config.provider === 'openai-compatible') {
+    return new CloudExecutor(config);
+  }
+
   if (executorType === 'cloud') {
     // Validate cloud config
     const cloudProviders = ['openai', 'anthropic', 'google'];
@@ -2144,7 +2439,7 @@ class ProjectContextGenerator {
   /**
    * Generate or retrieve project context
    */
-  getOrGenerateContext() {
+  getOrGenerateContext({ save = true } = {}) {
     // Check cache first
     const cached = this.getCachedContext();
     if (cached) {
@@ -2163,7 +2458,9 @@ class ProjectContextGenerator {
     const context = this.generateSmartContext(projectFiles);
 
     // Cache it
-    this.saveContext(context);
+    if (save) {
+      this.saveContext(context);
+    }
 
     return { context, fromCache: false };
   }
@@ -2263,7 +2560,9 @@ function displayComplexityAssessment(complexity) {
 
   log(levelColors[complexity.level] || 'white', `\n   Level: ${complexity.level.toUpperCase()}`);
   log('white', `   Estimated Tokens: ${complexity.estimatedTokens.toLocaleString()}`);
-  log('dim', `   Range: ${complexity.budget.min.toLocaleString()} - ${complexity.budget.max.toLocaleString()}`);
+  if (complexity.budget?.min !== undefined) {
+    log('dim', `   Range: ${complexity.budget.min.toLocaleString()} - ${complexity.budget.max.toLocaleString()}`);
+  }
   log('dim', `\n   Reasoning: ${complexity.reasoning}`);
 
   // Show key factors
@@ -2291,7 +2590,9 @@ function displayInstructionRichness(richness) {
 
   log(levelColors[richness.level] || 'white', `\n   Level: ${richness.level.toUpperCase()}`);
   log('white', `   Verbosity: ${richness.templateVerbosity}`);
-  log('dim', `   Claude Token Budget: ~${richness.claudeTokenBudget.toLocaleString()}`);
+  if (richness.claudeTokenBudget) {
+    log('dim', `   Claude Token Budget: ~${richness.claudeTokenBudget.toLocaleString()}`);
+  }
 
   // Show what will be included
   const includes = [];
@@ -2337,14 +2638,14 @@ function getTokenEstimationSettings() {
 
 /**
  * Estimates token count from text.
- * Uses ~4 characters per token as a rough estimate.
- * This is conservative - actual tokenization varies by model.
+ * Uses the executor model's tokenizer when its vocab is available offline,
+ * otherwise a character heuristic (see flow-tokenizer.js).
+ *
+ * @param {string} text
+ * @param {Object} [target] - Executor config ({ provider, model })
  */
-function estimateTokens(text) {
-  if (!text) return 0;
-  // Rough estimate: ~4 chars per token for English text/code
-  // Add extra for whitespace and special characters
-  return Math.ceil(text.length / 3.5);
+function estimateTokens(text, target = {}) {
+  return countTokens(text, { provider: target.provider, model: target.model });
 }
 
 /**
@@ -2463,9 +2764,10 @@ const compactionStrategies = {
 
 /**
  * Auto-compacts a prompt to fit within context window.
+ * Tokens are counted with the tokenizer for `target` (executor config).
  * Returns { prompt, wasCompacted, originalTokens, finalTokens }
  */
-function autoCompactPrompt(prompt, contextWindow, reserveForOutput = 2048) {
+function autoCompactPrompt(prompt, contextWindow, reserveForOutput = 2048, target = {}) {
   // Sanity check: never reserve more than 50% of context window
   // This prevents the bug where maxTokens == contextWindow causing availableTokens = 0
   const maxReserve = Math.floor(contextWindow / 2);
@@ -2481,7 +2783,7 @@ function autoCompactPrompt(prompt, contextWindow, reserveForOutput = 2048) {
     log('yellow', `   ⚠️ Warning: Very low available tokens (${availableTokens}). Context: ${contextWindow}, Reserve: ${reserveForOutput}`);
   }
 
-  const originalTokens = estimateTokens(prompt);
+  const originalTokens = estimateTokens(prompt, target);
 
   if (originalTokens <= availableTokens) {
     return {
@@ -2499,7 +2801,7 @@ function autoCompactPrompt(prompt, contextWindow, reserveForOutput = 2048) {
 
   // Strategy 1: Trim retry errors
   compacted = compactionStrategies.trimRetryErrors(compacted);
-  let tokens = estimateTokens(compacted);
+  let tokens = estimateTokens(compacted, target);
   if (tokens <= availableTokens) {
     log('dim', `   📦 Trimmed retry errors: ${tokens.toLocaleString()} tokens`);
     return { prompt: compacted, wasCompacted: true, originalTokens, finalTokens: tokens, usage: getContextUsage(tokens, contextWindow) };
@@ -2507,7 +2809,7 @@ function autoCompactPrompt(prompt, contextWindow, reserveForOutput = 2048) {
 
   // Strategy 2: Trim template verbosity
   compacted = compactionStrategies.trimTemplateVerbosity(compacted);
-  tokens = estimateTokens(compacted);
+  tokens = estimateTokens(compacted, target);
   if (tokens <= availableTokens) {
     log('dim', `   📦 Trimmed template verbosity: ${tokens.toLocaleString()} tokens`);
     return { prompt: compacted, wasCompacted: true, originalTokens, finalTokens: tokens, usage: getContextUsage(tokens, contextWindow) };
@@ -2533,7 +2835,7 @@ function autoCompactPrompt(prompt, contextWindow, reserveForOutput = 2048) {
     compacted = compacted.replace(currentContentMatch[0], '{{currentContent}}\n' + truncated + '\n\n');
   }
 
-  tokens = estimateTokens(compacted);
+  tokens = estimateTokens(compacted, target);
   log('dim', `   📦 Truncated file content: ${tokens.toLocaleString()} tokens`);
 
   // If still too large, do aggressive truncation
@@ -2541,7 +2843,7 @@ function autoCompactPrompt(prompt, contextWindow, reserveForOutput = 2048) {
     const ratio = availableTokens / tokens;
     const targetLength = Math.floor(compacted.length * ratio * 0.9); // 10% safety margin
     compacted = compacted.slice(0, targetLength) + '\n\n[Content truncated to fit context window]';
-    tokens = estimateTokens(compacted);
+    tokens = estimateTokens(compacted, target);
     log('yellow', `   ⚠️ Aggressive truncation: ${tokens.toLocaleString()} tokens`);
   }
 
@@ -3332,15 +3634,26 @@ ${step.description || ''}
 // ============================================================
 
 class Orchestrator {
-  constructor() {
-    this.config = loadHybridConfig();
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Render prompts without calling any provider
+   */
+  constructor(options = {}) {
+    this.dryRun = options.dryRun || false;
+    this.config = loadHybridConfig({ requireEnabled: !this.dryRun });
     // Use factory to create appropriate executor (local or cloud)
-    this.llm = createExecutor(this.config);
+    // A dry run never generates, so a single executor is just its config
+    this.llm = this.dryRun && this.config.providerChain.length <= 1
+      ? { config: this.config }
+      : createExecutor(this.config);
     this.templates = new TemplateEngine(TEMPLATES_DIR);
     this.rollback = new RollbackManager();
     this.state = new StateManager();
     this.completedSteps = new Set();
 
+    // Fresh output of the current attempt, cached once the step validates it
+    this.pendingCacheEntry = null;
+
     // Project context generator - generates once, reuses for all steps
     this.contextGenerator = new ProjectContextGenerator(PROJECT_ROOT);
     this.projectContext = null;
@@ -3357,31 +3670,26 @@ class Orchestrator {
    * Called once before executing any steps - local LLM tokens are FREE
    */
   async ensureProjectContext() {
-    const { context, fromCache } = this.contextGenerator.getOrGenerateContext();
+    // Dry runs leave the context cache untouched
+    const { context, fromCache } = this.contextGenerator.getOrGenerateContext({ save: !this.dryRun });
     this.projectContext = context;
 
     if (fromCache) {
       log('dim', '📋 Using cached project context');
     } else {
-      log('green', '✅ Generated and cached project context');
+      log('green', this.dryRun ? '✅ Generated project context (not cached in a dry run)' : '✅ Generated and cached project context');
     }
 
-    const contextTokens = estimateTokens(context);
+    await loadTokenizer(this.llm.config);
+    const contextTokens = estimateTokens(context, this.llm.config);
     log('dim', `   Context size: ~${contextTokens.toLocaleString()} tokens (prepended to each step - FREE)`);
   }
 
-  async executePlan(plan) {
-    const results = {
-      planId: plan.planId,
-      task: plan.task,
-      success: true,
-      startedAt: new Date().toISOString(),
-      steps: [],
-      failedSteps: [],
-      escalateToCloud: [],
-      tokensSaved: plan.estimatedTokensSaved || 0
-    };
-
+  /**
+   * Assess complexity, pick instruction richness and load project context
+   * Shared by executePlan() and dryRunPlan().
+   */
+  async preparePlan(plan) {
     // Assess task complexity for token estimation
     const tokenSettings = getTokenEstimationSettings();
     if (tokenSettings.enabled) {
@@ -3424,6 +3732,21 @@ class Orchestrator {
     // Generate project context ONCE before executing any steps
     // This context is prepended to each step's prompt (local LLM tokens are FREE)
     await this.ensureProjectContext();
+  }
+
+  async executePlan(plan) {
+    const results = {
+      planId: plan.planId,
+      task: plan.task,
+      success: true,
+      startedAt: new Date().toISOString(),
+      steps: [],
+      failedSteps: [],
+      escalateToCloud: [],
+      tokensSaved: plan.estimatedTokensSaved || 0
+    };
+
+    await this.preparePlan(plan);
 
     this.state.updateHybridSession({
       currentPlan: plan.planId,
@@ -3436,9 +3759,11 @@ class Orchestrator {
     log('white', `\nTask: ${plan.task}`);
     log('white', `Steps: ${plan.steps.length}`);
     // Show executor type (local or cloud)
-    const executorLabel = this.config.executorType === 'cloud'
-      ? `☁️  ${this.config.provider} / ${this.config.model}`
-      : `🖥️  ${this.config.provider} / ${this.config.model}`;
+    const executorLabel = this.config.providerChain.length > 1
+      ? this.config.providerChain.map(entry => `${entry.provider} / ${entry.model}`).join(' → ')
+      : this.config.executorType === 'cloud'
+        ? `☁️  ${this.config.provider} / ${this.config.model}`
+        : `🖥️  ${this.config.provider} / ${this.config.model}`;
     log('white', `Executor: ${executorLabel}`);
     log('dim', `Token Budget: ${this.planComplexity.estimatedTokens.toLocaleString()} (${this.planComplexity.level})\n`);
 
@@ -3530,46 +3855,27 @@ class Orchestrator {
     return results;
   }
 
-  async executeStep(step, context) {
-    const result = {
-      stepId: step.id,
-      title: step.title,
-      success: false,
-      attempts: 0,
-      errors: [],
-      escalate: false
-    };
-
-    log('white', '\n' + '─'.repeat(60));
-    log('cyan', `📋 Step ${step.id}: ${step.title}`);
-    log('dim', `   Type: ${step.type}`);
-    if (step.params?.path) {
-      log('dim', `   Path: ${step.params.path}`);
-    }
-
+  /**
+   * Render the full prompt for a step: template, active patterns, project
+   * context and model guidance. Used for execution and dry runs.
+   * @throws {Error} When the step's template is missing
+   */
+  buildStepPrompt(step, context) {
     const templateName = step.template || step.type;
 
     // Load project-specific context from app-map and config
     const projectContext = this.state.loadProjectContext();
 
-    let params = { ...step.params, ...context, ...projectContext };
+    const params = { ...step.params, ...context, ...projectContext };
 
     if (step.type === 'modify-file' && step.params?.path) {
       const filePath = step.params.path;
       if (fs.existsSync(filePath)) {
         params.currentContent = fs.readFileSync(filePath, 'utf-8');
-        this.rollback.trackModification(filePath);
       }
     }
 
-    let prompt;
-    try {
-      prompt = this.templates.render(templateName, params);
-    } catch (e) {
-      result.errors.push(`Template error: ${e.message}`);
-      log('red', `   ❌ Template error: ${e.message}`);
-      return result;
-    }
+    let prompt = this.templates.render(templateName, params);
 
     // INJECT ACTIVE PATTERNS from decisions.md, app-map.md, and skills
     // This ensures learned patterns are prominently displayed and enforced
@@ -3587,13 +3893,54 @@ class Orchestrator {
     }
 
     // Add model-specific guidance (weaknesses to avoid, patterns that work)
-    const modelAdjustments = getPromptAdjustments(this.config.model);
+    const modelAdjustments = getPromptAdjustments(this.llm.config.model);
     if (modelAdjustments.guidance) {
       prompt = `## Model-Specific Guidance\n\n${modelAdjustments.guidance}\n\n---\n\n${prompt}`;
     }
 
+    return prompt;
+  }
+
+  async executeStep(step, context) {
+    const result = {
+      stepId: step.id,
+      title: step.title,
+      success: false,
+      attempts: 0,
+      errors: [],
+      escalate: false
+    };
+
+    log('white', '\n' + '─'.repeat(60));
+    log('cyan', `📋 Step ${step.id}: ${step.title}`);
+    log('dim', `   Type: ${step.type}`);
+    if (step.params?.path) {
+      log('dim', `   Path: ${step.params.path}`);
+    }
+
+    // Provider chain: pick the providers for this step (routing rules)
+    if (this.llm instanceof ExecutorChain) {
+      this.llm.selectForStep(step);
+    }
+
+    // Count prompt tokens with the executor model's tokenizer
+    await loadTokenizer(this.llm.config);
+
+    if (step.type === 'modify-file' && step.params?.path && fs.existsSync(step.params.path)) {
+      this.rollback.trackModification(step.params.path);
+    }
+
+    let prompt;
+    try {
+      prompt = this.buildStepPrompt(step, context);
+    } catch (e) {
+      result.errors.push(`Template error: ${e.message}`);
+      log('red', `   ❌ Template error: ${e.message}`);
+      return result;
+    }
+
     // Show initial context info
-    const initialTokens = estimateTokens(prompt);
+    const initialTokens = estimateTokens(prompt, this.llm.config);
     log('dim', `   Prompt size: ~${initialTokens.toLocaleString()} tokens (includes project context - FREE)`);
 
     // ADAPTIVE LEARNING: Save original prompt for refinement during retries
@@ -3604,6 +3951,7 @@ class Orchestrator {
     const errorSignatures = new Map(); // Track how many times we see each error pattern
     let consecutiveSameError = 0;
     let lastErrorSignature = null;
+    let lastAttemptGenerated = false;
 
     /**
      * Extract a signature from an error message for comparison
@@ -3637,6 +3985,15 @@ class Orchestrator {
     for (let attempt = 0; attempt <= this.config.maxRetries; attempt++) {
       result.attempts = attempt + 1;
 
+      // Provider chain: the previous output failed validation - after repeated
+      // failures the step moves to the next provider with a clean slate
+      const lastAttemptFailedValidation = lastAttemptGenerated;
+      if (lastAttemptGenerated && this.llm instanceof ExecutorChain && this.llm.recordValidationFailure()) {
+        consecutiveSameError = 0;
+        lastErrorSignature = null;
+      }
+      lastAttemptGenerated = false;
+
       // Smart retry: Check if we're stuck in a loop
       if (consecutiveSameError >= 3) {
         log('red', `   ⚠️ Same error repeated ${consecutiveSameError} times - escalating`);
@@ -3660,7 +4017,8 @@ class Orchestrator {
         const { prompt: compactedPrompt, wasCompacted, usage } = autoCompactPrompt(
           prompt,
           contextWindow,
-          reserveForOutput
+          reserveForOutput,
+          this.llm.config
         );
 
         if (wasCompacted) {
@@ -3675,7 +4033,9 @@ class Orchestrator {
         }
 
         const startTime = Date.now();
-        const output = await this.llm.generate(prompt);
+        // A retry after a validation failure needs a fresh generation, not the cached one
+        const output = await this.generateStep(prompt, { bypassCache: lastAttemptFailedValidation });
+        lastAttemptGenerated = true;
         const duration = ((Date.now() - startTime) / 1000).toFixed(1);
         log('dim', `   Generated in ${duration}s`);
 
@@ -3770,17 +4130,19 @@ class Orchestrator {
 
         if (allPassed) {
           result.success = true;
+          this.cacheValidatedResponse();
 
-          this.state.updateRequestLog(step, 'completed', 'hybrid', this.config.model);
+          this.state.updateRequestLog(step, 'completed', 'hybrid', this.llm.config.model);
 
           if (step.stateUpdates?.appMap) {
             this.state.updateAppMap(step.stateUpdates.appMap);
           }
 
           // Record success for model learning
-          recordModelResult(this.config.model, {
+          recordModelResult(this.llm.config.model, {
             taskType: step.action || 'unknown',
-            success: true
+            success: true,
+            ...this.getProviderResult()
           });
 
           // ADAPTIVE LEARNING: If we had failures before success, record what we learned
@@ -3791,7 +4153,7 @@ class Orchestrator {
               .filter(Boolean);
 
             if (adaptiveFailures.length > 0) {
-              recordSuccessfulRecovery(this.config.model, adaptiveFailures, {
+              recordSuccessfulRecovery(this.llm.config.model, adaptiveFailures, {
                 taskId: step.id || step.description,
                 attemptsTaken: result.attempts,
                 taskType: step.action
@@ -3844,6 +4206,13 @@ class Orchestrator {
         }
       } catch (e) {
         result.errors.push(e.message);
+
+        // Cancelled by the user (Ctrl+C) - don't retry
+        if (e instanceof StreamCancelledError && e.reason === 'cancelled') {
+          log('yellow', '   ⏹️ Generation cancelled');
+          break;
+        }
+
         log('red', `   ❌ Error: ${e.message}`);
 
         // Smart retry: Track catch errors too
@@ -3861,7 +4230,7 @@ class Orchestrator {
     }
 
     result.escalate = true;
-    this.state.updateRequestLog(step, 'failed - needs escalation', 'hybrid', this.config.model);
+    this.state.updateRequestLog(step, 'failed - needs escalation', 'hybrid', this.llm.config.model);
     log('red', `   ❌ Step failed after ${result.attempts} attempts`);
     if (errorHistory.length > 0) {
       const errorTypes = [...new Set(errorHistory.map(e => e.category))];
@@ -3870,11 +4239,12 @@ class Orchestrator {
     log('yellow', `   ⬆️ Flagged for escalation to Claude`);
 
     // Record failure for model learning
-    recordModelResult(this.config.model, {
+    recordModelResult(this.llm.config.model, {
       taskType: step.action || 'unknown',
       success: false,
       errorType: errorHistory[0]?.category || 'unknown',
-      errorContext: errorHistory[0]?.message?.slice(0, 200) || null
+      errorContext: errorHistory[0]?.message?.slice(0, 200) || null,
+      ...this.getProviderResult()
     });
 
     // Save structured failure info for retry context
@@ -3883,9 +4253,96 @@ class Orchestrator {
     return result;
   }
 
+  /**
+   * Provider fields for model stats: who ran the step and who failed before it
+   */
+  getProviderResult() {
+    return {
+      provider: this.llm.config.name || this.llm.config.provider,
+      fallbackFrom: this.llm instanceof ExecutorChain ? this.llm.fallbackFrom : []
+    };
+  }
+
+  /**
+   * Run one generation for a step
+   * Identical requests are answered from the response cache unless
+   * options.bypassCache is set. Fresh output is only cached by
+   * cacheValidatedResponse(), so an answer that fails the step's checks
+   * is never replayed.
+   * @returns {Promise<string>} Generated text
+   */
+  async generateStep(prompt, options = {}) {
+    this.pendingCacheEntry = null;
+    const getRequest = () => {
+      const { provider, model, temperature, maxTokens } = this.llm.config;
+      return { provider, model, prompt, params: { temperature, maxTokens } };
+    };
+
+    if (!options.bypassCache) {
+      const cached = getCachedResponse(createCacheKey(getRequest()));
+      if (cached !== null) {
+        log('dim', '   ♻️  Using cached response');
+        return cached;
+      }
+    }
+
+    const output = await this.generateFresh(prompt);
+
+    // Keyed by the executor that produced it (a provider chain may have fallen back)
+    const request = getRequest();
+    this.pendingCacheEntry = {
+      key: createCacheKey(request),
+      output,
+      meta: { provider: request.provider, model: request.model, params: request.params }
+    };
+    return output;
+  }
+
+  /**
+   * Cache the current attempt's fresh output once the step has validated it
+   */
+  cacheValidatedResponse() {
+    const entry = this.pendingCacheEntry;
+    this.pendingCacheEntry = null;
+    if (entry) {
+      setCachedResponse(entry.key, entry.output, entry.meta);
+    }
+  }
+
+  /**
+   * Run one generation on the executor
+   * When streaming, shows live output and lets Ctrl+C cancel the generation
+   * (instead of the whole run). stepTimeout aborts runaway generations.
+   * @returns {Promise<string>} Generated text
+   */
+  async generateFresh(prompt) {
+    if (!this.config.streaming) {
+      return this.llm.generate(prompt);
+    }
+
+    const controller = new AbortController();
+    const display = new StreamDisplay('Generating');
+    const onInterrupt = () => controller.abort();
+
+    process.once('SIGINT', onInterrupt);
+    display.start();
+
+    try {
+      return await this.llm.generate(prompt, {
+        stream: true,
+        onToken: token => display.write(token),
+        signal: controller.signal,
+        stepTimeout: this.config.stepTimeout
+      });
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
+      display.stop();
+    }
+  }
+
   cleanOutput(output, error = null) {
     // Use the comprehensive extraction function first
-    let extracted = extractCodeFromResponse(output, this.config.model);
+    let extracted = extractCodeFromResponse(output, this.llm.config.model);
 
     // If there was an error and extraction didn't help much, try response parser
     if (error && extracted && extracted.length < 20) {
@@ -3926,6 +4383,99 @@ class Orchestrator {
     log('dim', `\nResults saved to: .workflow/state/hybrid-results.json`);
     log('white', '');
   }
+
+  /**
+   * Render every step's prompt and target path without calling a provider
+   * Steps come in dependency order; routing rules still pick the executor.
+   *
+   * @param {Object} plan
+   * @param {Object} [options]
+   * @param {string} [options.outputDir] - Write prompts to <outputDir>/step-<id>.md instead of returning them
+   * @returns {Promise<Object>} { planId, task, steps, unordered }
+   */
+  async dryRunPlan(plan, options = {}) {
+    await this.preparePlan(plan);
+
+    const { ordered, cyclic } = orderPlanSteps(plan.steps);
+    if (options.outputDir) {
+      fs.mkdirSync(options.outputDir, { recursive: true });
+    }
+
+    const steps = [];
+    for (const step of ordered) {
+      if (this.llm instanceof ExecutorChain) {
+        this.llm.selectForStep(step);
+      }
+      await loadTokenizer(this.llm.config);
+
+      const entry = {
+        stepId: step.id,
+        title: step.title,
+        type: step.type,
+        path: step.params?.path || null,
+        dependsOn: step.dependsOn || [],
+        executor: `${this.llm.config.name || this.llm.config.provider} / ${this.llm.config.model || 'server default'}`
+      };
+
+      try {
+        const prompt = this.buildStepPrompt(step, plan.context);
+        entry.tokens = estimateTokens(prompt, this.llm.config);
+
+        if (options.outputDir) {
+          entry.promptFile = path.join(options.outputDir, `step-${String(step.id).replace(/[^\w.-]/g, '_')}.md`);
+          fs.writeFileSync(entry.promptFile, prompt);
+        } else {
+          entry.prompt = prompt;
+        }
+      } catch (e) {
+        entry.error = e.message;
+      }
+
+      steps.push(entry);
+    }
+
+    return { planId: plan.planId, task: plan.task, steps, unordered: cyclic };
+  }
+
+  printDryRun(results) {
+    log('cyan', '\n' + '═'.repeat(60));
+    log('cyan', '                    DRY RUN (no provider calls)');
+    log('cyan', '═'.repeat(60));
+    log('white', `\nTask: ${results.task}`);
+
+    for (const step of results.steps) {
+      log('white', '\n' + '─'.repeat(60));
+      log('cyan', `📋 Step ${step.stepId}: ${step.title || step.type}`);
+      log('dim', `   Type: ${step.type}`);
+      log('dim', `   Path: ${step.path || '(none - output is not written)'}`);
+      if (step.dependsOn.length > 0) {
+        log('dim', `   After: ${step.dependsOn.join(', ')}`);
+      }
+      log('dim', `   Executor: ${step.executor}`);
+
+      if (step.error) {
+        log('red', `   ❌ Template error: ${step.error}`);
+        continue;
+      }
+
+      log('dim', `   Prompt: ~${step.tokens.toLocaleString()} tokens`);
+      if (step.promptFile) {
+        log('dim', `   Written to: ${step.promptFile}`);
+      } else {
+        log('white', '');
+        console.log(step.prompt);
+      }
+    }
+
+    if (results.unordered.length > 0) {
+      log('red', `\n⚠️ Not rendered (dependency cycle): steps ${results.unordered.join(', ')}`);
+    }
+
+    const failed = results.steps.filter(step => step.error).length;
+    log('white', '\n' + '═'.repeat(60));
+    log(failed > 0 ? 'yellow' : 'green', `Rendered ${results.steps.length - failed}/${results.steps.length} step prompt(s)`);
+    log('white', '');
+  }
 }
 
 // ============================================================
@@ -3940,13 +4490,21 @@ async function main() {
 Wogi Flow Hybrid Orchestrator
 
 Usage:
-  flow-orchestrate <plan.json>    Execute a plan file
-  flow-orchestrate --resume       Resume from checkpoint
-  flow-orchestrate --rollback     Rollback last execution
-  flow-orchestrate --help         Show this help
+  flow-orchestrate <plan.json>                 Execute a plan file
+  flow-orchestrate --validate <plan.json>      Check the plan without running it
+  flow-orchestrate --dry-run <plan.json>       Render every prompt without calling a provider
+  flow-orchestrate --resume                    Resume from checkpoint
+  flow-orchestrate --rollback                  Rollback last execution
+  flow-orchestrate --help                      Show this help
+
+Options:
+  --json            With --validate: output the report as JSON
+  --output <dir>    With --dry-run: write prompts to <dir>/step-<id>.md
 
 Examples:
   ./scripts/flow-orchestrate /tmp/plan.json
+  ./scripts/flow-orchestrate --validate /tmp/plan.json
+  ./scripts/flow-orchestrate --dry-run /tmp/plan.json --output /tmp/prompts
   ./scripts/flow-orchestrate --rollback
     `);
     process.exit(0);
@@ -3967,9 +4525,10 @@ Examples:
     process.exit(1);
   }
 
-  const planPath = args[0];
+  const { flags, positional } = parseFlags(args);
+  const planPath = positional[0];
   if (!planPath) {
-    console.error('Usage: flow-orchestrate <plan.json>');
+    console.error('Usage: flow-orchestrate [--validate | --dry-run] <plan.json>');
     process.exit(1);
   }
 
@@ -3978,7 +4537,44 @@ Examples:
     process.exit(1);
   }
 
-  const plan = JSON.parse(fs.readFileSync(planPath, 'utf-8'));
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(planPath, 'utf-8'));
+  } catch (e) {
+    console.error(`Plan file is not valid JSON: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (flags.validate) {
+    const report = validatePlan(plan);
+    if (flags.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printValidationReport(report, planPath);
+    }
+    process.exit(report.valid ? 0 : 1);
+  }
+
+  // Malformed plans fail here instead of part-way through execution
+  const schemaReport = validatePlanSchema(plan);
+  if (!schemaReport.valid) {
+    printValidationReport(schemaReport, planPath);
+    process.exit(1);
+  }
+
+  if (flags.dryRun) {
+    try {
+      const orchestrator = new Orchestrator({ dryRun: true });
+      const results = await orchestrator.dryRunPlan(plan, {
+        outputDir: typeof flags.output === 'string' ? flags.output : null
+      });
+      orchestrator.printDryRun(results);
+      process.exit(results.steps.some(step => step.error) || results.unordered.length > 0 ? 1 : 0);
+    } catch (e) {
+      log('red', `\n❌ Dry run error: ${e.message}`);
+      process.exit(1);
+    }
+  }
 
   try {
     const orchestrator = new Orchestrator();
@@ -3992,7 +4588,18 @@ Examples:
   }
 }
 
-main().catch(err => {
-  console.error(`\x1b[31mFatal error: ${err.message}\x1b[0m`);
-  process.exit(1);
+// Classes for tests and embedding (the CLI exports are declared above)
+Object.assign(module.exports, {
+  LocalLLM,
+  CloudExecutor,
+  ExecutorChain,
+  createSingleExecutor,
+  Orchestrator
 });
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`\x1b[31mFatal error: ${err.message}\x1b[0m`);
+    process.exit(1);
+  });
+}
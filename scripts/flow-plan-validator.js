@@ -0,0 +1,578 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Hybrid Plan Validator
+ *
+ * Checks a plan file before flow-orchestrate runs it:
+ * - Schema: structure against templates/hybrid/plan.schema.json
+ * - Graph: duplicate step IDs, unknown dependsOn, dependency cycles
+ * - Missing files: templates, and files a step modifies that nothing creates
+ * - Imports: params.imports resolved against the export map (flow-export-scanner.js)
+ * - Conflicts: steps writing the same file without an order between them
+ * - Safety: target paths and step/file limits (flow-safety.js SafetyGuard)
+ *
+ * Usage as module:
+ *   const { validatePlan } = require('./flow-plan-validator');
+ *   const report = validatePlan(plan);   // { valid, errors, warnings }
+ *
+ * Usage as CLI:
+ *   flow-orchestrate --validate <plan.json>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+const {
+  PROJECT_ROOT,
+  getConfig,
+  sortByDependencies,
+  isPathWithinProject,
+  color
+} = require('./flow-utils');
+const { buildExportMap, loadCachedExportMap } = require('./flow-export-scanner');
+const { SafetyGuard, loadSafetyConfig } = require('./flow-safety');
+
+const TEMPLATES_DIR = path.join(PROJECT_ROOT, 'templates', 'hybrid');
+const SCHEMA_PATH = path.join(TEMPLATES_DIR, 'plan.schema.json');
+
+/** Step types that edit an existing file rather than create one */
+const MODIFY_STEP_TYPES = ['modify-file', 'fix-bug'];
+
+/** Extensions tried when resolving an extensionless import */
+const IMPORT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+
+// ============================================================
+// Schema
+// ============================================================
+
+/**
+ * Load the plan schema from templates/hybrid/plan.schema.json
+ */
+function loadPlanSchema() {
+  if (!fs.existsSync(SCHEMA_PATH)) {
+    throw new Error(`Plan schema not found: ${path.relative(PROJECT_ROOT, SCHEMA_PATH)}`);
+  }
+  return JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, root) {
+  // Only local refs (#/definitions/name) are used by the plan schema
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+}
+
+/**
+ * Validate a value against the JSON Schema subset the plan schema uses:
+ * type, required, properties, additionalProperties, items, enum,
+ * minLength, minItems, minimum, pattern and local $ref.
+ *
+ * @returns {string[]} Error messages prefixed with the value's path
+ */
+function validateSchema(value, schema, root = schema, at = 'plan') {
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(schema.$ref, root), root, at);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be >= ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, root, `${at}[${i}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${at}: missing required "${key}"`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(child, schema.properties[key], root, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unknown property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(child, schema.additionalProperties, root, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================
+// Step Graph
+// ============================================================
+
+function stepLabel(step) {
+  return `step ${step.id}`;
+}
+
+function getStepPath(step) {
+  return step.params?.path ? path.resolve(PROJECT_ROOT, step.params.path) : null;
+}
+
+/**
+ * Order steps by dependsOn
+ * @returns {{ ordered: Object[], cyclic: string[] }} cyclic lists step IDs in or behind a cycle
+ */
+function orderPlanSteps(steps) {
+  const { ordered, cyclic } = sortByDependencies(steps.map(step => ({
+    id: String(step.id),
+    dependencies: (step.dependsOn || []).map(String),
+    step
+  })));
+
+  return { ordered: ordered.map(entry => entry.step), cyclic };
+}
+
+/**
+ * Map each step ID to the set of step IDs it (transitively) depends on
+ */
+function getAncestors(steps) {
+  const byId = new Map(steps.map(step => [String(step.id), step]));
+  const ancestors = new Map();
+
+  const visit = (id, seen = new Set()) => {
+    if (ancestors.has(id)) return ancestors.get(id);
+    const result = new Set();
+    for (const dep of (byId.get(id)?.dependsOn || []).map(String)) {
+      if (seen.has(dep) || !byId.has(dep)) continue;
+      result.add(dep);
+      for (const inherited of visit(dep, new Set([...seen, id]))) {
+        result.add(inherited);
+      }
+    }
+    ancestors.set(id, result);
+    return result;
+  };
+
+  for (const id of byId.keys()) visit(id);
+  return ancestors;
+}
+
+function isOrdered(a, b, ancestors) {
+  return ancestors.get(String(a.id)).has(String(b.id)) || ancestors.get(String(b.id)).has(String(a.id));
+}
+
+function checkGraph(steps, report) {
+  const seen = new Set();
+  for (const step of steps) {
+    const id = String(step.id);
+    if (seen.has(id)) {
+      report.error('graph', `Duplicate step id "${id}"`, step);
+    }
+    seen.add(id);
+  }
+
+  // The orchestrator compares IDs strictly, so "1" never satisfies a step with id 1
+  const ids = new Set(steps.map(step => step.id));
+
+  for (const step of steps) {
+    for (const dep of step.dependsOn || []) {
+      if (!seen.has(String(dep))) {
+        report.error('graph', `dependsOn unknown step "${dep}"`, step);
+      } else if (!ids.has(dep)) {
+        report.error('graph', `dependsOn ${JSON.stringify(dep)} does not match the type of step id ${dep}`, step);
+      } else if (String(dep) === String(step.id)) {
+        report.error('graph', 'depends on itself', step);
+      }
+    }
+  }
+
+  const { cyclic } = orderPlanSteps(steps);
+  if (cyclic.length > 0) {
+    report.error('graph', `Dependency cycle (or blocked by one): steps ${cyclic.join(', ')}`);
+  }
+}
+
+// ============================================================
+// Files & Conflicts
+// ============================================================
+
+function checkTemplates(steps, report) {
+  for (const step of steps) {
+    const templateName = step.template || step.type;
+    if (templateName && !fs.existsSync(path.join(TEMPLATES_DIR, `${templateName}.md`))) {
+      report.error('missing-file', `Template not found: templates/hybrid/${templateName}.md`, step);
+    }
+  }
+}
+
+function checkTargetFiles(steps, ancestors, report) {
+  const creators = steps.filter(step => getStepPath(step) && !MODIFY_STEP_TYPES.includes(step.type));
+
+  for (const step of steps) {
+    const target = getStepPath(step);
+    if (!target) {
+      if (step.type !== 'fix-bug') {
+        report.warning('missing-file', 'No params.path - the output will not be written to a file', step);
+      }
+      continue;
+    }
+
+    const relative = path.relative(PROJECT_ROOT, target);
+    const exists = fs.existsSync(target);
+
+    if (MODIFY_STEP_TYPES.includes(step.type) && !exists) {
+      const creator = creators.find(other => getStepPath(other) === target);
+      if (!creator) {
+        report.error('missing-file', `File to modify does not exist: ${relative}`, step);
+      } else if (!ancestors.get(String(step.id)).has(String(creator.id))) {
+        report.warning('missing-file', `${relative} is created by ${stepLabel(creator)}, which this step does not depend on`, step);
+      }
+    } else if (!MODIFY_STEP_TYPES.includes(step.type) && exists) {
+      report.warning('conflict', `${relative} already exists and will be overwritten`, step);
+    }
+  }
+}
+
+function checkOutputConflicts(steps, ancestors, report) {
+  const byPath = new Map();
+  for (const step of steps) {
+    const target = getStepPath(step);
+    if (!target) continue;
+    if (!byPath.has(target)) byPath.set(target, []);
+    byPath.get(target).push(step);
+  }
+
+  for (const [target, writers] of byPath) {
+    const relative = path.relative(PROJECT_ROOT, target);
+    for (let i = 0; i < writers.length; i++) {
+      for (let j = i + 1; j < writers.length; j++) {
+        const [a, b] = [writers[i], writers[j]];
+        if (!isOrdered(a, b, ancestors)) {
+          report.error('conflict', `${stepLabel(a)} and ${stepLabel(b)} both write ${relative} with no dependsOn between them`);
+        } else if (!MODIFY_STEP_TYPES.includes(a.type) && !MODIFY_STEP_TYPES.includes(b.type)) {
+          report.warning('conflict', `${stepLabel(a)} and ${stepLabel(b)} both create ${relative} - the later one replaces the earlier`);
+        }
+      }
+    }
+  }
+}
+
+// ============================================================
+// Imports
+// ============================================================
+
+/**
+ * Index the export map by import path
+ * @returns {Map<string, { exports: string[], defaultExport: string|null }>}
+ */
+function indexExportMap(exportMap) {
+  const byImportPath = new Map();
+  for (const [category, items] of Object.entries(exportMap || {})) {
+    if (category === '_meta') continue;
+    for (const info of Object.values(items)) {
+      if (!info.importPath) continue;
+      byImportPath.set(info.importPath, {
+        exports: [...(info.exports || []), ...(info.types || [])],
+        defaultExport: info.defaultExport || null
+      });
+    }
+  }
+  return byImportPath;
+}
+
+/**
+ * Parse an import statement
+ * @returns {{ source: string, names: string[], defaultName: string|null }|null}
+ */
+function parseImport(statement) {
+  const source = statement.match(/from\s+['"]([^'"]+)['"]/)?.[1] || statement.match(/^\s*import\s+['"]([^'"]+)['"]/)?.[1];
+  if (!source) return null;
+
+  const named = statement.match(/{([^}]*)}/)?.[1] || '';
+  const names = named.split(',')
+    .map(name => name.trim().replace(/^type\s+/, '').split(/\s+as\s+/)[0].trim())
+    .filter(Boolean);
+  const defaultName = statement.match(/^\s*import\s+(?:type\s+)?([A-Za-z_$][\w$]*)\s*(?:,|from)/)?.[1] || null;
+
+  return { source, names, defaultName };
+}
+
+function resolvesToFile(basePath, plannedFiles) {
+  const candidates = [
+    basePath,
+    ...IMPORT_EXTENSIONS.map(ext => basePath + ext),
+    ...IMPORT_EXTENSIONS.map(ext => path.join(basePath, `index${ext}`))
+  ];
+  return candidates.some(candidate => plannedFiles.has(candidate) || fs.existsSync(candidate));
+}
+
+function isInstalledPackage(source) {
+  const parts = source.split('/');
+  const name = source.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  if (name.startsWith('node:') || builtinModules.includes(name)) return true;
+  return fs.existsSync(path.join(PROJECT_ROOT, 'node_modules', name));
+}
+
+function checkImports(steps, report) {
+  const withImports = steps.filter(step => Array.isArray(step.params?.imports) && step.params.imports.length > 0);
+  if (withImports.length === 0) return;
+
+  let exportMap = loadCachedExportMap();
+  if (!exportMap) {
+    exportMap = buildExportMap(getConfig());
+  }
+  const exportsByPath = indexExportMap(exportMap);
+  const plannedFiles = new Set(steps.map(getStepPath).filter(Boolean));
+
+  for (const step of withImports) {
+    const stepDir = path.dirname(getStepPath(step) || path.join(PROJECT_ROOT, 'index'));
+
+    for (const statement of step.params.imports) {
+      if (typeof statement !== 'string') continue;
+      const parsed = parseImport(statement);
+      if (!parsed) {
+        report.error('import', `Cannot parse import: ${statement}`, step);
+        continue;
+      }
+
+      const { source, names, defaultName } = parsed;
+      const known = exportsByPath.get(source);
+
+      if (known) {
+        for (const name of names) {
+          if (!known.exports.includes(name)) {
+            report.error('import', `"${name}" is not exported by "${source}"`, step);
+          }
+        }
+        if (defaultName && !known.defaultExport) {
+          report.error('import', `"${source}" has no default export`, step);
+        }
+        continue;
+      }
+
+      if (source.startsWith('.') || source.startsWith('@/')) {
+        const basePath = source.startsWith('@/')
+          ? path.join(PROJECT_ROOT, 'src', source.slice(2))
+          : path.resolve(stepDir, source);
+        if (!resolvesToFile(basePath, plannedFiles)) {
+          report.error('import', `Unresolved import "${source}" (not in the export map, on disk, or created by the plan)`, step);
+        }
+      } else if (!isInstalledPackage(source)) {
+        report.warning('import', `Package "${source}" is not installed`, step);
+      }
+    }
+  }
+}
+
+// ============================================================
+// Safety
+// ============================================================
+
+function checkSafety(steps, report) {
+  const guard = new SafetyGuard({ safety: loadSafetyConfig() });
+  if (!guard.enabled) return;
+
+  let created = 0;
+  let modified = 0;
+
+  for (const step of steps) {
+    const target = getStepPath(step);
+    if (!target) continue;
+
+    if (!isPathWithinProject(target)) {
+      report.error('safety', `Path is outside the project: ${step.params.path}`, step);
+      continue;
+    }
+
+    const operation = MODIFY_STEP_TYPES.includes(step.type) || fs.existsSync(target) ? 'modify' : 'create';
+    if (operation === 'create') created++;
+    else modified++;
+
+    try {
+      guard.checkFilePermission(target, operation);
+    } catch (e) {
+      if (!e.isSafetyViolation) throw e;
+      report.error('safety', e.message, step);
+    }
+  }
+
+  const limits = guard.config.limits || {};
+  const counts = [
+    ['maxSteps', steps.length, 'steps'],
+    ['maxFilesCreated', created, 'files created'],
+    ['maxFilesModified', modified, 'files modified']
+  ];
+  for (const [limit, count, label] of counts) {
+    if (limits[limit] && count > limits[limit]) {
+      report.error('safety', `Plan has ${count} ${label}, over safety.limits.${limit} (${limits[limit]})`);
+    }
+  }
+}
+
+// ============================================================
+// Validation
+// ============================================================
+
+function createReport() {
+  const report = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    error(category, message, step = null) {
+      report.valid = false;
+      report.errors.push({ category, step: step ? step.id : null, message });
+    },
+    warning(category, message, step = null) {
+      report.warnings.push({ category, step: step ? step.id : null, message });
+    }
+  };
+  return report;
+}
+
+function finishReport(report) {
+  return { valid: report.valid, errors: report.errors, warnings: report.warnings };
+}
+
+/**
+ * Validate a plan's structure against the plan schema only
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[] }}
+ */
+function validatePlanSchema(plan) {
+  const report = createReport();
+  for (const message of validateSchema(plan, loadPlanSchema())) {
+    report.error('schema', message);
+  }
+  return finishReport(report);
+}
+
+/**
+ * Steps well-formed enough for the later checks
+ *
+ * A malformed step only has its schema errors reported, so it doesn't hide
+ * the problems in the rest of the plan. The graph checks need just an id
+ * and dependsOn, so steps that only fail elsewhere still count as known
+ * dependencies.
+ *
+ * @returns {{ graphSteps: Object[], steps: Object[] }}
+ */
+function getCheckableSteps(plan, schema) {
+  if (!Array.isArray(plan?.steps)) {
+    return { graphSteps: [], steps: [] };
+  }
+
+  const stepSchema = schema.definitions.step;
+  const graphSchema = {
+    type: 'object',
+    required: ['id'],
+    properties: { id: stepSchema.properties.id, dependsOn: stepSchema.properties.dependsOn }
+  };
+
+  return {
+    graphSteps: plan.steps.filter(step => validateSchema(step, graphSchema, schema).length === 0),
+    steps: plan.steps.filter(step => validateSchema(step, stepSchema, schema).length === 0)
+  };
+}
+
+/**
+ * Run every plan check (schema, graph, files, imports, conflicts, safety)
+ * and report all problems found; steps that fail the schema are left out
+ * of the later checks.
+ *
+ * @param {Object} plan - Parsed plan file
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[] }}
+ */
+function validatePlan(plan) {
+  const report = createReport();
+  const schema = loadPlanSchema();
+
+  for (const message of validateSchema(plan, schema)) {
+    report.error('schema', message);
+  }
+
+  const { graphSteps, steps } = getCheckableSteps(plan, schema);
+  checkGraph(graphSteps, report);
+
+  const ancestors = getAncestors(graphSteps);
+  checkTemplates(steps, report);
+  checkTargetFiles(steps, ancestors, report);
+  checkOutputConflicts(steps, ancestors, report);
+  checkImports(steps, report);
+  checkSafety(steps, report);
+
+  return finishReport(report);
+}
+
+/**
+ * Print a validation report
+ */
+function printValidationReport(report, planPath = 'plan') {
+  console.log('');
+  console.log(color('cyan', `Plan validation: ${planPath}`));
+  console.log('');
+
+  const format = issue => {
+    const where = issue.step !== null ? color('dim', `[step ${issue.step}] `) : '';
+    return `${where}${issue.message} ${color('dim', `(${issue.category})`)}`;
+  };
+
+  for (const issue of report.errors) {
+    console.log(`  ${color('red', '✗')} ${format(issue)}`);
+  }
+  for (const issue of report.warnings) {
+    console.log(`  ${color('yellow', '⚠')} ${format(issue)}`);
+  }
+
+  if (report.errors.length === 0 && report.warnings.length === 0) {
+    console.log(`  ${color('green', '✓')} No problems found`);
+  }
+
+  console.log('');
+  const summary = `${report.errors.length} error(s), ${report.warnings.length} warning(s)`;
+  console.log(report.valid ? color('green', `✓ Plan is valid (${summary})`) : color('red', `✗ Plan is invalid (${summary})`));
+  console.log('');
+}
+
+module.exports = {
+  MODIFY_STEP_TYPES,
+  loadPlanSchema,
+  validateSchema,
+  validatePlanSchema,
+  validatePlan,
+  orderPlanSteps,
+  printValidationReport
+};
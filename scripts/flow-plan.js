@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Delivery Plan
+ *
+ * Computes the critical path through a feature's tasks and estimates the
+ * remaining effort from how long past tasks of the same complexity took.
+ *
+ * Estimates come from completed tasks in ready.json that have startedAt and
+ * completedAt timestamps, grouped by complexity (see flow-complexity.js).
+ * Buckets without history fall back to DEFAULT_ESTIMATE_HOURS.
+ *
+ * Usage:
+ *   flow plan                     Plan all active tasks in ready.json
+ *   flow plan <feature>           Plan tasks in .workflow/changes/<feature>/tasks.json
+ *   flow plan --hours-per-day 6   Working hours per day used for the ETA date
+ *   flow plan --json              Output JSON for programmatic access
+ */
+
+const path = require('path');
+const {
+  PATHS,
+  fileExists,
+  readJson,
+  listDirs,
+  getReadyData,
+  getTaskId,
+  getTaskDependencies,
+  sortByDependencies,
+  parseFlags,
+  outputJson,
+  color,
+  printHeader,
+  printSection,
+  error,
+  warn
+} = require('./flow-utils');
+const { assessTaskComplexity, COMPLEXITY_LEVELS } = require('./flow-complexity');
+
+// ============================================================
+// Constants
+// ============================================================
+
+/** Estimated hours per complexity level when there is no history */
+const DEFAULT_ESTIMATE_HOURS = {
+  small: 1,
+  medium: 3,
+  large: 6,
+  xl: 12
+};
+
+/** Working hours per day used to turn effort into a date */
+const DEFAULT_HOURS_PER_DAY = 6;
+
+/** In-progress tasks always have at least this fraction of their estimate left */
+const MIN_REMAINING_FRACTION = 0.1;
+
+/** Width of the Gantt chart in characters */
+const GANTT_WIDTH = 40;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// ============================================================
+// Task Collection
+// ============================================================
+
+/**
+ * Normalize the many status spellings used in tasks.json and ready.json
+ * @returns {'done'|'inProgress'|'pending'}
+ */
+function normalizeStatus(status) {
+  const value = String(status || '').toLowerCase().replace(/[\s_-]/g, '');
+  if (['done', 'completed', 'complete', 'recentlycompleted'].includes(value)) return 'done';
+  if (['inprogress', 'started', 'active'].includes(value)) return 'inProgress';
+  return 'pending';
+}
+
+/**
+ * Index ready.json tasks by ID with their list as status
+ */
+function getReadyIndex(readyData) {
+  const index = new Map();
+  for (const listName of ['ready', 'inProgress', 'blocked', 'recentlyCompleted']) {
+    for (const task of readyData[listName] || []) {
+      const id = getTaskId(task);
+      if (id) {
+        index.set(id, { task: typeof task === 'string' ? { id } : task, status: normalizeStatus(listName) });
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * List feature names that have a tasks.json
+ */
+function listFeatures() {
+  return listDirs(PATHS.changes)
+    .filter(name => fileExists(path.join(PATHS.changes, name, 'tasks.json')));
+}
+
+/**
+ * Collect the tasks to plan
+ * Feature tasks take their status from ready.json when they are queued there.
+ *
+ * @param {string|null} feature - Feature name, or null for all ready.json tasks
+ * @param {Object} readyData - ready.json data
+ * @returns {Array} Tasks with { id, title, status, dependencies, raw }
+ */
+function collectTasks(feature, readyData) {
+  const readyIndex = getReadyIndex(readyData);
+
+  if (!feature) {
+    return [...readyIndex.values()].map(({ task, status }) => ({
+      id: task.id,
+      title: task.title || '',
+      status,
+      dependencies: getTaskDependencies(task),
+      raw: task
+    }));
+  }
+
+  const tasksFile = path.join(PATHS.changes, feature, 'tasks.json');
+  const featureData = readJson(tasksFile, null);
+  if (!featureData || !Array.isArray(featureData.tasks)) {
+    throw new Error(`No tasks found for feature "${feature}" (${path.relative(PATHS.root, tasksFile)})`);
+  }
+
+  return featureData.tasks.filter(task => task && task.id).map(task => {
+    const queued = readyIndex.get(task.id);
+    const raw = queued ? { ...task, ...queued.task } : task;
+    return {
+      id: task.id,
+      title: raw.title || '',
+      status: queued ? queued.status : normalizeStatus(task.status),
+      dependencies: getTaskDependencies(task),
+      raw
+    };
+  });
+}
+
+// ============================================================
+// Estimation
+// ============================================================
+
+/**
+ * Get a task's complexity level, preferring an explicit "complexity" field
+ */
+function getComplexity(task) {
+  if (task.complexity && COMPLEXITY_LEVELS[task.complexity]) {
+    return task.complexity;
+  }
+  return assessTaskComplexity(task).level;
+}
+
+/**
+ * Get how long a completed task took, in hours
+ * @returns {number|null} null when timestamps are missing or invalid
+ */
+function getTaskDurationHours(task) {
+  if (!task || !task.startedAt || !task.completedAt) return null;
+
+  const duration = new Date(task.completedAt) - new Date(task.startedAt);
+  if (!Number.isFinite(duration) || duration <= 0) return null;
+
+  return duration / MS_PER_HOUR;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Build per-complexity duration history from completed tasks
+ * @param {Array} completedTasks - Task objects with startedAt/completedAt
+ * @returns {Object} { [level]: { samples, medianHours } }
+ */
+function buildHistory(completedTasks) {
+  const durations = {};
+  for (const level of Object.keys(DEFAULT_ESTIMATE_HOURS)) {
+    durations[level] = [];
+  }
+
+  for (const task of completedTasks) {
+    const hours = getTaskDurationHours(task);
+    if (hours === null) continue;
+    durations[getComplexity(task)].push(hours);
+  }
+
+  const history = {};
+  for (const [level, values] of Object.entries(durations)) {
+    history[level] = {
+      samples: values.length,
+      medianHours: values.length > 0 ? round(median(values)) : null
+    };
+  }
+  return history;
+}
+
+/**
+ * Estimate total and remaining hours for a task
+ */
+function estimateTask(task, history, now = Date.now()) {
+  const complexity = getComplexity(task.raw);
+  const bucket = history[complexity];
+  const fromHistory = bucket && bucket.medianHours !== null;
+  const estimateHours = fromHistory ? bucket.medianHours : DEFAULT_ESTIMATE_HOURS[complexity];
+
+  let remainingHours = estimateHours;
+  if (task.status === 'done') {
+    remainingHours = 0;
+  } else if (task.status === 'inProgress' && task.raw.startedAt) {
+    const elapsed = (now - new Date(task.raw.startedAt)) / MS_PER_HOUR;
+    if (Number.isFinite(elapsed)) {
+      remainingHours = Math.max(estimateHours - elapsed, estimateHours * MIN_REMAINING_FRACTION);
+    }
+  }
+
+  return {
+    complexity,
+    estimateHours,
+    remainingHours: round(remainingHours),
+    estimateSource: fromHistory ? 'history' : 'default'
+  };
+}
+
+// ============================================================
+// Critical Path
+// ============================================================
+
+/**
+ * Schedule tasks as early as their dependencies allow and find the critical path
+ * Assumes tasks that don't depend on each other can run in parallel.
+ *
+ * @param {Array} tasks - Estimated tasks
+ * @returns {Object} { scheduled, criticalPath, criticalPathHours, cyclic }
+ */
+function computeCriticalPath(tasks) {
+  const { ordered, cyclic } = sortByDependencies(tasks);
+  const byId = new Map();
+
+  for (const task of ordered) {
+    let start = 0;
+    let via = null;
+
+    for (const depId of task.dependencies) {
+      const dep = byId.get(depId);
+      if (dep && dep.finish > start) {
+        start = dep.finish;
+        via = depId;
+      }
+    }
+
+    byId.set(task.id, {
+      ...task,
+      start: round(start),
+      finish: round(start + task.remainingHours),
+      via
+    });
+  }
+
+  const scheduled = [...byId.values()];
+  const last = scheduled.reduce((max, task) => (!max || task.finish > max.finish ? task : max), null);
+
+  const criticalPath = [];
+  for (let task = last; task && task.remainingHours > 0; task = byId.get(task.via)) {
+    criticalPath.unshift(task.id);
+  }
+
+  const critical = new Set(criticalPath);
+  for (const task of scheduled) {
+    task.critical = critical.has(task.id);
+    delete task.via;
+  }
+
+  return {
+    scheduled,
+    criticalPath,
+    criticalPathHours: last ? last.finish : 0,
+    cyclic
+  };
+}
+
+/**
+ * Build the full plan
+ * @param {Object} options
+ * @param {string|null} [options.feature] - Feature name (null for ready.json)
+ * @param {number} [options.hoursPerDay]
+ * @param {number} [options.now] - Current time in ms (for testing)
+ */
+function buildPlan(options = {}) {
+  const { feature = null, hoursPerDay = DEFAULT_HOURS_PER_DAY, now = Date.now() } = options;
+
+  const readyData = getReadyData();
+  const tasks = collectTasks(feature, readyData);
+  const history = buildHistory(readyData.recentlyCompleted || []);
+
+  const estimated = tasks.map(task => ({
+    id: task.id,
+    title: task.title,
+    status: task.status,
+    dependencies: task.dependencies,
+    ...estimateTask(task, history, now)
+  }));
+
+  const { scheduled, criticalPath, criticalPathHours, cyclic } = computeCriticalPath(estimated);
+  const remaining = scheduled.filter(task => task.status !== 'done');
+  const remainingHours = round(remaining.reduce((sum, task) => sum + task.remainingHours, 0));
+  const etaDays = criticalPathHours / hoursPerDay;
+
+  return {
+    feature,
+    hoursPerDay,
+    history,
+    tasks: scheduled,
+    criticalPath,
+    cyclic,
+    totals: {
+      tasks: scheduled.length,
+      completed: scheduled.length - remaining.length,
+      remaining: remaining.length,
+      remainingHours,
+      criticalPathHours
+    },
+    eta: {
+      workingDays: round(etaDays),
+      date: addWorkingDays(new Date(now), Math.ceil(etaDays)).toISOString().slice(0, 10)
+    }
+  };
+}
+
+// ============================================================
+// Output
+// ============================================================
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Add working days (Monday-Friday) to a date
+ */
+function addWorkingDays(date, days) {
+  const result = new Date(date);
+  let added = 0;
+  while (added < days) {
+    result.setUTCDate(result.getUTCDate() + 1);
+    const day = result.getUTCDay();
+    if (day !== 0 && day !== 6) {
+      added++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Render one Gantt bar
+ */
+function renderBar(task, scale) {
+  const offset = Math.round(task.start * scale);
+  const length = Math.max(1, Math.round(task.remainingHours * scale));
+  const barColor = task.critical ? 'red' : task.status === 'inProgress' ? 'yellow' : 'cyan';
+  const bar = ' '.repeat(offset) + color(barColor, '█'.repeat(length));
+  return bar + ' '.repeat(Math.max(0, GANTT_WIDTH - offset - length));
+}
+
+function printPlan(plan) {
+  printHeader(plan.feature ? `Delivery Plan: ${plan.feature}` : 'Delivery Plan');
+
+  if (plan.cyclic.length > 0) {
+    warn(`Dependency cycle, not scheduled: ${plan.cyclic.join(', ')}`);
+    console.log('');
+  }
+
+  const remaining = plan.tasks.filter(task => task.status !== 'done');
+  if (remaining.length === 0) {
+    console.log(color('green', `✓ All ${plan.totals.tasks} task(s) completed`));
+    return;
+  }
+
+  const scale = plan.totals.criticalPathHours > 0 ? GANTT_WIDTH / plan.totals.criticalPathHours : 0;
+  const idWidth = Math.max(...remaining.map(task => task.id.length));
+
+  printSection('Timeline (hours from now)');
+  const sortedTasks = [...remaining].sort((a, b) => a.start - b.start || a.finish - b.finish);
+  for (const task of sortedTasks) {
+    const marker = task.critical ? color('red', '*') : ' ';
+    const hours = `${task.remainingHours}h`.padStart(6);
+    const title = task.title.length > 40 ? `${task.title.slice(0, 37)}...` : task.title;
+    console.log(`${marker} ${task.id.padEnd(idWidth)} |${renderBar(task, scale)}| ${hours} ${color('dim', `[${task.complexity}] ${title}`)}`);
+  }
+  console.log(color('dim', `  ${' '.repeat(idWidth)} 0${' '.repeat(GANTT_WIDTH - 1)}${plan.totals.criticalPathHours}h`));
+  console.log('');
+
+  printSection('Critical Path');
+  console.log(`  ${plan.criticalPath.join(' → ')}`);
+  console.log('');
+
+  printSection('Estimate');
+  console.log(`  Tasks:          ${plan.totals.completed}/${plan.totals.tasks} completed`);
+  console.log(`  Remaining work: ${plan.totals.remainingHours}h`);
+  console.log(`  Critical path:  ${plan.totals.criticalPathHours}h`);
+  console.log(`  ETA:            ${plan.eta.date} (${plan.eta.workingDays} working days at ${plan.hoursPerDay}h/day)`);
+  console.log('');
+
+  printSection('History (median hours per complexity)');
+  for (const [level, bucket] of Object.entries(plan.history)) {
+    const value = bucket.medianHours !== null
+      ? `${bucket.medianHours}h from ${bucket.samples} task(s)`
+      : color('dim', `${DEFAULT_ESTIMATE_HOURS[level]}h (default, no history)`);
+    console.log(`  ${level.padEnd(7)} ${value}`);
+  }
+  console.log('');
+  console.log(color('dim', '* critical path. Assumes independent tasks can run in parallel.'));
+}
+
+function showHelp() {
+  console.log(`
+Wogi Flow - Delivery Plan
+
+Computes the critical path and ETA from task dependencies and
+historical task durations.
+
+Usage:
+  flow plan                     Plan all active tasks in ready.json
+  flow plan <feature>           Plan a feature's tasks (.workflow/changes/<feature>)
+  flow plan --hours-per-day 6   Working hours per day for the ETA date
+  flow plan --json              Output JSON
+`);
+}
+
+function main() {
+  const { flags, positional } = parseFlags(process.argv.slice(2));
+
+  if (flags.help) {
+    showHelp();
+    return;
+  }
+
+  const feature = positional[0] || null;
+  const hoursPerDay = Number(flags['hours-per-day']) || DEFAULT_HOURS_PER_DAY;
+
+  if (feature && !listFeatures().includes(feature)) {
+    const available = listFeatures();
+    if (flags.json) {
+      outputJson({ success: false, error: `Unknown feature: ${feature}`, features: available }, { exitCode: 1 });
+    }
+    error(`Unknown feature: ${feature}`);
+    if (available.length > 0) {
+      console.log(`Available: ${available.join(', ')}`);
+    }
+    process.exit(1);
+  }
+
+  let plan;
+  try {
+    plan = buildPlan({ feature, hoursPerDay });
+  } catch (err) {
+    if (flags.json) {
+      outputJson({ success: false, error: err.message }, { exitCode: 1 });
+    }
+    error(err.message);
+    process.exit(1);
+  }
+
+  if (flags.json) {
+    outputJson({ success: true, ...plan });
+  }
+
+  printPlan(plan);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  buildPlan,
+  buildHistory,
+  estimateTask,
+  computeCriticalPath,
+  normalizeStatus,
+  DEFAULT_ESTIMATE_HOURS
+};
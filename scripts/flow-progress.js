@@ -166,6 +166,54 @@ class StepDisplay {
   }
 }
 
+/**
+ * Live view of a streaming LLM generation
+ * On a terminal, keeps one status line updated with the token count, elapsed
+ * time and the tail of the output. Elsewhere it stays silent.
+ */
+class StreamDisplay {
+  constructor(label = 'Generating', previewWidth = 40) {
+    this.label = label;
+    this.previewWidth = previewWidth;
+    this.tokens = 0;
+    this.tail = '';
+    this.lastRender = 0;
+    this.enabled = Boolean(process.stdout.isTTY);
+  }
+
+  start() {
+    this.startTime = Date.now();
+    this.render();
+  }
+
+  write(token) {
+    this.tokens++;
+    this.tail = (this.tail + token).slice(-this.previewWidth * 4);
+
+    // Redraw at most 10 times per second
+    if (Date.now() - this.lastRender >= 100) {
+      this.render();
+    }
+  }
+
+  render() {
+    if (!this.enabled) return;
+    this.lastRender = Date.now();
+
+    const elapsed = ((Date.now() - this.startTime) / 1000).toFixed(1);
+    const preview = this.tail.replace(/\s+/g, ' ').slice(-this.previewWidth);
+    const line = `  ${colors.cyan}${symbols.running}${colors.reset} ${this.label} ${colors.dim}${this.tokens} tokens (${elapsed}s) ${symbols.arrow} ${preview}${colors.reset}`;
+
+    process.stdout.write('\r' + ' '.repeat(100) + '\r');
+    process.stdout.write(line);
+  }
+
+  stop() {
+    if (!this.enabled) return;
+    process.stdout.write('\r' + ' '.repeat(100) + '\r');
+  }
+}
+
 function formatBox(title, content, width = 60) {
   const lines = content.split('\n');
   const topBorder = '═'.repeat(width);
@@ -275,6 +323,7 @@ module.exports = {
   ProgressBar,
   Spinner,
   StepDisplay,
+  StreamDisplay,
   formatBox,
   formatPlanSummary,
   formatOptions,
@@ -299,6 +348,16 @@ if (require.main === module) {
     }
     bar.complete('All steps done');
 
+    console.log('\nStreaming output:');
+    const stream = new StreamDisplay('Generating');
+    stream.start();
+    for (const token of 'export function add(a: number, b: number) { return a + b; }'.split(/(?=\s)/)) {
+      stream.write(token);
+      await new Promise(r => setTimeout(r, 150));
+    }
+    stream.stop();
+    console.log(`${colors.green}${symbols.check}${colors.reset} Generation complete`);
+
     const plan = {
       task: 'Add user authentication',
       model: 'nemotron-3-nano',
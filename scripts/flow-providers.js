@@ -8,12 +8,24 @@
  * - LM Studio (local)
  * - Anthropic (cloud)
  * - OpenAI (cloud)
+ * - Google (cloud)
+ * - OpenAI-compatible servers (vLLM, llama.cpp server, LocalAI, ...)
  *
  * Usage as module:
  *   const { createProvider, listProviders } = require('./flow-providers');
  *   const provider = createProvider({ type: 'anthropic', apiKey: '...' });
  *   const response = await provider.complete(prompt, options);
  *
+ *   // Streaming (async iterator of tokens, cancellable)
+ *   const controller = new AbortController();
+ *   for await (const token of provider.stream(prompt, { signal: controller.signal, stepTimeout: 60000 })) {
+ *     process.stdout.write(token);
+ *   }
+ *
+ *   // Ordered fallback chain from hybrid.providers
+ *   const executor = createExecutorFromConfig(config.hybrid);
+ *   const { content, provider } = await executor.complete(prompt);
+ *
  * Usage as CLI:
  *   flow providers list                 # List available providers
  *   flow providers test <type>          # Test a provider
@@ -24,7 +36,8 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
-const { getProjectRoot, colors: c } = require('./flow-utils');
+const { getProjectRoot, getConfig, colors: c } = require('./flow-utils');
+const { countTokens, loadTokenizer } = require('./flow-tokenizer');
 
 const PROJECT_ROOT = getProjectRoot();
 const WORKFLOW_DIR = path.join(PROJECT_ROOT, '.workflow');
@@ -38,9 +51,15 @@ const PROVIDER_TYPES = {
   LM_STUDIO: 'lm-studio',
   ANTHROPIC: 'anthropic',
   OPENAI: 'openai',
-  GOOGLE: 'google'
+  GOOGLE: 'google',
+  OPENAI_COMPATIBLE: 'openai-compatible'
 };
 
+/**
+ * Providers that run on your own hardware (free tokens, longer timeouts)
+ */
+const LOCAL_PROVIDER_TYPES = ['ollama', 'lm-studio', 'openai-compatible'];
+
 /**
  * Model capability heuristics
  * Used as fallback when API doesn't provide capability info
@@ -184,9 +203,293 @@ const DEFAULT_CONFIGS = {
     temperature: 0.7,
     maxTokens: 4096,
     timeout: 60000
+  },
+  'openai-compatible': {
+    endpoint: 'http://localhost:8000/v1',
+    model: null, // First model the server lists
+    temperature: 0.7,
+    maxTokens: 4096,
+    timeout: 120000
+  }
+};
+
+/**
+ * Known OpenAI-compatible servers, probed by detectProviders()
+ * ownedBy: `owned_by` values in the model list that identify the server
+ * (llama.cpp and LocalAI share port 8080). Add or override servers in
+ * hybrid.openaiCompatible: { "<id>": { name, endpoint, headers, envKey, modelsPath } }
+ */
+const OPENAI_COMPATIBLE_SERVERS = {
+  vllm: {
+    name: 'vLLM',
+    endpoint: 'http://localhost:8000/v1',
+    ownedBy: ['vllm']
+  },
+  'llama-cpp': {
+    name: 'llama.cpp server',
+    endpoint: 'http://localhost:8080/v1',
+    ownedBy: ['llamacpp']
+  },
+  localai: {
+    name: 'LocalAI',
+    endpoint: 'http://localhost:8080/v1',
+    ownedBy: []
   }
 };
 
+/**
+ * Built-in OpenAI-compatible servers merged with hybrid.openaiCompatible
+ */
+function getOpenAICompatibleServers() {
+  const configured = getConfig().hybrid?.openaiCompatible || {};
+  const servers = { ...OPENAI_COMPATIBLE_SERVERS };
+
+  for (const [id, server] of Object.entries(configured)) {
+    servers[id] = { ownedBy: [], ...servers[id], ...server };
+  }
+  return servers;
+}
+
+/**
+ * Default endpoint for a provider type (and OpenAI-compatible server id)
+ */
+function getDefaultEndpoint(providerType, server = null) {
+  if (providerType === PROVIDER_TYPES.OPENAI_COMPATIBLE && server) {
+    const registered = getOpenAICompatibleServers()[server];
+    if (registered?.endpoint) return registered.endpoint;
+  }
+  return DEFAULT_CONFIGS[providerType]?.endpoint || null;
+}
+
+/**
+ * Work out which registered server answered at an endpoint
+ * Matches `owned_by` first, then a server that doesn't set it.
+ * @param {Object[]} candidates - [id, server] entries sharing the endpoint
+ * @param {Object[]} models - fetchModels() result
+ * @returns {string|null} Server id
+ */
+function identifyOpenAICompatibleServer(candidates, models) {
+  const owners = models.map(m => m.ownedBy).filter(Boolean);
+
+  const byOwner = candidates.find(([, server]) =>
+    server.ownedBy?.some(owner => owners.includes(owner)));
+  if (byOwner) return byOwner[0];
+
+  const generic = candidates.find(([, server]) => !server.ownedBy?.length) || candidates[0];
+  return generic ? generic[0] : null;
+}
+
+// ============================================================
+// Streaming
+// ============================================================
+
+/**
+ * Error thrown when a streamed generation is cancelled or times out
+ */
+class StreamCancelledError extends Error {
+  constructor(message, reason = 'cancelled') {
+    super(message);
+    this.name = 'StreamCancelledError';
+    this.reason = reason; // 'cancelled' | 'timeout'
+  }
+}
+
+/**
+ * Build a URL below the endpoint's base path
+ * (new URL('/messages', 'https://api.anthropic.com/v1') would drop "/v1")
+ */
+function buildEndpointUrl(endpoint, route) {
+  const url = new URL(endpoint);
+  url.pathname = `${url.pathname.replace(/\/+$/, '')}/${route.replace(/^\/+/, '')}`;
+  return url;
+}
+
+/**
+ * Combine a caller's AbortSignal with a per-step timeout
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @param {number} [stepTimeout] - Total time allowed in ms
+ * @returns {{ signal: AbortSignal, cleanup: Function }}
+ */
+function createStreamSignal(signal, stepTimeout) {
+  const controller = new AbortController();
+
+  const onAbort = () => controller.abort(new StreamCancelledError('Generation cancelled'));
+  if (signal?.aborted) {
+    onAbort();
+  } else if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  const timer = stepTimeout > 0
+    ? setTimeout(() => controller.abort(
+      new StreamCancelledError(`Generation exceeded step timeout (${stepTimeout}ms)`, 'timeout')
+    ), stepTimeout)
+    : null;
+
+  return {
+    signal: controller.signal,
+    cleanup: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Parse one line of a streamed response
+ * Handles server-sent events ("data: {...}") and newline-delimited JSON.
+ * @returns {Object|null|'done'} Parsed event, null to skip, 'done' at end of stream
+ */
+function parseStreamLine(line) {
+  let payload = line.trim();
+  if (!payload || payload.startsWith(':') || /^(event|id|retry):/.test(payload)) {
+    return null;
+  }
+
+  if (payload.startsWith('data:')) {
+    payload = payload.slice(5).trim();
+    if (payload === '[DONE]') return 'done';
+  }
+
+  try {
+    return JSON.parse(payload);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * POST a JSON body and yield parsed events as they arrive
+ *
+ * @param {URL} url
+ * @param {Object} options
+ * @param {Object} options.body - JSON request body
+ * @param {Object} [options.headers] - Extra headers
+ * @param {number} [options.timeout] - Idle socket timeout in ms
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.stepTimeout] - Total time allowed in ms
+ */
+async function* streamJsonEvents(url, options = {}) {
+  const { signal, cleanup } = createStreamSignal(options.signal, options.stepTimeout);
+  const client = url.protocol === 'https:' ? https : http;
+  const payload = JSON.stringify(options.body);
+  let req = null;
+
+  const onAbort = () => req?.destroy(signal.reason);
+
+  try {
+    const res = await new Promise((resolve, reject) => {
+      req = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...options.headers
+        },
+        timeout: options.timeout || 120000
+      }, resolve);
+
+      req.on('error', reject);
+      req.on('timeout', () => req.destroy(new Error('Request timeout')));
+      signal.addEventListener('abort', onAbort, { once: true });
+      if (signal.aborted) onAbort();
+
+      req.write(payload);
+      req.end();
+    });
+
+    if (res.statusCode >= 400) {
+      let data = '';
+      for await (const chunk of res) data += chunk;
+      const parsed = parseStreamLine(data);
+      const message = parsed?.error?.message || parsed?.error || data.slice(0, 200);
+      const httpError = new Error(`HTTP ${res.statusCode}: ${message}`);
+      httpError.status = res.statusCode;
+      throw httpError;
+    }
+
+    res.setEncoding('utf8');
+    let buffer = '';
+    for await (const chunk of res) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const event = parseStreamLine(line);
+        if (event === 'done') return;
+        if (event) yield event;
+      }
+    }
+
+    const last = parseStreamLine(buffer);
+    if (last && last !== 'done') yield last;
+  } catch (err) {
+    // Destroying the request surfaces as a socket error - report why it was aborted
+    throw signal.aborted ? signal.reason : err;
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+    cleanup();
+    req?.destroy();
+  }
+}
+
+/**
+ * Stream an OpenAI-compatible chat completion (OpenAI, LM Studio)
+ * @param {URL} url - chat/completions URL
+ * @param {Object} options - streamJsonEvents options (body must set stream: true)
+ * @returns {AsyncGenerator<string, Object>} Tokens, then { model, stopReason, usage }
+ */
+async function* streamChatCompletion(url, options) {
+  const result = { model: options.body.model, stopReason: null, usage: null };
+
+  for await (const event of streamJsonEvents(url, options)) {
+    if (event.error) {
+      throw new Error(event.error.message || String(event.error));
+    }
+
+    const choice = event.choices?.[0];
+    if (choice?.delta?.content) {
+      yield choice.delta.content;
+    }
+    if (choice?.finish_reason) {
+      result.stopReason = choice.finish_reason;
+    }
+    if (event.model) {
+      result.model = event.model;
+    }
+    if (event.usage) {
+      result.usage = {
+        promptTokens: event.usage.prompt_tokens,
+        completionTokens: event.usage.completion_tokens,
+        totalTokens: event.usage.total_tokens
+      };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Consume a token stream into { content, ...returnValue }
+ * @param {AsyncGenerator<string, Object>} iterator - From stream()
+ * @param {Function} [onToken] - Called with each token as it arrives
+ */
+async function collectStream(iterator, onToken) {
+  let content = '';
+
+  let step = await iterator.next();
+  while (!step.done) {
+    content += step.value;
+    if (onToken) {
+      onToken(step.value);
+    }
+    step = await iterator.next();
+  }
+
+  return { content, ...step.value };
+}
+
 /**
  * Base provider class
  */
@@ -200,6 +503,46 @@ class BaseProvider {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Stream a completion as an async iterator of text tokens
+   * The iterator's return value is { model, stopReason, usage }.
+   * Providers without native streaming yield the whole completion at once.
+   *
+   * @param {string} prompt
+   * @param {Object} [options] - complete() options, plus:
+   * @param {AbortSignal} [options.signal] - Cancels the generation
+   * @param {number} [options.stepTimeout] - Total time allowed in ms
+   * @throws {StreamCancelledError} When cancelled or the step timeout expires
+   */
+  async *stream(prompt, options = {}) {
+    const { signal, cleanup } = createStreamSignal(options.signal, options.stepTimeout);
+
+    try {
+      const response = await new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        if (signal.aborted) reject(signal.reason);
+        this.complete(prompt, options).then(resolve, reject);
+      });
+
+      if (response.content) {
+        yield response.content;
+      }
+      return { model: response.model, stopReason: response.stopReason, usage: response.usage };
+    } finally {
+      cleanup();
+    }
+  }
+
+  /**
+   * Stream a completion and collect it into the complete() result shape
+   * @param {string} prompt
+   * @param {Object} [options] - stream() options, plus:
+   * @param {Function} [options.onToken] - Called with each token as it arrives
+   */
+  async completeStream(prompt, options = {}) {
+    return collectStream(this.stream(prompt, options), options.onToken);
+  }
+
   async test() {
     try {
       const response = await this.complete('Say "OK" if you can hear me.', {
@@ -225,32 +568,65 @@ class OllamaProvider extends BaseProvider {
     this.name = 'ollama';
   }
 
-  async complete(prompt, options = {}) {
-    const endpoint = this.config.endpoint || DEFAULT_CONFIGS.ollama.endpoint;
-    const url = new URL('/api/generate', endpoint);
-
-    const body = {
+  _buildBody(prompt, options, stream) {
+    return {
       model: options.model || this.config.model || DEFAULT_CONFIGS.ollama.model,
       prompt,
-      stream: false,
+      stream,
       options: {
         temperature: options.temperature || this.config.temperature || 0.7,
         num_predict: options.maxTokens || this.config.maxTokens || 4096
       }
     };
+  }
+
+  _getUsage(response) {
+    return {
+      promptTokens: response.prompt_eval_count,
+      completionTokens: response.eval_count,
+      totalTokens: (response.prompt_eval_count || 0) + (response.eval_count || 0)
+    };
+  }
+
+  async complete(prompt, options = {}) {
+    const endpoint = this.config.endpoint || DEFAULT_CONFIGS.ollama.endpoint;
+    const url = buildEndpointUrl(endpoint, '/api/generate');
 
-    const response = await this._request(url, body);
+    const response = await this._request(url, this._buildBody(prompt, options, false));
     return {
       content: response.response,
       model: response.model,
-      usage: {
-        promptTokens: response.prompt_eval_count,
-        completionTokens: response.eval_count,
-        totalTokens: (response.prompt_eval_count || 0) + (response.eval_count || 0)
-      }
+      usage: this._getUsage(response)
     };
   }
 
+  async *stream(prompt, options = {}) {
+    const endpoint = this.config.endpoint || DEFAULT_CONFIGS.ollama.endpoint;
+    const body = this._buildBody(prompt, options, true);
+    const result = { model: body.model, stopReason: null, usage: null };
+
+    for await (const event of streamJsonEvents(buildEndpointUrl(endpoint, '/api/generate'), {
+      body,
+      timeout: this.config.timeout || 120000,
+      signal: options.signal,
+      stepTimeout: options.stepTimeout
+    })) {
+      if (event.error) {
+        throw new Error(event.error);
+      }
+      if (event.response) {
+        yield event.response;
+      }
+      if (event.done) {
+        result.model = event.model || result.model;
+        result.stopReason = event.done_reason;
+        result.usage = this._getUsage(event);
+      }
+    }
+
+    return result;
+  }
+
   async listModels() {
     const endpoint = this.config.endpoint || DEFAULT_CONFIGS.ollama.endpoint;
     const url = new URL('/api/tags', endpoint);
@@ -357,18 +733,25 @@ class LMStudioProvider extends BaseProvider {
     this.name = 'lm-studio';
   }
 
-  async complete(prompt, options = {}) {
-    const endpoint = this.config.endpoint || DEFAULT_CONFIGS['lm-studio'].endpoint;
-    const url = new URL('/chat/completions', endpoint);
-
-    const body = {
+  _buildBody(prompt, options) {
+    return {
       model: options.model || this.config.model || 'local-model',
       messages: [{ role: 'user', content: prompt }],
       temperature: options.temperature || this.config.temperature || 0.7,
       max_tokens: options.maxTokens || this.config.maxTokens || 4096
     };
+  }
+
+  async complete(prompt, options = {}) {
+    const endpoint = this.config.endpoint || DEFAULT_CONFIGS['lm-studio'].endpoint;
+    const url = buildEndpointUrl(endpoint, '/chat/completions');
+
+    const response = await this._request(url, this._buildBody(prompt, options));
+
+    if (response.error) {
+      throw new Error(response.error.message || String(response.error));
+    }
 
-    const response = await this._request(url, body);
     return {
       content: response.choices?.[0]?.message?.content || '',
       model: response.model,
@@ -380,6 +763,16 @@ class LMStudioProvider extends BaseProvider {
     };
   }
 
+  async *stream(prompt, options = {}) {
+    const endpoint = this.config.endpoint || DEFAULT_CONFIGS['lm-studio'].endpoint;
+    return yield* streamChatCompletion(buildEndpointUrl(endpoint, '/chat/completions'), {
+      body: { ...this._buildBody(prompt, options), stream: true },
+      timeout: this.config.timeout || 120000,
+      signal: options.signal,
+      stepTimeout: options.stepTimeout
+    });
+  }
+
   _request(url, body) {
     return new Promise((resolve, reject) => {
       const options = {
@@ -441,6 +834,156 @@ class LMStudioProvider extends BaseProvider {
   }
 }
 
+/**
+ * OpenAI-compatible provider (vLLM, llama.cpp server, LocalAI, ...)
+ * Endpoint, headers and model listing come from the config or from a
+ * registered server (see OPENAI_COMPATIBLE_SERVERS / hybrid.openaiCompatible).
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.name = 'openai-compatible';
+
+    const server = getOpenAICompatibleServers()[config.server] || {};
+    this.serverName = server.name || config.server || 'OpenAI-compatible server';
+    this.endpoint = config.endpoint || getDefaultEndpoint(PROVIDER_TYPES.OPENAI_COMPATIBLE, config.server);
+    this.modelsPath = config.modelsPath || server.modelsPath || '/models';
+    this.headers = { ...server.headers, ...config.headers };
+
+    const apiKey = config.apiKey || server.apiKey || (server.envKey && process.env[server.envKey]);
+    if (apiKey) {
+      this.headers.Authorization = `Bearer ${apiKey}`;
+    }
+  }
+
+  /**
+   * Servers usually serve a single model - use it when none is configured
+   */
+  async _resolveModel(options) {
+    const model = options.model || this.config.model;
+    if (model) return model;
+
+    const models = await this.listModels();
+    if (models.length === 0) {
+      throw new Error(`No model configured for ${this.serverName} and none listed at ${this.endpoint}`);
+    }
+    return models[0].id;
+  }
+
+  async _buildBody(prompt, options) {
+    const messages = [{ role: 'user', content: prompt }];
+
+    if (options.system || this.config.system) {
+      messages.unshift({ role: 'system', content: options.system || this.config.system });
+    }
+
+    return {
+      model: await this._resolveModel(options),
+      messages,
+      temperature: options.temperature || this.config.temperature || 0.7,
+      max_tokens: options.maxTokens || this.config.maxTokens || 4096
+    };
+  }
+
+  async complete(prompt, options = {}) {
+    const url = buildEndpointUrl(this.endpoint, '/chat/completions');
+    const response = await this._request(url, await this._buildBody(prompt, options));
+
+    return {
+      content: response.choices?.[0]?.message?.content || '',
+      model: response.model,
+      stopReason: response.choices?.[0]?.finish_reason,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens,
+        completionTokens: response.usage?.completion_tokens,
+        totalTokens: response.usage?.total_tokens
+      }
+    };
+  }
+
+  async *stream(prompt, options = {}) {
+    return yield* streamChatCompletion(buildEndpointUrl(this.endpoint, '/chat/completions'), {
+      body: { ...await this._buildBody(prompt, options), stream: true },
+      headers: this.headers,
+      timeout: this.config.timeout || 120000,
+      signal: options.signal,
+      stepTimeout: options.stepTimeout
+    });
+  }
+
+  /**
+   * List served models
+   * vLLM reports max_model_len and llama.cpp meta.n_ctx_train, used as contextWindow.
+   * @throws When the server cannot be reached (listModels() returns [] instead)
+   */
+  async fetchModels(timeout = 5000) {
+    const response = await this._request(buildEndpointUrl(this.endpoint, this.modelsPath), null, 'GET', timeout);
+
+    return (response.data || response.models || []).map(m => ({
+      id: m.id || m.name,
+      name: m.id || m.name,
+      ownedBy: m.owned_by,
+      contextWindow: m.max_model_len || m.meta?.n_ctx_train || null,
+      capabilities: detectModelCapabilities(m.id || m.name)
+    }));
+  }
+
+  async listModels() {
+    try {
+      return await this.fetchModels();
+    } catch {
+      return [];
+    }
+  }
+
+  _request(url, body, method = 'POST', timeout = null) {
+    return new Promise((resolve, reject) => {
+      const client = url.protocol === 'https:' ? https : http;
+      const payload = body ? JSON.stringify(body) : null;
+
+      const req = client.request(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(payload && { 'Content-Length': Buffer.byteLength(payload) }),
+          ...this.headers
+        },
+        timeout: timeout || this.config.timeout || 120000
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch {
+            reject(new Error(`Invalid response: ${data.slice(0, 100)}`));
+            return;
+          }
+
+          if (res.statusCode >= 400 || parsed.error) {
+            const httpError = new Error(
+              `HTTP ${res.statusCode}: ${parsed.error?.message || parsed.error || data.slice(0, 200)}`
+            );
+            httpError.status = res.statusCode;
+            reject(httpError);
+            return;
+          }
+          resolve(parsed);
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => req.destroy(new Error('Request timeout')));
+
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+}
+
 /**
  * Anthropic provider
  */
@@ -457,19 +1000,9 @@ class AnthropicProvider extends BaseProvider {
     }
 
     const endpoint = this.config.endpoint || DEFAULT_CONFIGS.anthropic.endpoint;
-    const url = new URL('/messages', endpoint);
-
-    const body = {
-      model: options.model || this.config.model || DEFAULT_CONFIGS.anthropic.model,
-      max_tokens: options.maxTokens || this.config.maxTokens || 4096,
-      messages: [{ role: 'user', content: prompt }]
-    };
-
-    if (options.system || this.config.system) {
-      body.system = options.system || this.config.system;
-    }
+    const url = buildEndpointUrl(endpoint, '/messages');
 
-    const response = await this._request(url, body);
+    const response = await this._request(url, this._buildBody(prompt, options));
 
     if (response.error) {
       throw new Error(response.error.message);
@@ -487,6 +1020,68 @@ class AnthropicProvider extends BaseProvider {
     };
   }
 
+  async *stream(prompt, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('Anthropic API key not configured. Set ANTHROPIC_API_KEY or provide apiKey in config.');
+    }
+
+    const endpoint = this.config.endpoint || DEFAULT_CONFIGS.anthropic.endpoint;
+    const body = { ...this._buildBody(prompt, options), stream: true };
+    const result = { model: body.model, stopReason: null, usage: null };
+    let inputTokens = 0;
+
+    for await (const event of streamJsonEvents(buildEndpointUrl(endpoint, '/messages'), {
+      body,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      timeout: this.config.timeout || 60000,
+      signal: options.signal,
+      stepTimeout: options.stepTimeout
+    })) {
+      switch (event.type) {
+        case 'message_start':
+          result.model = event.message?.model || result.model;
+          inputTokens = event.message?.usage?.input_tokens || 0;
+          break;
+        case 'content_block_delta':
+          if (event.delta?.text) {
+            yield event.delta.text;
+          }
+          break;
+        case 'message_delta': {
+          const outputTokens = event.usage?.output_tokens || 0;
+          result.stopReason = event.delta?.stop_reason || result.stopReason;
+          result.usage = {
+            promptTokens: inputTokens,
+            completionTokens: outputTokens,
+            totalTokens: inputTokens + outputTokens
+          };
+          break;
+        }
+        case 'error':
+          throw new Error(event.error?.message || 'Anthropic stream error');
+      }
+    }
+
+    return result;
+  }
+
+  _buildBody(prompt, options) {
+    const body = {
+      model: options.model || this.config.model || DEFAULT_CONFIGS.anthropic.model,
+      max_tokens: options.maxTokens || this.config.maxTokens || 4096,
+      messages: [{ role: 'user', content: prompt }]
+    };
+
+    if (options.system || this.config.system) {
+      body.system = options.system || this.config.system;
+    }
+
+    return body;
+  }
+
   _request(url, body) {
     return new Promise((resolve, reject) => {
       const options = {
@@ -537,22 +1132,9 @@ class OpenAIProvider extends BaseProvider {
     }
 
     const endpoint = this.config.endpoint || DEFAULT_CONFIGS.openai.endpoint;
-    const url = new URL('/chat/completions', endpoint);
+    const url = buildEndpointUrl(endpoint, '/chat/completions');
 
-    const messages = [{ role: 'user', content: prompt }];
-
-    if (options.system || this.config.system) {
-      messages.unshift({ role: 'system', content: options.system || this.config.system });
-    }
-
-    const body = {
-      model: options.model || this.config.model || DEFAULT_CONFIGS.openai.model,
-      messages,
-      temperature: options.temperature || this.config.temperature || 0.7,
-      max_tokens: options.maxTokens || this.config.maxTokens || 4096
-    };
-
-    const response = await this._request(url, body);
+    const response = await this._request(url, this._buildBody(prompt, options));
 
     if (response.error) {
       throw new Error(response.error.message);
@@ -570,6 +1152,40 @@ class OpenAIProvider extends BaseProvider {
     };
   }
 
+  async *stream(prompt, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY or provide apiKey in config.');
+    }
+
+    const endpoint = this.config.endpoint || DEFAULT_CONFIGS.openai.endpoint;
+    return yield* streamChatCompletion(buildEndpointUrl(endpoint, '/chat/completions'), {
+      body: {
+        ...this._buildBody(prompt, options),
+        stream: true,
+        stream_options: { include_usage: true }
+      },
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      timeout: this.config.timeout || 60000,
+      signal: options.signal,
+      stepTimeout: options.stepTimeout
+    });
+  }
+
+  _buildBody(prompt, options) {
+    const messages = [{ role: 'user', content: prompt }];
+
+    if (options.system || this.config.system) {
+      messages.unshift({ role: 'system', content: options.system || this.config.system });
+    }
+
+    return {
+      model: options.model || this.config.model || DEFAULT_CONFIGS.openai.model,
+      messages,
+      temperature: options.temperature || this.config.temperature || 0.7,
+      max_tokens: options.maxTokens || this.config.maxTokens || 4096
+    };
+  }
+
   async listModels() {
     if (!this.apiKey) return [];
 
@@ -643,27 +1259,10 @@ class GoogleProvider extends BaseProvider {
 
     const model = options.model || this.config.model || DEFAULT_CONFIGS.google.model;
     const endpoint = this.config.endpoint || DEFAULT_CONFIGS.google.endpoint;
-    const url = new URL(`/models/${model}:generateContent`, endpoint);
+    const url = buildEndpointUrl(endpoint, `/models/${model}:generateContent`);
     url.searchParams.set('key', this.apiKey);
 
-    const body = {
-      contents: [{
-        parts: [{ text: prompt }]
-      }],
-      generationConfig: {
-        temperature: options.temperature || this.config.temperature || 0.7,
-        maxOutputTokens: options.maxTokens || this.config.maxTokens || 4096
-      }
-    };
-
-    // Add system instruction if provided
-    if (options.system || this.config.system) {
-      body.systemInstruction = {
-        parts: [{ text: options.system || this.config.system }]
-      };
-    }
-
-    const response = await this._request(url, body);
+    const response = await this._request(url, this._buildBody(prompt, options));
 
     if (response.error) {
       throw new Error(response.error.message);
@@ -683,6 +1282,71 @@ class GoogleProvider extends BaseProvider {
     };
   }
 
+  async *stream(prompt, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('Google API key not configured. Set GOOGLE_API_KEY or provide apiKey in config.');
+    }
+
+    const model = options.model || this.config.model || DEFAULT_CONFIGS.google.model;
+    const endpoint = this.config.endpoint || DEFAULT_CONFIGS.google.endpoint;
+    const url = buildEndpointUrl(endpoint, `/models/${model}:streamGenerateContent`);
+    url.searchParams.set('alt', 'sse');
+    url.searchParams.set('key', this.apiKey);
+
+    const result = { model, stopReason: null, usage: null };
+
+    for await (const event of streamJsonEvents(url, {
+      body: this._buildBody(prompt, options),
+      timeout: this.config.timeout || 60000,
+      signal: options.signal,
+      stepTimeout: options.stepTimeout
+    })) {
+      if (event.error) {
+        throw new Error(event.error.message);
+      }
+
+      const candidate = event.candidates?.[0];
+      for (const part of candidate?.content?.parts || []) {
+        if (part.text) {
+          yield part.text;
+        }
+      }
+      if (candidate?.finishReason) {
+        result.stopReason = candidate.finishReason;
+      }
+      if (event.usageMetadata) {
+        result.usage = {
+          promptTokens: event.usageMetadata.promptTokenCount,
+          completionTokens: event.usageMetadata.candidatesTokenCount,
+          totalTokens: event.usageMetadata.totalTokenCount
+        };
+      }
+    }
+
+    return result;
+  }
+
+  _buildBody(prompt, options) {
+    const body = {
+      contents: [{
+        parts: [{ text: prompt }]
+      }],
+      generationConfig: {
+        temperature: options.temperature || this.config.temperature || 0.7,
+        maxOutputTokens: options.maxTokens || this.config.maxTokens || 4096
+      }
+    };
+
+    // Add system instruction if provided
+    if (options.system || this.config.system) {
+      body.systemInstruction = {
+        parts: [{ text: options.system || this.config.system }]
+      };
+    }
+
+    return body;
+  }
+
   async listModels() {
     if (!this.apiKey) return [];
 
@@ -756,6 +1420,8 @@ function createProvider(config) {
       return new OpenAIProvider(config);
     case PROVIDER_TYPES.GOOGLE:
       return new GoogleProvider(config);
+    case PROVIDER_TYPES.OPENAI_COMPATIBLE:
+      return new OpenAICompatibleProvider(config);
     default:
       throw new Error(`Unknown provider type: ${type}`);
   }
@@ -763,17 +1429,40 @@ function createProvider(config) {
 
 /**
  * Create executor provider from hybrid config
- * Supports both legacy config (provider/model) and new executor config
+ * Supports provider chains (hybrid.providers), the executor config
+ * and legacy config (provider/model)
  */
 function createExecutorFromConfig(hybridConfig) {
+  // Ordered provider chain (hybrid.providers)
+  if (Array.isArray(hybridConfig.providers) && hybridConfig.providers.length > 0) {
+    const members = getProviderChain(hybridConfig).map(entry => ({
+      name: entry.name,
+      provider: createProvider({
+        type: entry.provider,
+        endpoint: entry.endpoint,
+        model: entry.model,
+        apiKey: entry.apiKey,
+        server: entry.server,
+        headers: entry.headers,
+        ...hybridConfig.settings
+      })
+    }));
+
+    return members.length === 1
+      ? members[0].provider
+      : new ProviderChain(members, { fallbackOn: getRoutingPolicy(hybridConfig).fallbackOn });
+  }
+
   // New executor config structure
   if (hybridConfig.executor && hybridConfig.executor.provider) {
     const executor = hybridConfig.executor;
     return createProvider({
       type: executor.provider,
-      endpoint: executor.providerEndpoint,
+      endpoint: executor.providerEndpoint || executor.endpoint,
       model: executor.model,
       apiKey: executor.apiKey,
+      server: executor.server,
+      headers: executor.headers,
       ...hybridConfig.settings
     });
   }
@@ -804,13 +1493,15 @@ function getExecutorConfig(hybridConfig) {
       provider: hybridConfig.executor.provider,
       providerEndpoint: hybridConfig.executor.providerEndpoint,
       model: hybridConfig.executor.model,
-      apiKey: hybridConfig.executor.apiKey
+      apiKey: hybridConfig.executor.apiKey,
+      server: hybridConfig.executor.server,
+      headers: hybridConfig.executor.headers
     };
   }
 
   // Legacy config
   if (hybridConfig.provider) {
-    const isLocal = ['ollama', 'lm-studio'].includes(hybridConfig.provider);
+    const isLocal = LOCAL_PROVIDER_TYPES.includes(hybridConfig.provider);
     return {
       type: isLocal ? 'local' : 'cloud',
       provider: hybridConfig.provider,
@@ -823,6 +1514,216 @@ function getExecutorConfig(hybridConfig) {
   return null;
 }
 
+// ============================================================
+// Provider Chains
+// ============================================================
+
+/**
+ * Failure kinds that hand a request to the next provider by default
+ * ('validation' is driven by the caller after repeated validation failures)
+ */
+const DEFAULT_FALLBACK_ON = ['connection', 'rateLimit', 'validation'];
+
+const DEFAULT_VALIDATION_FAILURES = 3;
+
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EHOSTUNREACH',
+  'ENETUNREACH', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'
+];
+
+/**
+ * Classify a provider error for fallback decisions
+ * @param {Error} err
+ * @returns {'cancelled'|'timeout'|'connection'|'rateLimit'|'other'}
+ */
+function classifyProviderError(err) {
+  // Executors wrap provider errors - classify the original
+  const cause = err?.originalError || err;
+
+  if (cause instanceof StreamCancelledError) {
+    return cause.reason;
+  }
+  if (CONNECTION_ERROR_CODES.includes(cause?.code) || /request timeout|socket hang up/i.test(cause?.message)) {
+    return 'connection';
+  }
+  if ([429, 503, 529].includes(cause?.status) ||
+      /rate.?limit|too many requests|quota|overloaded|resource.?exhausted/i.test(cause?.message)) {
+    return 'rateLimit';
+  }
+  return 'other';
+}
+
+/**
+ * Normalize one hybrid.providers entry to the getExecutorConfig() shape
+ */
+function normalizeChainEntry(entry) {
+  const provider = entry.provider || entry.type;
+  const endpoint = entry.endpoint || entry.providerEndpoint || getDefaultEndpoint(provider, entry.server);
+
+  return {
+    name: entry.name || entry.server || provider,
+    type: LOCAL_PROVIDER_TYPES.includes(provider) ? 'local' : 'cloud',
+    provider,
+    providerEndpoint: endpoint,
+    endpoint,
+    model: entry.model,
+    apiKey: entry.apiKey,
+    server: entry.server,
+    headers: entry.headers
+  };
+}
+
+/**
+ * Get the ordered provider chain from hybrid config
+ * Falls back to the single executor when hybrid.providers is not set.
+ * @returns {Object[]} Executor configs, each with a unique `name`
+ */
+function getProviderChain(hybridConfig) {
+  if (Array.isArray(hybridConfig.providers) && hybridConfig.providers.length > 0) {
+    const chain = hybridConfig.providers.map(normalizeChainEntry);
+
+    // Repeated providers (e.g. two Ollama models) need distinct names for routing
+    const seen = {};
+    for (const entry of chain) {
+      seen[entry.name] = (seen[entry.name] || 0) + 1;
+      if (seen[entry.name] > 1) {
+        entry.name = `${entry.name}-${seen[entry.name]}`;
+      }
+    }
+    return chain;
+  }
+
+  const executor = getExecutorConfig(hybridConfig);
+  return executor ? [{ name: executor.provider, ...executor }] : [];
+}
+
+/**
+ * Get fallback and routing settings from hybrid.routing
+ * @returns {{ fallbackOn: string[], validationFailures: number, rules: Object[] }}
+ */
+function getRoutingPolicy(hybridConfig) {
+  const routing = hybridConfig.routing || {};
+
+  return {
+    fallbackOn: routing.fallbackOn || DEFAULT_FALLBACK_ON,
+    validationFailures: routing.validationFailures || DEFAULT_VALIDATION_FAILURES,
+    rules: routing.rules || []
+  };
+}
+
+/**
+ * Pick the providers for a task using routing rules
+ * The first rule whose conditions all match wins; rules list provider names.
+ *
+ * @param {Object[]} chain - Items with a `name` (chain entries or wrappers)
+ * @param {Object[]} rules - [{ taskType?, complexity?, providers: [...] }]
+ * @param {Object} task - { taskType: string|string[], complexity: string }
+ * @returns {{ chain: Object[], rule: Object|null }}
+ */
+function routeProviderChain(chain, rules, task) {
+  const matches = (expected, actual) => {
+    if (expected === undefined) return true;
+    const wanted = [].concat(expected);
+    return [].concat(actual).some(value => wanted.includes(value));
+  };
+
+  for (const rule of rules || []) {
+    if (rule.taskType === undefined && rule.complexity === undefined) continue;
+    if (!matches(rule.taskType, task.taskType) || !matches(rule.complexity, task.complexity)) continue;
+
+    const routed = [].concat(rule.providers || [])
+      .map(name => chain.find(item => item.name === name))
+      .filter(Boolean);
+
+    if (routed.length > 0) {
+      return { chain: routed, rule };
+    }
+  }
+
+  return { chain, rule: null };
+}
+
+/**
+ * Provider that tries an ordered chain of providers
+ * Falls back on connection errors and rate limits (see hybrid.routing.fallbackOn).
+ * Responses carry the `provider` that answered and the ones that failed before it.
+ */
+class ProviderChain extends BaseProvider {
+  /**
+   * @param {Object[]} members - [{ name, provider }]
+   * @param {Object} [options]
+   * @param {string[]} [options.fallbackOn] - Failure kinds that move to the next provider
+   * @param {Function} [options.onFallback] - Called with ({ from, to, reason, error })
+   */
+  constructor(members, options = {}) {
+    super({});
+    this.name = 'chain';
+    this.members = members;
+    this.fallbackOn = options.fallbackOn || DEFAULT_FALLBACK_ON;
+    this.onFallback = options.onFallback || null;
+  }
+
+  _shouldFallBack(err, index) {
+    return index < this.members.length - 1 &&
+      this.fallbackOn.includes(classifyProviderError(err));
+  }
+
+  _fallBack(err, index) {
+    this.onFallback?.({
+      from: this.members[index].name,
+      to: this.members[index + 1].name,
+      reason: classifyProviderError(err),
+      error: err
+    });
+  }
+
+  async complete(prompt, options = {}) {
+    const failed = [];
+
+    for (let i = 0; i < this.members.length; i++) {
+      try {
+        const response = await this.members[i].provider.complete(prompt, options);
+        return { ...response, provider: this.members[i].name, fallbackFrom: failed };
+      } catch (err) {
+        if (!this._shouldFallBack(err, i)) throw err;
+        failed.push(this.members[i].name);
+        this._fallBack(err, i);
+      }
+    }
+  }
+
+  /**
+   * Streams from the first provider that responds
+   * Once tokens have been yielded the stream is committed to that provider.
+   */
+  async *stream(prompt, options = {}) {
+    const failed = [];
+
+    for (let i = 0; i < this.members.length; i++) {
+      let yielded = false;
+      try {
+        const iterator = this.members[i].provider.stream(prompt, options);
+        let step = await iterator.next();
+        while (!step.done) {
+          yielded = true;
+          yield step.value;
+          step = await iterator.next();
+        }
+        return { ...step.value, provider: this.members[i].name, fallbackFrom: failed };
+      } catch (err) {
+        if (yielded || !this._shouldFallBack(err, i)) throw err;
+        failed.push(this.members[i].name);
+        this._fallBack(err, i);
+      }
+    }
+  }
+
+  async listModels() {
+    const models = await Promise.all(this.members.map(member => member.provider.listModels()));
+    return models.flat();
+  }
+}
+
 /**
  * List all available providers
  */
@@ -870,10 +1771,54 @@ function listProviders() {
       envVar: 'GOOGLE_API_KEY',
       defaultEndpoint: DEFAULT_CONFIGS.google.endpoint,
       executorModels: ['gemini-2.0-flash-exp', 'gemini-1.5-flash']
+    },
+    {
+      type: PROVIDER_TYPES.OPENAI_COMPATIBLE,
+      name: 'OpenAI-compatible (vLLM, llama.cpp, LocalAI)',
+      local: true,
+      requiresKey: false,
+      defaultEndpoint: DEFAULT_CONFIGS['openai-compatible'].endpoint,
+      executorModels: ['served model']
     }
   ];
 }
 
+/**
+ * Probe registered OpenAI-compatible servers
+ * Each endpoint is queried once; servers sharing a port are told apart by their model list.
+ */
+async function detectOpenAICompatibleServers() {
+  const byEndpoint = {};
+  for (const entry of Object.entries(getOpenAICompatibleServers())) {
+    const endpoint = entry[1].endpoint;
+    if (!endpoint) continue;
+    (byEndpoint[endpoint] = byEndpoint[endpoint] || []).push(entry);
+  }
+
+  const detected = await Promise.all(Object.entries(byEndpoint).map(async ([endpoint, candidates]) => {
+    try {
+      const provider = new OpenAICompatibleProvider({ server: candidates[0][0], endpoint });
+      const models = await provider.fetchModels(3000);
+      const id = identifyOpenAICompatibleServer(candidates, models);
+      if (!id) return null;
+
+      return {
+        type: PROVIDER_TYPES.OPENAI_COMPATIBLE,
+        server: id,
+        name: getOpenAICompatibleServers()[id].name || id,
+        endpoint,
+        local: true,
+        cost: 'free',
+        models
+      };
+    } catch {
+      return null; // Not running
+    }
+  }));
+
+  return detected.filter(Boolean);
+}
+
 /**
  * Detect available providers
  */
@@ -914,6 +1859,9 @@ async function detectProviders() {
     // Not available
   }
 
+  // Check OpenAI-compatible servers (vLLM, llama.cpp server, LocalAI)
+  available.push(...await detectOpenAICompatibleServers());
+
   // Check Anthropic (cloud - if key present)
   if (process.env.ANTHROPIC_API_KEY) {
     available.push({
@@ -1061,16 +2009,15 @@ async function getModelContextLimit(providerType, endpoint, modelName) {
 
 /**
  * Estimate token count from text
- * Uses conservative 4 chars per token estimate for English/code
+ * Uses the model's tokenizer when its vocab is available offline
+ * (see flow-tokenizer.js), otherwise a character heuristic.
  *
  * @param {string} text - Text to estimate
+ * @param {Object} [target] - { provider, model } to pick the tokenizer
  * @returns {number} Estimated token count
  */
-function estimateTokens(text) {
-  if (!text) return 0;
-  // 4 chars per token is conservative estimate
-  // Actual tokenizers vary but this is a reasonable approximation
-  return Math.ceil(text.length / 4);
+function estimateTokens(text, target = {}) {
+  return countTokens(text, target);
 }
 
 /**
@@ -1078,12 +2025,14 @@ function estimateTokens(text) {
  *
  * @param {number} contextLimit - Total context window
  * @param {number} reserveForResponse - Tokens to reserve for response (default: 20%)
+ * @param {Object} [target] - { provider, model } whose tokenizer counts prompts
  * @returns {Object} Budget helper functions
  */
-function createTokenBudget(contextLimit, reserveForResponse = null) {
+function createTokenBudget(contextLimit, reserveForResponse = null, target = {}) {
   // Reserve 20% for response by default, minimum 1000 tokens
   const responseReserve = reserveForResponse || Math.max(1000, Math.floor(contextLimit * 0.2));
   const promptBudget = contextLimit - responseReserve;
+  const count = text => estimateTokens(text, target);
 
   return {
     contextLimit,
@@ -1094,33 +2043,39 @@ function createTokenBudget(contextLimit, reserveForResponse = null) {
      * Check if prompt fits within budget
      */
     fitsWithin(text) {
-      return estimateTokens(text) <= promptBudget;
+      return count(text) <= promptBudget;
     },
 
     /**
      * Get remaining budget after some text
      */
     remaining(text) {
-      return promptBudget - estimateTokens(text);
+      return promptBudget - count(text);
     },
 
     /**
      * Truncate text to fit budget with optional ellipsis
      */
     truncateToFit(text, targetTokens = promptBudget) {
-      const currentTokens = estimateTokens(text);
+      const suffix = '\n\n... (truncated to fit context window)';
+      let currentTokens = count(text);
       if (currentTokens <= targetTokens) return text;
 
-      // Truncate to approximate target (4 chars per token)
-      const targetChars = targetTokens * 4;
-      return text.substring(0, targetChars - 50) + '\n\n... (truncated to fit context window)';
+      // Scale by the measured chars-per-token until the tokenizer agrees
+      let truncated = text;
+      while (currentTokens > targetTokens && truncated.length > 0) {
+        const targetChars = Math.floor(truncated.length * (targetTokens / currentTokens) * 0.95);
+        truncated = text.substring(0, Math.max(0, targetChars - suffix.length));
+        currentTokens = count(truncated + suffix);
+      }
+      return truncated + suffix;
     },
 
     /**
      * Get usage summary
      */
     summarize(text) {
-      const used = estimateTokens(text);
+      const used = count(text);
       const percent = Math.round((used / promptBudget) * 100);
       return {
         used,
@@ -1149,17 +2104,20 @@ async function initializeTokenBudget(config) {
     maxContextTokens // Optional manual override
   } = config;
 
+  // Budgets count with the model's own tokenizer when one is available
+  await loadTokenizer({ provider, model });
+
   // Use manual override if provided
   if (maxContextTokens && maxContextTokens > 0) {
     console.log(`📊 Using configured context window: ${maxContextTokens.toLocaleString()} tokens`);
-    return createTokenBudget(maxContextTokens);
+    return createTokenBudget(maxContextTokens, null, { provider, model });
   }
 
   // Auto-detect from provider
   const contextLimit = await getModelContextLimit(provider, providerEndpoint, model);
   console.log(`📊 Detected context window: ${contextLimit.toLocaleString()} tokens`);
 
-  return createTokenBudget(contextLimit);
+  return createTokenBudget(contextLimit, null, { provider, model });
 }
 
 // Module exports
@@ -1168,14 +2126,37 @@ module.exports = {
   DEFAULT_CONFIGS,
   MODEL_CAPABILITIES,
   BaseProvider,
+  StreamCancelledError,
   OllamaProvider,
   LMStudioProvider,
   AnthropicProvider,
   OpenAIProvider,
   GoogleProvider,
+  OpenAICompatibleProvider,
   createProvider,
   createExecutorFromConfig,
+  buildEndpointUrl,
+  streamJsonEvents,
+  streamChatCompletion,
+  collectStream,
   getExecutorConfig,
+
+  // Provider chains
+  ProviderChain,
+  DEFAULT_FALLBACK_ON,
+  classifyProviderError,
+  getProviderChain,
+  getRoutingPolicy,
+  routeProviderChain,
+
+  // OpenAI-compatible servers
+  OPENAI_COMPATIBLE_SERVERS,
+  LOCAL_PROVIDER_TYPES,
+  getOpenAICompatibleServers,
+  getDefaultEndpoint,
+  identifyOpenAICompatibleServer,
+  detectOpenAICompatibleServers,
+
   listProviders,
   detectProviders,
   loadProviderFromConfig,
@@ -1233,10 +2214,10 @@ if (require.main === module) {
 
         if (available.length === 0) {
           console.log(`${c.yellow}No providers detected.${c.reset}`);
-          console.log(`${c.dim}Make sure Ollama/LM Studio is running, or set API keys.${c.reset}`);
+          console.log(`${c.dim}Make sure Ollama/LM Studio/vLLM/llama.cpp/LocalAI is running, or set API keys.${c.reset}`);
         } else {
           for (const p of available) {
-            console.log(`${c.green}✅ ${p.name}${c.reset}`);
+            console.log(`${c.green}✅ ${p.name}${c.reset}${p.endpoint ? ` ${c.dim}(${p.endpoint})${c.reset}` : ''}`);
             if (p.models && p.models.length > 0) {
               console.log(`   Models: ${p.models.map(m => m.id).join(', ')}`);
             }
@@ -1249,14 +2230,14 @@ if (require.main === module) {
         const providerType = args[1];
         if (!providerType) {
           console.error(`${c.red}Error: Provider type required${c.reset}`);
-          console.log(`${c.dim}Usage: flow providers test <ollama|lm-studio|anthropic|openai>${c.reset}`);
+          console.log(`${c.dim}Usage: flow providers test <ollama|lm-studio|anthropic|openai|google|openai-compatible> [server]${c.reset}`);
           process.exit(1);
         }
 
         console.log(`${c.cyan}Testing ${providerType}...${c.reset}`);
 
         try {
-          const provider = createProvider({ type: providerType });
+          const provider = createProvider({ type: providerType, server: args[2] });
           const result = await provider.test();
 
           if (result.success) {
@@ -1338,7 +2319,7 @@ ${c.cyan}Wogi Flow - Model Providers${c.reset}
 ${c.bold}Usage:${c.reset}
   flow providers list                  List all available providers
   flow providers detect                Detect running local providers
-  flow providers test <type>           Test a provider connection
+  flow providers test <type> [server]  Test a provider connection
   flow providers capabilities          List known model capabilities
   flow providers capabilities <model>  Show capabilities for a model
   flow providers recommend             Find best model for code tasks
@@ -1348,6 +2329,10 @@ ${c.bold}Supported Providers:${c.reset}
   lm-studio     Local LM Studio instance
   anthropic     Anthropic API (requires ANTHROPIC_API_KEY)
   openai        OpenAI API (requires OPENAI_API_KEY)
+  google        Google Gemini API (requires GOOGLE_API_KEY)
+  openai-compatible [server]
+                vLLM, llama.cpp server, LocalAI or any server with an
+                OpenAI-style /v1 API (servers: hybrid.openaiCompatible)
 
 ${c.bold}Model Capabilities:${c.reset}
   The system detects model capabilities using:
@@ -7,7 +7,7 @@
  * v2.1: Supports natural language parsing and automatic queue continuation.
  *
  * Commands:
- *   flow queue init <task-ids...>  - Initialize queue with task IDs
+ *   flow queue init <task-ids...>  - Initialize queue with task IDs (dependencies first)
  *   flow queue status              - Show current queue status
  *   flow queue clear               - Clear the queue
  *   flow queue parse "<text>"      - Parse natural language for task IDs
@@ -21,7 +21,12 @@ const {
   fileExists,
   color,
   error,
-  getConfig
+  warn,
+  getConfig,
+  getReadyData,
+  getTaskId,
+  getDependencyStatus,
+  sortByDependencies
 } = require('./flow-utils');
 
 const {
@@ -158,6 +163,49 @@ function showStatus() {
   console.log(color('dim', `Completed: ${status.completedTasks.length}/${status.tasks.length}`));
 }
 
+/**
+ * Order task IDs so each task is queued after the tasks it depends on
+ * Exits if the queued tasks depend on each other in a cycle.
+ */
+function orderByDependencies(taskIds) {
+  const data = getReadyData();
+  const known = new Map();
+  for (const listName of ['ready', 'inProgress', 'blocked']) {
+    for (const task of data[listName] || []) {
+      known.set(getTaskId(task), task);
+    }
+  }
+
+  const tasks = taskIds.map(id => known.get(id) || id);
+  const { ordered, cyclic } = sortByDependencies(tasks);
+
+  if (cyclic.length > 0) {
+    error(`Dependency cycle between queued tasks: ${cyclic.join(', ')}`);
+    console.log('Fix the "dependencies" of these tasks in ready.json and try again.');
+    process.exit(1);
+  }
+
+  // Dependencies that are neither queued nor completed will hold the queue up
+  for (const task of ordered) {
+    const depStatus = getDependencyStatus(task, data);
+    const outside = depStatus.pending
+      .filter(dep => !taskIds.includes(dep.id));
+    if (outside.length > 0) {
+      warn(`${getTaskId(task)} depends on tasks outside the queue: ${outside.map(dep => dep.id).join(', ')}`);
+    }
+    if (depStatus.missing.length > 0) {
+      warn(`${getTaskId(task)} depends on tasks that are not in ready.json: ${depStatus.missing.join(', ')}`);
+    }
+  }
+
+  const orderedIds = ordered.map(getTaskId);
+  if (orderedIds.some((id, i) => id !== taskIds[i])) {
+    console.log(color('dim', 'Reordered tasks so dependencies run first.'));
+  }
+
+  return orderedIds;
+}
+
 /**
  * Initialize queue
  */
@@ -174,6 +222,8 @@ function initQueue(taskIds, source = 'cli') {
   const config = getConfig();
   const maxQueueSize = config.taskQueue?.maxQueueSize || 10;
 
+  taskIds = orderByDependencies([...new Set(taskIds)]);
+
   if (taskIds.length > maxQueueSize) {
     console.log(color('yellow', `Warning: Queue size limited to ${maxQueueSize} tasks.`));
     taskIds = taskIds.slice(0, maxQueueSize);
@@ -3,7 +3,9 @@
 /**
  * Wogi Flow - Show Ready Tasks
  *
- * Displays tasks organized by status from ready.json
+ * Displays tasks organized by status from ready.json.
+ * Ready tasks are ordered by priority, with dependencies listed before
+ * the tasks that need them.
  *
  * Usage:
  *   flow ready           Show tasks (human-readable)
@@ -14,6 +16,10 @@ const {
   PATHS,
   fileExists,
   getReadyData,
+  getTaskId,
+  getDependencyStatus,
+  findDependencyCycles,
+  sortByDependencies,
   parseFlags,
   outputJson,
   color,
@@ -75,7 +81,8 @@ function main() {
         success: false,
         error: 'No ready.json found',
         tasks: { ready: [], inProgress: [], blocked: [], recentlyCompleted: [] },
-        summary: { total: 0, ready: 0, inProgress: 0, blocked: 0 }
+        summary: { total: 0, ready: 0, inProgress: 0, blocked: 0 },
+        dependencies: { waiting: {}, cycles: [] }
       });
     }
     error('No ready.json found');
@@ -98,19 +105,32 @@ function main() {
     }
   }
 
-  // Sort ready tasks by priority
-  const ready = sortByPriority(data.ready || []);
+  // Sort ready tasks by priority, then make dependencies come first
+  const byPriority = sortByPriority(data.ready || []);
+  const { ordered, cyclic } = sortByDependencies(byPriority);
+  const ready = [...ordered, ...byPriority.filter(task => cyclic.includes(getTaskId(task)))];
   const inProgress = data.inProgress || [];
   const blocked = data.blocked || [];
   const completed = data.recentlyCompleted || [];
 
+  // Tasks that still wait on unfinished dependencies
+  const waiting = {};
+  for (const task of [...ready, ...blocked]) {
+    const { satisfied, pending, missing } = getDependencyStatus(task, data);
+    if (!satisfied) {
+      waiting[getTaskId(task)] = [...pending.map(dep => dep.id), ...missing];
+    }
+  }
+  const cycles = findDependencyCycles(data);
+
   // Calculate summary
   const summary = {
     total: ready.length + inProgress.length + blocked.length,
     ready: ready.length,
     inProgress: inProgress.length,
     blocked: blocked.length,
-    recentlyCompleted: completed.length
+    recentlyCompleted: completed.length,
+    waitingOnDependencies: ready.filter(task => waiting[getTaskId(task)]).length
   };
 
   // JSON output - exit after to avoid human-readable output
@@ -123,7 +143,8 @@ function main() {
         blocked,
         recentlyCompleted: completed
       },
-      summary
+      summary,
+      dependencies: { waiting, cycles }
     });
     return; // Exit early for JSON mode
   }
@@ -133,13 +154,14 @@ function main() {
   console.log('===========');
   console.log('');
 
-  // Ready tasks (sorted by priority)
+  // Ready tasks (sorted by priority and dependencies)
   if (ready.length > 0) {
     console.log(color('green', '✓ READY'));
     for (const task of ready) {
       const { priority, id, title } = formatTask(task);
       const priorityColor = priority === 'P0' ? 'red' : priority === 'P1' ? 'yellow' : 'dim';
-      console.log(`  ${color(priorityColor, `[${priority}]`)} ${id}: ${title}`);
+      const waitingOn = waiting[id] ? color('dim', ` (waiting on ${waiting[id].join(', ')})`) : '';
+      console.log(`  ${color(priorityColor, `[${priority}]`)} ${id}: ${title}${waitingOn}`);
     }
     console.log('');
   }
@@ -159,7 +181,8 @@ function main() {
     console.log(color('red', '🚫 BLOCKED'));
     for (const task of blocked) {
       if (typeof task === 'object') {
-        const reason = task.reason || task.blockedBy || 'Unknown';
+        const reason = task.reason || task.blockedBy ||
+          (waiting[task.id] ? `waiting on ${waiting[task.id].join(', ')}` : 'Unknown');
         console.log(`  • ${task.id || '?'}: ${reason}`);
       } else {
         console.log(`  • ${task}`);
@@ -178,6 +201,14 @@ function main() {
     console.log('');
   }
 
+  // Dependency cycles can never be resolved by finishing tasks
+  for (const cycle of cycles) {
+    warn(`Dependency cycle: ${cycle.join(' → ')}`);
+  }
+  if (cycles.length > 0) {
+    console.log('');
+  }
+
   // Summary
   console.log(`Total active: ${summary.total} (${summary.ready} ready, ${summary.inProgress} in progress, ${summary.blocked} blocked)`);
 }
@@ -42,6 +42,7 @@ const EVENT_TYPES = {
   VALIDATION_PASS: 'validation_pass',
   VALIDATION_FAIL: 'validation_fail',
   CHECKPOINT: 'checkpoint',
+  TRIGGER: 'trigger',
   ERROR: 'error',
   WARNING: 'warning',
   RUN_END: 'run_end'
@@ -100,8 +101,13 @@ function clearCurrentRun() {
 
 /**
  * Start a new run
+ * @param {string} name
+ * @param {Object} [metadata] - Extra manifest fields
+ * @param {Object} [options]
+ * @param {boolean} [options.current=true] - Make this the active run; false
+ *   records a run alongside it (e.g. a workflow started by a trigger)
  */
-function startRun(name, metadata = {}) {
+function startRun(name, metadata = {}, { current = true } = {}) {
   ensureRunsDir();
 
   const runId = generateRunId();
@@ -141,7 +147,9 @@ function startRun(name, metadata = {}) {
   // Update index
   updateIndex(runId, manifest);
 
-  setCurrentRun(runId);
+  if (current) {
+    setCurrentRun(runId);
+  }
 
   return runId;
 }
@@ -268,7 +276,9 @@ function endRun(runId, status = 'completed') {
   // Update index
   updateIndex(runId, manifest);
 
-  clearCurrentRun();
+  if (getCurrentRunId() === runId) {
+    clearCurrentRun();
+  }
 
   return manifest;
 }
@@ -417,7 +427,8 @@ function updateIndex(runId, manifest) {
     filesChanged: manifest.filesCreated.length +
       manifest.filesModified.length +
       manifest.filesDeleted.length,
-    errors: manifest.errors.length
+    errors: manifest.errors.length,
+    trigger: manifest.trigger?.event
   });
 
   // Load config for retention settings
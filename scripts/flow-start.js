@@ -12,8 +12,11 @@ const {
   fileExists,
   moveTaskAsync,
   findTask,
+  getDependencyStatus,
+  formatUnfinishedDependencies,
   color,
   error,
+  warn,
   getConfig
 } = require('./flow-utils');
 const { getAutoContext, formatAutoContext } = require('./flow-auto-context');
@@ -24,6 +27,7 @@ const { assessTaskComplexity } = require('./flow-complexity');
 const { warnIfContextHigh, checkContextHealth } = require('./flow-context-monitor');
 const { setCurrentTask } = require('./flow-memory-blocks');
 const { trackTaskStart, checkAndDisplayResumeContext } = require('./flow-session-state');
+const { fireTrigger } = require('./flow-workflow-triggers');
 
 // v2.0 durable session support
 const {
@@ -42,9 +46,10 @@ async function main() {
   const taskId = process.argv[2];
   const forceResume = process.argv.includes('--force-resume');
   const skipSuspensionCheck = process.argv.includes('--skip-suspension');
+  const ignoreDeps = process.argv.includes('--ignore-deps');
 
   if (!taskId) {
-    console.log('Usage: flow start <task-id> [--force-resume] [--skip-suspension]');
+    console.log('Usage: flow start <task-id> [--force-resume] [--skip-suspension] [--ignore-deps]');
     process.exit(1);
   }
 
@@ -144,6 +149,26 @@ async function main() {
     process.exit(1);
   }
 
+  // Check that the tasks this one depends on are completed
+  // Unset means warn, so upgrading projects aren't suddenly blocked
+  const enforceDeps = config.taskQueue?.enforceDependencies || 'warn';
+  if (enforceDeps !== 'off') {
+    const depStatus = getDependencyStatus(found.task, found.data);
+
+    if (!depStatus.satisfied) {
+      const pendingList = formatUnfinishedDependencies(depStatus);
+
+      if (enforceDeps === 'block' && !ignoreDeps) {
+        console.log(color('red', `Task ${taskId} has unfinished dependencies: ${pendingList}`));
+        console.log('');
+        console.log(`Finish those first, or run: ${color('cyan', `flow start ${taskId} --ignore-deps`)}`);
+        process.exit(1);
+      }
+
+      warn(`Starting ${taskId} before its dependencies are done: ${pendingList}`);
+    }
+  }
+
   // Move task from ready to inProgress (with file locking)
   const result = await moveTaskAsync(taskId, 'ready', 'inProgress');
 
@@ -170,6 +195,9 @@ async function main() {
     if (process.env.DEBUG) console.error(`[DEBUG] Task tracking: ${e.message}`);
   }
 
+  // Workflows with on: task-started
+  await fireTrigger('task-started', { task: taskId, title: taskTitle });
+
   // v2.0: Initialize durable session for crash recovery (with file locking)
   if (config.durableSteps?.enabled !== false) {
     try {
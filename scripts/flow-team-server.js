@@ -0,0 +1,1864 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Self-Hosted Team Server
+ *
+ * Single-process replacement for the hosted team backend (aws/lambda/ and
+ * infrastructure/lambda/). Serves the same routes from a local SQLite file
+ * (sql.js), so team sync works on an internal box or offline in tests.
+ *
+ * Routes:
+ *   POST   /auth/login                                 Invite code or email/password
+ *   POST   /auth/refresh                               New access token
+ *   GET    /invites/{code}                             Validate invite (public)
+ *   GET    /teams                                      List user's teams
+ *   POST   /teams                                      Create team
+ *   GET    /teams/{teamId}                             Team details
+ *   PUT    /teams/{teamId}                             Update team (maintainer; governance: owner)
+ *   DELETE /teams/{teamId}                             Delete team (owner)
+ *   GET    /teams/{teamId}/members                     List members
+ *   POST   /teams/{teamId}/invite                      Invite by email (maintainer)
+ *   POST   /teams/{teamId}/invites                     Generate invite code (maintainer)
+ *   GET    /teams/{teamId}/knowledge                   Approved knowledge
+ *   POST   /teams/{teamId}/knowledge                   Add knowledge (maintainer)
+ *   GET    /teams/{teamId}/proposals                   List proposals
+ *   POST   /teams/{teamId}/proposals                   Create proposal (member)
+ *   GET    /teams/{teamId}/proposals/{proposalId}      Proposal with votes
+ *   POST   /teams/{teamId}/proposals/{proposalId}/vote     Vote (member)
+ *   POST   /teams/{teamId}/proposals/{proposalId}/decide   Decision (maintainer)
+ *   GET    /teams/{teamId}/audit                       Proposal audit log
+ *   POST   /teams/{teamId}/sync                        Push proposals, pull knowledge
+ *   GET    /teams/{teamId}/memory                      Pull shared facts
+ *   POST   /teams/{teamId}/memory                      Push facts
+ *   POST   /teams/{teamId}/memory/sync                 Push + pull
+ *   GET    /teams/{teamId}/memory/metrics              Memory metrics
+ *   GET    /teams/{teamId}/activity                    List activity
+ *   POST   /teams/{teamId}/activity                    Log activity
+ *
+ * Roles and voting rules come from flow-team-governance.js. Every proposal
+ * state change lands in proposal_audit, which triggers keep append-only.
+ *
+ * Writes may carry an Idempotency-Key header (the client's offline queue
+ * always sends one); a repeated key returns the stored response instead of
+ * applying the write again.
+ *
+ * Usage:
+ *   flow team-server start [--port 8787] [--host 127.0.0.1] [--db <path>]
+ *   flow team-server create-team <name>     Create a team and print the owner invite
+ *   flow team-server invite <teamId>        Generate an invite code
+ *   flow team-server status                 Show teams and users in the database
+ *
+ * Usage as module (tests):
+ *   const { createTeamServer } = require('./flow-team-server');
+ *   const server = await createTeamServer({ dbPath, port: 0 });
+ *   const { url } = await server.listen();
+ *   ...
+ *   await server.close();
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  PATHS,
+  PROJECT_ROOT,
+  getConfig,
+  parseFlags,
+  outputJson,
+  withLockSync,
+  color,
+  printHeader,
+  success,
+  error,
+  info
+} = require('./flow-utils');
+const governance = require('./flow-team-governance');
+
+// ============================================================
+// Settings
+// ============================================================
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_DB_PATH = path.join(PATHS.teamServer, 'team.db');
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MIN_PASSWORD_LENGTH = 8;
+const ACTIVITY_RETENTION_DAYS = 90;
+const MAX_AUDIT_ENTRIES = 500;
+const IDEMPOTENCY_TTL_HOURS = 24;
+
+/**
+ * Server settings from team.server, overridden by CLI options
+ * @returns {{ host: string, port: number, dbPath: string, tokenTtlSeconds: number, refreshTokenTtlDays: number }}
+ */
+function getServerSettings(overrides = {}, config = getConfig()) {
+  const server = config.team?.server || {};
+  const dbPath = overrides.dbPath || server.dbPath;
+
+  return {
+    host: overrides.host || server.host || DEFAULT_HOST,
+    port: overrides.port ?? server.port ?? DEFAULT_PORT,
+    dbPath: dbPath ? path.resolve(PROJECT_ROOT, dbPath) : DEFAULT_DB_PATH,
+    tokenTtlSeconds: server.tokenTtlSeconds || DEFAULT_TOKEN_TTL_SECONDS,
+    refreshTokenTtlDays: server.refreshTokenTtlDays || DEFAULT_REFRESH_TOKEN_TTL_DAYS
+  };
+}
+
+// ============================================================
+// Errors
+// ============================================================
+
+/**
+ * Error with an HTTP status, thrown by route handlers
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// ============================================================
+// Database
+// ============================================================
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY,
+    email TEXT UNIQUE NOT NULL,
+    name TEXT,
+    password_hash TEXT NOT NULL,
+    created_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS teams (
+    team_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT,
+    description TEXT DEFAULT '',
+    owner_id TEXT,
+    settings TEXT DEFAULT '{}',
+    created_at TEXT,
+    updated_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS members (
+    team_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    email TEXT,
+    role TEXT NOT NULL,
+    joined_at TEXT,
+    PRIMARY KEY (team_id, user_id)
+  );
+  CREATE TABLE IF NOT EXISTS invites (
+    code TEXT PRIMARY KEY,
+    team_id TEXT NOT NULL,
+    role TEXT NOT NULL,
+    email TEXT,
+    created_by TEXT,
+    max_uses INTEGER,
+    uses_remaining INTEGER,
+    created_at TEXT,
+    expires_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    created_at TEXT,
+    expires_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS proposals (
+    proposal_id TEXT PRIMARY KEY,
+    team_id TEXT NOT NULL,
+    rule TEXT NOT NULL,
+    category TEXT,
+    rationale TEXT,
+    source_context TEXT,
+    local_id TEXT,
+    status TEXT DEFAULT 'pending',
+    votes TEXT DEFAULT '[]',
+    proposer_id TEXT,
+    created_at TEXT,
+    updated_at TEXT,
+    decided_at TEXT,
+    decided_by TEXT,
+    decision_reason TEXT
+  );
+  CREATE TABLE IF NOT EXISTS knowledge (
+    knowledge_id TEXT PRIMARY KEY,
+    team_id TEXT NOT NULL,
+    fact TEXT NOT NULL,
+    category TEXT,
+    model_specific TEXT,
+    created_by TEXT,
+    from_proposal TEXT,
+    created_at TEXT,
+    approved_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS memory (
+    team_id TEXT NOT NULL,
+    fact_id TEXT NOT NULL,
+    fact TEXT NOT NULL,
+    category TEXT,
+    relevance_score REAL,
+    scope TEXT,
+    source TEXT,
+    source_user_id TEXT,
+    source_user_email TEXT,
+    tags TEXT DEFAULT '[]',
+    metadata TEXT DEFAULT '{}',
+    created_at TEXT,
+    updated_at TEXT,
+    PRIMARY KEY (team_id, fact_id)
+  );
+  CREATE TABLE IF NOT EXISTS memory_metrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id TEXT NOT NULL,
+    timestamp TEXT,
+    action TEXT,
+    details TEXT
+  );
+  CREATE TABLE IF NOT EXISTS activity (
+    activity_id TEXT PRIMARY KEY,
+    team_id TEXT NOT NULL,
+    timestamp TEXT,
+    activity_type TEXT NOT NULL,
+    description TEXT,
+    user_id TEXT,
+    user_email TEXT,
+    details TEXT DEFAULT '{}'
+  );
+  CREATE TABLE IF NOT EXISTS proposal_audit (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    audit_id TEXT UNIQUE NOT NULL,
+    team_id TEXT NOT NULL,
+    proposal_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT,
+    actor_id TEXT,
+    actor_email TEXT,
+    actor_role TEXT,
+    details TEXT DEFAULT '{}',
+    timestamp TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    body TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (user_id, key)
+  );
+  CREATE TRIGGER IF NOT EXISTS proposal_audit_no_update BEFORE UPDATE ON proposal_audit
+    BEGIN SELECT RAISE(ABORT, 'proposal_audit is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS proposal_audit_no_delete BEFORE DELETE ON proposal_audit
+    BEGIN SELECT RAISE(ABORT, 'proposal_audit is append-only'); END;
+  CREATE INDEX IF NOT EXISTS idx_members_user ON members(user_id);
+  CREATE INDEX IF NOT EXISTS idx_proposals_team ON proposals(team_id, status);
+  CREATE INDEX IF NOT EXISTS idx_knowledge_team ON knowledge(team_id);
+  CREATE INDEX IF NOT EXISTS idx_activity_team ON activity(team_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_audit_team ON proposal_audit(team_id, seq);
+`;
+
+/**
+ * SQLite file behind the server
+ *
+ * sql.js keeps the database in memory, and the server and the CLI each
+ * hold a copy. Every write goes through transaction(), which takes a lock
+ * on the file, reloads it if another process saved since, runs inside
+ * BEGIN/COMMIT and saves; reads call refresh() first.
+ */
+class TeamStore {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.SQL = null;
+    this.loadedVersion = null;
+  }
+
+  async open() {
+    if (this.db) return this;
+
+    const initSqlJs = require('sql.js');
+    this.SQL = await initSqlJs();
+    this.load();
+
+    if (!this.getSetting('token_secret')) {
+      await this.transaction(() => {
+        if (!this.getSetting('token_secret')) {
+          this.setSetting('token_secret', crypto.randomBytes(32).toString('hex'));
+        }
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Identity of the file on disk; save() renames a new file into place,
+   * so any save by any process changes it
+   */
+  fileVersion() {
+    if (!fs.existsSync(this.dbPath)) return null;
+    const stat = fs.statSync(this.dbPath);
+    return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+  }
+
+  load() {
+    if (this.db) this.db.close();
+    this.loadedVersion = this.fileVersion();
+    this.db = this.loadedVersion
+      ? new this.SQL.Database(fs.readFileSync(this.dbPath))
+      : new this.SQL.Database();
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Reload the database if another process saved it since we last did
+   */
+  refresh() {
+    if (this.db && this.fileVersion() !== this.loadedVersion) {
+      this.load();
+    }
+  }
+
+  /**
+   * Run fn as one transaction against the latest copy of the file and save
+   * it; a throw rolls everything back and nothing is written
+   * @param {Function} fn - Synchronous; its return value is passed through
+   */
+  transaction(fn) {
+    return withLockSync(this.dbPath, () => {
+      this.refresh();
+      this.db.run('BEGIN');
+      let result;
+      try {
+        result = fn();
+        this.db.run('COMMIT');
+      } catch (err) {
+        this.db.run('ROLLBACK');
+        throw err;
+      }
+      this.save();
+      return result;
+    });
+  }
+
+  /**
+   * Write the database to disk (temp file + rename, so a crash never leaves half a file)
+   */
+  save() {
+    if (!this.db) return;
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    const tempPath = `${this.dbPath}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.from(this.db.export()));
+    fs.renameSync(tempPath, this.dbPath);
+    this.loadedVersion = this.fileVersion();
+  }
+
+  /**
+   * Close without saving: every write was saved by its transaction, and
+   * saving here could overwrite what another process wrote since
+   */
+  close() {
+    if (!this.db) return;
+    this.db.close();
+    this.db = null;
+  }
+
+  run(sql, params = []) {
+    this.db.run(sql, params);
+  }
+
+  all(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  get(sql, params = []) {
+    return this.all(sql, params)[0] || null;
+  }
+
+  getSetting(key) {
+    return this.get('SELECT value FROM settings WHERE key = ?', [key])?.value || null;
+  }
+
+  setSetting(key, value) {
+    this.run('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', [key, value]);
+  }
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function now() {
+  return new Date().toISOString();
+}
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function generateInviteCode() {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(8);
+  let code = '';
+  for (const byte of bytes) {
+    code += chars[byte % chars.length];
+  }
+  return code;
+}
+
+function slugify(name) {
+  return name.toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function parseJson(text, fallback) {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function requireFields(body, fields) {
+  const missing = fields.filter(field => !body[field]);
+  if (missing.length > 0) {
+    throw new HttpError(400, `Missing required fields: ${missing.join(', ')}`);
+  }
+}
+
+// ============================================================
+// Passwords & Tokens
+// ============================================================
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Sign an HS256 JWT access token
+ */
+function signAccessToken(claims, secret, ttlSeconds) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({ ...claims, iat: issuedAt, exp: issuedAt + ttlSeconds })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verify an access token
+ * @returns {Object|null} Claims, or null if the token is invalid or expired
+ */
+function verifyAccessToken(token, secret) {
+  const [header, payload, signature] = (token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  const claims = parseJson(Buffer.from(payload, 'base64url').toString('utf-8'), null);
+  if (!claims || !claims.sub || claims.exp < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  return claims;
+}
+
+function issueTokens(ctx, user) {
+  const { store, settings } = ctx;
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + settings.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString();
+
+  store.run('DELETE FROM refresh_tokens WHERE expires_at < ?', [now()]);
+  store.run('INSERT INTO refresh_tokens (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+    [sha256(refreshToken), user.user_id, now(), expiresAt]);
+
+  return {
+    accessToken: signAccessToken({ sub: user.user_id, email: user.email }, store.getSetting('token_secret'), settings.tokenTtlSeconds),
+    refreshToken,
+    expiresIn: settings.tokenTtlSeconds
+  };
+}
+
+// ============================================================
+// Membership
+// ============================================================
+
+function getMembership(store, teamId, userId) {
+  return store.get('SELECT * FROM members WHERE team_id = ? AND user_id = ?', [teamId, userId]);
+}
+
+/**
+ * Membership of the calling user, with legacy roles mapped onto the current set
+ */
+function requireMember(ctx) {
+  const membership = getMembership(ctx.store, ctx.params.teamId, ctx.user.userId);
+  if (!membership) {
+    throw new HttpError(403, 'Not a member of this team');
+  }
+  return { ...membership, role: governance.normalizeRole(membership.role) };
+}
+
+function requirePermission(ctx, permission, message) {
+  const membership = requireMember(ctx);
+  if (!governance.can(membership.role, permission)) {
+    throw new HttpError(403, message || `Requires the ${governance.PERMISSIONS[permission]} role or higher`);
+  }
+  return membership;
+}
+
+function requireAssignableRole(membership, role) {
+  const allowed = governance.assignableRoles(membership.role);
+  if (!allowed.includes(role)) {
+    throw new HttpError(governance.normalizeRole(role) ? 403 : 400,
+      `Role must be one of: ${allowed.join(', ')}`);
+  }
+}
+
+function getTeam(store, teamId) {
+  const team = store.get('SELECT * FROM teams WHERE team_id = ?', [teamId]);
+  if (!team) {
+    throw new HttpError(404, 'Team not found');
+  }
+  return team;
+}
+
+function countMembers(store, teamId) {
+  return store.get('SELECT COUNT(*) AS count FROM members WHERE team_id = ?', [teamId]).count;
+}
+
+function countVoters(store, teamId) {
+  return store.all('SELECT role FROM members WHERE team_id = ?', [teamId])
+    .filter(row => governance.can(row.role, 'vote'))
+    .length;
+}
+
+/**
+ * Create a team; the owner joins later by redeeming an owner invite
+ */
+function createTeamRecord(store, { name, description = '', ownerId = null, settings = {} }) {
+  const teamId = generateId('team');
+  const timestamp = now();
+
+  store.run(`
+    INSERT INTO teams (team_id, name, slug, description, owner_id, settings, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [teamId, name, slugify(name), description, ownerId, JSON.stringify(settings), timestamp, timestamp]);
+
+  return teamId;
+}
+
+function createInviteRecord(store, { teamId, role = 'member', email = null, createdBy = null, expiresInDays = 7, maxUses = 1 }) {
+  const code = generateInviteCode();
+  const timestamp = new Date();
+  const expiresAt = new Date(timestamp.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+
+  store.run(`
+    INSERT INTO invites (code, team_id, role, email, created_by, max_uses, uses_remaining, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [code, teamId, role, email, createdBy, maxUses, maxUses, timestamp.toISOString(), expiresAt]);
+
+  return { code, teamId, role, email, maxUses, expiresAt };
+}
+
+function findUsableInvite(store, code) {
+  const invite = store.get('SELECT * FROM invites WHERE code = ?', [code]);
+  if (!invite) return { error: 'Invalid invite code' };
+  if (invite.expires_at < now()) return { error: 'Invite code has expired' };
+  if (invite.uses_remaining <= 0) return { error: 'Invite code has been fully used' };
+  return { invite };
+}
+
+function recordActivity(store, teamId, type, user, description = '', details = {}) {
+  store.run(`
+    INSERT INTO activity (activity_id, team_id, timestamp, activity_type, description, user_id, user_email, details)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [generateId('act'), teamId, now(), type, description, user?.userId || null, user?.email || null, JSON.stringify(details)]);
+}
+
+/**
+ * Append a proposal state change to the audit log
+ * @param {Object} actor - { userId, email, role }
+ */
+function recordAudit(store, row, action, actor, { fromStatus = row.status, toStatus = fromStatus, details = {} } = {}) {
+  store.run(`
+    INSERT INTO proposal_audit (audit_id, team_id, proposal_id, action, from_status, to_status, actor_id, actor_email, actor_role, details, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [generateId('audit'), row.team_id, row.proposal_id, action, fromStatus, toStatus,
+    actor?.userId || null, actor?.email || null, actor?.role || null, JSON.stringify(details), now()]);
+}
+
+// ============================================================
+// Formatting
+// ============================================================
+
+function formatProposal(row) {
+  return {
+    id: row.proposal_id,
+    rule: row.rule,
+    category: row.category,
+    rationale: row.rationale,
+    sourceContext: row.source_context,
+    localId: row.local_id,
+    status: row.status,
+    votes: parseJson(row.votes, []),
+    proposerId: row.proposer_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    decidedAt: row.decided_at,
+    decidedBy: row.decided_by,
+    decisionReason: row.decision_reason
+  };
+}
+
+function formatKnowledge(row) {
+  return {
+    id: row.knowledge_id,
+    fact: row.fact,
+    category: row.category,
+    modelSpecific: row.model_specific,
+    fromProposal: row.from_proposal,
+    approvedAt: row.approved_at,
+    createdAt: row.created_at,
+    createdBy: row.created_by
+  };
+}
+
+function formatFact(row) {
+  return {
+    factId: row.fact_id,
+    fact: row.fact,
+    category: row.category,
+    relevanceScore: row.relevance_score,
+    scope: row.scope,
+    source: row.source,
+    sourceUserId: row.source_user_id,
+    sourceUserEmail: row.source_user_email,
+    tags: parseJson(row.tags, []),
+    metadata: parseJson(row.metadata, {}),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatAudit(row) {
+  return {
+    auditId: row.audit_id,
+    proposalId: row.proposal_id,
+    action: row.action,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    actorId: row.actor_id,
+    actorEmail: row.actor_email,
+    actorRole: row.actor_role,
+    details: parseJson(row.details, {}),
+    timestamp: row.timestamp
+  };
+}
+
+function formatActivity(row) {
+  return {
+    activityId: row.activity_id,
+    teamId: row.team_id,
+    timestamp: row.timestamp,
+    activityType: row.activity_type,
+    description: row.description,
+    userId: row.user_id,
+    userEmail: row.user_email,
+    ...parseJson(row.details, {})
+  };
+}
+
+// ============================================================
+// Routes: Auth & Invites
+// ============================================================
+
+function login(ctx) {
+  const { store, body } = ctx;
+  const { inviteCode, email, password } = body;
+
+  if (inviteCode) {
+    const { invite, error: inviteError } = findUsableInvite(store, inviteCode);
+    if (!invite) throw new HttpError(401, inviteError);
+
+    if (!email || !password) {
+      throw new HttpError(400, 'Email and password required for first-time setup');
+    }
+    if (invite.email && invite.email.toLowerCase() !== email.toLowerCase()) {
+      throw new HttpError(401, 'Invite code was issued for a different email');
+    }
+
+    let user = store.get('SELECT * FROM users WHERE email = ?', [email.toLowerCase()]);
+    if (user) {
+      if (!verifyPassword(password, user.password_hash)) {
+        throw new HttpError(401, 'Invalid credentials');
+      }
+    } else {
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      user = {
+        user_id: generateId('user'),
+        email: email.toLowerCase(),
+        name: email.split('@')[0],
+        password_hash: hashPassword(password)
+      };
+      store.run('INSERT INTO users (user_id, email, name, password_hash, created_at) VALUES (?, ?, ?, ?, ?)',
+        [user.user_id, user.email, user.name, user.password_hash, now()]);
+    }
+
+    // Joining again never downgrades an existing role
+    const team = getTeam(store, invite.team_id);
+    const existing = getMembership(store, invite.team_id, user.user_id);
+    if (!existing) {
+      store.run('INSERT INTO members (team_id, user_id, email, role, joined_at) VALUES (?, ?, ?, ?, ?)',
+        [invite.team_id, user.user_id, user.email, invite.role, now()]);
+      recordActivity(store, invite.team_id, 'member_joined', { userId: user.user_id, email: user.email }, '',
+        { targetUserId: user.user_id, targetEmail: user.email });
+    }
+    if (invite.role === 'owner' && !team.owner_id) {
+      store.run('UPDATE teams SET owner_id = ?, updated_at = ? WHERE team_id = ?', [user.user_id, now(), team.team_id]);
+    }
+
+    store.run('UPDATE invites SET uses_remaining = uses_remaining - 1 WHERE code = ?', [invite.code]);
+    store.run('DELETE FROM invites WHERE uses_remaining <= 0 OR expires_at < ?', [now()]);
+
+    return {
+      ...issueTokens(ctx, user),
+      teamId: team.team_id,
+      teamName: team.name,
+      userId: user.user_id
+    };
+  }
+
+  if (email && password) {
+    const user = store.get('SELECT * FROM users WHERE email = ?', [email.toLowerCase()]);
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      throw new HttpError(401, 'Invalid credentials');
+    }
+
+    // Prefer the requested team, else the first one the user joined
+    const memberships = store.all(`
+      SELECT m.team_id, t.name FROM members m JOIN teams t ON t.team_id = m.team_id
+      WHERE m.user_id = ? ORDER BY m.joined_at
+    `, [user.user_id]);
+    const membership = memberships.find(m => m.team_id === body.teamId) || memberships[0] || null;
+
+    return {
+      ...issueTokens(ctx, user),
+      teamId: membership?.team_id || null,
+      teamName: membership?.name || null,
+      userId: user.user_id
+    };
+  }
+
+  throw new HttpError(400, 'Either inviteCode or email/password required');
+}
+
+function refresh(ctx) {
+  const { store, body, settings } = ctx;
+  if (!body.refreshToken) {
+    throw new HttpError(400, 'Refresh token required');
+  }
+
+  const record = store.get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [sha256(body.refreshToken)]);
+  if (!record || record.expires_at < now()) {
+    throw new HttpError(401, 'Invalid or expired refresh token');
+  }
+
+  const user = store.get('SELECT * FROM users WHERE user_id = ?', [record.user_id]);
+  if (!user) {
+    throw new HttpError(401, 'Invalid or expired refresh token');
+  }
+
+  return {
+    accessToken: signAccessToken({ sub: user.user_id, email: user.email }, store.getSetting('token_secret'), settings.tokenTtlSeconds),
+    expiresIn: settings.tokenTtlSeconds
+  };
+}
+
+function validateInvite(ctx) {
+  const { invite, error: inviteError } = findUsableInvite(ctx.store, ctx.params.code);
+  if (!invite) throw new HttpError(404, inviteError);
+
+  const team = ctx.store.get('SELECT name FROM teams WHERE team_id = ?', [invite.team_id]);
+  return {
+    valid: true,
+    teamId: invite.team_id,
+    teamName: team?.name || 'Unknown Team',
+    role: invite.role,
+    expiresAt: invite.expires_at
+  };
+}
+
+function createInvite(ctx) {
+  const membership = requirePermission(ctx, 'invite', 'Maintainer permission required to create invites');
+  const { expiresInDays = 7, maxUses = 1, role = 'member' } = ctx.body;
+  requireAssignableRole(membership, role);
+
+  const invite = createInviteRecord(ctx.store, {
+    teamId: ctx.params.teamId,
+    role,
+    createdBy: ctx.user.userId,
+    expiresInDays: parseInt(expiresInDays) || 7,
+    maxUses: parseInt(maxUses) || 1
+  });
+  recordActivity(ctx.store, ctx.params.teamId, 'member_invited', ctx.user, '', { role });
+
+  return { status: 201, body: invite };
+}
+
+function inviteMember(ctx) {
+  const membership = requirePermission(ctx, 'invite', 'Only maintainers and owners can invite members');
+  requireFields(ctx.body, ['email']);
+
+  const email = ctx.body.email.toLowerCase();
+  const role = ctx.body.role || 'member';
+  requireAssignableRole(membership, role);
+
+  if (ctx.store.get('SELECT 1 FROM members WHERE team_id = ? AND email = ?', [ctx.params.teamId, email])) {
+    throw new HttpError(409, 'User is already a member');
+  }
+
+  // No mail delivery here - the admin passes the code on
+  const invite = createInviteRecord(ctx.store, {
+    teamId: ctx.params.teamId,
+    role,
+    email,
+    createdBy: ctx.user.userId
+  });
+  recordActivity(ctx.store, ctx.params.teamId, 'member_invited', ctx.user, '', { targetEmail: email, role });
+
+  return {
+    status: 201,
+    body: { inviteId: invite.code, code: invite.code, email, role, status: 'pending', expiresAt: invite.expiresAt }
+  };
+}
+
+// ============================================================
+// Routes: Teams
+// ============================================================
+
+function listTeams(ctx) {
+  const rows = ctx.store.all(`
+    SELECT t.*, m.role, m.joined_at FROM members m JOIN teams t ON t.team_id = m.team_id
+    WHERE m.user_id = ? ORDER BY m.joined_at
+  `, [ctx.user.userId]);
+
+  return {
+    teams: rows.map(row => ({
+      id: row.team_id,
+      name: row.name,
+      slug: row.slug,
+      role: governance.normalizeRole(row.role),
+      memberCount: countMembers(ctx.store, row.team_id),
+      joinedAt: row.joined_at,
+      createdAt: row.created_at
+    }))
+  };
+}
+
+function createTeam(ctx) {
+  requireFields(ctx.body, ['name']);
+  const { name, description, settings } = ctx.body;
+
+  const teamId = createTeamRecord(ctx.store, { name, description, ownerId: ctx.user.userId, settings });
+  ctx.store.run('INSERT INTO members (team_id, user_id, email, role, joined_at) VALUES (?, ?, ?, ?, ?)',
+    [teamId, ctx.user.userId, ctx.user.email, 'owner', now()]);
+
+  return { status: 201, body: { id: teamId, name, slug: slugify(name), role: 'owner' } };
+}
+
+function getTeamDetails(ctx) {
+  const membership = requireMember(ctx);
+  const team = getTeam(ctx.store, ctx.params.teamId);
+
+  return {
+    id: team.team_id,
+    name: team.name,
+    slug: team.slug,
+    description: team.description,
+    ownerId: team.owner_id,
+    settings: parseJson(team.settings, {}),
+    governance: governance.getGovernance(parseJson(team.settings, {})),
+    memberCount: countMembers(ctx.store, team.team_id),
+    role: membership.role,
+    createdAt: team.created_at,
+    updatedAt: team.updated_at
+  };
+}
+
+function updateTeam(ctx) {
+  const membership = requirePermission(ctx, 'manage', 'Only maintainers and owners can update the team');
+  const team = getTeam(ctx.store, ctx.params.teamId);
+  const { name, description, settings } = ctx.body;
+
+  if (settings) {
+    const current = parseJson(team.settings, {});
+    if (JSON.stringify(settings.governance) !== JSON.stringify(current.governance)) {
+      if (!governance.can(membership.role, 'govern')) {
+        throw new HttpError(403, 'Only the owner can change governance settings');
+      }
+      const problems = settings.governance === undefined ? [] : governance.validateGovernance(settings.governance);
+      if (problems.length > 0) {
+        throw new HttpError(400, problems.join('; '));
+      }
+    }
+  }
+
+  ctx.store.run('UPDATE teams SET name = ?, slug = ?, description = ?, settings = ?, updated_at = ? WHERE team_id = ?', [
+    name || team.name,
+    slugify(name || team.name),
+    description !== undefined ? description : team.description,
+    settings ? JSON.stringify(settings) : team.settings,
+    now(),
+    team.team_id
+  ]);
+
+  return getTeamDetails(ctx);
+}
+
+function deleteTeam(ctx) {
+  const team = getTeam(ctx.store, ctx.params.teamId);
+  if (team.owner_id !== ctx.user.userId) {
+    throw new HttpError(403, 'Only the owner can delete the team');
+  }
+
+  // proposal_audit is append-only and outlives the team
+  for (const table of ['members', 'invites', 'proposals', 'knowledge', 'memory', 'memory_metrics', 'activity', 'teams']) {
+    ctx.store.run(`DELETE FROM ${table} WHERE team_id = ?`, [team.team_id]);
+  }
+  return { deleted: true };
+}
+
+function listMembers(ctx) {
+  requireMember(ctx);
+  const rows = ctx.store.all('SELECT * FROM members WHERE team_id = ? ORDER BY joined_at', [ctx.params.teamId]);
+
+  return {
+    members: rows.map(row => ({ userId: row.user_id, email: row.email, role: governance.normalizeRole(row.role), joinedAt: row.joined_at }))
+  };
+}
+
+// ============================================================
+// Routes: Knowledge & Proposals
+// ============================================================
+
+function insertKnowledge(store, teamId, { fact, category, modelSpecific = null, createdBy, fromProposal = null, createdAt }) {
+  const knowledgeId = generateId('know');
+  const timestamp = now();
+
+  store.run(`
+    INSERT INTO knowledge (knowledge_id, team_id, fact, category, model_specific, created_by, from_proposal, created_at, approved_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [knowledgeId, teamId, fact, category, modelSpecific, createdBy, fromProposal, createdAt || timestamp, timestamp]);
+
+  return { id: knowledgeId, fact, category, approvedAt: timestamp };
+}
+
+function listKnowledge(ctx) {
+  requireMember(ctx);
+  const { since, category } = ctx.query;
+
+  let rows = ctx.store.all('SELECT * FROM knowledge WHERE team_id = ? ORDER BY approved_at', [ctx.params.teamId]);
+  if (category) rows = rows.filter(row => row.category === category);
+  if (since) rows = rows.filter(row => (row.approved_at || row.created_at) > since);
+
+  return { knowledge: rows.map(formatKnowledge) };
+}
+
+function addKnowledge(ctx) {
+  requirePermission(ctx, 'manage', 'Maintainer permission required to add knowledge directly. Use proposals instead.');
+  requireFields(ctx.body, ['fact', 'category']);
+
+  const { fact, category, modelSpecific } = ctx.body;
+  return {
+    status: 201,
+    body: insertKnowledge(ctx.store, ctx.params.teamId, { fact, category, modelSpecific, createdBy: ctx.user.userId })
+  };
+}
+
+function insertProposal(store, teamId, userId, { rule, category, rationale, sourceContext, localId }) {
+  const proposalId = generateId('prop');
+  const timestamp = now();
+
+  store.run(`
+    INSERT INTO proposals (proposal_id, team_id, rule, category, rationale, source_context, local_id, status, votes, proposer_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', '[]', ?, ?, ?)
+  `, [proposalId, teamId, rule, category || 'pattern', rationale || '', sourceContext || null, localId || null, userId, timestamp, timestamp]);
+
+  return proposalId;
+}
+
+function getProposalRow(ctx) {
+  const row = ctx.store.get('SELECT * FROM proposals WHERE team_id = ? AND proposal_id = ?', [ctx.params.teamId, ctx.params.proposalId]);
+  if (!row) {
+    throw new HttpError(404, 'Proposal not found');
+  }
+  return row;
+}
+
+function listProposals(ctx) {
+  requireMember(ctx);
+  const status = ctx.query.status || 'pending';
+  const since = ctx.query.since;
+
+  let rows = ctx.store.all('SELECT * FROM proposals WHERE team_id = ? AND status = ? ORDER BY created_at',
+    [ctx.params.teamId, status]);
+  if (since) rows = rows.filter(row => (row.decided_at || row.created_at) > since);
+
+  return { proposals: rows.map(formatProposal) };
+}
+
+function createProposal(ctx) {
+  const membership = requirePermission(ctx, 'propose', 'Viewers cannot create proposals');
+  requireFields(ctx.body, ['rule']);
+
+  const proposalId = insertProposal(ctx.store, ctx.params.teamId, ctx.user.userId, ctx.body);
+  const row = ctx.store.get('SELECT * FROM proposals WHERE proposal_id = ?', [proposalId]);
+  const proposal = formatProposal(row);
+  recordActivity(ctx.store, ctx.params.teamId, 'proposal_created', ctx.user, '', { proposalId, proposalRule: proposal.rule });
+  recordAudit(ctx.store, row, 'created', { ...ctx.user, role: membership.role }, { fromStatus: null, toStatus: 'pending' });
+
+  return { status: 201, body: proposal };
+}
+
+function getProposal(ctx) {
+  const membership = requireMember(ctx);
+  const proposal = formatProposal(getProposalRow(ctx));
+
+  return {
+    ...proposal,
+    userVote: proposal.votes.find(v => v.userId === ctx.user.userId)?.vote || null,
+    userRole: membership.role
+  };
+}
+
+/**
+ * Approve or reject a pending proposal; approval adds it to team knowledge
+ * @param {string} action - Audit action: 'decided' (manual) or 'settled' (by vote)
+ */
+function settleProposal(ctx, row, status, { action, actor, reason = '', details = {} }) {
+  const timestamp = now();
+
+  ctx.store.run('UPDATE proposals SET status = ?, decided_at = ?, decided_by = ?, decision_reason = ?, updated_at = ? WHERE proposal_id = ?',
+    [status, timestamp, ctx.user.userId, reason, timestamp, row.proposal_id]);
+
+  if (status === 'approved') {
+    insertKnowledge(ctx.store, row.team_id, {
+      fact: row.rule,
+      category: row.category,
+      createdBy: row.proposer_id,
+      fromProposal: row.proposal_id,
+      createdAt: row.created_at
+    });
+  }
+  recordActivity(ctx.store, row.team_id, 'proposal_decided', ctx.user, status, { proposalId: row.proposal_id, proposalRule: row.rule });
+  recordAudit(ctx.store, row, action, actor, { toStatus: status, details: { ...details, ...(reason ? { reason } : {}) } });
+
+  return timestamp;
+}
+
+function voteOnProposal(ctx) {
+  const membership = requirePermission(ctx, 'vote', 'Viewers cannot vote on proposals');
+  const { vote, comment } = ctx.body;
+
+  if (!['approve', 'reject'].includes(vote)) {
+    throw new HttpError(400, 'Vote must be "approve" or "reject"');
+  }
+
+  const row = getProposalRow(ctx);
+  if (row.status !== 'pending') {
+    throw new HttpError(400, 'Proposal is no longer pending');
+  }
+
+  const votes = parseJson(row.votes, []);
+  if (votes.some(v => v.userId === ctx.user.userId)) {
+    throw new HttpError(400, 'You have already voted on this proposal');
+  }
+  votes.push({ userId: ctx.user.userId, vote, comment: comment || '', timestamp: now() });
+  ctx.store.run('UPDATE proposals SET votes = ?, updated_at = ? WHERE proposal_id = ?', [JSON.stringify(votes), now(), row.proposal_id]);
+  recordActivity(ctx.store, row.team_id, 'proposal_voted', ctx.user, vote, { proposalId: row.proposal_id, proposalRule: row.rule });
+
+  const actor = { ...ctx.user, role: membership.role };
+  recordAudit(ctx.store, row, 'voted', actor, { details: { vote } });
+
+  const rules = governance.getGovernance(parseJson(getTeam(ctx.store, row.team_id).settings, {}));
+  const tally = governance.tallyVotes(votes, countVoters(ctx.store, row.team_id), rules);
+
+  let decidedAt = null;
+  if (tally.outcome !== 'pending') {
+    decidedAt = settleProposal(ctx, row, tally.outcome, { action: 'settled', actor, details: { tally } });
+  }
+
+  return { id: row.proposal_id, status: tally.outcome, votes: votes.length, ...tally, decidedAt };
+}
+
+function decideProposal(ctx) {
+  const membership = requirePermission(ctx, 'decide', 'Only maintainers and owners can make decisions');
+  const { decision, reason } = ctx.body;
+
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw new HttpError(400, 'Decision must be "approved" or "rejected"');
+  }
+
+  const row = getProposalRow(ctx);
+  if (row.status !== 'pending') {
+    throw new HttpError(400, 'Proposal already decided');
+  }
+
+  settleProposal(ctx, row, decision, {
+    action: 'decided',
+    actor: { ...ctx.user, role: membership.role },
+    reason: reason || ''
+  });
+  return formatProposal(getProposalRow(ctx));
+}
+
+function listAudit(ctx) {
+  requireMember(ctx);
+  const { proposalId, since } = ctx.query;
+  const limit = Math.min(parseInt(ctx.query.limit) || 100, MAX_AUDIT_ENTRIES);
+
+  const clauses = ['team_id = ?'];
+  const params = [ctx.params.teamId];
+  if (proposalId) {
+    clauses.push('proposal_id = ?');
+    params.push(proposalId);
+  }
+  if (since) {
+    clauses.push('timestamp > ?');
+    params.push(since);
+  }
+  params.push(limit);
+
+  const entries = ctx.store.all(`SELECT * FROM proposal_audit WHERE ${clauses.join(' AND ')} ORDER BY seq DESC LIMIT ?`, params)
+    .map(formatAudit);
+  return { entries, count: entries.length };
+}
+
+function syncTeam(ctx) {
+  const membership = requireMember(ctx);
+  const { proposals, lastSyncTimestamp } = ctx.body;
+
+  const incoming = Array.isArray(proposals) ? proposals.filter(proposal => proposal?.rule) : [];
+  if (incoming.length > 0 && !governance.can(membership.role, 'propose')) {
+    throw new HttpError(403, 'Viewers cannot create proposals');
+  }
+
+  const pushed = [];
+  for (const proposal of incoming) {
+    const remoteId = insertProposal(ctx.store, ctx.params.teamId, ctx.user.userId, proposal);
+    recordAudit(ctx.store, { team_id: ctx.params.teamId, proposal_id: remoteId }, 'created',
+      { ...ctx.user, role: membership.role }, { fromStatus: null, toStatus: 'pending' });
+    pushed.push({ localId: proposal.localId, remoteId });
+  }
+
+  const since = lastSyncTimestamp || '';
+  const knowledge = ctx.store.all('SELECT * FROM knowledge WHERE team_id = ? AND COALESCE(approved_at, created_at) > ? ORDER BY approved_at',
+    [ctx.params.teamId, since]);
+  const proposalUpdates = ctx.store.all("SELECT * FROM proposals WHERE team_id = ? AND status != 'pending' AND COALESCE(decided_at, created_at) > ?",
+    [ctx.params.teamId, since]);
+
+  return {
+    pushed: { proposals: pushed.length, ids: pushed },
+    pulled: {
+      knowledge: knowledge.map(formatKnowledge),
+      proposalUpdates: proposalUpdates.map(row => ({
+        id: row.proposal_id,
+        localId: row.local_id,
+        status: row.status,
+        decidedAt: row.decided_at
+      }))
+    },
+    syncTimestamp: now()
+  };
+}
+
+// ============================================================
+// Routes: Shared Memory
+// ============================================================
+
+function upsertFacts(ctx, facts) {
+  const results = { added: 0, updated: 0, errors: [] };
+  const timestamp = now();
+
+  for (const fact of facts) {
+    if (!fact || typeof fact.fact !== 'string' || !fact.fact) {
+      results.errors.push({ fact: fact?.fact, error: 'Invalid fact format' });
+      continue;
+    }
+
+    const factId = fact.factId || generateId('fact');
+    const existing = ctx.store.get('SELECT created_at FROM memory WHERE team_id = ? AND fact_id = ?', [ctx.params.teamId, factId]);
+
+    ctx.store.run(`
+      INSERT OR REPLACE INTO memory (team_id, fact_id, fact, category, relevance_score, scope, source,
+        source_user_id, source_user_email, tags, metadata, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      ctx.params.teamId, factId, fact.fact, fact.category || 'general', fact.relevanceScore ?? 0.5,
+      fact.scope || 'team', fact.source || 'member', ctx.user.userId, ctx.user.email,
+      JSON.stringify(fact.tags || []), JSON.stringify(fact.metadata || {}),
+      existing?.created_at || timestamp, timestamp
+    ]);
+
+    if (existing) results.updated++;
+    else results.added++;
+  }
+
+  return results;
+}
+
+function queryFacts(ctx, { category, since, limit = 100 }) {
+  const clauses = ['team_id = ?'];
+  const params = [ctx.params.teamId];
+
+  if (category) {
+    clauses.push('category = ?');
+    params.push(category);
+  }
+  if (since) {
+    clauses.push('updated_at > ?');
+    params.push(since);
+  }
+
+  params.push(Math.min(parseInt(limit) || 100, 500));
+  return ctx.store.all(`SELECT * FROM memory WHERE ${clauses.join(' AND ')} ORDER BY relevance_score DESC LIMIT ?`, params)
+    .map(formatFact);
+}
+
+function recordMetric(store, teamId, action, details) {
+  store.run('INSERT INTO memory_metrics (team_id, timestamp, action, details) VALUES (?, ?, ?, ?)',
+    [teamId, now(), action, JSON.stringify(details)]);
+}
+
+function pullMemory(ctx) {
+  requireMember(ctx);
+  const facts = queryFacts(ctx, ctx.query);
+  return { facts, count: facts.length, syncedAt: now() };
+}
+
+function pushMemory(ctx) {
+  requireMember(ctx);
+  if (!Array.isArray(ctx.body.facts)) {
+    throw new HttpError(400, 'Facts array is required');
+  }
+
+  const results = upsertFacts(ctx, ctx.body.facts);
+  recordMetric(ctx.store, ctx.params.teamId, 'push', { added: results.added, updated: results.updated, userId: ctx.user.userId });
+  return results;
+}
+
+function syncMemory(ctx) {
+  requireMember(ctx);
+  const syncedAt = now();
+
+  const pushed = Array.isArray(ctx.body.facts) ? upsertFacts(ctx, ctx.body.facts) : { added: 0, updated: 0, errors: [] };
+  const pulled = queryFacts(ctx, { since: ctx.body.since, limit: 500 });
+
+  recordMetric(ctx.store, ctx.params.teamId, 'sync', {
+    pushed: { added: pushed.added, updated: pushed.updated },
+    pulled: pulled.length,
+    userId: ctx.user.userId
+  });
+  recordActivity(ctx.store, ctx.params.teamId, 'memory_synced', ctx.user, '', { factsAdded: pushed.added, factsPulled: pulled.length });
+
+  return { pushed: { added: pushed.added, updated: pushed.updated }, pulled, syncedAt };
+}
+
+function getMemoryMetrics(ctx) {
+  requireMember(ctx);
+  const days = parseInt(ctx.query.days) || 30;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const facts = ctx.store.all('SELECT category, relevance_score FROM memory WHERE team_id = ?', [ctx.params.teamId]);
+  const categories = {};
+  let totalRelevance = 0;
+  for (const fact of facts) {
+    categories[fact.category] = (categories[fact.category] || 0) + 1;
+    totalRelevance += fact.relevance_score || 0;
+  }
+
+  const recentActivity = ctx.store.all(
+    'SELECT timestamp, action, details FROM memory_metrics WHERE team_id = ? AND timestamp > ? ORDER BY timestamp DESC LIMIT 100',
+    [ctx.params.teamId, cutoff]
+  ).map(row => ({ timestamp: row.timestamp, action: row.action, details: parseJson(row.details, {}) }));
+
+  return {
+    totalFacts: facts.length,
+    avgRelevance: facts.length > 0 ? totalRelevance / facts.length : 0,
+    categories,
+    recentActivity,
+    reportedAt: now()
+  };
+}
+
+// ============================================================
+// Routes: Activity
+// ============================================================
+
+// Extra fields kept per activity type (same as the hosted activity API)
+const ACTIVITY_FIELDS = {
+  task_started: ['taskId', 'taskTitle'],
+  task_completed: ['taskId', 'taskTitle'],
+  proposal_created: ['proposalId', 'proposalRule'],
+  proposal_voted: ['proposalId', 'proposalRule'],
+  proposal_decided: ['proposalId', 'proposalRule'],
+  memory_synced: ['factsAdded', 'factsPulled'],
+  member_joined: ['targetUserId', 'targetEmail'],
+  member_invited: ['targetUserId', 'targetEmail'],
+  member_left: ['targetUserId', 'targetEmail'],
+  session_started: ['sessionDuration', 'tasksCompleted'],
+  session_ended: ['sessionDuration', 'tasksCompleted'],
+  pattern_promoted: ['factId', 'promotedTo'],
+  correction_logged: ['correctionId', 'category']
+};
+
+function listActivity(ctx) {
+  requireMember(ctx);
+  const { since, type } = ctx.query;
+  const limit = Math.min(parseInt(ctx.query.limit) || 50, 200);
+
+  const clauses = ['team_id = ?'];
+  const params = [ctx.params.teamId];
+  if (since) {
+    clauses.push('timestamp > ?');
+    params.push(since);
+  }
+  if (type) {
+    clauses.push('activity_type = ?');
+    params.push(type);
+  }
+  params.push(limit);
+
+  const activities = ctx.store.all(`SELECT * FROM activity WHERE ${clauses.join(' AND ')} ORDER BY timestamp DESC LIMIT ?`, params)
+    .map(formatActivity);
+  return { activities, count: activities.length };
+}
+
+function logActivity(ctx) {
+  requireMember(ctx);
+  if (!ctx.body.type) {
+    throw new HttpError(400, 'Activity type is required');
+  }
+
+  const details = { metadata: ctx.body.metadata || {} };
+  for (const field of ACTIVITY_FIELDS[ctx.body.type] || []) {
+    if (ctx.body[field] !== undefined) details[field] = ctx.body[field];
+  }
+
+  const cutoff = new Date(Date.now() - ACTIVITY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  ctx.store.run('DELETE FROM activity WHERE team_id = ? AND timestamp < ?', [ctx.params.teamId, cutoff]);
+  recordActivity(ctx.store, ctx.params.teamId, ctx.body.type, ctx.user, ctx.body.description || '', details);
+
+  const row = ctx.store.get('SELECT * FROM activity WHERE team_id = ? ORDER BY rowid DESC LIMIT 1', [ctx.params.teamId]);
+  return { status: 201, body: formatActivity(row) };
+}
+
+// ============================================================
+// Router
+// ============================================================
+
+const ROUTES = [
+  ['POST', '/auth/login', login, { public: true }],
+  ['POST', '/auth/refresh', refresh, { public: true }],
+  ['GET', '/invites/{code}', validateInvite, { public: true }],
+  ['GET', '/teams', listTeams],
+  ['POST', '/teams', createTeam],
+  ['GET', '/teams/{teamId}', getTeamDetails],
+  ['PUT', '/teams/{teamId}', updateTeam],
+  ['DELETE', '/teams/{teamId}', deleteTeam],
+  ['GET', '/teams/{teamId}/members', listMembers],
+  ['POST', '/teams/{teamId}/invite', inviteMember],
+  ['POST', '/teams/{teamId}/invites', createInvite],
+  ['GET', '/teams/{teamId}/knowledge', listKnowledge],
+  ['POST', '/teams/{teamId}/knowledge', addKnowledge],
+  ['GET', '/teams/{teamId}/proposals', listProposals],
+  ['POST', '/teams/{teamId}/proposals', createProposal],
+  ['GET', '/teams/{teamId}/proposals/{proposalId}', getProposal],
+  ['POST', '/teams/{teamId}/proposals/{proposalId}/vote', voteOnProposal],
+  ['POST', '/teams/{teamId}/proposals/{proposalId}/decide', decideProposal],
+  ['GET', '/teams/{teamId}/audit', listAudit],
+  ['POST', '/teams/{teamId}/sync', syncTeam],
+  ['GET', '/teams/{teamId}/memory', pullMemory],
+  ['POST', '/teams/{teamId}/memory', pushMemory],
+  ['POST', '/teams/{teamId}/memory/sync', syncMemory],
+  ['GET', '/teams/{teamId}/memory/metrics', getMemoryMetrics],
+  ['GET', '/teams/{teamId}/activity', listActivity],
+  ['POST', '/teams/{teamId}/activity', logActivity]
+].map(([method, pattern, handler, options = {}]) => {
+  const names = [];
+  const source = pattern.replace(/\{(\w+)\}/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { method, pattern, regex: new RegExp(`^${source}/?$`), names, handler, public: options.public === true };
+});
+
+/**
+ * Find the route for a request
+ * @returns {{ route: Object, params: Object }|null} null when no path matches;
+ *   route is null when the path exists but not for this method
+ */
+function matchRoute(method, pathname) {
+  let pathMatched = false;
+
+  for (const route of ROUTES) {
+    const match = pathname.match(route.regex);
+    if (!match) continue;
+    pathMatched = true;
+    if (route.method !== method) continue;
+
+    const params = {};
+    route.names.forEach((name, i) => {
+      params[name] = decodeURIComponent(match[i + 1]);
+    });
+    return { route, params };
+  }
+
+  return pathMatched ? { route: null, params: {} } : null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf-8');
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        resolve(body && typeof body === 'object' ? body : {});
+      } catch {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization,Idempotency-Key',
+  'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+};
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS, ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Stored response for a repeated Idempotency-Key
+ * @returns {{ status: number, body: Object }|null}
+ * @throws {HttpError} 422 when the key was used for a different request
+ */
+function findIdempotentResponse(store, user, key, method, pathname) {
+  const cutoff = new Date(Date.now() - IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  const row = store.get('SELECT * FROM idempotency_keys WHERE user_id = ? AND key = ? AND created_at > ?', [user.userId, key, cutoff]);
+  if (!row) return null;
+
+  if (row.method !== method || row.path !== pathname) {
+    throw new HttpError(422, 'Idempotency-Key was already used for a different request');
+  }
+  return { status: row.status, body: parseJson(row.body, {}) };
+}
+
+function saveIdempotentResponse(store, user, key, method, pathname, status, body) {
+  const cutoff = new Date(Date.now() - IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  store.run('DELETE FROM idempotency_keys WHERE created_at < ?', [cutoff]);
+  store.run(`
+    INSERT OR REPLACE INTO idempotency_keys (user_id, key, method, path, status, body, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [user.userId, key, method, pathname, status, JSON.stringify(body), now()]);
+}
+
+/**
+ * Handle one request: route, authenticate, run the handler and persist writes
+ */
+async function handleRequest(req, res, store, settings) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+  if (req.method === 'GET' && url.pathname === '/health') {
+    return sendJson(res, 200, { status: 'ok' });
+  }
+
+  const found = matchRoute(req.method, url.pathname);
+  if (!found) return sendJson(res, 404, { error: 'Not found' });
+  if (!found.route) return sendJson(res, 405, { error: 'Method not allowed' });
+
+  // Pick up teams and invites the CLI wrote while we were running
+  store.refresh();
+
+  let user = null;
+  if (!found.route.public) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const claims = verifyAccessToken(token, store.getSetting('token_secret'));
+    if (!claims) return sendJson(res, 401, { error: 'Unauthorized' });
+    user = { userId: claims.sub, email: claims.email };
+  }
+
+  const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+
+  const idempotencyKey = user && req.method !== 'GET' ? req.headers['idempotency-key'] : null;
+
+  const ctx = {
+    store,
+    settings,
+    user,
+    params: found.params,
+    query: Object.fromEntries(url.searchParams),
+    body
+  };
+
+  const execute = () => {
+    if (idempotencyKey) {
+      const cached = findIdempotentResponse(store, user, idempotencyKey, req.method, url.pathname);
+      if (cached) return { ...cached, replayed: true };
+    }
+
+    const result = found.route.handler(ctx);
+    const response = result && typeof result.status === 'number' && 'body' in result
+      ? result
+      : { status: 200, body: result };
+
+    // Only successful writes are stored, so a failed attempt can be retried
+    if (idempotencyKey) {
+      saveIdempotentResponse(store, user, idempotencyKey, req.method, url.pathname, response.status, response.body);
+    }
+    return response;
+  };
+
+  // A write runs as one transaction: a handler that throws halfway leaves no rows behind
+  const response = req.method === 'GET' ? execute() : await store.transaction(execute);
+
+  return sendJson(res, response.status, response.body, response.replayed ? { 'Idempotent-Replayed': 'true' } : {});
+}
+
+/**
+ * Create a team server bound to a SQLite file
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dbPath] - Database file (default .workflow/team-server/team.db)
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.host]
+ * @param {Function} [options.onRequest] - Called with (method, path, status) after each request
+ * @returns {Promise<{ store: TeamStore, server: http.Server, listen: Function, close: Function }>}
+ */
+async function createTeamServer(options = {}) {
+  const settings = getServerSettings(options);
+  const store = await new TeamStore(settings.dbPath).open();
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, store, settings)
+      .catch(err => {
+        if (err instanceof HttpError) {
+          sendJson(res, err.status, { error: err.message });
+        } else {
+          sendJson(res, 500, { error: process.env.DEBUG ? err.message : 'Internal server error' });
+        }
+      })
+      .finally(() => {
+        if (options.onRequest) options.onRequest(req.method, req.url, res.statusCode);
+      });
+  });
+
+  return {
+    store,
+    server,
+    settings,
+
+    listen() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(settings.port, settings.host, () => {
+          const { port } = server.address();
+          resolve({ host: settings.host, port, url: `http://${settings.host}:${port}` });
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => {
+        server.close(() => {
+          store.close();
+          resolve();
+        });
+        server.closeAllConnections?.();
+      });
+    }
+  };
+}
+
+// ============================================================
+// CLI
+// ============================================================
+
+function getCliOptions(flags) {
+  return {
+    port: flags.port !== undefined ? parseInt(flags.port) : undefined,
+    host: typeof flags.host === 'string' ? flags.host : undefined,
+    dbPath: typeof flags.db === 'string' ? flags.db : undefined
+  };
+}
+
+async function openStore(flags) {
+  const settings = getServerSettings(getCliOptions(flags));
+  return new TeamStore(settings.dbPath).open();
+}
+
+async function startCommand(flags) {
+  const options = getCliOptions(flags);
+  if (options.port !== undefined && (isNaN(options.port) || options.port < 0)) {
+    error(`Invalid port: ${flags.port}`);
+    process.exit(1);
+  }
+
+  const teamServer = await createTeamServer({
+    ...options,
+    onRequest: flags.verbose
+      ? (method, url, status) => console.log(color('dim', `${new Date().toISOString()} ${method} ${url} ${status}`))
+      : null
+  });
+  const { url } = await teamServer.listen();
+
+  printHeader('Wogi Flow Team Server');
+  console.log(`Listening on: ${color('cyan', url)}`);
+  console.log(`Database:     ${path.relative(PROJECT_ROOT, teamServer.settings.dbPath) || teamServer.settings.dbPath}`);
+  console.log('');
+  info(`Point clients at it: set team.backendUrl to "${url}" in .workflow/config.json`);
+  info('Create a team with: flow team-server create-team <name>');
+  console.log('');
+
+  const shutdown = () => {
+    teamServer.close().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+async function createTeamCommand(name, flags) {
+  if (!name) {
+    error('Usage: flow team-server create-team <name>');
+    process.exit(1);
+  }
+
+  // Safe while the server runs: the transaction locks and reloads the file
+  const store = await openStore(flags);
+  const { teamId, invite } = await store.transaction(() => {
+    const id = createTeamRecord(store, { name });
+    return { teamId: id, invite: createInviteRecord(store, { teamId: id, role: 'owner', expiresInDays: parseInt(flags.days) || 7 }) };
+  });
+  store.close();
+
+  if (flags.json) {
+    outputJson({ teamId, name, ownerInvite: invite });
+  }
+
+  success(`Created team "${name}" (${teamId})`);
+  console.log('');
+  console.log(`Owner invite: ${color('green', invite.code)}  (expires ${invite.expiresAt.slice(0, 10)})`);
+  console.log('');
+  info('Join as owner: flow team login ' + invite.code);
+}
+
+async function inviteCommand(teamId, flags) {
+  if (!teamId) {
+    error('Usage: flow team-server invite <teamId> [--role owner|maintainer|member|viewer] [--days N]');
+    process.exit(1);
+  }
+
+  const role = typeof flags.role === 'string' ? flags.role : 'member';
+  if (!governance.ROLES.includes(role)) {
+    error(`Role must be one of: ${governance.ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const store = await openStore(flags);
+  const invite = await store.transaction(() => {
+    if (!store.get('SELECT 1 FROM teams WHERE team_id = ?', [teamId])) return null;
+    return createInviteRecord(store, { teamId, role, expiresInDays: parseInt(flags.days) || 7 });
+  });
+  store.close();
+
+  if (!invite) {
+    error(`Team not found: ${teamId}`);
+    process.exit(1);
+  }
+
+  if (flags.json) {
+    outputJson(invite);
+  }
+  success(`Invite code (${role}): ${invite.code}`);
+  info(`Expires ${invite.expiresAt.slice(0, 10)}`);
+}
+
+async function statusCommand(flags) {
+  const store = await openStore(flags);
+  const teams = store.all(`
+    SELECT t.team_id, t.name, t.created_at,
+      (SELECT COUNT(*) FROM members m WHERE m.team_id = t.team_id) AS members,
+      (SELECT COUNT(*) FROM proposals p WHERE p.team_id = t.team_id AND p.status = 'pending') AS pending
+    FROM teams t ORDER BY t.created_at
+  `);
+  const users = store.get('SELECT COUNT(*) AS count FROM users').count;
+  const dbPath = store.dbPath;
+  store.close();
+
+  if (flags.json) {
+    outputJson({ dbPath, users, teams });
+  }
+
+  printHeader('Team Server Database');
+  console.log(`Database: ${path.relative(PROJECT_ROOT, dbPath) || dbPath}`);
+  console.log(`Users:    ${users}`);
+  console.log('');
+
+  if (teams.length === 0) {
+    info('No teams yet. Create one with: flow team-server create-team <name>');
+    return;
+  }
+  for (const team of teams) {
+    console.log(`  ${team.name} ${color('dim', `(${team.team_id})`)}`);
+    console.log(color('dim', `    ${team.members} member(s), ${team.pending} pending proposal(s)`));
+  }
+  console.log('');
+}
+
+function printUsage() {
+  console.log(`
+Wogi Flow - Self-Hosted Team Server
+
+Usage: flow team-server <command> [options]
+
+Commands:
+  start                    Run the server (foreground)
+  create-team <name>       Create a team and print the owner invite code
+  invite <teamId>          Generate an invite code
+  status                   Show teams and users in the database
+
+Options:
+  --port <n>               Port (default: ${DEFAULT_PORT}, team.server.port)
+  --host <addr>            Bind address (default: ${DEFAULT_HOST}, team.server.host)
+  --db <path>              SQLite file (default: .workflow/team-server/team.db)
+  --role <role>            Invite role: owner, maintainer, member or viewer (default: member)
+  --days <n>               Invite validity in days (default: 7)
+  --verbose                Log each request (start)
+  --json                   JSON output (create-team, invite, status)
+
+Clients: set team.backendUrl in .workflow/config.json to the server URL,
+then join with: flow team login <invite-code>
+`);
+}
+
+async function main() {
+  const { flags, positional } = parseFlags(process.argv.slice(2));
+  const command = flags.help ? 'help' : positional[0];
+
+  switch (command) {
+    case 'start':
+      await startCommand(flags);
+      break;
+
+    case 'create-team':
+      await createTeamCommand(positional.slice(1).join(' '), flags);
+      break;
+
+    case 'invite':
+      await inviteCommand(positional[1], flags);
+      break;
+
+    case 'status':
+      await statusCommand(flags);
+      break;
+
+    case 'help':
+      printUsage();
+      break;
+
+    default:
+      if (command) {
+        error(`Unknown command: ${command}`);
+      }
+      printUsage();
+      process.exit(command ? 1 : 0);
+  }
+}
+
+// ============================================================
+// Exports
+// ============================================================
+
+module.exports = {
+  HttpError,
+  TeamStore,
+  getServerSettings,
+  createTeamServer,
+  createTeamRecord,
+  createInviteRecord,
+  signAccessToken,
+  verifyAccessToken,
+  ROUTES
+};
+
+if (require.main === module) {
+  main().catch(e => {
+    error(`Error: ${e.message}`);
+    process.exit(1);
+  });
+}
@@ -12,7 +12,8 @@
  * Architecture:
  * - Each project has a unique projectId
  * - All sync happens at project scope, not user scope
- * - Conflict resolution via timestamps (newest-wins) or manual merge
+ * - Conflict resolution via three-way merge against the last-synced base,
+ *   timestamps (newest-wins) or manual merge
  */
 
 const fs = require('fs');
@@ -285,55 +286,60 @@ function createSyncPayload() {
 
 /**
  * Apply remote changes to local files
+ *
+ * With the three-way strategy, each file is merged against the content it
+ * was last synced with (see readSyncBase); conflicting edits are written as
+ * conflict markers and listed by `flow team conflicts`.
  */
-function applyRemoteChanges(remotePayload, strategy = 'newest-wins') {
+function applyRemoteChanges(remotePayload, strategy = 'three-way') {
   const projectRoot = getProjectRoot();
   const localFiles = getSyncableFiles();
   const changes = [];
 
-  // Apply decisions.md
-  if (remotePayload.files.decisions) {
-    const result = mergeFile(
-      localFiles.decisions,
-      remotePayload.files.decisions,
-      strategy
-    );
+  const apply = (baseKey, localFile, remoteFile, label) => {
+    const result = mergeFile(localFile, remoteFile, strategy, baseKey);
+
     if (result.changed) {
+      fs.mkdirSync(path.dirname(result.path), { recursive: true });
       fs.writeFileSync(result.path, result.content);
-      // Sync to .claude/rules/ for Claude Code integration
+    }
+    if (strategy === 'three-way') {
+      writeSyncBase(baseKey, remoteFile.content);
+    }
+    if (result.conflicts?.length > 0) {
+      recordConflicts(result.path, result.conflicts);
+    }
+    if (result.changed) {
+      changes.push({ file: label, action: result.action, conflicts: result.conflicts?.length || 0 });
+    }
+    return result;
+  };
+
+  // Apply decisions.md
+  if (remotePayload.files.decisions) {
+    const result = apply('decisions', localFiles.decisions, remotePayload.files.decisions, 'decisions.md');
+    // Sync to .claude/rules/ for Claude Code integration (not while markers are unresolved)
+    if (result.changed && !result.conflicts?.length) {
       syncDecisionsToRules();
-      changes.push({ file: 'decisions.md', action: result.action });
     }
   }
 
   // Apply app-map.md
   if (remotePayload.files.appMap) {
-    const result = mergeFile(
-      localFiles.appMap,
-      remotePayload.files.appMap,
-      strategy
-    );
-    if (result.changed) {
-      fs.writeFileSync(result.path, result.content);
-      changes.push({ file: 'app-map.md', action: result.action });
-    }
+    apply('app-map', localFiles.appMap, remotePayload.files.appMap, 'app-map.md');
   }
 
   // Apply skill learnings
   if (remotePayload.files.skillLearnings) {
     for (const [skill, remoteFile] of Object.entries(remotePayload.files.skillLearnings)) {
-      const localFile = localFiles.skillLearnings?.[skill];
-      const result = mergeFile(localFile, remoteFile, strategy);
-
-      if (result.changed) {
-        // Create skill directory if needed
-        const skillDir = path.join(projectRoot, '.claude', 'skills', skill, 'knowledge');
-        if (!fs.existsSync(skillDir)) {
-          fs.mkdirSync(skillDir, { recursive: true });
-        }
-        fs.writeFileSync(result.path, result.content);
-        changes.push({ file: `.claude/skills/${skill}/learnings.md`, action: result.action });
-      }
+      // Remote paths are absolute on the sender's machine
+      const localPath = path.join(projectRoot, '.claude', 'skills', skill, 'knowledge', 'learnings.md');
+      apply(
+        `skill-${skill}`,
+        localFiles.skillLearnings?.[skill],
+        { ...remoteFile, path: localPath },
+        `.claude/skills/${skill}/learnings.md`
+      );
     }
   }
 
@@ -343,7 +349,7 @@ function applyRemoteChanges(remotePayload, strategy = 'newest-wins') {
 /**
  * Merge a single file based on strategy
  */
-function mergeFile(localFile, remoteFile, strategy) {
+function mergeFile(localFile, remoteFile, strategy, baseKey) {
   const projectRoot = getProjectRoot();
 
   // Remote file path may be absolute from remote, need to localize
@@ -392,6 +398,32 @@ function mergeFile(localFile, remoteFile, strategy) {
     case 'local-wins':
       return { changed: false };
 
+    case 'three-way': {
+      const base = readSyncBase(baseKey);
+
+      // Only one side moved since the last sync
+      if (base === remoteFile.content) {
+        return { changed: false };
+      }
+      if (base === localFile.content) {
+        return {
+          changed: true,
+          action: 'updated',
+          path: localPath,
+          content: remoteFile.content
+        };
+      }
+
+      const result = threeWayMergeMarkdown(base, localFile.content, remoteFile.content);
+      return {
+        changed: result.content !== localFile.content,
+        action: result.conflicts.length > 0 ? 'conflict' : 'merged',
+        path: localPath,
+        content: result.content,
+        conflicts: result.conflicts
+      };
+    }
+
     case 'merge':
       // For markdown files, we can do a simple append of unique sections
       const merged = mergeMarkdownContent(localFile.content, remoteFile.content);
@@ -468,6 +500,543 @@ function parseSections(content) {
   return sections;
 }
 
+// ============================================================
+// Three-Way Merge
+// ============================================================
+
+const CONFLICT_START = '<<<<<<< local';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>> remote';
+
+/**
+ * Directory holding sync bookkeeping (payloads, merge bases, conflicts)
+ */
+function getSyncDir() {
+  return path.join(getProjectRoot(), '.workflow', 'sync');
+}
+
+function getBasePath(baseKey) {
+  return path.join(getSyncDir(), 'base', `${baseKey.replace(/[^a-z0-9_-]/gi, '_')}.md`);
+}
+
+/**
+ * Read the content both sides last agreed on for a synced file
+ */
+function readSyncBase(baseKey) {
+  const basePath = getBasePath(baseKey);
+  if (!fs.existsSync(basePath)) {
+    return null;
+  }
+  return fs.readFileSync(basePath, 'utf-8');
+}
+
+/**
+ * Record the remote content a file was last synced against
+ */
+function writeSyncBase(baseKey, content) {
+  const basePath = getBasePath(baseKey);
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+  fs.writeFileSync(basePath, content);
+}
+
+/**
+ * Split markdown into a preamble and `##` sections.
+ * `#` and `###` headings stay inside the surrounding section.
+ */
+function splitLevelTwoSections(content) {
+  const lines = (content || '').replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  const preamble = [];
+  const sections = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const headerMatch = !inFence && line.match(/^##\s+(.+?)\s*$/);
+    if (headerMatch) {
+      current = { key: headerMatch[1].toLowerCase(), header: [line], lines: [] };
+      sections.push(current);
+    } else if (current && current.lines.length === 0 && !line.trim()) {
+      // Blank lines under the heading belong to the heading
+      current.header.push(line);
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+
+  // Separation between sections is re-created when merged content is rendered
+  const trimTrailingBlanks = block => {
+    while (block.length > 0 && !block[block.length - 1].trim()) block.pop();
+  };
+  trimTrailingBlanks(preamble);
+  sections.forEach(section => trimTrailingBlanks(section.lines));
+
+  return { preamble, sections };
+}
+
+/**
+ * Group section lines into mergeable items: one item per bullet or table row
+ * (with its indented continuation lines), one per other line.
+ */
+function splitItems(lines) {
+  const items = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (current && /^\s{2,}\S/.test(line)) {
+      current.push(line);
+    } else if (/^\s?([-*+]\s|\d+[.)]\s|\|)/.test(line)) {
+      current = [line];
+      items.push(current);
+    } else {
+      current = null;
+      items.push([line]);
+    }
+  }
+
+  return items.map(item => item.join('\n'));
+}
+
+function normalizeItem(item) {
+  return item.trim().replace(/\s+/g, ' ');
+}
+
+function itemsEqual(a, b) {
+  return a.length === b.length && a.every((item, i) => normalizeItem(item) === normalizeItem(b[i]));
+}
+
+/**
+ * Longest common subsequence of two item lists, as a Map of aIndex -> bIndex
+ */
+function matchItems(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = normalizeItem(a[i]) === normalizeItem(b[j])
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const matches = new Map();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (normalizeItem(a[i]) === normalizeItem(b[j])) {
+      matches.set(i, j);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Combine two item lists that both grew from nothing, keeping shared items
+ * once and each side's additions in place.
+ */
+function interleaveItems(local, remote) {
+  const matches = matchItems(local, remote);
+  const merged = [];
+  let r = 0;
+
+  local.forEach((item, i) => {
+    if (matches.has(i)) {
+      merged.push(...remote.slice(r, matches.get(i)));
+      r = matches.get(i) + 1;
+    }
+    merged.push(item);
+  });
+
+  return [...merged, ...remote.slice(r)];
+}
+
+/**
+ * One side's changes to a base item list, as hunks replacing base[start, end)
+ * with `items` (start === end for an insertion). A run of edits that keeps
+ * the item count is split into one hunk per changed item, so edits to
+ * neighbouring items stay separate.
+ */
+function diffHunks(base, side) {
+  const hunks = [];
+  let b = 0;
+  let s = 0;
+
+  const addHunk = (baseEnd, sideEnd) => {
+    const added = side.slice(s, sideEnd);
+    if (added.length === baseEnd - b) {
+      added.forEach((item, k) => {
+        if (!itemsEqual([item], [base[b + k]])) {
+          hunks.push({ start: b + k, end: b + k + 1, items: [item] });
+        }
+      });
+    } else {
+      hunks.push({ start: b, end: baseEnd, items: added });
+    }
+  };
+
+  for (const [bi, si] of matchItems(base, side)) {
+    addHunk(bi, si);
+    b = bi + 1;
+    s = si + 1;
+  }
+  addHunk(base.length, side.length);
+
+  return hunks;
+}
+
+/**
+ * Whether two hunks touch the same base items. Insertions only collide with
+ * insertions at the same spot or with a hunk that replaces items around them.
+ */
+function hunksOverlap(a, b) {
+  const aInserts = a.start === a.end;
+  const bInserts = b.start === b.end;
+  if (aInserts && bInserts) return a.start === b.start;
+  if (aInserts) return a.start > b.start && a.start < b.end;
+  if (bInserts) return b.start > a.start && b.start < a.end;
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * base[start, end) with one side's hunks applied
+ */
+function applyHunks(base, start, end, hunks) {
+  const items = [];
+  let i = start;
+  for (const hunk of hunks) {
+    items.push(...base.slice(i, hunk.start), ...hunk.items);
+    i = hunk.end;
+  }
+  items.push(...base.slice(i, end));
+  return items;
+}
+
+/**
+ * diff3 over item lists. Returns a list of chunks, each either
+ * { items } (resolved) or { conflict: { base, local, remote } }.
+ *
+ * Each side's changes are aligned to the base item by item; only changes
+ * that touch the same base items can conflict, and identical changes on
+ * both sides merge cleanly. Items both sides added at the same spot are
+ * kept from both sides rather than reported as a conflict, so concurrent
+ * new rules are never dropped.
+ */
+function mergeItems(base, local, remote) {
+  const hunks = [
+    ...diffHunks(base, local).map(hunk => ({ ...hunk, side: 'local' })),
+    ...diffHunks(base, remote).map(hunk => ({ ...hunk, side: 'remote' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Group hunks that touch the same base items
+  const clusters = [];
+  for (const hunk of hunks) {
+    const last = clusters[clusters.length - 1];
+    if (last && last.hunks.some(other => hunksOverlap(other, hunk))) {
+      last.hunks.push(hunk);
+      last.end = Math.max(last.end, hunk.end);
+    } else {
+      clusters.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+    }
+  }
+
+  const chunks = [];
+  let b = 0;
+
+  for (const cluster of clusters) {
+    if (cluster.start > b) {
+      chunks.push({ items: base.slice(b, cluster.start) });
+    }
+
+    const sideItems = side => applyHunks(base, cluster.start, cluster.end, cluster.hunks.filter(h => h.side === side));
+    const localChanged = cluster.hunks.some(h => h.side === 'local');
+    const remoteChanged = cluster.hunks.some(h => h.side === 'remote');
+    const localItems = sideItems('local');
+    const remoteItems = sideItems('remote');
+
+    if (!remoteChanged || itemsEqual(localItems, remoteItems)) {
+      chunks.push({ items: localItems });
+    } else if (!localChanged) {
+      chunks.push({ items: remoteItems });
+    } else if (cluster.start === cluster.end) {
+      chunks.push({ items: interleaveItems(localItems, remoteItems) });
+    } else {
+      chunks.push({ conflict: { base: base.slice(cluster.start, cluster.end), local: localItems, remote: remoteItems } });
+    }
+
+    b = cluster.end;
+  }
+
+  if (b < base.length) {
+    chunks.push({ items: base.slice(b) });
+  }
+
+  return chunks;
+}
+
+/**
+ * Render merged chunks back to lines, wrapping conflicts in git-style markers
+ */
+function renderChunks(chunks, sectionName, conflicts) {
+  const lines = [];
+
+  for (const chunk of chunks) {
+    if (!chunk.conflict) {
+      lines.push(...chunk.items);
+      continue;
+    }
+
+    const { base, local, remote } = chunk.conflict;
+    const id = hashContent(`${sectionName}\n${local.join('\n')}\n${CONFLICT_SEPARATOR}\n${remote.join('\n')}`).substring(0, 8);
+    conflicts.push({ id, section: sectionName, base, local, remote });
+
+    lines.push(`${CONFLICT_START} (conflict ${id})`);
+    lines.push(...local);
+    lines.push(CONFLICT_SEPARATOR);
+    lines.push(...remote);
+    lines.push(`${CONFLICT_END} (conflict ${id})`);
+  }
+
+  return lines;
+}
+
+/**
+ * Three-way merge of markdown content, per `##` section and per bullet.
+ *
+ * A side that left an item untouched since the base accepts the other side's
+ * edit or deletion; edits to the same rule on both sides become conflict blocks.
+ *
+ * @param {string|null} baseContent - Content at the last sync (null if never synced)
+ * @param {string} localContent
+ * @param {string} remoteContent
+ * @returns {{content: string, conflicts: Array<{id: string, section: string, base: string[], local: string[], remote: string[]}>}}
+ */
+function threeWayMergeMarkdown(baseContent, localContent, remoteContent) {
+  const base = splitLevelTwoSections(baseContent);
+  const local = splitLevelTwoSections(localContent);
+  const remote = splitLevelTwoSections(remoteContent);
+  const conflicts = [];
+
+  const byKey = sections => new Map(sections.map(s => [s.key, s]));
+  const baseSections = byKey(base.sections);
+  const localSections = byKey(local.sections);
+  const remoteSections = byKey(remote.sections);
+
+  // Local order first; sections only the remote has go after their remote predecessor
+  const order = local.sections.map(s => s.key);
+  remote.sections.forEach((section, index) => {
+    if (order.includes(section.key)) return;
+    const previous = remote.sections.slice(0, index).reverse().find(s => order.includes(s.key));
+    order.splice(previous ? order.indexOf(previous.key) + 1 : 0, 0, section.key);
+  });
+
+  const output = renderChunks(
+    mergeItems(splitItems(base.preamble), splitItems(local.preamble), splitItems(remote.preamble)),
+    '(preamble)',
+    conflicts
+  );
+
+  for (const key of order) {
+    const localSection = localSections.get(key);
+    const remoteSection = remoteSections.get(key);
+    const baseSection = baseSections.get(key);
+    const header = (localSection || remoteSection).header;
+    const sectionName = header[0].replace(/^##\s+/, '');
+
+    const chunks = mergeItems(
+      splitItems(baseSection ? baseSection.lines : []),
+      splitItems(localSection ? localSection.lines : []),
+      splitItems(remoteSection ? remoteSection.lines : [])
+    );
+
+    // A section deleted on one side and untouched on the other stays deleted
+    const hasContent = chunks.some(c => c.conflict || c.items.some(item => item.trim()));
+    if (!hasContent && !(localSection && remoteSection)) {
+      continue;
+    }
+
+    if (output.length > 0 && output[output.length - 1].trim()) {
+      output.push('');
+    }
+    output.push(...header, ...renderChunks(chunks, sectionName, conflicts));
+  }
+
+  return { content: output.join('\n').replace(/\n+$/, '') + '\n', conflicts };
+}
+
+// ============================================================
+// Sync Conflicts
+// ============================================================
+
+function getConflictsPath() {
+  return path.join(getSyncDir(), 'conflicts.json');
+}
+
+function readConflictFile(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+}
+
+/**
+ * Load unresolved conflicts, dropping any whose markers were removed by hand
+ */
+function loadConflicts() {
+  const conflictsPath = getConflictsPath();
+  if (!fs.existsSync(conflictsPath)) {
+    return [];
+  }
+
+  let conflicts;
+  try {
+    conflicts = JSON.parse(fs.readFileSync(conflictsPath, 'utf-8')).conflicts || [];
+  } catch {
+    return [];
+  }
+
+  const projectRoot = getProjectRoot();
+  const open = conflicts.filter(conflict =>
+    readConflictFile(path.join(projectRoot, conflict.file)).includes(`${CONFLICT_START} (conflict ${conflict.id})`)
+  );
+
+  if (open.length !== conflicts.length) {
+    saveConflicts(open);
+  }
+  return open;
+}
+
+function saveConflicts(conflicts) {
+  fs.mkdirSync(getSyncDir(), { recursive: true });
+  fs.writeFileSync(getConflictsPath(), JSON.stringify({ conflicts }, null, 2));
+}
+
+/**
+ * Register conflicts found while merging a file
+ */
+function recordConflicts(filePath, conflicts) {
+  const file = path.relative(getProjectRoot(), filePath);
+  const existing = loadConflicts().filter(c => !conflicts.some(n => n.id === c.id && c.file === file));
+  const detectedAt = new Date().toISOString();
+
+  saveConflicts([
+    ...existing,
+    ...conflicts.map(conflict => ({ ...conflict, file, detectedAt }))
+  ]);
+}
+
+/**
+ * Resolve a conflict block in place.
+ *
+ * Reads the local/remote sides from the file itself, so edits made inside
+ * the markers before resolving are kept.
+ *
+ * @param {string} id - Conflict id from the marker line
+ * @param {'local'|'remote'|'both'} choice
+ */
+function resolveConflict(id, choice) {
+  if (!['local', 'remote', 'both'].includes(choice)) {
+    return { success: false, message: `Unknown resolution "${choice}" (use local, remote or both)` };
+  }
+
+  const conflicts = loadConflicts();
+  const conflict = conflicts.find(c => c.id === id);
+  if (!conflict) {
+    return { success: false, message: `No unresolved conflict with id ${id}` };
+  }
+
+  const filePath = path.join(getProjectRoot(), conflict.file);
+  const lines = readConflictFile(filePath).split('\n');
+  const start = lines.indexOf(`${CONFLICT_START} (conflict ${id})`);
+  const end = lines.indexOf(`${CONFLICT_END} (conflict ${id})`, start);
+  const separator = lines.indexOf(CONFLICT_SEPARATOR, start);
+
+  if (start === -1 || end === -1 || separator === -1 || separator > end) {
+    return { success: false, message: `Conflict markers for ${id} are malformed in ${conflict.file}` };
+  }
+
+  const localLines = lines.slice(start + 1, separator);
+  const remoteLines = lines.slice(separator + 1, end);
+  let resolved;
+
+  if (choice === 'local') {
+    resolved = localLines;
+  } else if (choice === 'remote') {
+    resolved = remoteLines;
+  } else {
+    const seen = new Set(localLines.map(normalizeItem));
+    resolved = [...localLines, ...remoteLines.filter(line => !seen.has(normalizeItem(line)))];
+  }
+
+  lines.splice(start, end - start + 1, ...resolved);
+  const content = lines.join('\n');
+  fs.writeFileSync(filePath, content);
+  saveConflicts(conflicts.filter(c => c.id !== id));
+
+  // Rules are only regenerated once decisions.md is free of markers
+  if (path.basename(filePath) === 'decisions.md' && !content.includes(CONFLICT_START)) {
+    syncDecisionsToRules();
+  }
+
+  return { success: true, message: `Resolved ${id} in ${conflict.file} (${choice})`, file: conflict.file };
+}
+
+/**
+ * Walk through unresolved conflicts and ask which side to keep
+ */
+async function resolveConflictsInteractive(conflicts) {
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = question => new Promise(resolve => rl.question(question, answer => resolve(answer.trim().toLowerCase())));
+  const choices = { l: 'local', r: 'remote', b: 'both' };
+  let resolvedCount = 0;
+
+  try {
+    for (const conflict of conflicts) {
+      console.log(formatConflict(conflict));
+      const answer = await ask('Keep [l]ocal, [r]emote, [b]oth, [s]kip or [q]uit? ');
+
+      if (answer === 'q') break;
+      if (!choices[answer]) continue;
+
+      const result = resolveConflict(conflict.id, choices[answer]);
+      console.log(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+      if (result.success) resolvedCount++;
+    }
+  } finally {
+    rl.close();
+  }
+
+  return resolvedCount;
+}
+
+function formatConflict(conflict) {
+  const block = (label, items) => [
+    `  ${label}:`,
+    ...(items.length > 0 ? items.map(item => `    ${item.replace(/\n/g, '\n    ')}`) : ['    (removed)'])
+  ];
+
+  return [
+    '',
+    `── ${conflict.id} · ${conflict.file} › ${conflict.section}`,
+    ...block('Base', conflict.base),
+    ...block('Local', conflict.local),
+    ...block('Remote', conflict.remote)
+  ].join('\n');
+}
+
 /**
  * Get sync status
  */
@@ -481,6 +1050,7 @@ function getSyncStatus() {
     teamId: teamConfig.teamId,
     projectScope: teamConfig.projectScope !== false,
     lastSync: teamConfig.lastSync || null,
+    conflicts: loadConflicts().length,
     files: {
       decisions: files.decisions ? {
         exists: true,
@@ -522,7 +1092,7 @@ function getSyncStatus() {
       syncRequestLog: teamConfig.syncRequestLog || 'recent',
       syncTasks: teamConfig.syncTasks || false,
       syncMemory: teamConfig.syncMemory || false,
-      conflictResolution: teamConfig.conflictResolution || 'newest-wins'
+      conflictResolution: teamConfig.conflictResolution || 'three-way'
     }
   };
 
@@ -547,7 +1117,7 @@ function initializeTeamSync(teamId, options = {}) {
     syncDecisions: options.syncDecisions !== false,
     syncAppMap: options.syncAppMap !== false,
     syncSkillLearnings: options.syncSkillLearnings !== false,
-    conflictResolution: options.conflictResolution || 'newest-wins',
+    conflictResolution: options.conflictResolution || 'three-way',
     lastSync: null
   };
 
@@ -652,6 +1222,9 @@ function generateStatusReport() {
   lines.push('╠══════════════════════════════════════════════════════╣');
   lines.push(`║  Conflict Resolution: ${status.syncConfig.conflictResolution}`.padEnd(55) + '║');
   lines.push(`║  Last Sync: ${status.lastSync || 'Never'}`.padEnd(55) + '║');
+  if (status.conflicts > 0) {
+    lines.push(`║  ⚠️  ${status.conflicts} unresolved conflict(s) - flow team conflicts`.padEnd(55) + '║');
+  }
   lines.push('╚══════════════════════════════════════════════════════╝');
 
   return lines.join('\n');
@@ -672,7 +1245,12 @@ module.exports = {
   syncWithBackend,
   generateStatusReport,
   hashContent,
-  mergeMarkdownContent
+  mergeMarkdownContent,
+  threeWayMergeMarkdown,
+  readSyncBase,
+  writeSyncBase,
+  loadConflicts,
+  resolveConflict
 };
 
 // ============================================================
@@ -715,6 +1293,63 @@ if (require.main === module) {
       break;
     }
 
+    case 'apply': {
+      const payloadFile = args[1];
+      if (!payloadFile || !fs.existsSync(payloadFile)) {
+        console.error('Usage: node flow-team-sync.js apply <payload-file> [strategy]');
+        process.exit(1);
+      }
+
+      const strategy = args[2] || getTeamConfig().conflictResolution || 'three-way';
+      const changes = applyRemoteChanges(JSON.parse(fs.readFileSync(payloadFile, 'utf-8')), strategy);
+
+      if (changes.length === 0) {
+        console.log('\n✅ Already up to date');
+        break;
+      }
+      console.log(`\n✅ Applied remote changes (${strategy})`);
+      for (const change of changes) {
+        const note = change.conflicts > 0 ? ` - ${change.conflicts} conflict(s)` : '';
+        console.log(`   ${change.file}: ${change.action}${note}`);
+      }
+      if (changes.some(c => c.conflicts > 0)) {
+        console.log('\n⚠️  Resolve conflicts with: flow team conflicts');
+      }
+      break;
+    }
+
+    case 'conflicts': {
+      const [action, id, choice] = args.slice(1);
+
+      if (action === 'resolve') {
+        const result = resolveConflict(id, choice);
+        console.log(result.success ? `\n✅ ${result.message}` : `\n❌ ${result.message}`);
+        if (!result.success) process.exit(1);
+        break;
+      }
+
+      const conflicts = loadConflicts();
+      if (args.includes('--json')) {
+        console.log(JSON.stringify({ conflicts }, null, 2));
+        break;
+      }
+      if (conflicts.length === 0) {
+        console.log('\n✅ No unresolved sync conflicts');
+        break;
+      }
+
+      if (process.stdin.isTTY && action !== 'list') {
+        resolveConflictsInteractive(conflicts).then(count => {
+          console.log(`\n${count} of ${conflicts.length} conflict(s) resolved`);
+        });
+        break;
+      }
+
+      conflicts.forEach(conflict => console.log(formatConflict(conflict)));
+      console.log('\nResolve with: flow team conflicts resolve <id> local|remote|both');
+      break;
+    }
+
     case 'payload': {
       const payload = createSyncPayload();
       console.log(JSON.stringify(payload, null, 2));
@@ -737,6 +1372,11 @@ Commands:
   status              Show sync status
   init <team-id>      Initialize team sync
   sync                Sync with backend
+  apply <file> [strategy]
+                      Merge a teammate's sync payload into local files
+  conflicts [list]    Resolve conflicting edits interactively (or list them)
+  conflicts resolve <id> local|remote|both
+                      Resolve one conflict
   payload             Show sync payload (debug)
   project-id          Generate/show project ID
 
@@ -746,7 +1386,7 @@ Configuration (config.json):
   team.syncDecisions: true       Sync decisions.md
   team.syncAppMap: true          Sync app-map.md
   team.syncSkillLearnings: true  Sync skill learnings
-  team.conflictResolution: "newest-wins" | "remote-wins" | "local-wins" | "merge"
+  team.conflictResolution: "three-way" | "newest-wins" | "remote-wins" | "local-wins" | "merge"
 `);
   }
 }
@@ -8,6 +8,8 @@
  * - Setup selection from team configurations
  * - Knowledge sync with AWS backend
  * - Proposal management with offline queue
+ * - Role checks (owner/maintainer/member/viewer) before requests and replays
+ * - Proposal audit log
  *
  * Part of v1.8.0 Team Collaboration
  *
@@ -20,7 +22,8 @@ const path = require('path');
 const crypto = require('crypto');
 const {
   getConfig,
-  saveConfig,
+  setConfigValue,
+  parseFlags,
   STATE_DIR,
   colors,
   color,
@@ -31,11 +34,13 @@ const {
   printHeader,
   fileExists,
   readFile,
-  writeFile
+  writeFile,
+  withLock
 } = require('./flow-utils');
 
 // Use shared database for proposals
 const memoryDb = require('./flow-memory-db');
+const governance = require('./flow-team-governance');
 
 // Decisions file path
 const DECISIONS_PATH = path.join(STATE_DIR, 'decisions.md');
@@ -51,6 +56,14 @@ const DEFAULT_BACKEND_URL = 'https://api.wogi-flow.com';
 // Token refresh threshold (refresh 5 minutes before expiry)
 const TOKEN_REFRESH_THRESHOLD = 5 * 60 * 1000;
 
+// Permission each queued operation type needs
+const OPERATION_PERMISSIONS = {
+  proposal: 'propose',
+  vote: 'vote',
+  decide: 'decide',
+  knowledge: 'manage'
+};
+
 // ============================================================
 // Team State Management
 // ============================================================
@@ -144,6 +157,37 @@ function isTeamEnabled() {
   return config.team?.enabled === true && config.team?.teamId;
 }
 
+/**
+ * Check the cached team role before acting
+ * The role is refreshed on sync; until the first refresh the backend
+ * decides. A role this version doesn't know is denied.
+ * @returns {boolean}
+ */
+function hasTeamPermission(state, permission) {
+  if (state.role === undefined) return true;
+  return governance.can(state.role, permission);
+}
+
+function requireTeamPermission(state, permission, action) {
+  if (hasTeamPermission(state, permission)) return true;
+  error(`Your team role (${state.role || 'unknown'}) cannot ${action}. Requires ${governance.PERMISSIONS[permission]} or higher.`);
+  return false;
+}
+
+/**
+ * Cache the user's role and the team's governance settings
+ */
+async function refreshMembership(state) {
+  const result = await apiRequest(`/teams/${state.teamId}`);
+  if (result.error) return state;
+
+  // Unknown roles are kept as-is so permission checks deny them
+  state.role = governance.normalizeRole(result.role) || result.role || null;
+  state.governance = result.governance || governance.getGovernance(result.settings);
+  saveTeamState(state);
+  return state;
+}
+
 /**
  * Get backend URL from config or default
  */
@@ -156,75 +200,274 @@ function getBackendUrl() {
 // Offline Queue
 // ============================================================
 
+/*
+ * Durable operation log for writes made while the backend was unreachable.
+ *
+ * Each entry keeps the Idempotency-Key of the original request, so a replay
+ * of a request that did reach the server is not applied twice. Failed
+ * replays back off exponentially; votes and decisions on proposals that were
+ * settled remotely in the meantime are skipped instead of replayed.
+ *
+ * Statuses:
+ *   pending   Waiting for (re)play
+ *   failed    Gave up (attempts exhausted or rejected); replay with --force
+ *   done      Replayed successfully
+ *   skipped   Proposal already decided remotely
+ *   denied    Team role does not allow it
+ *   dropped   Removed by the user
+ */
+
+const ACTIVE_QUEUE_STATUSES = ['pending', 'failed'];
+
+const QUEUE_DEFAULTS = {
+  maxAttempts: 8,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  historyLimit: 50
+};
+
+// Backend messages meaning the proposal was settled before the replay
+const ALREADY_DECIDED_PATTERN = /already (decided|voted)|no longer (pending|open)/i;
+
+/**
+ * Queue settings from team.offlineQueue over the defaults
+ */
+function getQueueSettings() {
+  const config = getConfig();
+  return { ...QUEUE_DEFAULTS, ...(config.team?.offlineQueue || {}) };
+}
+
+/**
+ * Fill in fields missing from entries written by older versions
+ * Their id and key derive from the content, so they stay stable across loads.
+ */
+function normalizeQueueEntry(item) {
+  const digest = item.id && item.idempotencyKey
+    ? null
+    : crypto.createHash('sha256').update(JSON.stringify([item.queuedAt, item.endpoint, item.data])).digest('hex');
+
+  return {
+    id: item.id || `op_${digest.slice(0, 8)}`,
+    idempotencyKey: item.idempotencyKey || digest,
+    type: item.type,
+    teamId: item.teamId,
+    endpoint: item.endpoint,
+    method: item.method || 'POST',
+    data: item.data,
+    status: item.status || 'pending',
+    attempts: item.attempts ?? item.retries ?? 0,
+    queuedAt: item.queuedAt || new Date().toISOString(),
+    lastAttemptAt: item.lastAttemptAt || null,
+    nextAttemptAt: item.nextAttemptAt || null,
+    lastError: item.lastError || null,
+    completedAt: item.completedAt || null
+  };
+}
+
 function getOfflineQueue() {
   if (!fileExists(OFFLINE_QUEUE_FILE)) return [];
   try {
-    return JSON.parse(readFile(OFFLINE_QUEUE_FILE));
+    const queue = JSON.parse(readFile(OFFLINE_QUEUE_FILE));
+    return Array.isArray(queue) ? queue.map(normalizeQueueEntry) : [];
   } catch (e) {
     return [];
   }
 }
 
+/**
+ * Save the queue, keeping only the most recent finished entries
+ */
 function saveOfflineQueue(queue) {
-  writeFile(OFFLINE_QUEUE_FILE, JSON.stringify(queue, null, 2));
+  const { historyLimit } = getQueueSettings();
+  const active = queue.filter(item => ACTIVE_QUEUE_STATUSES.includes(item.status));
+  const history = queue
+    .filter(item => !ACTIVE_QUEUE_STATUSES.includes(item.status))
+    .sort((a, b) => (a.completedAt || '').localeCompare(b.completedAt || ''))
+    .slice(-historyLimit);
+
+  writeFile(OFFLINE_QUEUE_FILE, JSON.stringify([...active, ...history], null, 2));
 }
 
-function addToOfflineQueue(operation) {
-  const queue = getOfflineQueue();
-  queue.push({
+/**
+ * Read-modify-write the queue under a file lock
+ * @param {Function} fn - Receives the queue array and mutates it
+ */
+async function updateOfflineQueue(fn) {
+  return withLock(OFFLINE_QUEUE_FILE, () => {
+    const queue = getOfflineQueue();
+    const result = fn(queue);
+    saveOfflineQueue(queue);
+    return result;
+  });
+}
+
+async function addToOfflineQueue(operation) {
+  const entry = normalizeQueueEntry({
+    id: `op_${crypto.randomBytes(4).toString('hex')}`,
+    idempotencyKey: crypto.randomUUID(),
     ...operation,
-    queuedAt: new Date().toISOString(),
-    retries: 0
+    status: 'pending',
+    attempts: 0
   });
-  saveOfflineQueue(queue);
+  await updateOfflineQueue(queue => queue.push(entry));
+  return entry;
 }
 
-async function processOfflineQueue() {
-  const queue = getOfflineQueue();
-  if (queue.length === 0) return { processed: 0, failed: 0 };
+/**
+ * Delay before the next attempt: doubles per attempt, capped, with jitter
+ */
+function getBackoffDelay(attempts, settings = getQueueSettings()) {
+  const delay = Math.min(settings.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)), settings.maxDelayMs);
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+}
 
-  let processed = 0;
-  let failed = 0;
-  const remaining = [];
+function isQueueEntryDue(item, now = Date.now()) {
+  return item.status === 'pending' && (!item.nextAttemptAt || new Date(item.nextAttemptAt).getTime() <= now);
+}
 
-  for (const item of queue) {
-    try {
-      const result = await executeQueuedOperation(item);
-      if (result.success) {
-        processed++;
-      } else if (item.retries < 3) {
-        remaining.push({ ...item, retries: item.retries + 1 });
-        failed++;
-      }
-    } catch (e) {
-      if (item.retries < 3) {
-        remaining.push({ ...item, retries: item.retries + 1 });
-      }
-      failed++;
+/**
+ * Replay queued operations
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.ids] - Only these entries
+ * @param {boolean} [options.force] - Ignore backoff and retry failed entries
+ * @returns {Promise<{ processed: number, failed: number, denied: number, skipped: number,
+ *   remaining: number, results: Object[] }>}
+ */
+async function processOfflineQueue(options = {}) {
+  const { ids = null, force = false } = options;
+  const settings = getQueueSettings();
+  const state = getTeamState();
+
+  const due = getOfflineQueue().filter(item => {
+    if (ids && !ids.includes(item.id)) return false;
+    if (force) return ACTIVE_QUEUE_STATUSES.includes(item.status);
+    return isQueueEntryDue(item);
+  });
+
+  const counts = { processed: 0, failed: 0, denied: 0, skipped: 0 };
+  const results = [];
+
+  for (const item of due) {
+    const outcome = await replayQueuedOperation(item, state);
+
+    // Credentials problem: nothing else will succeed either
+    if (outcome.stop) {
+      results.push({ id: item.id, type: item.type, status: 'pending', message: outcome.message });
+      break;
     }
-  }
 
-  saveOfflineQueue(remaining);
-  return { processed, failed, remaining: remaining.length };
-}
+    const timestamp = new Date().toISOString();
+    const attempts = outcome.attempted ? item.attempts + 1 : item.attempts;
+    const patch = { lastAttemptAt: outcome.attempted ? timestamp : item.lastAttemptAt, attempts };
 
-async function executeQueuedOperation(item) {
-  switch (item.type) {
-    case 'proposal':
-      return await apiRequest(`/teams/${item.teamId}/proposals`, {
-        method: 'POST',
-        body: JSON.stringify(item.data)
+    if (outcome.status === 'retry') {
+      const exhausted = attempts >= settings.maxAttempts;
+      Object.assign(patch, {
+        status: exhausted ? 'failed' : 'pending',
+        lastError: outcome.message,
+        nextAttemptAt: exhausted ? null : new Date(Date.now() + getBackoffDelay(attempts, settings)).toISOString()
       });
-    case 'knowledge':
-      return await apiRequest(`/teams/${item.teamId}/knowledge`, {
-        method: 'POST',
-        body: JSON.stringify(item.data)
+      counts.failed++;
+    } else {
+      Object.assign(patch, {
+        status: outcome.status,
+        lastError: outcome.status === 'done' ? null : outcome.message,
+        nextAttemptAt: null,
+        completedAt: outcome.status === 'failed' ? null : timestamp
       });
+      const key = { done: 'processed', failed: 'failed', denied: 'denied', skipped: 'skipped' }[outcome.status];
+      counts[key]++;
+    }
+
+    await updateOfflineQueue(queue => {
+      const entry = queue.find(q => q.id === item.id);
+      if (entry) Object.assign(entry, patch);
+    });
+    results.push({ id: item.id, type: item.type, status: patch.status, message: outcome.message });
+  }
+
+  const remaining = getOfflineQueue().filter(item => item.status === 'pending').length;
+  return { ...counts, remaining, results };
+}
+
+/**
+ * Replay one operation and classify the result
+ * @returns {Promise<{ status: string, attempted: boolean, message?: string, stop?: boolean }>}
+ *   status is done, retry, failed, skipped or denied
+ */
+async function replayQueuedOperation(item, state) {
+  // Role may have changed since the operation was queued
+  const permission = OPERATION_PERMISSIONS[item.type];
+  if (permission && !hasTeamPermission(state, permission)) {
+    return { status: 'denied', attempted: false, message: `Role ${state.role || 'unknown'} cannot ${permission}` };
+  }
+
+  if (!item.endpoint) {
+    return { status: 'failed', attempted: false, message: 'Entry has no endpoint' };
+  }
+
+  // Votes and decisions are pointless once the proposal was settled elsewhere
+  const proposalMatch = item.endpoint.match(/\/teams\/([^/]+)\/proposals\/([^/]+)\/(vote|decide)$/);
+  if (proposalMatch) {
+    const remote = await apiRequest(`/teams/${proposalMatch[1]}/proposals/${proposalMatch[2]}`, { queue: false });
+    if (!remote.error && remote.status && remote.status !== 'pending') {
+      return { status: 'skipped', attempted: false, message: `Proposal already ${remote.status} remotely` };
+    }
+    if (remote.error === 'api_error' && remote.status === 404) {
+      return { status: 'skipped', attempted: false, message: 'Proposal no longer exists' };
+    }
+  }
+
+  const result = await apiRequest(item.endpoint, {
+    method: item.method,
+    body: JSON.stringify(item.data),
+    idempotencyKey: item.idempotencyKey,
+    queue: false
+  });
+
+  if (!result.error) {
+    return { status: 'done', attempted: true };
+  }
+
+  switch (result.error) {
+    case 'unauthorized':
+      return { status: 'retry', attempted: false, stop: true, message: 'Not authorized - log in again with: flow team login' };
+    case 'forbidden':
+      return { status: 'denied', attempted: true, message: result.message };
+    case 'network':
+      return { status: 'retry', attempted: true, message: result.message };
     default:
-      return { success: false, error: 'Unknown operation type' };
+      if (ALREADY_DECIDED_PATTERN.test(result.message || '')) {
+        return { status: 'skipped', attempted: true, message: result.message };
+      }
+      if (!result.status || result.status >= 500 || result.status === 429) {
+        return { status: 'retry', attempted: true, message: result.message };
+      }
+      return { status: 'failed', attempted: true, message: result.message };
   }
 }
 
+/**
+ * Mark active entries as dropped
+ * @param {string[]|null} ids - null drops every active entry
+ * @returns {Promise<number>} Entries dropped
+ */
+async function dropQueuedOperations(ids) {
+  return updateOfflineQueue(queue => {
+    let dropped = 0;
+    for (const entry of queue) {
+      if (!ACTIVE_QUEUE_STATUSES.includes(entry.status)) continue;
+      if (ids && !ids.includes(entry.id)) continue;
+      entry.status = 'dropped';
+      entry.nextAttemptAt = null;
+      entry.completedAt = new Date().toISOString();
+      dropped++;
+    }
+    return dropped;
+  });
+}
+
 // ============================================================
 // API Client (with JWT refresh and offline support)
 // ============================================================
@@ -272,10 +515,19 @@ async function ensureValidToken() {
 
 /**
  * Make authenticated request to backend
+ *
+ * Writes carry an Idempotency-Key; when the backend is unreachable they are
+ * queued under the same key (pass queue: false to disable, as replays do).
+ *
+ * @param {string} endpoint
+ * @param {Object} [options] - fetch options plus idempotencyKey and queue
  */
 async function apiRequest(endpoint, options = {}) {
+  const { idempotencyKey: requestedKey, queue = true, ...fetchOptions } = options;
   const backendUrl = getBackendUrl();
   const url = `${backendUrl}${endpoint}`;
+  const isWrite = ['POST', 'PUT', 'DELETE'].includes(fetchOptions.method);
+  const idempotencyKey = isWrite ? requestedKey || crypto.randomUUID() : null;
 
   // Get valid token (will refresh if needed)
   const token = await ensureValidToken();
@@ -283,21 +535,23 @@ async function apiRequest(endpoint, options = {}) {
   const headers = {
     'Content-Type': 'application/json',
     ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
-    ...options.headers
+    ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+    ...fetchOptions.headers
   };
 
   try {
     const response = await fetch(url, {
-      ...options,
+      ...fetchOptions,
       headers
     });
 
     if (response.status === 401) {
-      return { error: 'unauthorized', message: 'Token expired or invalid' };
+      return { error: 'unauthorized', message: 'Token expired or invalid', status: 401 };
     }
 
     if (response.status === 403) {
-      return { error: 'forbidden', message: 'Access denied' };
+      const data = await response.json().catch(() => ({}));
+      return { error: 'forbidden', message: data.error || 'Access denied', status: 403 };
     }
 
     if (!response.ok) {
@@ -308,17 +562,25 @@ async function apiRequest(endpoint, options = {}) {
     return await response.json();
   } catch (e) {
     // Network error - add to offline queue if it's a write operation
-    if (options.method && ['POST', 'PUT', 'DELETE'].includes(options.method)) {
+    if (isWrite && queue) {
       // Extract teamId from endpoint
       const teamIdMatch = endpoint.match(/\/teams\/([^/]+)/);
-      if (teamIdMatch && options.body) {
-        addToOfflineQueue({
-          type: inferOperationType(endpoint),
+      const type = inferOperationType(endpoint);
+      const permission = OPERATION_PERMISSIONS[type];
+      if (permission && !hasTeamPermission(getTeamState(), permission)) {
+        return { error: 'forbidden', message: `Role cannot ${permission}; not queued` };
+      }
+      if (teamIdMatch && fetchOptions.body) {
+        // Same key as the failed request, in case it reached the server
+        const entry = await addToOfflineQueue({
+          type,
           teamId: teamIdMatch[1],
           endpoint,
-          data: JSON.parse(options.body)
+          method: fetchOptions.method,
+          data: JSON.parse(fetchOptions.body),
+          idempotencyKey
         });
-        return { error: 'queued', message: 'Operation queued for sync when online' };
+        return { error: 'queued', message: 'Operation queued for sync when online', operationId: entry.id };
       }
     }
     return { error: 'network', message: `Backend unavailable: ${e.message}` };
@@ -326,6 +588,8 @@ async function apiRequest(endpoint, options = {}) {
 }
 
 function inferOperationType(endpoint) {
+  if (/\/proposals\/[^/]+\/vote$/.test(endpoint)) return 'vote';
+  if (/\/proposals\/[^/]+\/decide$/.test(endpoint)) return 'decide';
   if (endpoint.includes('/proposals')) return 'proposal';
   if (endpoint.includes('/knowledge')) return 'knowledge';
   return 'unknown';
@@ -543,14 +807,13 @@ async function login(inviteCodeOrEmail, password) {
 
     // Update config
     const config = getConfig();
-    config.team = {
+    await setConfigValue('team', {
       ...config.team,
       enabled: true,
       teamId: result.teamId,
       userId: result.userId,
       backendUrl
-    };
-    saveConfig(config);
+    });
 
     success(`Logged in to team: ${result.teamName || result.teamId}`);
 
@@ -597,11 +860,10 @@ async function logout() {
 
   // Update config
   const config = getConfig();
-  config.team = {
+  await setConfigValue('team', {
     ...config.team,
     enabled: false
-  };
-  saveConfig(config);
+  });
 
   success(`Logged out from ${teamName}`);
   info('Local data preserved. Team features disabled.');
@@ -624,18 +886,24 @@ async function sync(options = {}) {
 
   if (!silent) info('Syncing with team...');
 
-  // 1. Process offline queue first
+  // 1. Refresh role, then process offline queue against it
+  await refreshMembership(state);
   const queueResult = await processOfflineQueue();
-  if (queueResult.processed > 0 && !silent) {
-    info(`Processed ${queueResult.processed} queued operations`);
+  if (!silent) {
+    if (queueResult.processed > 0) {
+      info(`Processed ${queueResult.processed} queued operations`);
+    }
+    for (const result of queueResult.results.filter(r => ['skipped', 'denied'].includes(r.status))) {
+      warn(`Queued ${result.type} ${result.id} ${result.status}: ${result.message}`);
+    }
   }
 
   // 2. Get unsynced proposals from local database
   const localProposals = await memoryDb.getUnsyncedProposals();
   let pushed = 0;
 
-  // Push local proposals
-  for (const proposal of localProposals) {
+  // Push local proposals (viewers keep them local)
+  for (const proposal of hasTeamPermission(state, 'propose') ? localProposals : []) {
     const result = await apiRequest(`/teams/${state.teamId}/proposals`, {
       method: 'POST',
       body: JSON.stringify({
@@ -701,7 +969,7 @@ async function sync(options = {}) {
       info(`${appliedProposals} approved rule(s) added to decisions.md`);
     }
     if (queueResult.remaining > 0) {
-      warn(`${queueResult.remaining} operations still queued (will retry)`);
+      warn(`${queueResult.remaining} operations still queued (will retry; see: flow team queue)`);
     }
   }
 
@@ -709,9 +977,9 @@ async function sync(options = {}) {
 }
 
 /**
- * Show/vote on team proposals
+ * Show/vote on/decide team proposals
  */
-async function proposals(action, proposalId, vote) {
+async function proposals(action, proposalId, vote, reason) {
   printHeader('Team Proposals');
 
   const state = getTeamState();
@@ -721,12 +989,20 @@ async function proposals(action, proposalId, vote) {
     return;
   }
 
+  if (action === 'decide' && proposalId && vote) {
+    return decide(state, proposalId, vote, reason);
+  }
+
   if (action === 'vote' && proposalId && vote) {
     if (!['approve', 'reject'].includes(vote)) {
       error('Vote must be "approve" or "reject"');
       return;
     }
 
+    if (!requireTeamPermission(state, 'vote', 'vote on proposals')) {
+      return;
+    }
+
     const result = await apiRequest(`/teams/${state.teamId}/proposals/${proposalId}/vote`, {
       method: 'POST',
       body: JSON.stringify({ vote, comment: '' })
@@ -743,6 +1019,11 @@ async function proposals(action, proposalId, vote) {
 
     success(`Vote recorded: ${vote} on proposal #${proposalId}`);
 
+    const tally = result.tally || result;
+    if (tally.quorumVotes && !tally.quorumMet) {
+      info(`Quorum: ${tally.cast}/${tally.quorumVotes} votes`);
+    }
+
     if (result.status === 'approved') {
       success('Proposal approved and added to team knowledge!');
     } else if (result.status === 'rejected') {
@@ -787,7 +1068,177 @@ async function proposals(action, proposalId, vote) {
 }
 
 /**
- * Generate invite code (admin only)
+ * Approve or reject a proposal outright (maintainer/owner)
+ */
+async function decide(state, proposalId, decision, reason = '') {
+  if (!['approved', 'rejected'].includes(decision)) {
+    error('Decision must be "approved" or "rejected"');
+    return;
+  }
+
+  if (!requireTeamPermission(state, 'decide', 'decide proposals')) {
+    return;
+  }
+
+  const result = await apiRequest(`/teams/${state.teamId}/proposals/${proposalId}/decide`, {
+    method: 'POST',
+    body: JSON.stringify({ decision, reason })
+  });
+
+  if (result.error) {
+    if (result.error === 'queued') {
+      info('Decision queued for sync when online');
+    } else {
+      error(`Failed to decide: ${result.message}`);
+    }
+    return;
+  }
+
+  success(`Proposal #${proposalId} ${decision}`);
+}
+
+/**
+ * Show the proposal audit log
+ */
+async function audit(proposalId, options = {}) {
+  const state = getTeamState();
+
+  if (!state.loggedIn) {
+    error('Not logged in to a team.');
+    return;
+  }
+
+  const filter = proposalId ? `&proposalId=${encodeURIComponent(proposalId)}` : '';
+  const result = await apiRequest(`/teams/${state.teamId}/audit?limit=${options.limit || 50}${filter}`);
+
+  if (result.error) {
+    error(`Failed to fetch audit log: ${result.message}`);
+    return;
+  }
+
+  const entries = result.entries || [];
+
+  if (options.json) {
+    console.log(JSON.stringify({ entries }, null, 2));
+    return entries;
+  }
+
+  printHeader(proposalId ? `Proposal Audit: ${proposalId}` : 'Proposal Audit');
+
+  if (entries.length === 0) {
+    info('No audit entries.');
+    return entries;
+  }
+
+  for (const entry of entries) {
+    const transition = entry.fromStatus !== entry.toStatus
+      ? `${entry.fromStatus || '—'} → ${entry.toStatus}`
+      : entry.toStatus;
+    const detail = entry.details?.vote
+      ? ` (${entry.details.vote})`
+      : entry.details?.reason ? ` "${entry.details.reason}"` : '';
+
+    console.log(`  ${color('dim', entry.timestamp)}  ${entry.action.padEnd(12)} ${transition}${detail}`);
+    console.log(color('dim', `    ${entry.proposalId} · ${entry.actorEmail || entry.actorId || 'unknown'} (${entry.actorRole || '?'})`));
+  }
+  console.log('');
+  return entries;
+}
+
+/**
+ * Inspect, drop or replay the offline operation log
+ */
+async function queueCommand(action = 'list', ids = [], options = {}) {
+  if (action === 'drop') {
+    if (ids.length === 0 && !options.all) {
+      error('Usage: ./scripts/flow team queue drop <id...> | --all');
+      return;
+    }
+    const dropped = await dropQueuedOperations(options.all ? null : ids);
+    if (options.json) {
+      console.log(JSON.stringify({ dropped }, null, 2));
+    } else {
+      success(`Dropped ${dropped} queued operation(s)`);
+    }
+    return dropped;
+  }
+
+  if (action === 'replay') {
+    const state = getTeamState();
+    if (!state.loggedIn) {
+      error('Not logged in to a team.');
+      return;
+    }
+
+    await refreshMembership(state);
+    const result = await processOfflineQueue({ ids: ids.length > 0 ? ids : null, force: options.force });
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return result;
+    }
+
+    if (result.results.length === 0) {
+      info(options.force ? 'Nothing to replay.' : 'Nothing due. Use --force to replay regardless of backoff.');
+    }
+    for (const entry of result.results) {
+      const label = entry.status === 'done' ? color('green', entry.status)
+        : entry.status === 'pending' ? color('yellow', entry.status)
+          : color('red', entry.status);
+      console.log(`  ${entry.id}  ${entry.type.padEnd(9)} ${label}${entry.message ? color('dim', `  ${entry.message}`) : ''}`);
+    }
+    if (result.remaining > 0) {
+      info(`${result.remaining} operation(s) still pending`);
+    }
+    return result;
+  }
+
+  if (action !== 'list') {
+    error(`Unknown queue action: ${action}`);
+    return;
+  }
+
+  const queue = getOfflineQueue()
+    .filter(item => options.all || ACTIVE_QUEUE_STATUSES.includes(item.status));
+
+  if (options.json) {
+    console.log(JSON.stringify({ operations: queue }, null, 2));
+    return queue;
+  }
+
+  printHeader('Offline Queue');
+
+  if (queue.length === 0) {
+    info(options.all ? 'Queue history is empty.' : 'No queued operations.');
+    return queue;
+  }
+
+  const statusColors = { pending: 'yellow', failed: 'red', done: 'green', skipped: 'dim', denied: 'red', dropped: 'dim' };
+  for (const item of queue) {
+    let when = '';
+    if (item.status === 'pending') {
+      when = item.nextAttemptAt && new Date(item.nextAttemptAt) > new Date()
+        ? `next try ${item.nextAttemptAt}`
+        : 'due now';
+    } else if (item.completedAt) {
+      when = item.completedAt;
+    }
+
+    console.log(`  ${item.id}  ${item.type.padEnd(9)} ${color(statusColors[item.status], item.status.padEnd(8))} ${item.method} ${item.endpoint}`);
+    console.log(color('dim', `    queued ${item.queuedAt} · ${item.attempts} attempt(s)${when ? ` · ${when}` : ''}`));
+    if (item.lastError) {
+      console.log(color('dim', `    ${item.status === 'skipped' ? 'reason' : 'last error'}: ${item.lastError}`));
+    }
+  }
+  console.log('');
+  if (queue.some(item => ACTIVE_QUEUE_STATUSES.includes(item.status))) {
+    info('Replay with: ./scripts/flow team queue replay [id...] [--force]');
+  }
+  return queue;
+}
+
+/**
+ * Generate invite code (maintainer or owner)
  */
 async function invite(expiresInDays = 7) {
   printHeader('Generate Invite');
@@ -799,6 +1250,10 @@ async function invite(expiresInDays = 7) {
     return;
   }
 
+  if (!requireTeamPermission(state, 'invite', 'generate invite codes')) {
+    return;
+  }
+
   const result = await apiRequest(`/teams/${state.teamId}/invites`, {
     method: 'POST',
     body: JSON.stringify({ expiresInDays: parseInt(expiresInDays) || 7 })
@@ -806,7 +1261,7 @@ async function invite(expiresInDays = 7) {
 
   if (result.error) {
     if (result.error === 'forbidden') {
-      error('Only team admins can generate invite codes.');
+      error('Only maintainers and owners can generate invite codes.');
     } else {
       error(`Failed to generate invite: ${result.message}`);
     }
@@ -846,6 +1301,11 @@ async function status() {
   console.log('Status: ' + color('green', 'Logged in'));
   console.log('');
   console.log(`Team:      ${state.teamName || state.teamId}`);
+  console.log(`Role:      ${state.role || 'Unknown (run sync)'}`);
+  if (state.governance) {
+    const { quorum, approvalThreshold } = state.governance;
+    console.log(`Voting:    quorum ${Math.round(quorum * 100)}%, approval ${Math.round(approvalThreshold * 100)}% of votes`);
+  }
   console.log(`Setup:     ${state.setupName || 'None selected'}`);
   console.log(`Last sync: ${state.lastSync || 'Never'}`);
   console.log('');
@@ -865,8 +1325,13 @@ async function status() {
 
   // Show offline queue status
   const queue = getOfflineQueue();
-  if (queue.length > 0) {
-    warn(`${queue.length} operation(s) queued for sync`);
+  const pending = queue.filter(item => item.status === 'pending').length;
+  const failed = queue.filter(item => item.status === 'failed').length;
+  if (pending > 0) {
+    warn(`${pending} operation(s) queued for sync`);
+  }
+  if (failed > 0) {
+    warn(`${failed} queued operation(s) failed - inspect with: flow team queue`);
   }
 
   // Show stats from database
@@ -893,15 +1358,26 @@ Commands:
   sync                   Sync knowledge with team
   proposals              List pending proposals
   proposals vote <id> <approve|reject>
-                         Vote on a proposal
-  invite [days]          Generate invite code (admin only)
+                         Vote on a proposal (member+)
+  proposals decide <id> <approved|rejected> [reason]
+                         Settle a proposal directly (maintainer+)
+  audit [proposalId]     Proposal audit log (--limit n, --json)
+  queue [--all]          Operations queued while offline (--all adds history)
+  queue drop <id...>     Drop queued operations (--all for every one)
+  queue replay [id...]   Replay due operations now (--force ignores backoff
+                         and retries failed ones)
+  invite [days]          Generate invite code (maintainer+)
   status                 Show team status
 
+Roles: owner > maintainer > member > viewer. Viewers are read-only.
+
 Examples:
   ./scripts/flow team login ABC123XY
   ./scripts/flow team login user@example.com mypassword
   ./scripts/flow team sync
   ./scripts/flow team proposals vote prop_abc123 approve
+  ./scripts/flow team audit prop_abc123
+  ./scripts/flow team queue replay --force
   ./scripts/flow team invite 14
 
 Team features require a subscription at https://wogi-flow.com
@@ -926,9 +1402,21 @@ async function main() {
       break;
 
     case 'proposals':
-      await proposals(args[1], args[2], args[3]);
+      await proposals(args[1], args[2], args[3], args.slice(4).join(' '));
       break;
 
+    case 'audit': {
+      const { flags, positional } = parseFlags(args.slice(1));
+      await audit(positional[0], { limit: parseInt(flags.limit) || 50, json: flags.json });
+      break;
+    }
+
+    case 'queue': {
+      const { flags, positional } = parseFlags(args.slice(1));
+      await queueCommand(positional[0], positional.slice(1), flags);
+      break;
+    }
+
     case 'invite':
       await invite(args[1]);
       break;
@@ -964,9 +1452,15 @@ module.exports = {
   logout,
   sync,
   proposals,
+  audit,
   invite,
   status,
-  processOfflineQueue
+  refreshMembership,
+  hasTeamPermission,
+  apiRequest,
+  getOfflineQueue,
+  processOfflineQueue,
+  dropQueuedOperations
 };
 
 if (require.main === module) {
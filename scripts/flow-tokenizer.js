@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Tokenizers
+ *
+ * Token counting for budgets, prompt compaction and context warnings.
+ * Character heuristics undercount code-heavy prompts, so real tokenizers
+ * are used whenever their vocab files are available offline:
+ *
+ * - BPE (tiktoken rank files) for OpenAI models:
+ *     <vocabDir>/cl100k_base.tiktoken, <vocabDir>/o200k_base.tiktoken
+ * - @xenova/transformers tokenizers for local models:
+ *     <vocabDir>/<org>/<model>/tokenizer.json (+ tokenizer_config.json)
+ *
+ * Nothing is downloaded. Without a vocab file (or the optional
+ * @xenova/transformers package) counting falls back to the heuristic.
+ *
+ * Usage as module:
+ *   const { countTokens, loadTokenizer } = require('./flow-tokenizer');
+ *   await loadTokenizer({ provider, model }); // transformers tokenizers load async
+ *   const tokens = countTokens(text, { provider, model });
+ *
+ * Usage as CLI:
+ *   flow tokens <file...> [--provider <p>] [--model <m>] [--tokenizer <name>]
+ *   flow tokens status
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  PATHS,
+  PROJECT_ROOT,
+  getConfig,
+  fileExists,
+  dirExists,
+  parseFlags,
+  outputJson,
+  color,
+  printHeader,
+  error
+} = require('./flow-utils');
+
+// ============================================================
+// Settings
+// ============================================================
+
+const HEURISTIC = 'heuristic';
+
+/**
+ * Tokenizer settings from the top-level `tokenizer` config
+ * @returns {{ enabled: boolean, vocabDir: string, default: string, models: Object }}
+ */
+function getTokenizerSettings(config = getConfig()) {
+  const settings = config.tokenizer || {};
+
+  return {
+    enabled: settings.enabled !== false,
+    vocabDir: settings.vocabDir ? path.resolve(PROJECT_ROOT, settings.vocabDir) : PATHS.tokenizers,
+    default: settings.default || HEURISTIC,
+    models: settings.models || {}
+  };
+}
+
+// ============================================================
+// Heuristic
+// ============================================================
+
+/**
+ * Detect if content is primarily code (for token estimation)
+ */
+function isCodeContent(content) {
+  if (!content || content.length < 100) return false;
+  // Simple heuristics: code has more brackets, semicolons, imports
+  const codeIndicators = (content.match(/[{}[\]();=]/g) || []).length;
+  const ratio = codeIndicators / content.length;
+  return ratio > 0.03; // More than 3% is likely code
+}
+
+/**
+ * Character-based fallback:
+ * - Prose: ~4 chars = 1 token
+ * - Code: ~3 chars = 1 token (keywords, punctuation, short names)
+ */
+const heuristicTokenizer = {
+  name: HEURISTIC,
+  type: HEURISTIC,
+  count(text, { isCode } = {}) {
+    const code = isCode ?? isCodeContent(text);
+    return Math.ceil(text.length / (code ? 3 : 4));
+  }
+};
+
+// ============================================================
+// BPE (tiktoken format)
+// ============================================================
+
+// Contractions are spelled out because JS regexes have no inline (?i:...)
+const CONTRACTIONS = "'(?:[sS]|[tT]|[rR][eE]|[vV][eE]|[mM]|[lL][lL]|[dD])";
+
+const BPE_ENCODINGS = {
+  cl100k_base: {
+    pattern: new RegExp([
+      CONTRACTIONS,
+      '[^\\r\\n\\p{L}\\p{N}]?\\p{L}+',
+      '\\p{N}{1,3}',
+      ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*',
+      '\\s*[\\r\\n]+',
+      '\\s+(?!\\S)',
+      '\\s+'
+    ].join('|'), 'gu')
+  },
+  o200k_base: {
+    pattern: new RegExp([
+      `[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+(?:${CONTRACTIONS})?`,
+      `[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*(?:${CONTRACTIONS})?`,
+      '\\p{N}{1,3}',
+      ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*',
+      '\\s*[\\r\\n]+',
+      '\\s+(?!\\S)',
+      '\\s+'
+    ].join('|'), 'gu')
+  }
+};
+
+const PIECE_CACHE_LIMIT = 10000;
+
+/**
+ * Pick the encoding an OpenAI model uses
+ */
+function getOpenAIEncoding(model = '') {
+  if (/^(gpt-3\.5|gpt-4(?!o|\.)|text-embedding)/i.test(model)) return 'cl100k_base';
+  return 'o200k_base'; // gpt-4o, gpt-4.1, o-series and newer
+}
+
+/**
+ * Count the tokens byte-pair merging produces for one pre-tokenized piece.
+ * Bytes are kept as latin1 strings so Map lookups stay cheap.
+ */
+function countBytePairs(piece, ranks) {
+  if (ranks.has(piece)) return 1;
+
+  const parts = Array.from(piece);
+  while (parts.length > 1) {
+    // Merge the lowest-ranked adjacent pair, leftmost first (as tiktoken does)
+    let minRank = Infinity;
+    let minIndex = -1;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const rank = ranks.get(parts[i] + parts[i + 1]);
+      if (rank !== undefined && rank < minRank) {
+        minRank = rank;
+        minIndex = i;
+      }
+    }
+    if (minIndex === -1) break;
+    parts.splice(minIndex, 2, parts[minIndex] + parts[minIndex + 1]);
+  }
+
+  return parts.length;
+}
+
+/**
+ * Load a tiktoken rank file ("<base64 token> <rank>" per line)
+ * @returns {Object|null} Tokenizer, or null when the vocab file is missing
+ */
+function loadBpeTokenizer(encoding, vocabDir) {
+  const vocabPath = path.join(vocabDir, `${encoding}.tiktoken`);
+  if (!fileExists(vocabPath)) {
+    if (process.env.DEBUG) {
+      console.warn(`[DEBUG] No vocab file at ${vocabPath} - using heuristic token counts`);
+    }
+    return null;
+  }
+
+  const ranks = new Map();
+  for (const line of fs.readFileSync(vocabPath, 'utf-8').split('\n')) {
+    const [token, rank] = line.trim().split(' ');
+    if (!token || rank === undefined) continue;
+    ranks.set(Buffer.from(token, 'base64').toString('latin1'), Number(rank));
+  }
+
+  const { pattern } = BPE_ENCODINGS[encoding];
+  const pieceCounts = new Map();
+
+  return {
+    name: encoding,
+    type: 'bpe',
+    count(text) {
+      let count = 0;
+      for (const [piece] of text.matchAll(pattern)) {
+        let pieceCount = pieceCounts.get(piece);
+        if (pieceCount === undefined) {
+          pieceCount = countBytePairs(Buffer.from(piece, 'utf-8').toString('latin1'), ranks);
+          if (pieceCounts.size >= PIECE_CACHE_LIMIT) pieceCounts.clear();
+          pieceCounts.set(piece, pieceCount);
+        }
+        count += pieceCount;
+      }
+      return count;
+    }
+  };
+}
+
+// ============================================================
+// Transformers (local models)
+// ============================================================
+
+/**
+ * Load a Hugging Face tokenizer from <vocabDir>/<modelId>/ without network access
+ * @returns {Promise<Object|null>} Tokenizer, or null if unavailable
+ */
+async function loadTransformersTokenizer(modelId, vocabDir) {
+  try {
+    const { AutoTokenizer } = await import('@xenova/transformers');
+    const tokenizer = await AutoTokenizer.from_pretrained(modelId, {
+      cache_dir: vocabDir,
+      local_files_only: true
+    });
+
+    return {
+      name: modelId,
+      type: 'transformers',
+      count(text) {
+        return tokenizer.encode(text, null, { add_special_tokens: false }).length;
+      }
+    };
+  } catch (e) {
+    if (process.env.DEBUG) {
+      const reason = e.code === 'ERR_MODULE_NOT_FOUND' || e.code === 'MODULE_NOT_FOUND'
+        ? '@xenova/transformers not installed'
+        : e.message;
+      console.warn(`[DEBUG] Tokenizer ${modelId} unavailable (${reason}) - using heuristic token counts`);
+    }
+    return null;
+  }
+}
+
+// ============================================================
+// Resolution & Counting
+// ============================================================
+
+// Loaded tokenizers by "<vocabDir>:<name>" (null = unavailable)
+const tokenizers = new Map();
+const pendingLoads = new Map();
+
+/**
+ * Pick the tokenizer name for a provider/model
+ *
+ * Order: explicit `tokenizer`, first `tokenizer.models` pattern contained in
+ * the model name, the OpenAI encoding for the openai provider, then the default.
+ * Names are a BPE encoding (cl100k_base, o200k_base), a transformers model id
+ * (e.g. Qwen/Qwen2.5-Coder-7B-Instruct) or "heuristic".
+ *
+ * @param {Object} [target]
+ * @param {string} [target.provider]
+ * @param {string} [target.model]
+ * @param {string} [target.tokenizer] - Explicit tokenizer name
+ * @returns {string}
+ */
+function resolveTokenizerName(target = {}, settings = getTokenizerSettings()) {
+  if (!settings.enabled) return HEURISTIC;
+  if (target.tokenizer) return target.tokenizer;
+
+  const model = (target.model || '').toLowerCase();
+  if (model) {
+    for (const [pattern, name] of Object.entries(settings.models)) {
+      if (model.includes(pattern.toLowerCase())) return name;
+    }
+  }
+
+  if (target.provider === 'openai') return getOpenAIEncoding(model);
+  return settings.default;
+}
+
+/**
+ * Get a loaded tokenizer, falling back to the heuristic.
+ * BPE vocab loads synchronously; transformers tokenizers start loading in the
+ * background and are used once ready (await loadTokenizer() to wait).
+ */
+function getTokenizer(name, settings = getTokenizerSettings()) {
+  if (name === HEURISTIC) return heuristicTokenizer;
+
+  const key = `${settings.vocabDir}:${name}`;
+  if (!tokenizers.has(key)) {
+    if (BPE_ENCODINGS[name]) {
+      tokenizers.set(key, loadBpeTokenizer(name, settings.vocabDir));
+    } else {
+      startTransformersLoad(key, name, settings.vocabDir);
+      return heuristicTokenizer;
+    }
+  }
+
+  return tokenizers.get(key) || heuristicTokenizer;
+}
+
+function startTransformersLoad(key, modelId, vocabDir) {
+  if (!pendingLoads.has(key)) {
+    pendingLoads.set(key, loadTransformersTokenizer(modelId, vocabDir).then(tokenizer => {
+      tokenizers.set(key, tokenizer);
+      pendingLoads.delete(key);
+      return tokenizer;
+    }));
+  }
+  return pendingLoads.get(key);
+}
+
+/**
+ * Load the tokenizer for a provider/model so later countTokens() calls use it
+ * Never throws - unavailable tokenizers resolve to the heuristic.
+ *
+ * @param {Object} [target] - { provider, model, tokenizer }
+ * @returns {Promise<Object>} Tokenizer ({ name, type, count(text) })
+ */
+async function loadTokenizer(target = {}) {
+  const settings = getTokenizerSettings();
+  const name = resolveTokenizerName(target, settings);
+  const key = `${settings.vocabDir}:${name}`;
+
+  if (name !== HEURISTIC && !BPE_ENCODINGS[name] && !tokenizers.has(key)) {
+    await startTransformersLoad(key, name, settings.vocabDir);
+  }
+  return getTokenizer(name, settings);
+}
+
+/**
+ * Count tokens in text with the tokenizer for a provider/model
+ *
+ * @param {string} text
+ * @param {Object} [target]
+ * @param {string} [target.provider]
+ * @param {string} [target.model]
+ * @param {string} [target.tokenizer] - Explicit tokenizer name
+ * @param {boolean} [target.isCode] - Hint for the heuristic (auto-detected otherwise)
+ * @returns {number}
+ */
+function countTokens(text, target = {}) {
+  if (!text) return 0;
+  const settings = getTokenizerSettings();
+  return getTokenizer(resolveTokenizerName(target, settings), settings).count(text, target);
+}
+
+/**
+ * Which tokenizers are available offline
+ */
+function getTokenizerStatus(settings = getTokenizerSettings()) {
+  const encodings = Object.keys(BPE_ENCODINGS).map(name => ({
+    name,
+    type: 'bpe',
+    available: fileExists(path.join(settings.vocabDir, `${name}.tiktoken`))
+  }));
+
+  // transformers layout: <vocabDir>/<org>/<model>/tokenizer.json
+  const models = [];
+  if (dirExists(settings.vocabDir)) {
+    for (const org of fs.readdirSync(settings.vocabDir, { withFileTypes: true })) {
+      if (!org.isDirectory()) continue;
+      const orgDir = path.join(settings.vocabDir, org.name);
+      for (const model of fs.readdirSync(orgDir, { withFileTypes: true })) {
+        if (model.isDirectory() && fileExists(path.join(orgDir, model.name, 'tokenizer.json'))) {
+          models.push({ name: `${org.name}/${model.name}`, type: 'transformers', available: true });
+        }
+      }
+    }
+  }
+
+  return {
+    enabled: settings.enabled,
+    vocabDir: settings.vocabDir,
+    default: settings.default,
+    models: settings.models,
+    tokenizers: [...encodings, ...models]
+  };
+}
+
+// ============================================================
+// CLI
+// ============================================================
+
+function printStatus(status) {
+  printHeader('Tokenizers');
+
+  console.log(`Status:    ${status.enabled ? color('green', 'enabled') : color('yellow', 'disabled (heuristic only)')}`);
+  console.log(`Vocab dir: ${path.relative(PROJECT_ROOT, status.vocabDir) || '.'}`);
+  console.log(`Default:   ${status.default}`);
+  console.log('');
+
+  for (const tokenizer of status.tokenizers) {
+    const mark = tokenizer.available ? color('green', '✓') : color('dim', '✗');
+    console.log(`  ${mark} ${tokenizer.name} ${color('dim', `(${tokenizer.type})`)}`);
+  }
+
+  const patterns = Object.entries(status.models);
+  if (patterns.length > 0) {
+    console.log('');
+    console.log('Model mappings:');
+    for (const [pattern, name] of patterns) {
+      console.log(`  ${pattern} → ${name}`);
+    }
+  }
+  console.log('');
+}
+
+async function main() {
+  const { flags, positional } = parseFlags(process.argv.slice(2));
+  const command = flags.help ? 'help' : positional[0];
+
+  if (command === 'status') {
+    const status = getTokenizerStatus();
+    if (flags.json) {
+      outputJson(status);
+    }
+    printStatus(status);
+    return;
+  }
+
+  if (!command || command === 'help') {
+    console.log(`
+Wogi Flow - Tokenizers
+
+Usage:
+  flow tokens <file...> [options]   Count tokens in files
+  flow tokens status [--json]       Show which tokenizers are available offline
+
+Options:
+  --provider <name>    Count as this provider would (e.g. openai, ollama)
+  --model <name>       Count for this model (matched against tokenizer.models)
+  --tokenizer <name>   Use a tokenizer directly (cl100k_base, o200k_base, <org>/<model>, heuristic)
+  --json               Output JSON
+
+Vocab files (tokenizer.vocabDir, default .workflow/tokenizers/):
+  cl100k_base.tiktoken, o200k_base.tiktoken   OpenAI BPE rank files
+  <org>/<model>/tokenizer.json                Hugging Face tokenizers (needs @xenova/transformers)
+`);
+    if (command !== 'help') process.exit(1);
+    return;
+  }
+
+  const target = {
+    provider: typeof flags.provider === 'string' ? flags.provider : undefined,
+    model: typeof flags.model === 'string' ? flags.model : undefined,
+    tokenizer: typeof flags.tokenizer === 'string' ? flags.tokenizer : undefined
+  };
+  const tokenizer = await loadTokenizer(target);
+
+  const files = [];
+  for (const file of positional) {
+    const filePath = path.resolve(file);
+    if (!fileExists(filePath)) {
+      error(`File not found: ${file}`);
+      process.exit(1);
+    }
+    const text = fs.readFileSync(filePath, 'utf-8');
+    files.push({
+      file,
+      tokens: tokenizer.count(text, {}),
+      heuristic: text ? heuristicTokenizer.count(text) : 0
+    });
+  }
+
+  if (flags.json) {
+    outputJson({ tokenizer: tokenizer.name, type: tokenizer.type, files });
+  }
+
+  console.log(`Tokenizer: ${tokenizer.name} ${color('dim', `(${tokenizer.type})`)}`);
+  for (const { file, tokens, heuristic } of files) {
+    const comparison = tokenizer.type === HEURISTIC ? '' : color('dim', ` (heuristic: ${heuristic.toLocaleString()})`);
+    console.log(`  ${file}: ${tokens.toLocaleString()} tokens${comparison}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  HEURISTIC,
+  getTokenizerSettings,
+  resolveTokenizerName,
+  getOpenAIEncoding,
+  isCodeContent,
+  loadTokenizer,
+  getTokenizer,
+  countTokens,
+  getTokenizerStatus
+};
@@ -95,12 +95,14 @@ const WORKFLOW_DIR = path.join(PROJECT_ROOT, '.workflow');
 const STATE_DIR = path.join(WORKFLOW_DIR, 'state');
 
 const CLAUDE_DIR = path.join(PROJECT_ROOT, '.claude');
+const GEMINI_DIR = path.join(PROJECT_ROOT, '.gemini');
 
 const PATHS = {
   root: PROJECT_ROOT,
   workflow: WORKFLOW_DIR,
   state: STATE_DIR,
   claude: CLAUDE_DIR,
+  gemini: GEMINI_DIR,
   config: path.join(WORKFLOW_DIR, 'config.json'),
   ready: path.join(STATE_DIR, 'ready.json'),
   requestLog: path.join(STATE_DIR, 'request-log.md'),
@@ -121,8 +123,11 @@ const PATHS = {
   // Advanced workflow features
   commandMetrics: path.join(STATE_DIR, 'command-metrics.json'),
   modelStats: path.join(STATE_DIR, 'model-stats.json'),
+  hybridCache: path.join(STATE_DIR, 'hybrid-cache'),
   approaches: path.join(STATE_DIR, 'approaches'),
   modelAdapters: path.join(WORKFLOW_DIR, 'model-adapters'),
+  tokenizers: path.join(WORKFLOW_DIR, 'tokenizers'),
+  teamServer: path.join(WORKFLOW_DIR, 'team-server'),
   codebaseInsights: path.join(STATE_DIR, 'codebase-insights.md'),
   // Claude Code integration (v2.1.0)
   skills: path.join(CLAUDE_DIR, 'skills'),
@@ -345,7 +350,7 @@ function parseFlags(args) {
   const namedFlags = {};
 
   // Known flags that take values (--flag value style)
-  const valuedFlags = ['priority', 'from', 'severity', 'limit', 'format', 'output'];
+  const valuedFlags = ['priority', 'from', 'severity', 'limit', 'format', 'output', 'hours-per-day', 'provider', 'model', 'tokenizer', 'port', 'host', 'db', 'role', 'days'];
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -785,12 +790,21 @@ function validateReadyJson(data) {
       if (task.priority !== undefined && !/^P[0-4]$/.test(task.priority)) {
         errors.push(`${prefix}: "priority" must be P0-P4`);
       }
-      if (task.dependencies !== undefined && !Array.isArray(task.dependencies)) {
-        errors.push(`${prefix}: "dependencies" must be an array`);
+      if (task.dependencies !== undefined) {
+        if (!Array.isArray(task.dependencies) || task.dependencies.some(dep => typeof dep !== 'string')) {
+          errors.push(`${prefix}: "dependencies" must be an array of task IDs`);
+        } else if (task.dependencies.includes(task.id)) {
+          errors.push(`${prefix}: task cannot depend on itself`);
+        }
       }
     }
   }
 
+  if (data.completedIds !== undefined &&
+      (!Array.isArray(data.completedIds) || data.completedIds.some(id => typeof id !== 'string'))) {
+    errors.push('"completedIds" must be an array of task IDs');
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -864,6 +878,41 @@ function findTask(taskId) {
   return null;
 }
 
+/**
+ * Record when a task starts and completes (used for effort estimates)
+ * String tasks have nowhere to store timestamps and are returned as-is.
+ */
+function stampTaskTransition(task, toList) {
+  if (typeof task !== 'object' || task === null) {
+    return task;
+  }
+
+  const now = new Date().toISOString();
+  if (toList === 'inProgress' && !task.startedAt) {
+    return { ...task, startedAt: now };
+  }
+  if (toList === 'recentlyCompleted') {
+    return { ...task, completedAt: now };
+  }
+  return task;
+}
+
+/**
+ * Add a completed task to recentlyCompleted (last 10) and to completedIds,
+ * which keeps every completed ID so dependencies on older tasks still resolve
+ *
+ * Mutates data.
+ */
+function addCompletedTask(data, task) {
+  data.recentlyCompleted = [task, ...(data.recentlyCompleted || [])].slice(0, 10); // Keep last 10
+
+  const id = getTaskId(task);
+  const completedIds = data.completedIds || [];
+  if (id && !completedIds.includes(id)) {
+    data.completedIds = [...completedIds, id];
+  }
+}
+
 /**
  * Move a task from one list to another
  *
@@ -892,10 +941,10 @@ function moveTask(taskId, fromList, toList) {
   }
 
   from.splice(taskIndex, 1);
+  task = stampTaskTransition(task, toList);
 
   if (toList === 'recentlyCompleted') {
-    to.unshift(task);
-    data[toList] = to.slice(0, 10); // Keep last 10
+    addCompletedTask(data, task);
   } else {
     to.push(task);
     data[toList] = to;
@@ -937,10 +986,10 @@ async function moveTaskAsync(taskId, fromList, toList) {
     }
 
     from.splice(taskIndex, 1);
+    task = stampTaskTransition(task, toList);
 
     if (toList === 'recentlyCompleted') {
-      to.unshift(task);
-      data[toList] = to.slice(0, 10); // Keep last 10
+      addCompletedTask(data, task);
     } else {
       to.push(task);
       data[toList] = to;
@@ -954,6 +1003,209 @@ async function moveTaskAsync(taskId, fromList, toList) {
   });
 }
 
+// ============================================================
+// Task Dependencies
+// ============================================================
+
+/**
+ * Lists that hold tasks which are not finished yet
+ */
+const ACTIVE_TASK_LISTS = ['ready', 'inProgress', 'blocked'];
+
+/**
+ * Get a task's ID whether it is stored as a string or an object
+ */
+function getTaskId(task) {
+  return typeof task === 'string' ? task : task?.id;
+}
+
+/**
+ * Get the IDs a task depends on
+ * @param {Object|string} task
+ * @returns {string[]}
+ */
+function getTaskDependencies(task) {
+  if (!task || typeof task === 'string' || !Array.isArray(task.dependencies)) {
+    return [];
+  }
+  return task.dependencies.filter(dep => typeof dep === 'string' && dep);
+}
+
+/**
+ * Check whether a task's dependencies are completed
+ *
+ * A dependency counts as completed when it is in recentlyCompleted or
+ * completedIds. One in an active list is pending; one found nowhere is
+ * missing (a typo, or a task deleted from ready.json) and blocks like a
+ * pending one.
+ *
+ * @param {Object|string} task
+ * @param {Object} data - ready.json data
+ * @returns {Object} { satisfied, pending: [{ id, list }], missing: string[] }
+ */
+function getDependencyStatus(task, data) {
+  const activeLists = {};
+  for (const listName of ACTIVE_TASK_LISTS) {
+    for (const t of data[listName] || []) {
+      activeLists[getTaskId(t)] = listName;
+    }
+  }
+  const completed = new Set([...(data.recentlyCompleted || []).map(getTaskId), ...(data.completedIds || [])]);
+
+  const dependencies = getTaskDependencies(task);
+  const pending = dependencies
+    .filter(dep => activeLists[dep])
+    .map(dep => ({ id: dep, list: activeLists[dep] }));
+  const missing = dependencies.filter(dep => !activeLists[dep] && !completed.has(dep));
+
+  return { satisfied: pending.length === 0 && missing.length === 0, pending, missing };
+}
+
+/**
+ * Unfinished dependencies as "ID (list)" / "ID (missing)" text
+ * @param {Object} status - Result of getDependencyStatus
+ */
+function formatUnfinishedDependencies(status) {
+  return [
+    ...status.pending.map(dep => `${dep.id} (${dep.list})`),
+    ...status.missing.map(id => `${id} (missing)`)
+  ].join(', ');
+}
+
+/**
+ * Find dependency cycles among active tasks
+ * @param {Object} data - ready.json data
+ * @returns {string[][]} Each cycle as a list of task IDs (first ID repeated at the end)
+ */
+function findDependencyCycles(data) {
+  const graph = new Map();
+  for (const listName of ACTIVE_TASK_LISTS) {
+    for (const task of data[listName] || []) {
+      graph.set(getTaskId(task), getTaskDependencies(task));
+    }
+  }
+
+  const cycles = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const dep of graph.get(id) || []) {
+      if (!graph.has(dep)) continue;
+      if (state.get(dep) === 'visiting') {
+        cycles.push([...stack.slice(stack.indexOf(dep)), dep]);
+      } else if (!state.has(dep)) {
+        visit(dep);
+      }
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const id of graph.keys()) {
+    if (!state.has(id)) {
+      visit(id);
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * Order tasks so every task comes after the tasks it depends on
+ * Ties keep the input order, so callers can pre-sort by priority.
+ *
+ * @param {Array} tasks - Tasks (objects or IDs) to order
+ * @returns {Object} { ordered, cyclic } - cyclic lists IDs that could not be ordered
+ */
+function sortByDependencies(tasks) {
+  const ids = tasks.map(getTaskId);
+  const included = new Set(ids);
+  const remainingDeps = new Map();
+
+  tasks.forEach((task, i) => {
+    const deps = getTaskDependencies(task).filter(dep => included.has(dep) && dep !== ids[i]);
+    remainingDeps.set(ids[i], new Set(deps));
+  });
+
+  const ordered = [];
+  const placed = new Set();
+  let progress = true;
+
+  while (progress) {
+    progress = false;
+    for (let i = 0; i < tasks.length; i++) {
+      const id = ids[i];
+      if (placed.has(id) || remainingDeps.get(id).size > 0) continue;
+
+      ordered.push(tasks[i]);
+      placed.add(id);
+      for (const deps of remainingDeps.values()) {
+        deps.delete(id);
+      }
+      progress = true;
+      break; // Restart so earlier tasks unlocked by this one keep their position
+    }
+  }
+
+  const cyclic = ids.filter(id => !placed.has(id));
+  return { ordered, cyclic };
+}
+
+/**
+ * Move blocked tasks whose dependencies are all completed back to ready
+ * Only tasks that declare dependencies are released; other blocked tasks
+ * are waiting on something Wogi Flow cannot check.
+ *
+ * Mutates data.
+ *
+ * @param {Object} data - ready.json data
+ * @returns {Array} Released tasks
+ */
+function releaseUnblockedTasks(data) {
+  const released = [];
+  const stillBlocked = [];
+
+  for (const task of data.blocked || []) {
+    if (getTaskDependencies(task).length > 0 && getDependencyStatus(task, data).satisfied) {
+      const releasedTask = { ...task, unblockedAt: new Date().toISOString() };
+      delete releasedTask.reason;
+      delete releasedTask.blockedBy;
+      released.push(releasedTask);
+    } else {
+      stillBlocked.push(task);
+    }
+  }
+
+  if (released.length > 0) {
+    data.blocked = stillBlocked;
+    data.ready = [...(data.ready || []), ...released];
+  }
+
+  return released;
+}
+
+/**
+ * Release unblocked tasks with file locking
+ * @returns {Promise<Array>} Released tasks
+ */
+async function releaseUnblockedTasksAsync() {
+  return withLock(PATHS.ready, () => {
+    const data = getReadyData();
+    const released = releaseUnblockedTasks(data);
+
+    if (released.length > 0) {
+      writeJson(PATHS.ready, { ...data, lastUpdated: new Date().toISOString() });
+    }
+
+    return released;
+  });
+}
+
 /**
  * Get task counts
  */
@@ -1713,6 +1965,20 @@ function findTypeDefinitions(namePattern = null, options = {}) {
   return results.slice(0, maxResults);
 }
 
+// ============================================================
+// YAML (workflows, links, damage-control patterns)
+// ============================================================
+
+const {
+  YamlError,
+  YamlDocument,
+  formatYamlError,
+  parseYaml,
+  parseYamlAll,
+  parseYamlDocument,
+  stringifyYaml
+} = require('./flow-yaml');
+
 // ============================================================
 // Exports
 // ============================================================
@@ -1734,6 +2000,7 @@ module.exports = {
   WORKFLOW_DIR,
   STATE_DIR,
   CLAUDE_DIR,
+  GEMINI_DIR,
   getProjectRoot,
 
   // Colors & Output
@@ -1785,6 +2052,16 @@ module.exports = {
   moveTaskAsync,        // Async with locking
   getTaskCounts,
 
+  // Task Dependencies
+  getTaskId,
+  getTaskDependencies,
+  getDependencyStatus,
+  formatUnfinishedDependencies,
+  findDependencyCycles,
+  sortByDependencies,
+  releaseUnblockedTasks,
+  releaseUnblockedTasksAsync,  // Async with locking
+
   // Request Log
   countRequestLogEntries,
   getLastRequestLogEntry,
@@ -1818,6 +2095,15 @@ module.exports = {
   findReactComponents,
   findCustomHooks,
   findTypeDefinitions,
+
+  // YAML
+  YamlError,
+  YamlDocument,
+  formatYamlError,
+  parseYaml,
+  parseYamlAll,
+  parseYamlDocument,
+  stringifyYaml,
 };
 
 // ============================================================
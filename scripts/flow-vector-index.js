@@ -0,0 +1,453 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Vector Index
+ *
+ * Approximate nearest-neighbour search over embeddings using an HNSW graph
+ * (Hierarchical Navigable Small World, Malkov & Yashunin 2016).
+ *
+ * Used by flow-memory-db to avoid loading and scoring every embedding row
+ * on each recall. Vectors are normalized on insert, so similarity is the
+ * cosine similarity of the original vectors.
+ *
+ * On-disk format (single file):
+ * - 8 byte magic "WFHNSW01"
+ * - uint32 header length + JSON header (settings, ids, tags, levels, graph)
+ * - Float32 vector data, padded to a 4 byte boundary
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================
+// Configuration
+// ============================================================
+
+const MAGIC = 'WFHNSW01';
+
+const DEFAULT_SETTINGS = {
+  M: 16,
+  efConstruction: 100,
+  efSearch: 64
+};
+
+// ============================================================
+// Binary Heap
+// ============================================================
+
+/**
+ * Minimal binary heap ordered by `compare` (negative = a first)
+ */
+class Heap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let next = i;
+        if (left < items.length && this.compare(items[left], items[next]) < 0) next = left;
+        if (right < items.length && this.compare(items[right], items[next]) < 0) next = right;
+        if (next === i) break;
+        [items[i], items[next]] = [items[next], items[i]];
+        i = next;
+      }
+    }
+    return top;
+  }
+}
+
+// ============================================================
+// HNSW Index
+// ============================================================
+
+function normalize(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) norm += result[i] * result[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) result[i] /= norm;
+  }
+  return result;
+}
+
+class HnswIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimensions - Vector length
+   * @param {number} [options.M] - Links per node on upper layers (2*M on layer 0)
+   * @param {number} [options.efConstruction] - Candidate list size while inserting
+   * @param {number} [options.efSearch] - Candidate list size while searching
+   */
+  constructor({ dimensions, M, efConstruction, efSearch } = {}) {
+    if (!dimensions || dimensions < 1) {
+      throw new Error('HnswIndex requires a positive dimensions value');
+    }
+
+    this.dimensions = dimensions;
+    this.M = M || DEFAULT_SETTINGS.M;
+    this.maxM0 = this.M * 2;
+    this.efConstruction = efConstruction || DEFAULT_SETTINGS.efConstruction;
+    this.efSearch = efSearch || DEFAULT_SETTINGS.efSearch;
+    this.levelMultiplier = 1 / Math.log(this.M);
+
+    this.ids = [];
+    this.tags = []; // Caller-supplied tag per node, e.g. a hash of the vector's source
+    this.vectors = [];
+    this.levels = [];
+    this.links = []; // links[node][level] = neighbour node numbers
+    this.deleted = new Set();
+    this.nodeById = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  /** Number of live (not deleted) vectors */
+  get size() {
+    return this.nodeById.size;
+  }
+
+  get deletedCount() {
+    return this.deleted.size;
+  }
+
+  has(id) {
+    return this.nodeById.has(id);
+  }
+
+  /** Ids of live vectors */
+  keys() {
+    return [...this.nodeById.keys()];
+  }
+
+  /** Tag stored with a live vector, or null */
+  tagOf(id) {
+    const node = this.nodeById.get(id);
+    return node === undefined ? null : this.tags[node] ?? null;
+  }
+
+  similarity(vector, node) {
+    const other = this.vectors[node];
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) dot += vector[i] * other[i];
+    return dot;
+  }
+
+  distance(vector, node) {
+    return 1 - this.similarity(vector, node);
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+  }
+
+  /**
+   * Best-first search of one layer, returning up to `ef` nodes as
+   * [{ node, distance }] sorted nearest first. Deleted nodes are traversed
+   * (they keep the graph connected) and filtered by the caller.
+   */
+  searchLayer(vector, entryNodes, ef, level) {
+    const visited = new Set(entryNodes);
+    const candidates = new Heap((a, b) => a.distance - b.distance);
+    const results = new Heap((a, b) => b.distance - a.distance);
+
+    for (const node of entryNodes) {
+      const entry = { node, distance: this.distance(vector, node) };
+      candidates.push(entry);
+      results.push(entry);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) break;
+
+      for (const neighbour of this.links[current.node][level] || []) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+
+        const distance = this.distance(vector, neighbour);
+        if (results.size < ef || distance < results.peek().distance) {
+          candidates.push({ node: neighbour, distance });
+          results.push({ node: neighbour, distance });
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are closer to the
+   * new node than to any neighbour already picked, so links spread across
+   * clusters. Remaining slots are filled with the nearest discarded ones.
+   */
+  selectNeighbours(candidates, count) {
+    const selected = [];
+    const discarded = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      const diverse = selected.every(chosen =>
+        candidate.distance < this.distance(this.vectors[candidate.node], chosen.node)
+      );
+      (diverse ? selected : discarded).push(candidate);
+    }
+
+    for (const candidate of discarded) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected.map(c => c.node);
+  }
+
+  /**
+   * Add (or replace) a vector
+   * @param {string} id
+   * @param {number[]} vector
+   * @param {string|null} [tag] - Kept with the vector (see tagOf)
+   */
+  add(id, vector, tag = null) {
+    if (!vector || vector.length !== this.dimensions) {
+      throw new Error(`Vector for ${id} has ${vector ? vector.length : 0} dimensions, expected ${this.dimensions}`);
+    }
+    if (this.nodeById.has(id)) {
+      this.remove(id);
+    }
+
+    const node = this.ids.length;
+    const level = this.randomLevel();
+    const normalized = normalize(vector);
+
+    this.ids.push(id);
+    this.tags.push(tag);
+    this.vectors.push(normalized);
+    this.levels.push(level);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.nodeById.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entryNodes = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entryNodes = [this.searchLayer(normalized, entryNodes, 1, l)[0].node];
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(normalized, entryNodes, this.efConstruction, l);
+      const neighbours = this.selectNeighbours(candidates, this.M);
+      const maxLinks = l === 0 ? this.maxM0 : this.M;
+
+      this.links[node][l] = neighbours;
+      for (const neighbour of neighbours) {
+        const neighbourLinks = this.links[neighbour][l];
+        neighbourLinks.push(node);
+
+        if (neighbourLinks.length > maxLinks) {
+          const neighbourVector = this.vectors[neighbour];
+          const ranked = neighbourLinks
+            .map(n => ({ node: n, distance: this.distance(neighbourVector, n) }))
+            .sort((a, b) => a.distance - b.distance);
+          this.links[neighbour][l] = this.selectNeighbours(ranked, maxLinks);
+        }
+      }
+
+      entryNodes = candidates.map(c => c.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Remove a vector. The node stays in the graph as a tombstone until the
+   * index is compacted.
+   */
+  remove(id) {
+    const node = this.nodeById.get(id);
+    if (node === undefined) return false;
+    this.nodeById.delete(id);
+    this.deleted.add(node);
+    return true;
+  }
+
+  /**
+   * Nearest neighbours of `vector`
+   *
+   * @param {number[]} vector
+   * @param {number} k
+   * @param {Object} [options]
+   * @param {number} [options.ef] - Candidate list size (defaults to max(efSearch, k))
+   * @returns {Array<{id: string, similarity: number}>} Nearest first
+   */
+  search(vector, k, options = {}) {
+    if (this.entryPoint === -1 || this.size === 0 || k < 1) return [];
+    if (vector.length !== this.dimensions) return [];
+
+    const normalized = normalize(vector);
+    // Tombstones take up candidate slots, so widen the search accordingly
+    const ef = Math.max(options.ef || this.efSearch, k + this.deleted.size);
+
+    let entryNodes = [this.entryPoint];
+    for (let l = this.maxLevel; l > 0; l--) {
+      entryNodes = [this.searchLayer(normalized, entryNodes, 1, l)[0].node];
+    }
+
+    return this.searchLayer(normalized, entryNodes, ef, 0)
+      .filter(result => !this.deleted.has(result.node))
+      .slice(0, k)
+      .map(result => ({ id: this.ids[result.node], similarity: 1 - result.distance }));
+  }
+
+  /**
+   * Rebuild without tombstones
+   */
+  compact() {
+    const index = new HnswIndex(this.settings());
+    for (const [id, node] of this.nodeById) {
+      index.add(id, this.vectors[node], this.tags[node]);
+    }
+    return index;
+  }
+
+  /** True once tombstones make up a quarter of the graph */
+  needsCompaction() {
+    return this.deleted.size > 0 && this.deleted.size >= this.ids.length / 4;
+  }
+
+  settings() {
+    return {
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch
+    };
+  }
+
+  // --- Persistence ---
+
+  toBuffer() {
+    const header = Buffer.from(JSON.stringify({
+      ...this.settings(),
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      ids: this.ids,
+      tags: this.tags,
+      levels: this.levels,
+      links: this.links,
+      deleted: [...this.deleted]
+    }), 'utf-8');
+
+    const headerEnd = MAGIC.length + 4 + header.length;
+    const vectorStart = Math.ceil(headerEnd / 4) * 4;
+    const buffer = Buffer.alloc(vectorStart + this.ids.length * this.dimensions * 4);
+
+    buffer.write(MAGIC, 0, 'ascii');
+    buffer.writeUInt32LE(header.length, MAGIC.length);
+    header.copy(buffer, MAGIC.length + 4);
+
+    const data = new Float32Array(buffer.buffer, buffer.byteOffset + vectorStart, this.ids.length * this.dimensions);
+    this.vectors.forEach((vector, node) => data.set(vector, node * this.dimensions));
+
+    return buffer;
+  }
+
+  static fromBuffer(buffer) {
+    if (buffer.toString('ascii', 0, MAGIC.length) !== MAGIC) {
+      throw new Error('Not a vector index file');
+    }
+
+    const headerLength = buffer.readUInt32LE(MAGIC.length);
+    const headerEnd = MAGIC.length + 4 + headerLength;
+    const header = JSON.parse(buffer.toString('utf-8', MAGIC.length + 4, headerEnd));
+    const vectorStart = Math.ceil(headerEnd / 4) * 4;
+
+    const index = new HnswIndex(header);
+    const vectorBytes = header.ids.length * header.dimensions * 4;
+    const floats = new Float32Array(
+      buffer.buffer.slice(buffer.byteOffset + vectorStart, buffer.byteOffset + vectorStart + vectorBytes)
+    );
+
+    index.ids = header.ids;
+    index.tags = header.tags || header.ids.map(() => null);
+    index.levels = header.levels;
+    index.links = header.links;
+    index.deleted = new Set(header.deleted);
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.vectors = header.ids.map((_, node) => floats.subarray(node * header.dimensions, (node + 1) * header.dimensions));
+    header.ids.forEach((id, node) => {
+      if (!index.deleted.has(node)) index.nodeById.set(id, node);
+    });
+
+    return index;
+  }
+
+  /**
+   * Write the index atomically (temp file + rename)
+   */
+  save(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, this.toBuffer());
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Load an index file, or null if it is missing or unreadable
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    try {
+      return HnswIndex.fromBuffer(fs.readFileSync(filePath));
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ============================================================
+// Exports
+// ============================================================
+
+module.exports = {
+  HnswIndex,
+  DEFAULT_SETTINGS
+};
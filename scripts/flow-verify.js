@@ -8,6 +8,8 @@
  * - Auto-capture of stderr for LLM analysis
  * - Rich error context for self-healing
  * - Retry with fix suggestions
+ * - Error parsers for JS, Python, Go and Rust tools (and JUnit XML reports),
+ *   picked from the command a gate runs
  *
  * Usage as module:
  *   const { runGate, runGates, GateResult } = require('./flow-verify');
@@ -24,6 +26,7 @@ const path = require('path');
 const { spawn, execSync } = require('child_process');
 const { getProjectRoot, getConfig, colors: c } = require('./flow-utils');
 const { recordCommandResult } = require('./flow-metrics');
+const { fireTrigger } = require('./flow-workflow-triggers');
 
 const PROJECT_ROOT = getProjectRoot();
 const WORKFLOW_DIR = path.join(PROJECT_ROOT, '.workflow');
@@ -156,8 +159,117 @@ const DEFAULT_GATES = {
   }
 };
 
+/**
+ * Project-relative path for a file named in tool output
+ */
+function relativeFile(file) {
+  return path.isAbsolute(file) ? path.relative(PROJECT_ROOT, file) : path.normalize(file);
+}
+
+/**
+ * Stack frame patterns: Node, Python traceback, pytest location
+ */
+const STACK_FRAME_PATTERNS = [
+  /^\s*at (?:.*? \()?(?:file:\/\/)?([^\s()]+):(\d+):(\d+)\)?\s*$/,
+  /^\s*File "(.+?)", line (\d+)/,
+  /^(\S+\.py):(\d+): \w+/
+];
+
+/**
+ * First stack frame in project code (not node_modules, site-packages or Node internals)
+ * @returns {{ file: string, line: number, column: number|null }|null}
+ */
+function firstStackLocation(text) {
+  for (const line of text.split('\n')) {
+    for (const pattern of STACK_FRAME_PATTERNS) {
+      const match = line.match(pattern);
+      if (!match || /node_modules|site-packages|^node:|^internal\//.test(match[1])) continue;
+      return {
+        file: relativeFile(match[1]),
+        line: parseInt(match[2]),
+        column: match[3] ? parseInt(match[3]) : null
+      };
+    }
+  }
+  return null;
+}
+
+let goModules = null;
+
+/**
+ * Go modules in the project (monorepos nest them), longest module path first
+ * @returns {Array<{ dir: string, module: string }>}
+ */
+function findGoModules(dir = PROJECT_ROOT, depth = 0) {
+  if (depth === 0 && goModules) {
+    return goModules;
+  }
+
+  const modules = [];
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    // Unreadable directory
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isFile() && entry.name === 'go.mod') {
+      const match = fs.readFileSync(entryPath, 'utf-8').match(/^module\s+(\S+)/m);
+      if (match) modules.push({ dir: path.relative(PROJECT_ROOT, dir), module: match[1] });
+    } else if (entry.isDirectory() && depth < 4 && !/^(\.|node_modules$|vendor$)/.test(entry.name)) {
+      modules.push(...findGoModules(entryPath, depth + 1));
+    }
+  }
+
+  if (depth === 0) {
+    goModules = modules.sort((a, b) => b.module.length - a.module.length);
+  }
+  return modules;
+}
+
+/**
+ * Project-relative path of a file named in a go test log, which go prints
+ * relative to the directory of the package being tested
+ */
+function goPackageFile(pkg, file) {
+  if (!pkg || path.isAbsolute(file)) {
+    return relativeFile(file);
+  }
+
+  const owner = findGoModules().find(({ module }) => pkg === module || pkg.startsWith(`${module}/`));
+  return owner ? path.join(owner.dir, pkg.slice(owner.module.length + 1), file) : file;
+}
+
+/**
+ * Decode the XML entities used in JUnit reports
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Attributes of an XML start tag
+ */
+function xmlAttributes(source) {
+  const attributes = {};
+  for (const [, name, value] of source.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
 /**
  * Error parsers for different tools
+ *
+ * Each returns [{ file, line, column, rule, message, severity }].
  */
 const ERROR_PARSERS = {
   eslint: (output) => {
@@ -210,7 +322,7 @@ const ERROR_PARSERS = {
   jest: (output) => {
     const errors = [];
     // Jest failure patterns
-    const failedTestRegex = /✕\s+(.+)/g;
+    const failedTestRegex = /✕\s+(.+?)(?:\s+\(\d+(?:\.\d+)?\s*m?s\))?$/gm;
     const fileRegex = /at\s+(?:Object\.<anonymous>|.*)\s+\((.+):(\d+):(\d+)\)/g;
 
     let match;
@@ -241,7 +353,8 @@ const ERROR_PARSERS = {
     const errors = [];
     // Prettier check output: Checking formatting...
     // [warn] file.ts
-    const warnRegex = /\[warn\]\s+(.+)/g;
+    // [warn] Code style issues found in the above file. Run Prettier with --write to fix.
+    const warnRegex = /\[warn\]\s+(?!Code style issues)(.+)/g;
 
     let match;
     while ((match = warnRegex.exec(output)) !== null) {
@@ -255,6 +368,471 @@ const ERROR_PARSERS = {
     return errors;
   },
 
+  biome: (output) => {
+    const errors = [];
+    // Biome diagnostics: a header, then the message after a severity mark
+    //   src/app.ts:3:7 lint/style/useConst  FIXABLE  ━━━━━━━━━━━━
+    //     ✖ This let declares a variable that is only assigned once.
+    const headerRegex = /^(\S+?)(?::(\d+):(\d+))?\s+([\w/]+)(?:\s+[A-Z]+)*\s+━{3,}/;
+    const messageRegex = /^\s*([✖×⚠!ℹ])\s+(.+)$/;
+    const lines = output.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const header = lines[i].match(headerRegex);
+      if (!header) continue;
+
+      const [, file, lineNum, col, category] = header;
+      let mark = '✖';
+      let message = null;
+      for (let j = i + 1; j < lines.length && !headerRegex.test(lines[j]); j++) {
+        const match = lines[j].match(messageRegex);
+        if (match) {
+          [, mark, message] = match;
+          break;
+        }
+      }
+      if (mark === 'ℹ') continue;
+
+      errors.push({
+        file: relativeFile(file),
+        line: lineNum ? parseInt(lineNum) : null,
+        column: col ? parseInt(col) : null,
+        message: message ? message.trim() : category === 'format' ? 'File needs formatting' : category,
+        rule: category,
+        severity: mark === '✖' || mark === '×' ? 'error' : 'warning'
+      });
+    }
+    return errors;
+  },
+
+  vitest: (output) => {
+    const errors = [];
+    // Vitest failure blocks:
+    //    FAIL  src/sum.test.ts > sum > adds numbers
+    //   AssertionError: expected 3 to be 4 // Object.is equality
+    //    ❯ src/sum.test.ts:5:17
+    const failRegex = /^\s*FAIL\s+(\S+)\s+(?:>\s+(.+?)|\[.*\])\s*$/;
+    const locationRegex = /^\s*❯\s+(?:.*?\s\(?)?([^\s()]+):(\d+):(\d+)\)?\s*$/;
+    const lines = output.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const fail = lines[i].match(failRegex);
+      if (!fail) continue;
+
+      const [, file, testName] = fail;
+      const error = {
+        file: relativeFile(file),
+        line: null,
+        column: null,
+        message: testName ? `Test failed: ${testName.trim()}` : 'Test file failed to run',
+        rule: null,
+        severity: 'error'
+      };
+
+      for (let j = i + 1; j < lines.length && !failRegex.test(lines[j]); j++) {
+        const line = lines[j].trim();
+        const location = lines[j].match(locationRegex);
+        if (location && !location[1].includes('node_modules')) {
+          error.file = relativeFile(location[1]);
+          error.line = parseInt(location[2]);
+          error.column = parseInt(location[3]);
+          break;
+        }
+        if (!error.rule && /^\w*(Error|Exception)\b.*?:/.test(line)) {
+          const [name, ...rest] = line.split(':');
+          error.rule = name.trim();
+          error.message += ` - ${rest.join(':').trim()}`;
+        }
+      }
+
+      errors.push(error);
+    }
+    return errors;
+  },
+
+  mocha: (output) => {
+    const errors = [];
+    // Mocha (spec reporter) lists failures after "N failing":
+    //   1) Array
+    //        #indexOf()
+    //          returns -1 when missing:
+    //
+    //       AssertionError [ERR_ASSERTION]: Expected values to be strictly equal:
+    //       at Context.<anonymous> (test/array.test.js:7:14)
+    const failingIndex = output.search(/^\s*\d+ failing/m);
+    if (failingIndex === -1) return errors;
+
+    const blocks = output.slice(failingIndex).split(/^\s*\d+\) /m).slice(1);
+    for (const block of blocks) {
+      const lines = block.split('\n');
+      const titleEnd = lines.findIndex(line => line.trimEnd().endsWith(':'));
+      const title = lines.slice(0, titleEnd + 1).map(line => line.trim()).join(' ').replace(/:$/, '');
+      const detail = lines.slice(titleEnd + 1).map(line => line.trim()).find(Boolean) || '';
+      const errorMatch = detail.match(/^(\w+)(?: \[\w+\])?: (.*)$/);
+      const location = firstStackLocation(block);
+
+      errors.push({
+        file: location ? location.file : null,
+        line: location ? location.line : null,
+        column: location ? location.column : null,
+        message: `Test failed: ${title}${detail ? ` - ${errorMatch ? errorMatch[2] : detail}` : ''}`,
+        rule: errorMatch ? errorMatch[1] : null,
+        severity: 'error'
+      });
+    }
+    return errors;
+  },
+
+  pytest: (output) => {
+    const errors = [];
+    // Failure sections give the location, the summary the test ids:
+    //   ____________ test_add ____________
+    //   E       assert 3 == 4
+    //   tests/test_math.py:12: AssertionError
+    //   FAILED tests/test_math.py::test_add - assert 3 == 4
+    const sections = {};
+    let current = null;
+
+    for (const line of output.split('\n')) {
+      const header = line.match(/^_{3,} (.+?) _{3,}$/);
+      if (header) {
+        current = sections[header[1].replace(/^ERROR at \w+ of |^ERROR collecting /, '')] = {};
+        continue;
+      }
+      if (!current) continue;
+
+      const errorLine = line.match(/^E\s+(.+)$/);
+      if (errorLine && !current.message) {
+        current.message = errorLine[1].trim();
+      }
+      // Traceback lines read "file:line: in func", the last one "file:line: ErrorType"
+      const location = line.match(/^(\S+\.py):(\d+): (in \S+|\w+)/);
+      if (location) {
+        current.file = location[1];
+        current.line = parseInt(location[2]);
+        if (!location[3].startsWith('in ')) current.rule = location[3];
+      }
+    }
+
+    const summaryRegex = /^(FAILED|ERROR) (\S+?)(?:::(\S+))?(?: - (.+))?$/;
+    for (const line of output.split('\n')) {
+      const match = line.match(summaryRegex);
+      if (!match) continue;
+
+      const [, kind, file, test, message] = match;
+      const section = sections[test ? test.replace(/::/g, '.') : file] || {};
+      errors.push({
+        file: relativeFile(section.file || file),
+        line: section.line || null,
+        column: null,
+        message: `${kind === 'ERROR' ? 'Error in' : 'Test failed:'} ${test || file}${message || section.message ? ` - ${message || section.message}` : ''}`,
+        rule: section.rule || null,
+        severity: 'error'
+      });
+    }
+
+    // Without a short summary (-rN), fall back to the sections
+    if (errors.length === 0) {
+      for (const [test, section] of Object.entries(sections)) {
+        if (!section.file) continue;
+        errors.push({
+          file: relativeFile(section.file),
+          line: section.line,
+          column: null,
+          message: `Test failed: ${test}${section.message ? ` - ${section.message}` : ''}`,
+          rule: section.rule,
+          severity: 'error'
+        });
+      }
+    }
+    return errors;
+  },
+
+  go: (output) => {
+    const errors = [];
+    // go vet / go build:  ./main.go:10:2: undefined: foo
+    // go test:            --- FAIL: TestAdd (0.00s)
+    //                         math_test.go:12: expected 3, got 4
+    //                  FAIL	example.com/app/math	0.002s
+    // With -v the log lines come before "--- FAIL", and passing tests log too.
+    // Log paths are relative to the package, named on the line closing its output
+    const diagnosticRegex = /^(?:vet: )?(\S+\.go):(\d+):(\d+): (.+)$/;
+    const logRegex = /^\s+(\S+\.go):(\d+): (.+)$/;
+    let logs = {};
+    let failed = [];
+    let test = null;
+
+    const addFailures = (pkg) => {
+      for (const name of failed) {
+        if (logs[name]) {
+          for (const log of logs[name]) {
+            errors.push({ file: goPackageFile(pkg, log.file), line: log.line, column: null, message: `${name}: ${log.message}`, rule: name, severity: 'error' });
+          }
+        } else if (!failed.some(other => other.startsWith(`${name}/`))) {
+          // A parent test fails through its subtests, which are reported instead
+          errors.push({ file: null, line: null, column: null, message: `Test failed: ${name}`, rule: name, severity: 'error' });
+        }
+      }
+      logs = {};
+      failed = [];
+      test = null;
+    };
+
+    for (const line of output.split('\n')) {
+      const diagnostic = line.match(diagnosticRegex);
+      if (diagnostic) {
+        const [, file, lineNum, col, message] = diagnostic;
+        errors.push({
+          file: relativeFile(file),
+          line: parseInt(lineNum),
+          column: parseInt(col),
+          message: message.trim(),
+          rule: null,
+          severity: 'error'
+        });
+        continue;
+      }
+
+      const pkg = line.match(/^(?:FAIL|ok)\s+(\S+)(?:\s|$)/);
+      if (pkg) {
+        addFailures(pkg[1]);
+        continue;
+      }
+
+      const run = line.match(/^=== (?:RUN|CONT)\s+(\S+)/);
+      const result = line.match(/^\s*--- (FAIL|PASS|SKIP): (\S+)/);
+      if (run || result) {
+        test = run ? run[1] : result[2];
+        if (result && result[1] === 'FAIL') failed.push(test);
+        continue;
+      }
+
+      const log = test && line.match(logRegex);
+      if (log) {
+        (logs[test] = logs[test] || []).push({ file: log[1], line: parseInt(log[2]), message: log[3].trim() });
+      }
+    }
+
+    // Output cut off before the package line
+    addFailures(null);
+    return errors;
+  },
+
+  cargo: (output) => {
+    const errors = [];
+    // rustc / clippy:  error[E0425]: cannot find value `x` in this scope
+    //                   --> src/main.rs:2:13
+    //                   = note: `#[warn(unused_variables)]` on by default
+    // cargo test:       thread 'tests::adds' panicked at src/lib.rs:10:9:
+    //                   assertion `left == right` failed
+    const headerRegex = /^(error|warning)(?:\[(\w+)\])?: (.+)$/;
+    const lines = output.split('\n');
+    let pending = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      const header = line.match(headerRegex);
+      if (header) {
+        pending = { severity: header[1], rule: header[2] || null, message: header[3].trim() };
+        continue;
+      }
+
+      const location = pending && line.match(/^\s*--> (.+?):(\d+):(\d+)/);
+      if (location) {
+        const error = {
+          file: relativeFile(location[1]),
+          line: parseInt(location[2]),
+          column: parseInt(location[3]),
+          message: pending.message,
+          rule: pending.rule,
+          severity: pending.severity
+        };
+        // Lint name from the note below the snippet
+        for (let j = i + 1; j < lines.length && !error.rule && lines[j].trim() !== ''; j++) {
+          const lint = lines[j].match(/#\[(?:warn|deny|forbid)\(([\w:]+)\)\]/);
+          if (lint) error.rule = lint[1];
+        }
+        errors.push(error);
+        pending = null;
+        continue;
+      }
+
+      const panic = line.match(/^thread '(.+?)' panicked at (?:'(.*)', )?(\S+?):(\d+):(\d+):?$/);
+      if (panic) {
+        const [, test, oldMessage, file, lineNum, col] = panic;
+        const message = oldMessage || (lines[i + 1] || '').trim();
+        errors.push({
+          file: relativeFile(file),
+          line: parseInt(lineNum),
+          column: parseInt(col),
+          message: `Test failed: ${test}${message ? ` - ${message}` : ''}`,
+          rule: test,
+          severity: 'error'
+        });
+      }
+    }
+    return errors;
+  },
+
+  ruff: (output) => {
+    const errors = [];
+    // Concise/older full:  src/app.py:1:8: F401 [*] `os` imported but unused
+    // Newer full:          F401 [*] `os` imported but unused
+    //                       --> src/app.py:1:8
+    // ruff format --check: Would reformat: src/app.py
+    const conciseRegex = /^(.+?):(\d+):(\d+): ([A-Z]+\d+|[\w-]+:) (?:\[\*\] )?(.+)$/;
+    const headerRegex = /^([A-Z]+\d+) (?:\[\*\] )?(.+)$/;
+    const lines = output.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const concise = lines[i].match(conciseRegex);
+      if (concise) {
+        const [, file, lineNum, col, rule, message] = concise;
+        errors.push({
+          file: relativeFile(file),
+          line: parseInt(lineNum),
+          column: parseInt(col),
+          message: message.trim(),
+          rule: rule.replace(/:$/, ''),
+          severity: 'error'
+        });
+        continue;
+      }
+
+      const header = lines[i].match(headerRegex);
+      const location = header && (lines[i + 1] || '').match(/^\s*--> (.+?):(\d+):(\d+)/);
+      if (location) {
+        errors.push({
+          file: relativeFile(location[1]),
+          line: parseInt(location[2]),
+          column: parseInt(location[3]),
+          message: header[2].trim(),
+          rule: header[1],
+          severity: 'error'
+        });
+        continue;
+      }
+
+      const reformat = lines[i].match(/^Would reformat: (.+)$/);
+      if (reformat) {
+        errors.push({
+          file: relativeFile(reformat[1].trim()),
+          line: null,
+          column: null,
+          message: 'File needs formatting',
+          rule: 'format',
+          severity: 'error'
+        });
+      }
+    }
+    return errors;
+  },
+
+  mypy: (output) => {
+    const errors = [];
+    // mypy output: src/app.py:12:5: error: Incompatible types in assignment  [assignment]
+    // (the column only appears with --show-column-numbers; notes are skipped)
+    const errorRegex = /^(.+?):(\d+)(?::(\d+))?: (error|warning): (.+?)(?:\s+\[([\w-]+)\])?$/;
+
+    for (const line of output.split('\n')) {
+      const match = line.match(errorRegex);
+      if (match) {
+        const [, file, lineNum, col, severity, message, rule] = match;
+        errors.push({
+          file: relativeFile(file),
+          line: parseInt(lineNum),
+          column: col ? parseInt(col) : null,
+          message: message.trim(),
+          rule: rule || null,
+          severity
+        });
+      }
+    }
+    return errors;
+  },
+
+  stylelint: (output) => {
+    const errors = [];
+    // String formatter:  src/app.css
+    //                      3:10  ✖  Unexpected unit  length-zero-no-unit
+    // Unix formatter:    src/app.css:3:10: Unexpected unit (length-zero-no-unit) [error]
+    const fileRegex = /^(\S.*\.(?:css|scss|sass|less|sss|pcss|html|vue|svelte|astro|jsx?|tsx?))\s*$/;
+    const stringRegex = /^\s+(\d+):(\d+)\s+([✖×⚠‼])\s+(.+?)\s{2,}(\S+)\s*$/;
+    const unixRegex = /^(.+?):(\d+):(\d+): (.+?) \(([\w/@-]+)\) \[(error|warning)\]$/;
+    let file = null;
+
+    for (const line of output.split('\n')) {
+      const unix = line.match(unixRegex);
+      if (unix) {
+        const [, unixFile, lineNum, col, message, rule, severity] = unix;
+        errors.push({
+          file: relativeFile(unixFile),
+          line: parseInt(lineNum),
+          column: parseInt(col),
+          message: message.trim(),
+          rule,
+          severity
+        });
+        continue;
+      }
+
+      const fileMatch = line.match(fileRegex);
+      if (fileMatch) {
+        file = fileMatch[1];
+        continue;
+      }
+
+      const match = file && line.match(stringRegex);
+      if (match) {
+        const [, lineNum, col, mark, message, rule] = match;
+        errors.push({
+          file: relativeFile(file),
+          line: parseInt(lineNum),
+          column: parseInt(col),
+          message: (message.endsWith(` (${rule})`) ? message.slice(0, -rule.length - 3) : message).trim(),
+          rule,
+          severity: mark === '✖' || mark === '×' ? 'error' : 'warning'
+        });
+      }
+    }
+    return errors;
+  },
+
+  junit: (output) => {
+    const errors = [];
+    // <testcase classname="..." name="..." file="..." line="...">
+    //   <failure message="..." type="AssertionError">stack trace</failure>
+    // </testcase>
+    const testcaseRegex = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+    const failureRegex = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/;
+
+    let match;
+    while ((match = testcaseRegex.exec(output)) !== null) {
+      const failure = (match[2] || '').match(failureRegex);
+      if (!failure) continue;
+
+      const testcase = xmlAttributes(match[1]);
+      const details = xmlAttributes(failure[2]);
+      const body = decodeXml((failure[3] || '').replace(/^<!\[CDATA\[|\]\]>$/g, ''));
+      const location = testcase.file
+        ? { file: relativeFile(testcase.file), line: testcase.line ? parseInt(testcase.line) : null, column: null }
+        : firstStackLocation(body);
+      const name = [testcase.classname, testcase.name].filter(Boolean).join(' > ');
+      const message = details.message || body.split('\n').map(line => line.trim()).find(Boolean) || '';
+
+      errors.push({
+        file: location ? location.file : null,
+        line: location ? location.line : null,
+        column: location ? location.column : null,
+        message: `${failure[1] === 'error' ? 'Error in' : 'Test failed:'} ${name}${message ? ` - ${message}` : ''}`,
+        rule: details.type || null,
+        severity: 'error'
+      });
+    }
+    return errors;
+  },
+
   generic: (output) => {
     const errors = [];
     // Generic error detection
@@ -334,21 +912,76 @@ const ERROR_PARSERS = {
 
 
 /**
- * Detect which command to use based on installed packages
+ * Parser for each tool, matched against the command a gate runs
  */
-function detectCommand(gate) {
+const TOOL_PARSERS = [
+  [/\bbiome\b/, 'biome'],
+  [/\bvitest\b/, 'vitest'],
+  [/\bmocha\b/, 'mocha'],
+  [/\b(pytest|py\.test)\b/, 'pytest'],
+  [/\bgo (vet|test|build)\b/, 'go'],
+  [/\b(cargo|rustc)\b/, 'cargo'],
+  [/\bruff\b/, 'ruff'],
+  [/\bmypy\b/, 'mypy'],
+  [/\bstylelint\b/, 'stylelint'],
+  [/\beslint\b/, 'eslint'],
+  [/\btsc\b/, 'typescript'],
+  [/\bjest\b/, 'jest'],
+  [/\bprettier\b/, 'prettier']
+];
+
+/**
+ * Read the project's package.json
+ */
+function readPackageJson() {
   const packageJsonPath = path.join(PROJECT_ROOT, 'package.json');
-  let deps = {};
+  if (!fs.existsSync(packageJsonPath)) {
+    return {};
+  }
 
-  if (fs.existsSync(packageJsonPath)) {
-    try {
-      const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
-      deps = { ...pkg.dependencies, ...pkg.devDependencies };
-    } catch {
-      // Ignore parse errors
-    }
+  try {
+    return JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
+  } catch {
+    // Ignore parse errors
+    return {};
+  }
+}
+
+/**
+ * Pick the error parsers for a gate command
+ *
+ * An explicit `parser` on the command wins. Otherwise every tool the command
+ * (or the package.json script it runs) invokes gets its parser - a script
+ * like `tsc --noEmit && eslint .` needs both - plus JUnit when the output
+ * holds XML. With none of those, the gate's `parser` is used.
+ *
+ * @returns {string[]} Keys of ERROR_PARSERS
+ */
+function selectParsers(gateConfig, cmdConfig, output) {
+  if (cmdConfig.parser) {
+    return [cmdConfig.parser];
   }
 
+  let command = [cmdConfig.cmd, ...cmdConfig.args].join(' ');
+  const script = command.match(/^(?:npm|yarn|pnpm|bun)(?:\s+(?:run|run-script))?\s+([\w:.-]+)/);
+  if (script) {
+    command = readPackageJson().scripts?.[script[1]] || command;
+  }
+
+  const parsers = TOOL_PARSERS.filter(([pattern]) => pattern.test(command)).map(([, parser]) => parser);
+  if (/<testsuites?\b/.test(output)) {
+    parsers.push('junit');
+  }
+  return parsers.length > 0 ? parsers : [gateConfig.parser];
+}
+
+/**
+ * Detect which command to use based on installed packages
+ */
+function detectCommand(gate) {
+  const pkg = readPackageJson();
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+
   for (const cmdConfig of gate.commands) {
     if (cmdConfig.detect === null) {
       // No detection needed, use this command
@@ -842,6 +1475,7 @@ async function runGate(gateName, options = {}) {
     console.log(`${c.cyan}▶${c.reset} Running ${gateConfig.name}...`);
   }
 
+  const startedAt = Date.now();
   const output = await runCommand(cmdConfig.cmd, cmdConfig.args, options.timeout || 120000);
 
   result.exitCode = output.exitCode;
@@ -851,9 +1485,21 @@ async function runGate(gateName, options = {}) {
   result.passed = output.exitCode === 0;
 
   // Parse errors
-  const parser = ERROR_PARSERS[gateConfig.parser] || ERROR_PARSERS.generic;
-  const combinedOutput = output.stdout + '\n' + output.stderr;
-  const parsedErrors = parser(combinedOutput);
+  const combinedOutput = (output.stdout + '\n' + output.stderr).replace(/\x1b\[[0-9;]*m/g, '');
+  let parsedErrors = selectParsers(gateConfig, cmdConfig, combinedOutput)
+    .flatMap(name => (ERROR_PARSERS[name] || ERROR_PARSERS.generic)(combinedOutput));
+
+  // A JUnit report written by this run is more precise than console output
+  const reportPath = cmdConfig.report || gateConfig.report;
+  if (reportPath) {
+    const reportFile = path.resolve(PROJECT_ROOT, reportPath);
+    if (fs.existsSync(reportFile) && fs.statSync(reportFile).mtimeMs >= startedAt - 1000) {
+      const reportErrors = ERROR_PARSERS.junit(fs.readFileSync(reportFile, 'utf-8'));
+      if (reportErrors.length > 0) {
+        parsedErrors = reportErrors;
+      }
+    }
+  }
 
   result.errors = parsedErrors.filter(e => e.severity === 'error');
   result.warnings = parsedErrors.filter(e => e.severity === 'warning');
@@ -1053,7 +1699,8 @@ module.exports = {
   formatResults,
   saveResults,
   DEFAULT_GATES,
-  ERROR_PARSERS
+  ERROR_PARSERS,
+  selectParsers
 };
 
 // CLI Handler
@@ -1104,7 +1751,7 @@ ${c.bold}Exit Codes:${c.reset}
   }
 
   runGates(gateNames, { verbose, stopOnFailure, quiet })
-    .then(results => {
+    .then(async results => {
       if (jsonOutput) {
         console.log(JSON.stringify(getSummary(results), null, 2));
       } else if (llmContext) {
@@ -1117,6 +1764,11 @@ ${c.bold}Exit Codes:${c.reset}
         console.log(formatResults(results, { verbose }));
       }
 
+      // Workflows with on: gate-failed (quiet keeps --json output parseable)
+      for (const failure of results.filter(r => !r.passed)) {
+        await fireTrigger('gate-failed', { gate: failure.name }, { quiet });
+      }
+
       const summary = getSummary(results);
       process.exit(summary.allPassed ? 0 : 1);
     })
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Workflow Triggers
+ *
+ * Runs the workflows in .workflow/workflows/ whose `on:` matches a task
+ * lifecycle event:
+ *
+ *   Event               Fired by                   Variables
+ *   task-started        flow start                 $event_task, $event_title
+ *   task-done           flow done                  $event_task, $event_title
+ *   gate-failed         flow done, flow verify     $event_gate, $event_task (flow done)
+ *   checkpoint-created  flow checkpoint            $event_checkpoint, $event_message
+ *   file-changed        flow watch                 $event_file
+ *
+ * Every workflow also gets $event (the event name). Triggered runs are
+ * recorded with flow-run-trace as "workflow:<name>" runs; a failing
+ * workflow is reported but never fails the command that fired it. Their
+ * step messages and streamed output go to stderr, leaving stdout to the
+ * command (so `flow verify --json` stays parseable).
+ *
+ * Commands inside a triggered workflow see FLOW_WORKFLOW_TRIGGER, and
+ * events fired while it is set are ignored, so a workflow that runs
+ * `flow verify` cannot re-trigger itself.
+ *
+ * Config (config.json):
+ *   workflowTriggers.enabled   Set false to stop firing workflows (default true)
+ *
+ * Usage as module:
+ *   const { fireTrigger } = require('./flow-workflow-triggers');
+ *   await fireTrigger('task-done', { task: 'wf-a1b2c3d4', title: 'Add login' });
+ */
+
+const path = require('path');
+const { getProjectRoot, getConfig, colors: c } = require('./flow-utils');
+const { TRIGGER_EVENTS, loadWorkflow, listWorkflows, matchesTrigger } = require('./flow-workflow');
+const { EVENT_TYPES, startRun, logEvent, endRun, listRuns } = require('./flow-run-trace');
+
+const PROJECT_ROOT = getProjectRoot();
+
+/**
+ * Environment variable marking commands run by a triggered workflow
+ */
+const TRIGGER_ENV = 'FLOW_WORKFLOW_TRIGGER';
+
+/**
+ * Run names used for triggered workflows in the run trace
+ */
+const RUN_PREFIX = 'workflow:';
+
+// ============================================================
+// Matching
+// ============================================================
+
+/**
+ * Whether events should run workflows right now
+ */
+function triggersEnabled() {
+  if (process.env[TRIGGER_ENV]) return false;
+  return getConfig().workflowTriggers?.enabled !== false;
+}
+
+/**
+ * Workflows bound to an event whose filters match the payload
+ * @returns {Array<{ name: string, workflow: Workflow }>}
+ */
+function findTriggeredWorkflows(event, payload = {}) {
+  const matches = [];
+
+  for (const entry of listWorkflows()) {
+    if (entry.error || !entry.on.includes(event)) continue;
+
+    const workflow = loadWorkflow(entry.name);
+    if (matchesTrigger(workflow, event, payload)) {
+      matches.push({ name: entry.name, workflow });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Workflows with an `on:` section, for `flow workflow triggers`
+ * @returns {Array<{ name: string, events: Object }>}
+ */
+function listTriggers() {
+  return listWorkflows()
+    .filter(entry => !entry.error && entry.on.length > 0)
+    .map(entry => ({ name: entry.name, events: loadWorkflow(entry.name).on }));
+}
+
+// ============================================================
+// Running
+// ============================================================
+
+/**
+ * Event payload as workflow variables: $event and $event_<field>
+ */
+function eventVariables(event, payload) {
+  const variables = { event };
+  for (const [field, value] of Object.entries(payload)) {
+    if (value !== undefined && value !== null) {
+      variables[`event_${field}`] = value;
+    }
+  }
+  return variables;
+}
+
+/**
+ * Why a step failed, in one line
+ */
+function describeFailure(step) {
+  if (step.error) return step.error;
+  if (step.exitCode !== undefined) return `exit code ${step.exitCode}`;
+  return 'failed';
+}
+
+/**
+ * Run one triggered workflow and record it in the run trace
+ * @returns {Promise<{ workflow: string, runId: string, success: boolean, failedSteps: Object[], error?: string }>}
+ */
+async function runTriggeredWorkflow(name, workflow, event, payload) {
+  const runId = startRun(`${RUN_PREFIX}${name}`, {
+    workflow: name,
+    trigger: { event, ...payload }
+  }, { current: false });
+  logEvent(runId, EVENT_TYPES.TRIGGER, { event, ...payload });
+
+  try {
+    const context = workflow.createContext().fork(eventVariables(event, payload));
+    context.env[TRIGGER_ENV] = event;
+    context.output = process.stderr;
+
+    const results = await workflow.run(context);
+    const failedSteps = [];
+
+    // Steps may run in parallel, so they're recorded once the run is over
+    for (const step of results.steps) {
+      const failed = !step.success && !step.skipped;
+      logEvent(runId, EVENT_TYPES.STEP_START, { step: step.id, type: step.type });
+      logEvent(runId, EVENT_TYPES.STEP_END, {
+        step: step.id,
+        success: step.success,
+        skipped: step.skipped,
+        duration: step.duration,
+        exitCode: step.exitCode,
+        error: failed ? describeFailure(step) : undefined,
+        stderr: failed && step.stderr ? step.stderr.slice(-2000) : undefined
+      });
+      if (failed) {
+        failedSteps.push(step);
+        logEvent(runId, EVENT_TYPES.ERROR, { message: `${step.id}: ${describeFailure(step)}` });
+      }
+    }
+
+    endRun(runId, results.success ? 'completed' : 'failed');
+    return { workflow: name, runId, success: results.success, failedSteps };
+  } catch (err) {
+    logEvent(runId, EVENT_TYPES.ERROR, { message: err.message });
+    endRun(runId, 'failed');
+    return { workflow: name, runId, success: false, failedSteps: [], error: err.message };
+  }
+}
+
+/**
+ * Run every workflow bound to an event, one after another
+ *
+ * Never throws: problems are reported and returned.
+ *
+ * @param {string} event - Key of TRIGGER_EVENTS
+ * @param {Object} [payload] - Event fields ({ task, title, gate, checkpoint, message, file })
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet] - Don't print progress
+ * @returns {Promise<Array>} One result per triggered workflow
+ */
+async function fireTrigger(event, payload = {}, options = {}) {
+  if (!(event in TRIGGER_EVENTS)) {
+    throw new Error(`Unknown trigger event: ${event}`);
+  }
+
+  const results = [];
+
+  try {
+    if (!triggersEnabled()) return results;
+
+    for (const { name, workflow } of findTriggeredWorkflows(event, payload)) {
+      if (!options.quiet) {
+        console.log(`${c.cyan}⚡ Workflow "${name}" (on ${event})${c.reset}`);
+      }
+
+      const result = await runTriggeredWorkflow(name, workflow, event, payload);
+      results.push(result);
+
+      if (!options.quiet) {
+        printTriggerResult(result);
+      }
+    }
+  } catch (err) {
+    if (!options.quiet) {
+      console.error(`${c.yellow}⚠ Workflow triggers for ${event}: ${err.message}${c.reset}`);
+    }
+  }
+
+  return results;
+}
+
+function printTriggerResult(result) {
+  if (result.success) {
+    console.log(`  ${c.green}✓${c.reset} passed ${c.dim}(run ${result.runId})${c.reset}`);
+    return;
+  }
+
+  console.log(`  ${c.red}✗${c.reset} failed ${c.dim}(run ${result.runId})${c.reset}`);
+  if (result.error) {
+    console.log(`    ${c.dim}${result.error}${c.reset}`);
+  }
+  for (const step of result.failedSteps) {
+    console.log(`    ${c.dim}${step.id}: ${describeFailure(step)}${c.reset}`);
+  }
+}
+
+// ============================================================
+// History
+// ============================================================
+
+/**
+ * Recent triggered runs, newest first
+ * @param {Object} [options]
+ * @param {string} [options.workflow] - Only runs of this workflow
+ * @param {number} [options.limit=20]
+ */
+function getTriggerHistory({ workflow = null, limit = 20 } = {}) {
+  const name = workflow ? `${RUN_PREFIX}${workflow}` : null;
+
+  return listRuns(Infinity)
+    .filter(run => (name ? run.name === name : run.name.startsWith(RUN_PREFIX)))
+    .slice(0, limit)
+    .map(run => ({ ...run, workflow: run.name.slice(RUN_PREFIX.length) }));
+}
+
+/**
+ * Path of a changed file relative to the project root
+ */
+function toProjectPath(file) {
+  return path.relative(PROJECT_ROOT, path.resolve(file)).split(path.sep).join('/');
+}
+
+// ============================================================
+// Exports
+// ============================================================
+
+module.exports = {
+  TRIGGER_ENV,
+  fireTrigger,
+  findTriggeredWorkflows,
+  listTriggers,
+  getTriggerHistory,
+  toProjectPath
+};
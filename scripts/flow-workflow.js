@@ -7,7 +7,16 @@
  * - YAML-based workflow definitions
  * - Conditional step execution
  * - Bounded loop iterations
- * - Step dependencies
+ * - Step dependencies (`needs:`) run as a DAG, independent steps in parallel
+ * - Parallel groups with a concurrency limit
+ * - Per-step retry and timeout
+ * - Step outputs: commands append name=value lines to $FLOW_OUTPUT, later
+ *   steps read them as $<step>_<name>
+ * - Reusable workflows: `uses: <workflow>` with `with:` inputs; the called
+ *   workflow's declared `outputs` become the step's outputs
+ * - Matrix steps fan out over every combination of `matrix:` values
+ * - `on:` triggers run a workflow on task lifecycle events (see
+ *   flow-workflow-triggers.js)
  *
  * Usage as module:
  *   const { Workflow, loadWorkflow, runWorkflow } = require('./flow-workflow');
@@ -19,12 +28,24 @@
  *   flow workflow run <name>              # Run a workflow
  *   flow workflow create <name>           # Create workflow template
  *   flow workflow validate <name>         # Validate workflow
+ *   flow workflow triggers                # List workflows bound to events
+ *   flow workflow trigger <event> [--file <path>]  # Fire an event by hand
+ *   flow workflow history [name]          # Recent triggered runs
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 const { spawn } = require('child_process');
-const { getProjectRoot, colors: c } = require('./flow-utils');
+const {
+  getProjectRoot,
+  colors: c,
+  parseYaml,
+  stringifyYaml,
+  YamlError,
+  formatYamlError
+} = require('./flow-utils');
 
 const PROJECT_ROOT = getProjectRoot();
 const WORKFLOW_DIR = path.join(PROJECT_ROOT, '.workflow');
@@ -53,7 +74,8 @@ const STEP_TYPES = {
   GATE: 'gate',
   LOOP: 'loop',
   PARALLEL: 'parallel',
-  CONDITIONAL: 'conditional'
+  CONDITIONAL: 'conditional',
+  WORKFLOW: 'workflow'
 };
 
 /**
@@ -127,113 +149,6 @@ function getQualityCommand(action, projectRoot = PROJECT_ROOT) {
   return pmCommands[action] || pmCommands.lint;
 }
 
-/**
- * Simple YAML parser for workflow files
- */
-function parseYaml(content) {
-  const lines = content.split('\n');
-  const result = {};
-  const stack = [{ obj: result, indent: -1 }];
-  let currentArray = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    if (!trimmed || trimmed.startsWith('#')) continue;
-
-    const indent = line.search(/\S/);
-
-    // Pop stack for lower indents
-    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
-      stack.pop();
-    }
-
-    const parent = stack[stack.length - 1].obj;
-
-    // Array item
-    if (trimmed.startsWith('- ')) {
-      const value = trimmed.slice(2).trim();
-
-      if (currentArray && Array.isArray(parent[currentArray])) {
-        if (value.includes(':')) {
-          // Object in array
-          const [key, ...valueParts] = value.split(':');
-          const obj = { [key]: valueParts.join(':').trim() };
-          parent[currentArray].push(obj);
-          stack.push({ obj: obj, indent: indent, key: currentArray });
-        } else {
-          parent[currentArray].push(value);
-        }
-      }
-      continue;
-    }
-
-    // Key-value
-    if (trimmed.includes(':')) {
-      const colonIdx = trimmed.indexOf(':');
-      const key = trimmed.slice(0, colonIdx).trim();
-      const value = trimmed.slice(colonIdx + 1).trim();
-
-      if (!value) {
-        // Check if next line starts with - (array)
-        const nextLine = lines[i + 1];
-        const nextTrimmed = nextLine?.trim();
-
-        if (nextTrimmed?.startsWith('- ')) {
-          parent[key] = [];
-          currentArray = key;
-        } else {
-          parent[key] = {};
-          stack.push({ obj: parent[key], indent: indent, key: key });
-        }
-      } else {
-        // Simple value
-        parent[key] = value === 'true' ? true :
-                      value === 'false' ? false :
-                      /^\d+$/.test(value) ? parseInt(value) :
-                      value;
-        currentArray = null;
-      }
-    }
-  }
-
-  return result;
-}
-
-/**
- * Generate YAML from object
- */
-function toYaml(obj, indent = 0) {
-  let result = '';
-  const spaces = '  '.repeat(indent);
-
-  for (const [key, value] of Object.entries(obj)) {
-    if (value === null || value === undefined) continue;
-
-    if (Array.isArray(value)) {
-      result += `${spaces}${key}:\n`;
-      for (const item of value) {
-        if (typeof item === 'object') {
-          result += `${spaces}  - ${Object.entries(item)[0][0]}: ${Object.entries(item)[0][1]}\n`;
-          for (const [k, v] of Object.entries(item).slice(1)) {
-            result += `${spaces}    ${k}: ${v}\n`;
-          }
-        } else {
-          result += `${spaces}  - ${item}\n`;
-        }
-      }
-    } else if (typeof value === 'object') {
-      result += `${spaces}${key}:\n`;
-      result += toYaml(value, indent + 1);
-    } else {
-      result += `${spaces}${key}: ${value}\n`;
-    }
-  }
-
-  return result;
-}
-
 /**
  * Dangerous command patterns that indicate injection attempts
  * SECURITY: These patterns are blocked to prevent command injection
@@ -292,11 +207,19 @@ function validateCommand(command) {
   return { safe: true, blocked: false };
 }
 
+/**
+ * Default timeout for shell commands (ms)
+ */
+const DEFAULT_COMMAND_TIMEOUT = 60000;
+
 /**
  * Execute a shell command with security validation
  *
  * SECURITY: Commands are validated for injection patterns before execution.
  * Dangerous patterns are blocked, warning patterns are logged.
+ *
+ * options.signal (AbortSignal) kills the command when aborted.
+ * options.stream echoes stdout to options.output (default process.stdout).
  */
 function executeCommand(command, options = {}) {
   return new Promise((resolve, reject) => {
@@ -304,7 +227,14 @@ function executeCommand(command, options = {}) {
     const validation = validateCommand(command);
 
     if (validation.blocked) {
-      reject(new Error(`SECURITY: Command blocked - ${validation.reason}`));
+      const err = new Error(`SECURITY: Command blocked - ${validation.reason}`);
+      err.blocked = true;
+      reject(err);
+      return;
+    }
+
+    if (options.signal?.aborted) {
+      reject(new Error('Cancelled'));
       return;
     }
 
@@ -317,7 +247,7 @@ function executeCommand(command, options = {}) {
     const proc = spawn('sh', ['-c', command], {
       cwd: options.cwd || PROJECT_ROOT,
       env: { ...process.env, ...options.env },
-      timeout: options.timeout || 60000
+      timeout: options.timeout || DEFAULT_COMMAND_TIMEOUT
     });
 
     let stdout = '';
@@ -325,7 +255,7 @@ function executeCommand(command, options = {}) {
 
     proc.stdout.on('data', (data) => {
       stdout += data.toString();
-      if (options.stream) process.stdout.write(data);
+      if (options.stream) (options.output || process.stdout).write(data);
     });
 
     proc.stderr.on('data', (data) => {
@@ -333,13 +263,23 @@ function executeCommand(command, options = {}) {
       if (options.stream) process.stderr.write(data);
     });
 
-    proc.on('close', (code) => {
-      resolve({
-        exitCode: code,
-        stdout,
-        stderr,
-        duration: Date.now() - startTime
-      });
+    const finish = (code, signal) => resolve({
+      exitCode: code,
+      signal,
+      stdout,
+      stderr,
+      duration: Date.now() - startTime
+    });
+
+    proc.on('close', finish);
+
+    const kill = () => proc.kill();
+    options.signal?.addEventListener('abort', kill, { once: true });
+    proc.on('exit', () => options.signal?.removeEventListener('abort', kill));
+
+    // A killed shell can leave children holding the pipes open; don't wait for them
+    proc.on('exit', (code, signal) => {
+      if (signal) finish(code, signal);
     });
 
     proc.on('error', (err) => {
@@ -492,6 +432,411 @@ function splitOnOperator(expr, op) {
   return parts;
 }
 
+/**
+ * Default number of steps a workflow runs at once
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Step id used for scheduling and results
+ */
+function getStepId(step, index) {
+  return step.id || step.name || `step-${index + 1}`;
+}
+
+/**
+ * Normalize a step's `needs` into a list of step ids
+ * @returns {string[]|null} null when the step has no `needs` key
+ */
+function normalizeNeeds(needs) {
+  if (needs === undefined || needs === null) return null;
+  if (Array.isArray(needs)) return needs.map(String);
+  if (typeof needs === 'string') {
+    return needs.split(',').map(id => id.trim()).filter(Boolean);
+  }
+  return [String(needs)];
+}
+
+/**
+ * Parse a duration: milliseconds as a number, or "500ms", "30s", "5m", "1h"
+ * @returns {number|undefined}
+ */
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number' && value >= 0) return value;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  return Math.round(parseFloat(match[1]) * units[match[2] || 'ms']);
+}
+
+/**
+ * Normalize a step's `retry` setting
+ *
+ *   retry: 2                                 Two more attempts, 1s apart, doubling
+ *   retry: { count: 2, delay: 5s, backoff: 1 }
+ */
+function normalizeRetry(retry) {
+  const defaults = { count: 0, delay: 1000, backoff: 2 };
+  if (retry === undefined || retry === null || retry === false) return defaults;
+
+  const settings = typeof retry === 'object' ? retry : { count: retry };
+  const count = Number(settings.count ?? 0);
+  const backoff = Number(settings.backoff ?? defaults.backoff);
+
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid retry count: ${settings.count}`);
+  }
+  if (!(backoff >= 1)) {
+    throw new Error(`Invalid retry backoff: ${settings.backoff}`);
+  }
+
+  return { count, delay: parseDuration(settings.delay) ?? defaults.delay, backoff };
+}
+
+/**
+ * Build the step dependency graph
+ *
+ * A step with `needs` waits for those steps and is skipped if any of them
+ * did not succeed. A step without `needs` keeps the sequential behaviour
+ * and starts once the step above it has finished, whatever its outcome;
+ * `needs: []` lets it start straight away.
+ *
+ * @returns {{ nodes: Array<{ id: string, step: Object, needs: string[], after: string[] }>, errors: string[] }}
+ */
+function resolveStepGraph(steps) {
+  const errors = [];
+  const nodes = steps.map((step, index) => ({
+    id: getStepId(step, index),
+    step,
+    needs: normalizeNeeds(step.needs),
+    after: []
+  }));
+
+  const ids = new Set();
+  for (const node of nodes) {
+    if (ids.has(node.id)) errors.push(`Duplicate step id: ${node.id}`);
+    ids.add(node.id);
+  }
+
+  nodes.forEach((node, index) => {
+    if (node.needs === null) {
+      node.needs = [];
+      if (index > 0) node.after = [nodes[index - 1].id];
+    }
+    for (const need of node.needs) {
+      if (!ids.has(need)) errors.push(`Step "${node.id}" needs unknown step "${need}"`);
+    }
+  });
+
+  if (errors.length > 0) return { nodes, errors };
+
+  // Kahn's algorithm: whatever cannot be ordered is part of a cycle
+  const remaining = new Set(nodes.map(node => node.id));
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const node of nodes) {
+      if (remaining.has(node.id) && [...node.needs, ...node.after].every(id => !remaining.has(id))) {
+        remaining.delete(node.id);
+        progress = true;
+      }
+    }
+  }
+  if (remaining.size > 0) {
+    errors.push(`Dependency cycle between steps: ${[...remaining].join(', ')}`);
+  }
+
+  return { nodes, errors };
+}
+
+/**
+ * Map over items with at most `limit` in flight; results keep input order
+ */
+async function runWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Run `execute(signal)`, aborting its signal after `ms`; rejects with
+ * `message` once the aborted work has stopped
+ * @param {Function} execute - Receives an AbortSignal, returns a promise
+ * @param {AbortSignal} [parentSignal] - Aborting it aborts this run too
+ */
+async function withTimeout(execute, ms, message, parentSignal = null) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  parentSignal?.addEventListener('abort', abort, { once: true });
+  if (parentSignal?.aborted) abort();
+
+  let timer;
+  let timedOut = false;
+  const execution = execute(controller.signal);
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      resolve();
+    }, ms);
+  });
+
+  try {
+    await Promise.race([execution, timeout]);
+    if (!timedOut) return await execution;
+
+    // Wait for the cancelled work to stop so a retry never overlaps it
+    controller.abort();
+    await execution.catch(() => {});
+    throw new Error(message);
+  } finally {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Result for a step whose last attempt threw
+ */
+function failedStep(stepId, err) {
+  const result = { id: stepId, success: false, error: err.message, duration: err.duration ?? 0 };
+  if (err.attempts) result.attempts = err.attempts;
+  return result;
+}
+
+/**
+ * Error for work stopped because its signal was aborted
+ */
+function cancelled(stepId) {
+  return new Error(`Step "${stepId}" cancelled`);
+}
+
+/**
+ * Parse `name=value` lines a command step wrote to $FLOW_OUTPUT
+ */
+function parseStepOutputs(content) {
+  const outputs = {};
+
+  for (const line of content.split('\n')) {
+    const match = line.match(/^([A-Za-z_][\w-]*)=(.*)$/);
+    if (!match) continue;
+
+    const value = match[2].trim();
+    outputs[match[1]] = value === 'true' ? true :
+                        value === 'false' ? false :
+                        /^-?\d+(\.\d+)?$/.test(value) ? Number(value) :
+                        value;
+  }
+
+  return outputs;
+}
+
+/**
+ * Variable name for a step output: `<step>_<name>`, usable as $var
+ */
+function outputVariable(stepId, name) {
+  return `${stepId}_${name}`.replace(/\W/g, '_');
+}
+
+/**
+ * How deep `uses:` may nest workflows
+ */
+const MAX_WORKFLOW_DEPTH = 5;
+
+/**
+ * Upper bound on combinations a single matrix step may fan out to
+ */
+const MAX_MATRIX_COMBINATIONS = 64;
+
+/**
+ * Substitute $var / ${var} in strings, recursing into objects and arrays
+ *
+ * A string that is exactly one variable keeps the variable's type.
+ */
+function interpolate(value, variables) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{?(\w+)\}?$/);
+    if (whole) return variables[whole[1]] ?? '';
+    return value.replace(/\$\{?(\w+)\}?/g, (match, name) => String(variables[name] ?? ''));
+  }
+  if (Array.isArray(value)) return value.map(item => interpolate(item, variables));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, variables)]));
+  }
+  return value;
+}
+
+/**
+ * Variables as environment entries for commands
+ */
+function toEnv(variables) {
+  return Object.fromEntries(Object.entries(variables).map(([name, value]) => [name, String(value)]));
+}
+
+/**
+ * Expand a step's `matrix` into every combination of its values
+ *
+ *   matrix: { node: [18, 20], os: [linux, macos] }  ->  4 combinations
+ */
+function expandMatrix(matrix) {
+  if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix) || Object.keys(matrix).length === 0) {
+    throw new Error('matrix must map names to lists of values');
+  }
+
+  let combinations = [{}];
+  for (const [key, values] of Object.entries(matrix)) {
+    if (!/^\w+$/.test(key)) {
+      throw new Error(`Invalid matrix key: ${key}`);
+    }
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`matrix.${key} must be a non-empty list`);
+    }
+    combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [key]: value })));
+  }
+
+  if (combinations.length > MAX_MATRIX_COMBINATIONS) {
+    throw new Error(`matrix expands to ${combinations.length} combinations (max ${MAX_MATRIX_COMBINATIONS})`);
+  }
+  return combinations;
+}
+
+/**
+ * Normalize an input declaration: a bare default, or { default, required, description }
+ */
+function normalizeInput(spec) {
+  if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+    return { default: spec.default, required: spec.required === true, description: spec.description };
+  }
+  return { default: spec, required: false };
+}
+
+// ============================================================
+// Triggers
+// ============================================================
+
+/**
+ * Events a workflow can run on, with the filters each accepts
+ */
+const TRIGGER_EVENTS = {
+  'task-started': ['tasks'],
+  'task-done': ['tasks'],
+  'gate-failed': ['tasks', 'gates'],
+  'checkpoint-created': [],
+  'file-changed': ['paths']
+};
+
+/**
+ * Event payload field each filter matches against
+ */
+const TRIGGER_FILTERS = {
+  tasks: 'task',
+  gates: 'gate',
+  paths: 'file'
+};
+
+/**
+ * Normalize `on:` to { <event>: <filters> }
+ *
+ *   on: task-done
+ *   on: [task-started, task-done]
+ *   on:
+ *     file-changed: { paths: ["src/**", "!src/legacy/**"] }
+ *     gate-failed: { gates: [test] }
+ */
+function normalizeTriggers(on) {
+  if (on === undefined || on === null) return {};
+  if (Array.isArray(on)) return Object.fromEntries(on.map(event => [String(event), {}]));
+  if (typeof on === 'object') {
+    return Object.fromEntries(Object.entries(on).map(([event, filters]) => [event, filters ?? {}]));
+  }
+  return { [String(on)]: {} };
+}
+
+/**
+ * Convert a path glob to a RegExp: ** crosses directories, * and ? do not
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Match a value against globs; "!" patterns exclude
+ */
+function matchesPatterns(value, patterns) {
+  const include = patterns.filter(pattern => !pattern.startsWith('!'));
+  const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+  return (include.length === 0 || include.some(pattern => globToRegExp(pattern).test(value))) &&
+    !exclude.some(pattern => globToRegExp(pattern).test(value));
+}
+
+/**
+ * Whether a workflow's `on:` matches an event and its payload
+ * @param {Workflow} workflow
+ * @param {string} event - Key of TRIGGER_EVENTS
+ * @param {Object} [payload] - Event fields ({ task, gate, file, ... })
+ */
+function matchesTrigger(workflow, event, payload = {}) {
+  const filters = workflow.on[event];
+  if (!filters || typeof filters !== 'object') return false;
+
+  return Object.entries(filters).every(([key, patterns]) => {
+    const value = payload[TRIGGER_FILTERS[key]];
+    return value !== undefined && value !== null && matchesPatterns(String(value), [].concat(patterns));
+  });
+}
+
+/**
+ * Check a workflow's `on:` against the known events and filters
+ */
+function validateTriggers(triggers, errors) {
+  for (const [event, filters] of Object.entries(triggers)) {
+    if (!(event in TRIGGER_EVENTS)) {
+      errors.push(`Unknown trigger event "${event}" (expected one of: ${Object.keys(TRIGGER_EVENTS).join(', ')})`);
+      continue;
+    }
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      errors.push(`on.${event} must map filters to patterns`);
+      continue;
+    }
+    for (const [key, patterns] of Object.entries(filters)) {
+      if (!TRIGGER_EVENTS[event].includes(key)) {
+        const allowed = TRIGGER_EVENTS[event];
+        errors.push(`on.${event} does not support "${key}"${allowed.length > 0 ? ` (use: ${allowed.join(', ')})` : ''}`);
+      } else if (![].concat(patterns).every(pattern => typeof pattern === 'string' && pattern)) {
+        errors.push(`on.${event}.${key} must be a pattern or a list of patterns`);
+      }
+    }
+  }
+}
+
 /**
  * Workflow execution context
  */
@@ -499,8 +844,20 @@ class WorkflowContext {
   constructor(initialVars = {}) {
     this.variables = { ...initialVars };
     this.stepResults = {};
+    this.outputs = {};
+    this.env = {};
+    this.callStack = [];
     this.iteration = 0;
     this.maxIterations = 100;
+    // Where engine messages and streamed command output go
+    this.output = process.stdout;
+  }
+
+  /**
+   * Print an engine message (retries, gate recovery) to the run's output
+   */
+  print(message) {
+    this.output.write(`${message}\n`);
   }
 
   get(key) {
@@ -520,6 +877,49 @@ class WorkflowContext {
   getResult(stepId) {
     return this.stepResults[stepId];
   }
+
+  /**
+   * Record a step's outputs; each becomes the variable `<step>_<name>`
+   */
+  setOutputs(stepId, outputs) {
+    this.outputs[stepId] = { ...(this.outputs[stepId] || {}), ...outputs };
+    for (const [name, value] of Object.entries(outputs)) {
+      this.variables[outputVariable(stepId, name)] = value;
+    }
+  }
+
+  getOutputs(stepId) {
+    return this.outputs[stepId] || {};
+  }
+
+  /**
+   * Environment for commands: workflow inputs, matrix values and the
+   * outputs of finished steps
+   */
+  commandEnv() {
+    const env = { ...this.env };
+    for (const [stepId, outputs] of Object.entries(this.outputs)) {
+      for (const [name, value] of Object.entries(outputs)) {
+        env[outputVariable(stepId, name)] = String(value);
+      }
+    }
+    return env;
+  }
+
+  /**
+   * Copy of this context with extra variables (one matrix combination);
+   * changes made through the copy stay local to it
+   */
+  fork(variables = {}) {
+    const child = new WorkflowContext({ ...this.variables, ...variables });
+    child.stepResults = { ...this.stepResults };
+    child.outputs = { ...this.outputs };
+    child.env = { ...this.env, ...toEnv(variables) };
+    child.callStack = this.callStack;
+    child.maxIterations = this.maxIterations;
+    child.output = this.output;
+    return child;
+  }
 }
 
 /**
@@ -533,12 +933,78 @@ class Workflow {
     this.variables = definition.variables || {};
     this.onError = definition.onError || 'abort';
     this.maxIterations = definition.maxIterations || 100;
+    this.concurrency = definition.concurrency || DEFAULT_CONCURRENCY;
+    this.inputs = definition.inputs || {};
+    this.outputs = definition.outputs || {};
+    this.on = normalizeTriggers(definition.on);
+    this.source = null;
   }
 
-  async run(context = null) {
-    context = context || new WorkflowContext(this.variables);
+  /**
+   * Match `with:` values against the declared inputs
+   * @returns {{ variables: Object, problems: string[] }}
+   */
+  resolveInputs(values = {}) {
+    const variables = {};
+    const problems = [];
+
+    for (const name of Object.keys(values)) {
+      if (!(name in this.inputs)) problems.push(`unknown input "${name}"`);
+    }
+
+    for (const [name, spec] of Object.entries(this.inputs)) {
+      const input = normalizeInput(spec);
+      if (values[name] !== undefined) {
+        variables[name] = values[name];
+      } else if (input.default !== undefined) {
+        variables[name] = input.default;
+      } else if (input.required) {
+        problems.push(`missing required input "${name}"`);
+      }
+    }
+
+    return { variables, problems };
+  }
+
+  /**
+   * Create a context for running this workflow with the given inputs
+   * @param {Object} [values] - Input values (`with:` of the calling step)
+   * @param {string[]} [callStack] - Workflows already running above this one
+   */
+  createContext(values = {}, callStack = []) {
+    const { variables, problems } = this.resolveInputs(values);
+    if (problems.length > 0) {
+      throw new Error(`Workflow "${this.source || this.name}": ${problems.join('; ')}`);
+    }
+
+    const context = new WorkflowContext({ ...this.variables, ...variables });
+    context.env = toEnv(variables);
+    context.callStack = [...callStack, this.source || this.name];
+    return context;
+  }
+
+  /**
+   * Resolve declared outputs against a finished run's variables
+   */
+  resolveOutputs(context) {
+    return interpolate(this.outputs, context.variables);
+  }
+
+  /**
+   * Run the workflow, starting each step once its dependencies are done
+   * @param {WorkflowContext} [context]
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops running steps and starts no new ones
+   */
+  async run(context = null, { signal = null } = {}) {
+    context = context || this.createContext();
     context.maxIterations = this.maxIterations;
 
+    const { nodes, errors } = resolveStepGraph(this.steps);
+    if (errors.length > 0) {
+      throw new Error(`Invalid workflow "${this.name}": ${errors.join('; ')}`);
+    }
+
     const results = {
       name: this.name,
       success: true,
@@ -547,76 +1013,263 @@ class Workflow {
       endTime: null
     };
 
-    for (const step of this.steps) {
-      try {
-        const stepResult = await this.runStep(step, context);
-        results.steps.push(stepResult);
+    const waiting = [...nodes];
+    const running = new Map();
+    const finished = new Map();
+    let aborted = false;
 
-        if (!stepResult.success && this.onError === 'abort') {
-          results.success = false;
-          break;
-        }
-      } catch (err) {
-        results.steps.push({
-          id: step.id || step.name,
-          success: false,
-          error: err.message
-        });
+    const onFinished = (node, stepResult, thrown) => {
+      running.delete(node.id);
+      finished.set(node.id, stepResult);
+
+      if (thrown || (!stepResult.success && this.onError === 'abort')) {
         results.success = false;
+      }
+      if (!stepResult.success && this.onError === 'abort') {
+        aborted = true;
+      }
+    };
+
+    const startReadySteps = () => {
+      for (const node of waiting) {
+        if (running.size >= this.concurrency) return false;
+        if (![...node.needs, ...node.after].every(id => finished.has(id))) continue;
+
+        waiting.splice(waiting.indexOf(node), 1);
+
+        const failedNeed = node.needs.find(id => !finished.get(id).success);
+        if (failedNeed) {
+          finished.set(node.id, {
+            id: node.id,
+            success: false,
+            skipped: true,
+            skipReason: `Needs "${failedNeed}", which did not succeed`,
+            duration: 0
+          });
+          return true;
+        }
 
-        if (this.onError === 'abort') break;
+        running.set(node.id, this.runStep(node.step, context, signal)
+          .then(
+            stepResult => onFinished(node, stepResult, false),
+            err => onFinished(node, failedStep(node.id, err), true)
+          ));
+        return true;
       }
+      return false;
+    };
+
+    while (true) {
+      while (!aborted && !signal?.aborted && startReadySteps()) {
+        // Keep starting until nothing else is ready or the limit is reached
+      }
+      if (running.size === 0) break;
+      await Promise.race(running.values());
     }
 
+    if (signal?.aborted) results.success = false;
+    results.steps = nodes.filter(node => finished.has(node.id)).map(node => finished.get(node.id));
     results.endTime = new Date().toISOString();
     return results;
   }
 
-  async runStep(step, context) {
+  /**
+   * Run a single step, honouring `matrix`, `when`, `retry` and `timeout`
+   *
+   * A timeout aborts the attempt's signal, which kills its commands and
+   * stops its child steps before any retry starts. Commands blocked by
+   * the security check are never retried.
+   *
+   * @param {AbortSignal} [signal] - Cancels the step (a parent timed out)
+   */
+  async runStep(step, context, signal = null) {
+    if (step.matrix) {
+      return this.runMatrix(step, context, signal);
+    }
+
     const stepId = step.id || step.name;
-    const stepResult = {
-      id: stepId,
-      type: step.type || STEP_TYPES.COMMAND,
-      success: true,
-      skipped: false,
-      duration: 0
-    };
+    const type = step.type ||
+      (step.uses ? STEP_TYPES.WORKFLOW : Array.isArray(step.parallel) ? STEP_TYPES.PARALLEL : STEP_TYPES.COMMAND);
 
     // Check condition
     if (step.when) {
       const shouldRun = evaluateCondition(step.when, context.variables);
       if (!shouldRun) {
-        stepResult.skipped = true;
-        stepResult.skipReason = 'Condition not met';
+        return {
+          id: stepId,
+          type,
+          success: true,
+          skipped: true,
+          skipReason: 'Condition not met',
+          duration: 0
+        };
+      }
+    }
+
+    const retry = normalizeRetry(step.retry);
+    const timeout = parseDuration(step.timeout);
+    let delay = retry.delay;
+
+    for (let attempt = 1; ; attempt++) {
+      const stepResult = {
+        id: stepId,
+        type,
+        success: true,
+        skipped: false,
+        duration: 0
+      };
+      const startTime = Date.now();
+
+      try {
+        if (signal?.aborted) throw cancelled(stepId);
+
+        // Commands and gates enforce the timeout by killing the process
+        await (timeout && type !== STEP_TYPES.COMMAND && type !== STEP_TYPES.GATE
+          ? withTimeout(
+            attemptSignal => this.executeStep(step, type, context, stepResult, timeout, attemptSignal),
+            timeout,
+            `Step "${stepId}" timed out after ${timeout}ms`,
+            signal
+          )
+          : this.executeStep(step, type, context, stepResult, timeout, signal));
+      } catch (err) {
+        if (attempt > retry.count || err.blocked || signal?.aborted) {
+          err.duration = Date.now() - startTime;
+          if (attempt > 1) err.attempts = attempt;
+          throw err;
+        }
+        stepResult.success = false;
+        stepResult.error = err.message;
+      }
+
+      stepResult.duration = Date.now() - startTime;
+      if (attempt > 1) stepResult.attempts = attempt;
+
+      if (stepResult.success || attempt > retry.count || signal?.aborted) {
         return stepResult;
       }
+
+      context.print(`${c.yellow}Step "${stepId}" failed (attempt ${attempt}/${retry.count + 1}), retrying in ${delay}ms...${c.reset}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay = Math.round(delay * retry.backoff);
     }
+  }
 
+  /**
+   * Fan a step out over its matrix; each combination sees its values as
+   * $matrix_<name> and runs in its own copy of the context. Outputs come
+   * back once per combination, suffixed with its values:
+   * `<name>_<value>_<value>` (e.g. $test_coverage_api_20)
+   */
+  async runMatrix(step, context, signal = null) {
+    const stepId = step.id || step.name;
+    const combinations = expandMatrix(step.matrix);
     const startTime = Date.now();
 
-    switch (step.type) {
-      case STEP_TYPES.COMMAND:
-      case undefined: {
-        const result = await executeCommand(step.run || step.command, {
-          timeout: step.timeout,
-          stream: step.stream
-        });
-        stepResult.exitCode = result.exitCode;
-        stepResult.success = result.exitCode === 0;
-        stepResult.stdout = result.stdout;
-        stepResult.stderr = result.stderr;
-        context.setResult(stepId, result);
+    const results = await runWithConcurrency(combinations, step.concurrency || combinations.length, async combination => {
+      const variables = Object.fromEntries(
+        Object.entries(combination).map(([name, value]) => [outputVariable('matrix', name), value])
+      );
+
+      try {
+        const result = await this.runStep({ ...step, matrix: undefined }, context.fork(variables), signal);
+        return { ...result, matrix: combination };
+      } catch (err) {
+        return { ...failedStep(stepId, err), matrix: combination };
+      }
+    });
+
+    const outputs = {};
+    for (const result of results) {
+      const suffix = Object.values(result.matrix).join('_');
+      for (const [name, value] of Object.entries(result.outputs || {})) {
+        outputs[`${name}_${suffix}`] = value;
+      }
+    }
+    context.setOutputs(stepId, outputs);
+
+    return {
+      id: stepId,
+      type: step.type || (step.uses ? STEP_TYPES.WORKFLOW : STEP_TYPES.COMMAND),
+      success: results.every(r => r.success),
+      skipped: results.every(r => r.skipped),
+      matrixResults: results,
+      outputs,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Execute a step's body once, filling in stepResult
+   * @param {AbortSignal} [signal] - Kills commands and stops child steps
+   */
+  async executeStep(step, type, context, stepResult, timeout, signal = null) {
+    const stepId = step.id || step.name;
+
+    switch (type) {
+      case STEP_TYPES.COMMAND: {
+        // Steps publish outputs by appending name=value lines to $FLOW_OUTPUT
+        const outputFile = path.join(os.tmpdir(), `flow-output-${crypto.randomBytes(6).toString('hex')}`);
+
+        try {
+          const result = await executeCommand(step.run || step.command, {
+            timeout,
+            stream: step.stream,
+            output: context.output,
+            env: { ...context.commandEnv(), FLOW_OUTPUT: outputFile },
+            signal
+          });
+          stepResult.exitCode = result.exitCode;
+          stepResult.success = result.exitCode === 0;
+          stepResult.stdout = result.stdout;
+          stepResult.stderr = result.stderr;
+          if (signal?.aborted) {
+            stepResult.error = 'Cancelled';
+          } else if (result.signal) {
+            stepResult.timedOut = true;
+            stepResult.error = `Timed out after ${timeout || DEFAULT_COMMAND_TIMEOUT}ms`;
+          }
+          context.setResult(stepId, result);
+
+          if (fs.existsSync(outputFile)) {
+            stepResult.outputs = parseStepOutputs(fs.readFileSync(outputFile, 'utf-8'));
+            context.setOutputs(stepId, stepResult.outputs);
+          }
+        } finally {
+          fs.rmSync(outputFile, { force: true });
+        }
+        break;
+      }
+
+      case STEP_TYPES.WORKFLOW: {
+        if (context.callStack.includes(step.uses)) {
+          throw new Error(`Workflow cycle: ${[...context.callStack, step.uses].join(' -> ')}`);
+        }
+        if (context.callStack.length >= MAX_WORKFLOW_DEPTH) {
+          throw new Error(`Workflows nested deeper than ${MAX_WORKFLOW_DEPTH}: ${context.callStack.join(' -> ')}`);
+        }
+
+        const workflow = loadWorkflow(step.uses);
+        const childContext = workflow.createContext(interpolate(step.with || {}, context.variables), context.callStack);
+        childContext.output = context.output;
+        const results = await workflow.run(childContext, { signal });
+
+        stepResult.success = results.success;
+        stepResult.workflow = step.uses;
+        stepResult.steps = results.steps;
+        stepResult.outputs = workflow.resolveOutputs(childContext);
+        context.setOutputs(stepId, stepResult.outputs);
         break;
       }
 
       case STEP_TYPES.GATE: {
-        const result = await executeCommand(step.check, { timeout: step.timeout });
+        const result = await executeCommand(step.check, { timeout, signal });
         stepResult.success = result.exitCode === 0;
         stepResult.exitCode = result.exitCode;
 
         if (!stepResult.success && step.onFail) {
-          console.log(`${c.yellow}Gate failed, running recovery...${c.reset}`);
-          await executeCommand(step.onFail);
+          context.print(`${c.yellow}Gate failed, running recovery...${c.reset}`);
+          await executeCommand(step.onFail, { signal });
         }
         break;
       }
@@ -626,6 +1279,7 @@ class Workflow {
         let iterations = 0;
 
         while (iterations < maxIter) {
+          if (signal?.aborted) throw cancelled(stepId);
           context.iteration = iterations;
 
           // Check exit condition
@@ -635,7 +1289,7 @@ class Workflow {
 
           // Run loop body
           for (const innerStep of step.steps || []) {
-            await this.runStep(innerStep, context);
+            await this.runStep(innerStep, context, signal);
           }
 
           iterations++;
@@ -652,8 +1306,12 @@ class Workflow {
       }
 
       case STEP_TYPES.PARALLEL: {
-        const promises = (step.steps || []).map(s => this.runStep(s, context));
-        const results = await Promise.all(promises);
+        // `parallel: [...]` is shorthand for `type: parallel` with `steps`
+        const steps = Array.isArray(step.parallel) ? step.parallel : step.steps || [];
+        const limit = step.concurrency || steps.length;
+        const results = await runWithConcurrency(steps, limit, (s, index) =>
+          this.runStep(s, context, signal).catch(err => failedStep(getStepId(s, index), err))
+        );
         stepResult.parallelResults = results;
         stepResult.success = results.every(r => r.success);
         break;
@@ -666,7 +1324,7 @@ class Workflow {
         for (const branch of branches) {
           if (evaluateCondition(branch.when, context.variables)) {
             for (const innerStep of branch.steps || []) {
-              await this.runStep(innerStep, context);
+              await this.runStep(innerStep, context, signal);
             }
             executed = true;
             break;
@@ -675,7 +1333,7 @@ class Workflow {
 
         if (!executed && step.else) {
           for (const innerStep of step.else || []) {
-            await this.runStep(innerStep, context);
+            await this.runStep(innerStep, context, signal);
           }
         }
 
@@ -687,9 +1345,6 @@ class Workflow {
         stepResult.error = `Unknown step type: ${step.type}`;
         stepResult.success = false;
     }
-
-    stepResult.duration = Date.now() - startTime;
-    return stepResult;
   }
 }
 
@@ -697,23 +1352,32 @@ class Workflow {
  * Load workflow from file
  */
 function loadWorkflow(name) {
+  validatePathWithinProject(name, WORKFLOWS_DIR);
+
   const yamlPath = path.join(WORKFLOWS_DIR, `${name}.yaml`);
   const ymlPath = path.join(WORKFLOWS_DIR, `${name}.yml`);
   const jsonPath = path.join(WORKFLOWS_DIR, `${name}.json`);
 
   let definition = null;
 
-  if (fs.existsSync(yamlPath)) {
-    definition = parseYaml(fs.readFileSync(yamlPath, 'utf-8'));
-  } else if (fs.existsSync(ymlPath)) {
-    definition = parseYaml(fs.readFileSync(ymlPath, 'utf-8'));
+  if (fs.existsSync(yamlPath) || fs.existsSync(ymlPath)) {
+    const file = fs.existsSync(yamlPath) ? yamlPath : ymlPath;
+    try {
+      definition = parseYaml(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      // Remember the file so messages read "<file>:<line>:<column>: <reason>"
+      if (err instanceof YamlError) err.file = path.relative(PROJECT_ROOT, file);
+      throw err;
+    }
   } else if (fs.existsSync(jsonPath)) {
     definition = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
   } else {
     throw new Error(`Workflow not found: ${name}`);
   }
 
-  return new Workflow(definition);
+  const workflow = new Workflow(definition || {});
+  workflow.source = name;
+  return workflow;
 }
 
 /**
@@ -735,7 +1399,8 @@ function listWorkflows() {
         workflows.push({
           name,
           description: workflow.description,
-          steps: workflow.steps.length
+          steps: workflow.steps.length,
+          on: Object.keys(workflow.on)
         });
       } catch {
         workflows.push({ name, error: 'Failed to parse' });
@@ -768,21 +1433,27 @@ function createWorkflowTemplate(name) {
     },
     onError: 'abort',
     maxIterations: 10,
+    concurrency: DEFAULT_CONCURRENCY,
     steps: [
       {
         id: 'lint',
         name: 'Run linting',
+        needs: [],
         run: lintCmd
       },
       {
         id: 'test',
         name: 'Run tests',
+        needs: [],
         run: testCmd,
-        when: '$environment == "development"'
+        when: '$environment == "development"',
+        retry: 1,
+        timeout: '10m'
       },
       {
         id: 'build',
         name: 'Build project',
+        needs: ['lint', 'test'],
         run: buildCmd
       },
       {
@@ -801,10 +1472,7 @@ function createWorkflowTemplate(name) {
     ]
   };
 
-  const yamlContent = `# ${name} Workflow
-# Auto-generated template
-
-${toYaml(template)}`;
+  const yamlContent = stringifyYaml(template, { header: [`${name} Workflow`, 'Auto-generated template'] });
 
   const filePath = path.join(WORKFLOWS_DIR, `${name}.yaml`);
   fs.writeFileSync(filePath, yamlContent);
@@ -812,6 +1480,102 @@ ${toYaml(template)}`;
   return filePath;
 }
 
+/**
+ * Steps nested in a loop, parallel group or conditional
+ */
+function getNestedSteps(step) {
+  return [
+    ...(Array.isArray(step.parallel) ? step.parallel : []),
+    ...(step.steps || []),
+    ...(step.branches || []).flatMap(branch => branch.steps || []),
+    ...(step.else || [])
+  ];
+}
+
+/**
+ * Follow `uses:` from a workflow and return the first chain that loops
+ * back on itself (e.g. ['deploy', 'test', 'deploy']), or null
+ */
+function findWorkflowCycle(name, chain = []) {
+  if (chain.includes(name)) return [...chain, name];
+
+  let workflow;
+  try {
+    workflow = loadWorkflow(name);
+  } catch {
+    return null; // Reported by the step that uses it
+  }
+
+  const collectUses = steps => steps.flatMap(step => [
+    ...(step.uses ? [step.uses] : []),
+    ...collectUses(getNestedSteps(step))
+  ]);
+
+  for (const used of collectUses(workflow.steps)) {
+    const cycle = findWorkflowCycle(used, [...chain, name]);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Check step settings, including steps nested in loops, branches and groups
+ */
+function validateSteps(steps, errors, warnings) {
+  for (const [index, step] of steps.entries()) {
+    const stepId = getStepId(step, index);
+
+    if (step.type === 'loop' && !step.until && !step.while && !step.maxIterations) {
+      warnings.push(`Loop step "${stepId}" has no exit condition`);
+    }
+
+    try {
+      parseDuration(step.timeout);
+    } catch (err) {
+      errors.push(`Step "${stepId}": ${err.message}`);
+    }
+
+    try {
+      normalizeRetry(step.retry);
+    } catch (err) {
+      errors.push(`Step "${stepId}": ${err.message}`);
+    }
+
+    if (step.concurrency !== undefined && !(Number.isInteger(step.concurrency) && step.concurrency > 0)) {
+      errors.push(`Step "${stepId}": concurrency must be a positive integer`);
+    }
+
+    if (step.matrix !== undefined) {
+      try {
+        expandMatrix(step.matrix);
+      } catch (err) {
+        errors.push(`Step "${stepId}": ${err.message}`);
+      }
+    }
+
+    if (step.uses) {
+      try {
+        const target = loadWorkflow(step.uses);
+        for (const problem of target.resolveInputs(step.with || {}).problems) {
+          errors.push(`Step "${stepId}": ${problem} of workflow "${step.uses}"`);
+        }
+      } catch (err) {
+        errors.push(`Step "${stepId}": ${err.message}`);
+      }
+    } else if (step.with) {
+      warnings.push(`Step "${stepId}": with has no effect without uses`);
+    }
+
+    const nested = getNestedSteps(step);
+    for (const inner of nested) {
+      if (inner.needs !== undefined) {
+        warnings.push(`Step "${getStepId(inner, 0)}" in "${stepId}": needs only applies to top-level steps`);
+      }
+    }
+    validateSteps(nested, errors, warnings);
+  }
+}
+
 /**
  * Validate workflow
  */
@@ -830,17 +1594,39 @@ function validateWorkflow(name) {
       errors.push('Workflow has no steps');
     }
 
+    if (!(Number.isInteger(workflow.concurrency) && workflow.concurrency > 0)) {
+      errors.push('concurrency must be a positive integer');
+    }
+
     for (const step of workflow.steps || []) {
       if (!step.id && !step.name) {
         errors.push(`Step missing id/name: ${JSON.stringify(step).slice(0, 50)}`);
       }
+    }
 
-      if (step.type === 'loop' && !step.until && !step.while && !step.maxIterations) {
-        warnings.push(`Loop step "${step.id || step.name}" has no exit condition`);
+    for (const input of Object.keys(workflow.inputs)) {
+      if (!/^\w+$/.test(input)) {
+        errors.push(`Input "${input}" may only contain letters, digits and underscores`);
       }
     }
+
+    if (typeof workflow.outputs !== 'object' || Array.isArray(workflow.outputs)) {
+      errors.push('outputs must map names to values');
+    }
+
+    validateTriggers(workflow.on, errors);
+
+    errors.push(...resolveStepGraph(workflow.steps || []).errors);
+    validateSteps(workflow.steps || [], errors, warnings);
+
+    const cycle = findWorkflowCycle(name);
+    if (cycle) {
+      errors.push(`Workflow cycle: ${cycle.join(' -> ')}`);
+    }
   } catch (err) {
-    errors.push(`Parse error: ${err.message}`);
+    errors.push(err instanceof YamlError
+      ? `Parse error: ${formatYamlError(err, err.file)}`
+      : `Parse error: ${err.message}`);
   }
 
   return { valid: errors.length === 0, errors, warnings };
@@ -857,6 +1643,12 @@ module.exports = {
   validateWorkflow,
   executeCommand,
   evaluateCondition,
+  resolveStepGraph,
+  parseDuration,
+  expandMatrix,
+  // Triggers
+  TRIGGER_EVENTS,
+  matchesTrigger,
   // Security utilities
   validateCommand,
   DANGEROUS_PATTERNS,
@@ -871,6 +1663,28 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const command = args[0];
 
+  function printStepResult(step, indent = '') {
+    const icon = step.skipped ? `${c.dim}○` :
+                 step.success ? `${c.green}✓` : `${c.red}✗`;
+    const status = step.skipped ? 'skipped' :
+                  step.success ? 'passed' : 'failed';
+    const label = step.matrix
+      ? Object.entries(step.matrix).map(([key, value]) => `${key}=${value}`).join(', ')
+      : step.id;
+    const attempts = step.attempts ? `, ${step.attempts} attempts` : '';
+    console.log(`${indent}${icon}${c.reset} ${label} ${c.dim}(${status}, ${step.duration ?? 0}ms${attempts})${c.reset}`);
+
+    const detail = step.error || (step.skipped && step.skipReason !== 'Condition not met' ? step.skipReason : null);
+    if (detail) {
+      console.log(`${indent}  ${c.dim}${detail}${c.reset}`);
+    }
+
+    // Matrix combinations and steps of a used workflow
+    for (const inner of step.matrixResults || step.steps || []) {
+      printStepResult(inner, `${indent}  `);
+    }
+  }
+
   async function main() {
     switch (command) {
       case 'list': {
@@ -905,19 +1719,32 @@ if (require.main === module) {
           process.exit(1);
         }
 
+        // --with key=value (repeatable) sets workflow inputs
+        const inputs = {};
+        for (let i = 2; i < args.length; i++) {
+          const pair = args[i] === '--with' ? args[++i] : args[i].startsWith('--with=') ? args[i].slice(7) : null;
+          const match = pair && pair.match(/^(\w+)=(.*)$/);
+          if (!match) {
+            console.error(`${c.red}Error: Expected --with <input>=<value>, got "${pair ?? args[i]}"${c.reset}`);
+            process.exit(1);
+          }
+          // Values read as YAML (count=3, tags=[a, b]); anything else stays a string
+          try {
+            inputs[match[1]] = match[2] === '' ? '' : parseYaml(match[2]);
+          } catch {
+            inputs[match[1]] = match[2];
+          }
+        }
+
         console.log(`${c.cyan}Running workflow: ${name}${c.reset}\n`);
 
         try {
           const workflow = loadWorkflow(name);
-          const results = await workflow.run();
+          const results = await workflow.run(workflow.createContext(inputs));
 
           console.log('');
           for (const step of results.steps) {
-            const icon = step.skipped ? `${c.dim}○` :
-                         step.success ? `${c.green}✓` : `${c.red}✗`;
-            const status = step.skipped ? 'skipped' :
-                          step.success ? 'passed' : 'failed';
-            console.log(`${icon}${c.reset} ${step.id} ${c.dim}(${status}, ${step.duration}ms)${c.reset}`);
+            printStepResult(step);
           }
 
           console.log('');
@@ -974,6 +1801,91 @@ if (require.main === module) {
         process.exit(result.valid ? 0 : 1);
       }
 
+      case 'triggers': {
+        const { listTriggers } = require('./flow-workflow-triggers');
+        const triggered = listTriggers();
+
+        if (triggered.length === 0) {
+          console.log(`${c.dim}No workflows have an on: section.${c.reset}`);
+          console.log(`${c.dim}Events: ${Object.keys(TRIGGER_EVENTS).join(', ')}${c.reset}`);
+          return;
+        }
+
+        console.log(`\n${c.cyan}${c.bold}Workflow Triggers${c.reset}\n`);
+
+        for (const { name, events } of triggered) {
+          console.log(`${c.bold}${name}${c.reset}`);
+          for (const [event, filters] of Object.entries(events)) {
+            const detail = Object.entries(filters)
+              .map(([filter, patterns]) => `${filter}: ${[].concat(patterns).join(', ')}`)
+              .join('; ');
+            console.log(`  ${event}${detail ? ` ${c.dim}(${detail})${c.reset}` : ''}`);
+          }
+        }
+        break;
+      }
+
+      case 'trigger': {
+        const event = args[1];
+        if (!(event in TRIGGER_EVENTS)) {
+          console.error(`${c.red}Error: Event required, one of: ${Object.keys(TRIGGER_EVENTS).join(', ')}${c.reset}`);
+          process.exit(1);
+        }
+
+        // --task/--title/--gate/--checkpoint/--message/--file <value> build the payload
+        const payload = {};
+        for (let i = 2; i < args.length; i++) {
+          const match = args[i].match(/^--(task|title|gate|checkpoint|message|file)(?:=(.*))?$/);
+          if (!match) {
+            console.error(`${c.red}Error: Unknown option "${args[i]}"${c.reset}`);
+            process.exit(1);
+          }
+          payload[match[1]] = match[2] !== undefined ? match[2] : args[++i];
+        }
+
+        const { fireTrigger, toProjectPath } = require('./flow-workflow-triggers');
+        if (payload.file) {
+          payload.file = toProjectPath(payload.file);
+        }
+
+        const results = await fireTrigger(event, payload);
+        if (results.length === 0 && !process.env.FLOW_WORKFLOW_TRIGGER) {
+          console.log(`${c.dim}No workflows triggered by ${event}.${c.reset}`);
+        }
+        break;
+      }
+
+      case 'history': {
+        let name = null;
+        let limit = 20;
+        for (let i = 1; i < args.length; i++) {
+          if (args[i] === '--limit') {
+            limit = parseInt(args[++i], 10) || limit;
+          } else {
+            name = args[i];
+          }
+        }
+
+        const { getTriggerHistory } = require('./flow-workflow-triggers');
+        const runs = getTriggerHistory({ workflow: name, limit });
+
+        if (runs.length === 0) {
+          console.log(`${c.dim}No triggered workflow runs recorded.${c.reset}`);
+          return;
+        }
+
+        console.log(`\n${c.cyan}${c.bold}Triggered Workflow Runs${c.reset}\n`);
+
+        for (const run of runs) {
+          const icon = run.status === 'completed' ? `${c.green}✓` :
+                       run.status === 'running' ? `${c.yellow}…` : `${c.red}✗`;
+          const duration = run.durationMs != null ? `, ${run.durationMs}ms` : '';
+          console.log(`${icon}${c.reset} ${run.workflow} ${c.dim}(${run.trigger || 'manual'}, ${run.startedAt}${duration})${c.reset}`);
+          console.log(`  ${c.dim}flow inspect ${run.id}${c.reset}`);
+        }
+        break;
+      }
+
       default: {
         console.log(`
 ${c.cyan}Wogi Flow - Declarative Workflow Engine${c.reset}
@@ -981,23 +1893,55 @@ ${c.cyan}Wogi Flow - Declarative Workflow Engine${c.reset}
 ${c.bold}Usage:${c.reset}
   flow workflow list                    List available workflows
   flow workflow run <name>              Run a workflow
+    --with <input>=<value>              Set a workflow input (repeatable)
   flow workflow create <name>           Create workflow template
   flow workflow validate <name>         Validate workflow syntax
+  flow workflow triggers                List workflows bound to events
+  flow workflow trigger <event>         Fire an event by hand
+    --task/--gate/--file <value>        Event details matched by the filters
+  flow workflow history [name]          Recent triggered runs (--limit N)
 
 ${c.bold}Workflow YAML Format:${c.reset}
   name: my-workflow
   description: Description here
   onError: abort   # abort | continue
   maxIterations: 10
+  concurrency: 4   # Steps running at once
 
   steps:
     - id: lint
+      needs: []              # Start right away (default: after the step above)
       run: <lint-command>    # Auto-detected: npm/yarn/pnpm/cargo/go/ruff
 
     - id: conditional-test
+      needs: []
       when: \$environment == "dev"
+      retry: 2               # Or { count: 2, delay: 5s, backoff: 2 }
+      timeout: 10m
       run: <test-command>    # Auto-detected based on project type
 
+    - id: version
+      needs: [lint, conditional-test]
+      run: echo "tag=v1" >> \$FLOW_OUTPUT   # Later steps read \$version_tag
+
+    - id: checks
+      concurrency: 2
+      parallel:
+        - run: <typecheck-command>
+        - run: <audit-command>
+
+    - id: test-matrix
+      matrix: { node: [18, 20, 22] }   # \$matrix_node in each combination
+      uses: test-package               # Another workflow in .workflow/workflows/
+      with: { node: \$matrix_node }
+
+${c.bold}Reusable Workflows:${c.reset}
+  inputs:                    # Set by callers with with:, or --with on the CLI
+    node: { required: true }
+    package: core            # Bare value = default
+  outputs:
+    coverage: \$unit_coverage   # Exposed to the caller as \$<step>_coverage
+
     - id: retry-loop
       type: loop
       maxIterations: 3
@@ -1005,6 +1949,13 @@ ${c.bold}Workflow YAML Format:${c.reset}
       steps:
         - run: <build-command>
 
+${c.bold}Triggers:${c.reset}
+  on:
+    task-done: { tasks: ["wf-*"] }       # \$event_task, \$event_title
+    gate-failed: { gates: [lint] }       # \$event_gate
+    file-changed: { paths: ["src/**", "!src/legacy/**"] }   # \$event_file
+    checkpoint-created: {}               # Also: task-started
+
 ${c.bold}Language Support:${c.reset}
   Node.js   npm/yarn/pnpm/bun (auto-detected from lock file)
   Python    pip/poetry/pipenv (pytest, ruff)
@@ -1017,6 +1968,7 @@ ${c.bold}Step Types:${c.reset}
   loop        Bounded iteration
   parallel    Run steps in parallel
   conditional Branch based on conditions
+  workflow    Run another workflow (inferred from uses:)
         `);
       }
     }
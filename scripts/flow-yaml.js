@@ -0,0 +1,1486 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - YAML
+ *
+ * YAML 1.2 parser and emitter shared by workflows, links and damage-control
+ * patterns. Use it through flow-utils.js:
+ *
+ *   const { parseYaml, stringifyYaml, parseYamlDocument } = require('./flow-utils');
+ *
+ * Supported: block and flow collections, plain / single / double quoted and
+ * block (| and >) scalars with chomping and indentation indicators, anchors,
+ * aliases and << merge keys, tags, directives, multiple documents and the
+ * core schema (null, booleans, integers including 0o/0x, floats, .inf, .nan).
+ *
+ * parseYaml() returns plain values. parseYamlDocument() keeps comments, blank
+ * lines, scalar styles and anchors, so a file can be edited and written back
+ * without losing them:
+ *
+ *   const doc = parseYamlDocument(fs.readFileSync(file, 'utf-8'));
+ *   const links = doc.toJS();
+ *   links.docs.api = 'https://example.com/api';
+ *   doc.setValue(links);
+ *   fs.writeFileSync(file, doc.toString());
+ *
+ * Errors are YamlError instances with 1-based line and column.
+ */
+
+// ============================================================
+// Errors
+// ============================================================
+
+class YamlError extends Error {
+  constructor(reason, line, column) {
+    super(`${reason} (line ${line}, column ${column})`);
+    this.name = 'YamlError';
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Format a parse error as file:line:column: reason
+ */
+function formatYamlError(err, file) {
+  if (!(err instanceof YamlError)) return file ? `${file}: ${err.message}` : err.message;
+  return `${file ? `${file}:` : ''}${err.line}:${err.column}: ${err.reason}`;
+}
+
+// ============================================================
+// Scalars (core schema)
+// ============================================================
+
+/**
+ * Resolve an untagged plain scalar
+ */
+function resolvePlain(text) {
+  if (/^(?:|~|null|Null|NULL)$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?[0-9]+$/.test(text)) return parseInt(text, 10);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) return parseFloat(text);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+  return text;
+}
+
+/**
+ * Apply an explicit tag to a scalar's text
+ */
+function resolveTagged(tag, text, value) {
+  switch (tag) {
+    case '!!str':
+    case '!':
+      return text;
+    case '!!null':
+      return null;
+    case '!!bool':
+      return /^(?:true|True|TRUE)$/.test(text);
+    case '!!int':
+    case '!!float': {
+      const resolved = resolvePlain(text);
+      return typeof resolved === 'number' ? resolved : Number(text);
+    }
+    default:
+      return value;
+  }
+}
+
+const ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r',
+  e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+const HEX_ESCAPES = { x: 2, u: 4, U: 8 };
+
+// ============================================================
+// Parser
+// ============================================================
+
+const FLOW_INDICATORS = ',[]{}';
+
+function isBlank(ch) {
+  return ch === ' ' || ch === '\t';
+}
+
+function isBreakOrEnd(ch) {
+  return ch === undefined || ch === '\n';
+}
+
+function isSpaceOrEnd(ch) {
+  return ch === undefined || ch === ' ' || ch === '\t' || ch === '\n';
+}
+
+class Parser {
+  constructor(text) {
+    this.src = String(text).replace(/^\ufeff/, '').replace(/\r\n?/g, '\n');
+    this.pos = 0;
+    this.pending = [];
+    this.anchors = new Map();
+    this.lineStarts = [0];
+    for (let i = 0; i < this.src.length; i++) {
+      if (this.src[i] === '\n') this.lineStarts.push(i + 1);
+    }
+  }
+
+  // ---------- positions and errors ----------
+
+  get ch() {
+    return this.src[this.pos];
+  }
+
+  peek(offset = 1) {
+    return this.src[this.pos + offset];
+  }
+
+  location(pos = this.pos) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= pos) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: pos - this.lineStarts[low] + 1 };
+  }
+
+  column(pos = this.pos) {
+    return this.location(pos).column - 1;
+  }
+
+  error(reason, pos = this.pos) {
+    const { line, column } = this.location(pos);
+    throw new YamlError(reason, line, column);
+  }
+
+  isDocumentMarker(pos = this.pos) {
+    const marker = this.src.slice(pos, pos + 3);
+    return (marker === '---' || marker === '...') &&
+      this.column(pos) === 0 &&
+      isSpaceOrEnd(this.src[pos + 3]);
+  }
+
+  // ---------- whitespace, comments, line ends ----------
+
+  skipInlineSpaces() {
+    while (isBlank(this.ch)) this.pos++;
+  }
+
+  /**
+   * Consume the rest of a line: spaces and an optional comment
+   * @returns {string|undefined} The comment with the spaces before its '#'
+   */
+  consumeLineEnd() {
+    this.skipInlineSpaces();
+    let comment;
+
+    if (this.ch === '#') {
+      let start = this.pos;
+      while (isBlank(this.src[start - 1])) start--;
+      if (start === this.pos && this.column() !== 0) {
+        this.error('Comments must be separated from content by whitespace');
+      }
+      const end = this.src.indexOf('\n', this.pos);
+      comment = this.src.slice(start, end === -1 ? undefined : end).trimEnd();
+      this.pos = end === -1 ? this.src.length : end;
+    }
+
+    if (this.ch === '\n') {
+      this.pos++;
+    } else if (this.ch !== undefined) {
+      this.error(`Unexpected "${this.ch}"`);
+    }
+    return comment;
+  }
+
+  /**
+   * Skip blank and comment lines, remembering them for the next entry,
+   * and stop at the first content character
+   * @returns {number} Column of that character, or -1 at the end of input
+   */
+  skipBlankLines() {
+    while (this.pos < this.src.length) {
+      const lineStart = this.pos;
+      while (this.ch === ' ') this.pos++;
+
+      if (this.ch === '\t') {
+        while (isBlank(this.ch)) this.pos++;
+        if (!isBreakOrEnd(this.ch) && this.ch !== '#') {
+          this.error('Tabs are not allowed for indentation');
+        }
+      }
+
+      if (this.ch === '#') {
+        const end = this.src.indexOf('\n', this.pos);
+        this.pending.push(this.src.slice(this.pos, end === -1 ? undefined : end).trimEnd());
+        this.pos = end === -1 ? this.src.length : end + 1;
+      } else if (this.ch === '\n') {
+        if (this.pending.length > 0 || lineStart > 0) {
+          if (this.pending[this.pending.length - 1] !== '') this.pending.push('');
+        }
+        this.pos++;
+      } else if (this.ch === undefined) {
+        break;
+      } else {
+        return this.column();
+      }
+    }
+    return -1;
+  }
+
+  takePending() {
+    const comments = this.pending;
+    this.pending = [];
+    return comments;
+  }
+
+  /**
+   * Skip whitespace, line breaks and comments inside flow collections
+   */
+  skipFlowSpace() {
+    while (this.pos < this.src.length) {
+      if (isBlank(this.ch) || this.ch === '\n') {
+        this.pos++;
+      } else if (this.ch === '#' && (this.pos === 0 || isSpaceOrEnd(this.src[this.pos - 1]))) {
+        const end = this.src.indexOf('\n', this.pos);
+        this.pos = end === -1 ? this.src.length : end;
+      } else {
+        break;
+      }
+    }
+  }
+
+  // ---------- stream and documents ----------
+
+  parseStream() {
+    const documents = [];
+
+    while (true) {
+      let column = this.skipBlankLines();
+      let explicitStart = false;
+
+      // Directives (%YAML, %TAG) are accepted and ignored
+      while (column === 0 && this.ch === '%') {
+        const end = this.src.indexOf('\n', this.pos);
+        this.pos = end === -1 ? this.src.length : end + 1;
+        column = this.skipBlankLines();
+      }
+
+      if (column === -1) {
+        if (documents.length === 0 || this.pending.some(line => line !== '')) {
+          documents.push({ contents: null, commentBefore: [], commentAfter: this.takePending(), explicitStart: false });
+        }
+        break;
+      }
+
+      const commentBefore = [];
+      if (this.src.startsWith('---', this.pos) && this.isDocumentMarker()) {
+        commentBefore.push(...this.takePending());
+        explicitStart = true;
+        this.pos += 3;
+      }
+
+      this.anchors = new Map();
+      let contents;
+
+      if (explicitStart) {
+        ({ node: contents } = this.parseBlockValue(-1, { compact: true, allowSameIndentSequence: true }));
+      } else {
+        contents = this.parseNodeAtColumn(column, -1);
+        if (this.pos > 0 && this.src[this.pos - 1] !== '\n') this.consumeLineEnd();
+      }
+
+      column = this.skipBlankLines();
+      const doc = { contents, commentBefore, commentAfter: [], explicitStart };
+
+      if (column === 0 && this.src.startsWith('...', this.pos) && this.isDocumentMarker()) {
+        this.pos += 3;
+        this.consumeLineEnd();
+        doc.commentAfter = this.takePending();
+      } else if (column !== -1 && !(column === 0 && this.src.startsWith('---', this.pos) && this.isDocumentMarker())) {
+        this.error(column > 0 ? 'Bad indentation' : 'Unexpected content after the end of the document');
+      } else if (column === -1) {
+        doc.commentAfter = this.takePending();
+      }
+
+      documents.push(doc);
+      if (column === -1) break;
+    }
+
+    return documents;
+  }
+
+  // ---------- block nodes ----------
+
+  /**
+   * Parse anchor and tag properties
+   */
+  parseProperties(inFlow = false) {
+    const props = {};
+
+    while (this.ch === '&' || this.ch === '!') {
+      const start = this.pos;
+      if (this.ch === '&') {
+        if (props.anchor) this.error('A node can only have one anchor');
+        this.pos++;
+        props.anchor = this.readName(inFlow);
+        if (!props.anchor) this.error('Anchor name expected', start);
+      } else {
+        if (props.tag) this.error('A node can only have one tag');
+        if (this.peek() === '<') {
+          const end = this.src.indexOf('>', this.pos);
+          if (end === -1) this.error('Unterminated verbatim tag');
+          props.tag = this.src.slice(this.pos, end + 1);
+          this.pos = end + 1;
+        } else {
+          this.pos++;
+          props.tag = '!' + this.readName(inFlow);
+        }
+      }
+      if (!isSpaceOrEnd(this.ch) && !(inFlow && FLOW_INDICATORS.includes(this.ch))) {
+        this.error('Properties must be followed by whitespace');
+      }
+      this.skipInlineSpaces();
+    }
+
+    return props.anchor || props.tag ? props : null;
+  }
+
+  readName(inFlow) {
+    const start = this.pos;
+    while (!isSpaceOrEnd(this.ch) && !(inFlow && FLOW_INDICATORS.includes(this.ch))) this.pos++;
+    return this.src.slice(start, this.pos);
+  }
+
+  applyProperties(node, props, pos) {
+    if (!props) return node;
+    if (node.type === 'alias') this.error('An alias cannot have properties', pos);
+
+    if (props.tag) {
+      node.tag = props.tag;
+      if (node.type === 'scalar' && node.style !== 'alias') {
+        node.value = resolveTagged(props.tag, node.text ?? '', node.value);
+      }
+    }
+    if (props.anchor) {
+      node.anchor = props.anchor;
+      this.anchors.set(props.anchor, node);
+    }
+    return node;
+  }
+
+  /**
+   * Parse the node that follows an indicator ("key:", "- ", "? ", "---")
+   * on the same line or on the lines below it
+   *
+   * @param {number} parentIndent - Indentation of the enclosing collection
+   * @param {Object} options
+   * @param {boolean} options.compact - Collections may start on this line ("- key: value")
+   * @param {boolean} options.allowSameIndentSequence - "key:\n- item" at the key's indentation
+   * @returns {{ node: Object, comment: string|undefined }}
+   */
+  parseBlockValue(parentIndent, { compact = false, allowSameIndentSequence = false } = {}) {
+    this.skipInlineSpaces();
+    const propsPos = this.pos;
+    const props = this.parseProperties();
+    let node;
+    let comment;
+
+    if (this.ch === '#' || isBreakOrEnd(this.ch)) {
+      comment = this.consumeLineEnd();
+      const column = this.skipBlankLines();
+      const atMarker = column === 0 && this.isDocumentMarker();
+
+      if (column > parentIndent && !atMarker) {
+        node = this.parseNodeAtColumn(column, parentIndent);
+      } else if (allowSameIndentSequence && column === parentIndent && column >= 0 && this.isSequenceEntry()) {
+        node = this.parseBlockSequence(column);
+      } else {
+        node = emptyScalar();
+      }
+    } else if (this.ch === '|' || this.ch === '>') {
+      node = this.parseBlockScalar(parentIndent);
+      comment = node.headerComment;
+      delete node.headerComment;
+    } else if (compact && !props) {
+      node = this.parseNodeAtColumn(this.column(), parentIndent);
+      if (!isCollection(node, false)) comment = this.consumeLineEnd();
+    } else {
+      node = this.parseInlineValue(parentIndent);
+      if (this.ch === ':' && isSpaceOrEnd(this.peek())) {
+        this.error('Nested mappings are not allowed in compact notation');
+      }
+      comment = this.consumeLineEnd();
+    }
+
+    return { node: this.applyProperties(node, props, propsPos), comment };
+  }
+
+  isSequenceEntry(pos = this.pos) {
+    return this.src[pos] === '-' && isSpaceOrEnd(this.src[pos + 1]);
+  }
+
+  /**
+   * Parse a node whose first character sits at `column`
+   */
+  parseNodeAtColumn(column, parentIndent) {
+    if (this.isSequenceEntry()) {
+      return this.parseBlockSequence(column);
+    }
+    if (this.ch === '?' && isSpaceOrEnd(this.peek())) {
+      return this.parseBlockMapping(column);
+    }
+
+    const start = this.pos;
+    const props = this.parseProperties();
+
+    // Properties on a line of their own belong to the node below
+    if (props && (this.ch === '#' || isBreakOrEnd(this.ch))) {
+      this.pos = start;
+      return this.parseBlockValue(parentIndent, { allowSameIndentSequence: false }).node;
+    }
+
+    if (this.ch === '|' || this.ch === '>') {
+      const node = this.parseBlockScalar(parentIndent);
+      delete node.headerComment;
+      return this.applyProperties(node, props, start);
+    }
+
+    if (this.looksLikeImplicitKey()) {
+      this.pos = start;
+      return this.parseBlockMapping(column);
+    }
+
+    return this.applyProperties(this.parseInlineValue(parentIndent), props, start);
+  }
+
+  /**
+   * Whether the rest of this line is "key: ..." (the key may be quoted or
+   * a flow collection, but must fit on one line)
+   */
+  looksLikeImplicitKey() {
+    let i = this.pos;
+    let depth = 0;
+    let tokenStart = true;
+
+    while (i < this.src.length && this.src[i] !== '\n') {
+      const c = this.src[i];
+
+      if ((c === '"' || c === "'") && tokenStart) {
+        i++;
+        while (i < this.src.length && this.src[i] !== '\n') {
+          if (c === '"' && this.src[i] === '\\') {
+            i += 2;
+            continue;
+          }
+          if (this.src[i] === c) {
+            if (c === "'" && this.src[i + 1] === "'") {
+              i += 2;
+              continue;
+            }
+            break;
+          }
+          i++;
+        }
+        if (this.src[i] !== c) return false;
+        i++;
+        tokenStart = false;
+        continue;
+      }
+
+      if (c === '#' && i > this.pos && isBlank(this.src[i - 1])) return false;
+      if (c === '[' || c === '{') depth++;
+      else if (c === ']' || c === '}') depth--;
+      else if (c === ':' && depth <= 0 && isSpaceOrEnd(this.src[i + 1])) return true;
+
+      tokenStart = depth > 0 && (c === '[' || c === '{' || c === ',' || (tokenStart && isBlank(c)));
+      i++;
+    }
+    return false;
+  }
+
+  parseBlockMapping(indent) {
+    const node = { type: 'map', items: [] };
+    const keys = new Set();
+
+    while (true) {
+      const commentBefore = this.takePending();
+      const keyPos = this.pos;
+      let key;
+      let value;
+      let comment;
+
+      if (this.ch === '?' && isSpaceOrEnd(this.peek())) {
+        // Explicit key: "? key" with an optional ": value" below it
+        this.pos++;
+        ({ node: key, comment } = this.parseBlockValue(indent, { compact: true }));
+        const column = this.skipBlankLines();
+        if (column === indent && this.ch === ':' && isSpaceOrEnd(this.peek())) {
+          this.pos++;
+          let valueComment;
+          ({ node: value, comment: valueComment } = this.parseBlockValue(indent, { compact: true, allowSameIndentSequence: true }));
+          comment = comment || valueComment;
+        } else {
+          value = emptyScalar();
+        }
+      } else {
+        const propsPos = this.pos;
+        const props = this.parseProperties();
+        key = this.applyProperties(this.parseInlineValue(indent, { key: true }), props, propsPos);
+        this.skipInlineSpaces();
+        if (this.ch !== ':' || !isSpaceOrEnd(this.peek())) {
+          this.error(this.ch === undefined || this.ch === '\n'
+            ? 'Expected ":" after mapping key'
+            : `Unexpected "${this.ch}" after mapping key`);
+        }
+        this.pos++;
+        ({ node: value, comment } = this.parseBlockValue(indent, { allowSameIndentSequence: true }));
+      }
+
+      this.addMappingKey(keys, key, keyPos);
+      node.items.push({ key, value, commentBefore, comment });
+
+      const column = this.skipBlankLines();
+      if (column < indent || (column === 0 && this.isDocumentMarker())) break;
+      if (column > indent) this.error('Bad indentation of a mapping entry');
+      if (this.isSequenceEntry()) {
+        this.error('Sequence entry where a mapping key was expected');
+      }
+    }
+
+    return node;
+  }
+
+  addMappingKey(keys, key, pos) {
+    if (key.type !== 'scalar') return;
+    const id = keyString(key.value);
+    if (id === '<<' && key.style === 'plain' && !key.tag) return;
+    if (keys.has(id)) this.error(`Duplicate key "${id}"`, pos);
+    keys.add(id);
+  }
+
+  parseBlockSequence(indent) {
+    const node = { type: 'seq', items: [] };
+
+    while (true) {
+      const commentBefore = this.takePending();
+      this.pos++;
+      const { node: value, comment } = this.parseBlockValue(indent, { compact: true });
+      node.items.push({ value, commentBefore, comment });
+
+      const column = this.skipBlankLines();
+      if (column < indent || (column === 0 && this.isDocumentMarker())) break;
+      if (column > indent) this.error('Bad indentation of a sequence entry');
+      if (!this.isSequenceEntry()) break;
+    }
+
+    return node;
+  }
+
+  // ---------- block scalars ----------
+
+  parseBlockScalar(parentIndent) {
+    const start = this.pos;
+    const style = this.ch === '|' ? 'literal' : 'folded';
+    let chomp = 'clip';
+    let indentIndicator = null;
+    this.pos++;
+
+    for (let i = 0; i < 2; i++) {
+      if ((this.ch === '+' || this.ch === '-') && chomp === 'clip') {
+        chomp = this.ch === '+' ? 'keep' : 'strip';
+        this.pos++;
+      } else if (/[1-9]/.test(this.ch || '') && indentIndicator === null) {
+        indentIndicator = Number(this.ch);
+        this.pos++;
+      }
+    }
+    if (!isSpaceOrEnd(this.ch) && this.ch !== '#') {
+      this.error('Invalid block scalar header', start);
+    }
+    const headerComment = this.consumeLineEnd();
+
+    const baseIndent = Math.max(parentIndent, 0);
+    let contentIndent = indentIndicator !== null ? baseIndent + indentIndicator : null;
+
+    // Find the content indentation from the first non-empty line
+    if (contentIndent === null) {
+      let scan = this.pos;
+      let maxEmpty = 0;
+      contentIndent = baseIndent + 1;
+      while (scan < this.src.length) {
+        let spaces = 0;
+        while (this.src[scan + spaces] === ' ') spaces++;
+        const next = this.src[scan + spaces];
+        if (next === '\n') {
+          maxEmpty = Math.max(maxEmpty, spaces);
+          scan += spaces + 1;
+          continue;
+        }
+        if (next !== undefined && spaces > parentIndent) {
+          contentIndent = spaces;
+          if (maxEmpty > spaces) {
+            this.error('Leading empty line is indented more than the block scalar content', scan);
+          }
+        }
+        break;
+      }
+      if (parentIndent < 0 && contentIndent === 1 && this.src[this.pos] !== ' ') contentIndent = 0;
+    }
+
+    const lines = [];
+    while (this.pos < this.src.length) {
+      if (this.column() === 0 && this.isDocumentMarker()) break;
+
+      let spaces = 0;
+      while (this.src[this.pos + spaces] === ' ' && spaces < contentIndent) spaces++;
+      const lineEnd = this.src.indexOf('\n', this.pos);
+      const end = lineEnd === -1 ? this.src.length : lineEnd;
+      const rest = this.src.slice(this.pos + spaces, end);
+
+      if (spaces < contentIndent && rest.trim() !== '') break;
+
+      lines.push(spaces < contentIndent ? '' : rest);
+      this.pos = lineEnd === -1 ? this.src.length : lineEnd + 1;
+    }
+
+    // Trailing empty lines are governed by chomping
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    let body = style === 'literal' ? lines.join('\n') : foldLines(lines);
+    if (lines.length > 0) {
+      if (chomp === 'clip') body += '\n';
+      else if (chomp === 'keep') body += '\n' + '\n'.repeat(trailing);
+    } else if (chomp === 'keep') {
+      body = '\n'.repeat(trailing);
+    }
+
+    return { type: 'scalar', value: body, text: body, style, chomp, headerComment };
+  }
+
+  // ---------- inline values ----------
+
+  /**
+   * Parse a flow collection, quoted or plain scalar, or alias
+   * @param {number} parentIndent - Continuation lines must be indented further
+   * @param {Object} [options]
+   * @param {boolean} [options.key] - Implicit key: single line, ends at ": "
+   * @param {boolean} [options.flow] - Inside a flow collection
+   */
+  parseInlineValue(parentIndent, { key = false, flow = false } = {}) {
+    const ch = this.ch;
+
+    if (ch === '[' || ch === '{') return this.parseFlowCollection();
+    if (ch === '"') return this.parseDoubleQuoted(key);
+    if (ch === "'") return this.parseSingleQuoted(key);
+    if (ch === '*') return this.parseAlias(flow);
+
+    if (ch === '@' || ch === '`') this.error(`"${ch}" is reserved and cannot start a plain scalar`);
+    if (ch === ']' || ch === '}' || ch === ',') this.error(`Unexpected "${ch}"`);
+    if (ch === '|' || ch === '>') {
+      if (flow || key) this.error('Block scalars are not allowed here');
+    }
+    if ((ch === '-' || ch === '?' || ch === ':') && isSpaceOrEnd(this.peek())) {
+      if (ch === '-' && !flow && !key) {
+        this.error('Sequence entries are not allowed in compact notation here');
+      }
+      if (!flow || ch !== ':') this.error(`Unexpected "${ch}"`);
+    }
+    if (ch === '%' && this.column() === 0) this.error('Directives must come before "---"');
+
+    return this.parsePlain(parentIndent, { key, flow });
+  }
+
+  parseAlias(flow) {
+    const start = this.pos;
+    this.pos++;
+    const name = this.readName(flow);
+    if (!name) this.error('Alias name expected', start);
+    const target = this.anchors.get(name);
+    if (!target) this.error(`Unknown alias "*${name}"`, start);
+    return { type: 'alias', name, target };
+  }
+
+  parsePlain(parentIndent, { key, flow }) {
+    const start = this.pos;
+    let value = '';
+    let first = true;
+
+    while (true) {
+      // One line of the scalar
+      const segmentStart = this.pos;
+      while (this.pos < this.src.length) {
+        const c = this.ch;
+        if (c === '\n') break;
+        if (c === ':' && (isSpaceOrEnd(this.peek()) || (flow && FLOW_INDICATORS.includes(this.peek())))) break;
+        if (c === '#' && isBlank(this.src[this.pos - 1])) break;
+        if (flow && FLOW_INDICATORS.includes(c)) break;
+        this.pos++;
+      }
+
+      const segment = this.src.slice(segmentStart, this.pos).replace(/[ \t]+$/, '');
+      if (first) {
+        value = segment;
+      } else if (segment) {
+        value += value.endsWith('\n') || value === '' ? segment : ' ' + segment;
+      }
+      first = false;
+
+      // Rewind over trailing spaces so comments stay detectable
+      const contentEnd = segmentStart + this.src.slice(segmentStart, this.pos).replace(/[ \t]+$/, '').length;
+      if (this.ch !== '\n' || key) {
+        if (this.ch === '#') this.pos = contentEnd;
+        break;
+      }
+
+      // Does the scalar continue on the next line?
+      let scan = this.pos + 1;
+      let breaks = 0;
+      let continues = false;
+      while (scan <= this.src.length) {
+        let spaces = 0;
+        while (isBlank(this.src[scan + spaces])) spaces++;
+        const next = this.src[scan + spaces];
+        if (next === '\n') {
+          breaks++;
+          scan += spaces + 1;
+          continue;
+        }
+        if (next === undefined || next === '#') break;
+        const indentSpaces = this.src.slice(scan, scan + spaces).replace(/\t.*/, '').length;
+        if (!flow && indentSpaces <= parentIndent) break;
+        if (indentSpaces === 0 && this.isDocumentMarker(scan)) break;
+        if (flow || !(next === '-' && isSpaceOrEnd(this.src[scan + spaces + 1]) && indentSpaces <= parentIndent)) {
+          continues = true;
+          value += breaks > 0 ? '\n'.repeat(breaks) : '';
+          this.pos = scan + spaces;
+        }
+        break;
+      }
+
+      if (!continues) {
+        this.pos = contentEnd;
+        break;
+      }
+    }
+
+    if (this.pos === start) this.error('Value expected');
+    return { type: 'scalar', value: resolvePlain(value), text: value, style: 'plain' };
+  }
+
+  parseDoubleQuoted(singleLine) {
+    const start = this.pos;
+    let value = '';
+    let keep = 0;
+    this.pos++;
+
+    while (true) {
+      const c = this.ch;
+      if (c === undefined) this.error('Unterminated double-quoted string', start);
+
+      if (c === '"') {
+        this.pos++;
+        break;
+      }
+
+      if (c === '\\') {
+        const next = this.peek();
+        if (next === '\n') {
+          // Escaped line break: join without a space
+          this.pos += 2;
+          while (isBlank(this.ch)) this.pos++;
+          keep = value.length;
+          continue;
+        }
+        if (next in HEX_ESCAPES) {
+          const digits = this.src.slice(this.pos + 2, this.pos + 2 + HEX_ESCAPES[next]);
+          if (!/^[0-9a-fA-F]+$/.test(digits) || digits.length !== HEX_ESCAPES[next]) {
+            this.error(`Invalid escape sequence "\\${next}${digits}"`);
+          }
+          value += String.fromCodePoint(parseInt(digits, 16));
+          this.pos += 2 + digits.length;
+        } else if (next in ESCAPES) {
+          value += ESCAPES[next];
+          this.pos += 2;
+        } else {
+          this.error(`Invalid escape sequence "\\${next ?? ''}"`);
+        }
+        keep = value.length;
+        continue;
+      }
+
+      if (c === '\n') {
+        if (singleLine) this.error('Implicit keys must be on a single line', start);
+        value = value.slice(0, Math.max(keep, value.replace(/[ \t]+$/, '').length));
+        value += this.foldQuotedBreak();
+        keep = value.length;
+        continue;
+      }
+
+      value += c;
+      this.pos++;
+    }
+
+    return { type: 'scalar', value, text: value, style: 'double' };
+  }
+
+  parseSingleQuoted(singleLine) {
+    const start = this.pos;
+    let value = '';
+    this.pos++;
+
+    while (true) {
+      const c = this.ch;
+      if (c === undefined) this.error('Unterminated single-quoted string', start);
+
+      if (c === "'") {
+        if (this.peek() === "'") {
+          value += "'";
+          this.pos += 2;
+          continue;
+        }
+        this.pos++;
+        break;
+      }
+
+      if (c === '\n') {
+        if (singleLine) this.error('Implicit keys must be on a single line', start);
+        value = value.replace(/[ \t]+$/, '');
+        value += this.foldQuotedBreak();
+        continue;
+      }
+
+      value += c;
+      this.pos++;
+    }
+
+    return { type: 'scalar', value, text: value, style: 'single' };
+  }
+
+  /**
+   * Fold a line break inside a quoted scalar: one break becomes a space,
+   * each further empty line a newline
+   */
+  foldQuotedBreak() {
+    let breaks = 0;
+    this.pos++;
+    while (true) {
+      while (isBlank(this.ch)) this.pos++;
+      if (this.ch === '\n') {
+        breaks++;
+        this.pos++;
+        continue;
+      }
+      break;
+    }
+    if (this.column() === 0 && this.isDocumentMarker()) {
+      this.error('Document marker inside a quoted string');
+    }
+    return breaks > 0 ? '\n'.repeat(breaks) : ' ';
+  }
+
+  // ---------- flow collections ----------
+
+  parseFlowCollection() {
+    const start = this.pos;
+    const isSeq = this.ch === '[';
+    const close = isSeq ? ']' : '}';
+    const node = { type: isSeq ? 'seq' : 'map', flow: true, items: [] };
+    const keys = new Set();
+    this.pos++;
+
+    while (true) {
+      this.skipFlowSpace();
+      if (this.ch === close) {
+        this.pos++;
+        break;
+      }
+      if (this.ch === undefined) {
+        this.error(`Unterminated flow ${isSeq ? 'sequence' : 'mapping'}`, start);
+      }
+      if (this.ch === ',') this.error('Empty entry in flow collection');
+
+      let explicit = false;
+      if (this.ch === '?' && isSpaceOrEnd(this.peek())) {
+        explicit = true;
+        this.pos++;
+        this.skipFlowSpace();
+      }
+
+      const entryPos = this.pos;
+      const first = this.parseFlowNode();
+      const adjacent = first.type !== 'scalar' || first.style !== 'plain';
+      this.skipFlowSpace();
+
+      let pair = null;
+      if (this.ch === ':' && (adjacent || isSpaceOrEnd(this.peek()) || FLOW_INDICATORS.includes(this.peek()))) {
+        this.pos++;
+        this.skipFlowSpace();
+        const value = this.ch === ',' || this.ch === close ? emptyScalar() : this.parseFlowNode();
+        pair = { key: first, value };
+      } else if (!isSeq || explicit) {
+        pair = { key: first, value: emptyScalar() };
+      }
+
+      if (isSeq) {
+        node.items.push({ value: pair ? { type: 'map', flow: true, items: [pair] } : first });
+      } else {
+        this.addMappingKey(keys, pair.key, entryPos);
+        node.items.push(pair);
+      }
+
+      this.skipFlowSpace();
+      if (this.ch === ',') {
+        this.pos++;
+        continue;
+      }
+      if (this.ch === undefined) {
+        this.error(`Unterminated flow ${isSeq ? 'sequence' : 'mapping'}`, start);
+      }
+      if (this.ch !== close) this.error(`Expected "," or "${close}"`);
+    }
+
+    return node;
+  }
+
+  parseFlowNode() {
+    const start = this.pos;
+    const props = this.parseProperties(true);
+    this.skipFlowSpace();
+    if (props && (this.ch === ',' || this.ch === ']' || this.ch === '}' || this.ch === ':')) {
+      return this.applyProperties(emptyScalar(), props, start);
+    }
+    return this.applyProperties(this.parseInlineValue(-1, { flow: true }), props, start);
+  }
+}
+
+/**
+ * Fold the lines of a > block scalar
+ */
+function foldLines(lines) {
+  let out = '';
+  let empties = 0;
+  let started = false;
+  let previousMoreIndented = false;
+
+  for (const line of lines) {
+    if (line === '') {
+      empties++;
+      continue;
+    }
+
+    const moreIndented = isBlank(line[0]);
+    if (!started) {
+      out = '\n'.repeat(empties) + line;
+      started = true;
+    } else if (moreIndented || previousMoreIndented) {
+      out += '\n' + '\n'.repeat(empties) + line;
+    } else {
+      out += empties > 0 ? '\n'.repeat(empties) + line : ' ' + line;
+    }
+    previousMoreIndented = moreIndented;
+    empties = 0;
+  }
+
+  return out;
+}
+
+function emptyScalar() {
+  return { type: 'scalar', value: null, text: '', style: 'plain', empty: true };
+}
+
+function isCollection(node, includeFlow = true) {
+  return !!node && (node.type === 'map' || node.type === 'seq') && (includeFlow || !node.flow);
+}
+
+function keyString(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// ============================================================
+// Nodes to JavaScript
+// ============================================================
+
+function isMergeKey(key) {
+  return key.type === 'scalar' && key.style === 'plain' && !key.tag && key.value === '<<';
+}
+
+function setProperty(obj, key, value) {
+  if (key === '__proto__') {
+    Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+  } else {
+    obj[key] = value;
+  }
+}
+
+function toJS(node, cache = new Map()) {
+  if (!node) return null;
+  if (node.type === 'alias') return toJS(node.target, cache);
+  if (node.type === 'scalar') return node.value;
+  if (cache.has(node)) return cache.get(node);
+
+  if (node.type === 'seq') {
+    const result = [];
+    cache.set(node, result);
+    for (const item of node.items) result.push(toJS(item.value, cache));
+    return result;
+  }
+
+  const result = {};
+  cache.set(node, result);
+  const explicit = new Set();
+
+  for (const { key, value } of node.items) {
+    if (isMergeKey(key)) {
+      const sources = toJS(value, cache);
+      for (const source of Array.isArray(sources) ? sources : [sources]) {
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+          throw new YamlError('Merge key << expects a mapping or a list of mappings', 0, 0);
+        }
+        for (const [k, v] of Object.entries(source)) {
+          if (!explicit.has(k) && !Object.prototype.hasOwnProperty.call(result, k)) setProperty(result, k, v);
+        }
+      }
+      continue;
+    }
+
+    const name = keyString(toJS(key, cache));
+    explicit.add(name);
+    setProperty(result, name, toJS(value, cache));
+  }
+
+  return result;
+}
+
+// ============================================================
+// JavaScript to Nodes
+// ============================================================
+
+function createNode(value) {
+  if (value === undefined || value === null) {
+    return { type: 'scalar', value: null, style: 'plain' };
+  }
+  if (value instanceof Date) {
+    return { type: 'scalar', value: value.toISOString(), style: 'plain' };
+  }
+  if (Array.isArray(value)) {
+    return {
+      type: 'seq',
+      flow: value.length === 0,
+      items: value.map(item => ({ value: createNode(item), commentBefore: [] }))
+    };
+  }
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    return {
+      type: 'map',
+      flow: entries.length === 0,
+      items: entries.map(([key, item]) => ({
+        key: { type: 'scalar', value: key, style: 'plain' },
+        value: createNode(item),
+        commentBefore: []
+      }))
+    };
+  }
+  return { type: 'scalar', value, style: 'plain' };
+}
+
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Rebuild a node tree for a new value, keeping comments, styles and
+ * anchors wherever the old tree still matches
+ */
+function updateNode(node, value) {
+  if (value === undefined) value = null;
+  if (!node) return createNode(value);
+
+  if (node.type === 'alias') {
+    return deepEqual(toJS(node), value) ? node : createNode(value);
+  }
+
+  const isPlainObject = value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+  if (isPlainObject && node.type === 'map') {
+    const merged = {};
+    for (const pair of node.items) {
+      if (isMergeKey(pair.key)) Object.assign(merged, toJS({ type: 'map', items: [pair] }));
+    }
+
+    const items = [];
+    let carried = [];
+    const used = new Set();
+
+    for (const pair of node.items) {
+      if (isMergeKey(pair.key)) {
+        items.push({ ...pair, commentBefore: [...carried, ...(pair.commentBefore || [])] });
+        carried = [];
+        continue;
+      }
+      const name = keyString(toJS(pair.key));
+      if (!Object.prototype.hasOwnProperty.call(value, name) || value[name] === undefined) {
+        // Removed: keep its comments for whatever follows
+        carried.push(...(pair.commentBefore || []));
+        continue;
+      }
+      used.add(name);
+      items.push({
+        ...pair,
+        commentBefore: [...carried, ...(pair.commentBefore || [])],
+        value: updateNode(pair.value, value[name])
+      });
+      carried = [];
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (used.has(name) || item === undefined) continue;
+      if (name in merged && deepEqual(merged[name], item)) continue;
+      items.push({ key: { type: 'scalar', value: name, style: 'plain' }, value: createNode(item), commentBefore: carried });
+      carried = [];
+    }
+
+    return { ...node, items, flow: node.flow && items.length > 0 ? true : items.length === 0 };
+  }
+
+  if (Array.isArray(value) && node.type === 'seq') {
+    const items = value.map((item, i) => node.items[i]
+      ? { ...node.items[i], value: updateNode(node.items[i].value, item) }
+      : { value: createNode(item), commentBefore: [] });
+    return { ...node, items, flow: node.flow || items.length === 0 };
+  }
+
+  if (node.type === 'scalar' && !isPlainObject && !Array.isArray(value)) {
+    if (Object.is(node.value, value)) return node;
+    const replacement = createNode(value);
+    if (typeof value === 'string' && node.style !== 'plain') replacement.style = node.style;
+    return { ...replacement, anchor: node.anchor };
+  }
+
+  return createNode(value);
+}
+
+// ============================================================
+// Emitter
+// ============================================================
+
+const INDENT = '  ';
+
+/**
+ * Whether a string can be written without quotes
+ */
+function isPlainSafe(text, inFlow) {
+  if (text === '' || text !== text.trim()) return false;
+  if (typeof resolvePlain(text) !== 'string') return false;
+  if (/[\n\r\t\0-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f\u2028\u2029\ufeff]/.test(text)) return false;
+  if (/^[,[\]{}#&*!|>'"%@`]/.test(text)) return false;
+  if (/^[-?:](\s|$)/.test(text) || /^(---|\.\.\.)(\s|$)/.test(text)) return false;
+  if (/:(\s|$)|\s#/.test(text)) return false;
+  if (inFlow && /[,[\]{}]|:[,[\]{}]/.test(text)) return false;
+  return true;
+}
+
+function formatNumber(value) {
+  if (Number.isNaN(value)) return '.nan';
+  if (value === Infinity) return '.inf';
+  if (value === -Infinity) return '-.inf';
+  return String(value);
+}
+
+/**
+ * Inline representation of a scalar
+ */
+function formatScalar(node, inFlow = false) {
+  const { value } = node;
+
+  if (node.style === 'plain' && node.text !== undefined && !node.empty && typeof value !== 'string') {
+    // Keep the original spelling of unchanged non-string plain scalars (0x1F, ~, True)
+    return node.text;
+  }
+  if (value === null) return node.empty ? '' : 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') return formatNumber(value);
+
+  const text = String(value);
+  const canSingle = !/[\n\r\0-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f\u2028\u2029\ufeff]/.test(text);
+
+  if (node.style === 'single' && canSingle) return `'${text.replace(/'/g, "''")}'`;
+  if (node.style === 'double') return JSON.stringify(text);
+  if (isPlainSafe(text, inFlow) && (node.style === 'plain' || !node.style || node.style === 'literal' || node.style === 'folded')) {
+    return text;
+  }
+  return canSingle && !text.includes("'") && !text.includes('\\') ? `'${text}'` : JSON.stringify(text);
+}
+
+function props(node) {
+  return [node.tag, node.anchor && `&${node.anchor}`].filter(Boolean).join(' ');
+}
+
+function withProps(node, text) {
+  const prefix = props(node);
+  return prefix ? (text === '' ? prefix : `${prefix} ${text}`) : text;
+}
+
+function formatFlow(node) {
+  if (!node) return '';
+  if (node.type === 'alias') return `*${node.name}`;
+  if (node.type === 'scalar') return withProps(node, formatScalar(node, true));
+
+  if (node.type === 'seq') {
+    return withProps(node, `[${node.items.map(item => formatFlow(item.value)).join(', ')}]`);
+  }
+  if (node.items.length === 0) return withProps(node, '{}');
+  const pairs = node.items.map(({ key, value }) => {
+    const valueText = formatFlow(value);
+    return valueText === '' ? formatFlow(key) : `${formatFlow(key)}: ${valueText}`;
+  });
+  return withProps(node, `{ ${pairs.join(', ')} }`);
+}
+
+/**
+ * Whether a string scalar should be written as a | or > block
+ */
+function usesBlockStyle(node) {
+  if (node.type !== 'scalar' || typeof node.value !== 'string') return false;
+  if (!node.value.includes('\n')) return false;
+  if (node.style === 'single' || node.style === 'double') return false;
+  // Block scalars cannot hold trailing spaces or control characters faithfully
+  return !/[ \t]\n|[\r\0-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f\u2028\u2029\ufeff]/.test(node.value) &&
+    !/^\n*$/.test(node.value);
+}
+
+/**
+ * Header and body lines of a block scalar
+ */
+function formatBlockScalar(node, indent) {
+  const value = node.value;
+  const trailing = value.match(/\n*$/)[0].length;
+  const content = value.slice(0, value.length - trailing);
+  const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  let lines = content.split('\n');
+
+  let style = node.style === 'folded' ? '>' : '|';
+  if (style === '>') {
+    // Folding turns single breaks into spaces; only fold text that survives it
+    if (lines.some(line => isBlank(line[0]) || line === '') || lines.length === 0) {
+      style = '|';
+    } else {
+      lines = lines.flatMap((line, i) => (i === 0 ? [line] : ['', line]));
+    }
+  }
+
+  const indicator = isBlank(content[0]) || content.startsWith('\n') ? String(INDENT.length) : '';
+  const keepLines = chomp === '+' ? new Array(trailing - 1).fill('') : [];
+  const body = [...lines, ...keepLines].map(line => (line === '' ? '' : indent + line));
+  return { header: withProps(node, `${style}${indicator}${chomp}`), body };
+}
+
+function commentLines(comments, indent) {
+  return (comments || []).map(line => (line === '' ? '' : `${indent}${line}`));
+}
+
+function trailingComment(comment) {
+  if (!comment) return '';
+  return isBlank(comment[0]) ? comment : ` ${comment}`;
+}
+
+/**
+ * Emit a value after an indicator ("key:", "-"); returns the text for the
+ * indicator's line and any lines below it
+ */
+function emitValue(node, indent) {
+  if (node.type === 'alias') return { inline: `*${node.name}`, lines: [] };
+
+  if (isCollection(node, false) && node.items.length > 0) {
+    return { inline: props(node), lines: emitBlock(node, indent) };
+  }
+
+  if (usesBlockStyle(node)) {
+    const { header, body } = formatBlockScalar(node, indent);
+    return { inline: header, lines: body };
+  }
+
+  return { inline: isCollection(node) ? formatFlow(node) : withProps(node, formatScalar(node)), lines: [] };
+}
+
+/**
+ * Implicit key text; collections and multi-line strings stay on one line
+ */
+function formatKey(node) {
+  if (node.type === 'alias') return `*${node.name} `;
+  if (isCollection(node)) return formatFlow(node);
+  if (node.value === null && !node.empty) return withProps(node, 'null');
+  const text = typeof node.value === 'string' && node.value.includes('\n')
+    ? JSON.stringify(node.value)
+    : formatScalar(node);
+  return withProps(node, text || '""');
+}
+
+/**
+ * Emit a block mapping or sequence at the given indentation
+ */
+function emitBlock(node, indent) {
+  const lines = [];
+
+  if (node.type === 'map') {
+    for (const pair of node.items) {
+      lines.push(...commentLines(pair.commentBefore, indent));
+      const { inline, lines: below } = emitValue(pair.value, indent + INDENT);
+      lines.push(`${indent}${formatKey(pair.key)}:${inline ? ` ${inline}` : ''}${trailingComment(pair.comment)}`);
+      lines.push(...below);
+    }
+    return lines;
+  }
+
+  for (const item of node.items) {
+    lines.push(...commentLines(item.commentBefore, indent));
+    const value = item.value;
+
+    if (isCollection(value, false) && value.items.length > 0 && !props(value)) {
+      // Compact form: the first entry shares the dash's line
+      const inner = emitBlock(value, indent + INDENT);
+      const first = inner.findIndex(line => line.trim() !== '' && !line.trim().startsWith('#'));
+      lines.push(...inner.slice(0, first));
+      lines.push(`${indent}- ${inner[first].slice(indent.length + INDENT.length)}`);
+      lines.push(...inner.slice(first + 1));
+      continue;
+    }
+
+    const { inline, lines: below } = emitValue(value, indent + INDENT);
+    lines.push(`${indent}-${inline ? ` ${inline}` : ''}${trailingComment(item.comment)}`);
+    lines.push(...below);
+  }
+  return lines;
+}
+
+function emitDocument(doc) {
+  const lines = commentLines(doc.commentBefore, '');
+  const node = doc.contents;
+  const empty = !node || (node.type === 'scalar' && node.empty);
+
+  if (isCollection(node, false) && node.items.length > 0) {
+    const prefix = [doc.explicitStart && '---', props(node)].filter(Boolean).join(' ');
+    if (prefix) lines.push(prefix);
+    lines.push(...emitBlock(node, ''));
+  } else if (!empty) {
+    const { inline, lines: below } = emitValue(node, INDENT);
+    lines.push(doc.explicitStart ? `--- ${inline}` : inline, ...below);
+  } else if (doc.explicitStart) {
+    lines.push('---');
+  }
+
+  lines.push(...commentLines(doc.commentAfter, ''));
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+// ============================================================
+// Documents
+// ============================================================
+
+/**
+ * A parsed YAML document that remembers comments and formatting
+ */
+class YamlDocument {
+  constructor({ contents = null, commentBefore = [], commentAfter = [], explicitStart = false } = {}) {
+    this.contents = contents;
+    this.commentBefore = commentBefore;
+    this.commentAfter = commentAfter;
+    this.explicitStart = explicitStart;
+  }
+
+  /**
+   * Plain JavaScript value of the document
+   */
+  toJS() {
+    return toJS(this.contents);
+  }
+
+  /**
+   * Replace the document's value, keeping comments on entries that remain
+   */
+  setValue(value) {
+    this.contents = updateNode(this.contents, value);
+    return this;
+  }
+
+  toString() {
+    return emitDocument(this);
+  }
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Parse every document in a YAML stream into YamlDocument instances
+ */
+function parseYamlDocuments(text) {
+  return new Parser(text).parseStream().map(doc => new YamlDocument(doc));
+}
+
+/**
+ * Parse a single-document YAML string, keeping comments for round-trips
+ */
+function parseYamlDocument(text) {
+  const documents = parseYamlDocuments(text);
+  if (documents.length > 1) {
+    throw new YamlError('Expected a single document but found several (use parseYamlAll)', 1, 1);
+  }
+  return documents[0];
+}
+
+/**
+ * Parse a single-document YAML string into plain JavaScript values
+ */
+function parseYaml(text) {
+  return parseYamlDocument(text).toJS();
+}
+
+/**
+ * Parse a multi-document YAML stream into an array of values
+ */
+function parseYamlAll(text) {
+  return parseYamlDocuments(text)
+    .filter(doc => doc.contents || doc.explicitStart)
+    .map(doc => doc.toJS());
+}
+
+/**
+ * Serialize a value to YAML (block style, two-space indentation)
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {string[]} [options.header] - Comment lines written first (without '#')
+ */
+function stringifyYaml(value, { header = [] } = {}) {
+  return new YamlDocument({
+    contents: createNode(value),
+    commentBefore: header.length > 0 ? [...header.map(line => (line ? `# ${line}` : '#')), ''] : []
+  }).toString();
+}
+
+module.exports = {
+  YamlError,
+  YamlDocument,
+  formatYamlError,
+  parseYaml,
+  parseYamlAll,
+  parseYamlDocument,
+  parseYamlDocuments,
+  stringifyYaml
+};
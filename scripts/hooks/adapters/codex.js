@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Codex CLI Adapter
+ *
+ * Codex CLI has no hook system. It reads AGENTS.md for project
+ * instructions, so guardrails are installed there and enforced by
+ * routing actions through the command-wrapper proxy.
+ */
+
+const { CommandWrapperAdapter } = require('./command-wrapper');
+
+/**
+ * Codex CLI Adapter
+ */
+class CodexAdapter extends CommandWrapperAdapter {
+  constructor() {
+    super('codex', {
+      displayName: 'Codex CLI',
+      binary: 'codex',
+      instructionsFile: 'AGENTS.md',
+      configDir: '.codex'
+    });
+  }
+}
+
+// Export singleton instance
+const codexAdapter = new CodexAdapter();
+
+module.exports = {
+  CodexAdapter,
+  codexAdapter
+};
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Command Wrapper Adapter
+ *
+ * Generic adapter for AI CLIs without a native hook system.
+ * Instead of the CLI calling hooks, the agent is instructed (via a managed
+ * block in the CLI's instructions file) to route shell commands and file
+ * writes through the proxy at hooks/entry/command-wrapper/proxy.js, which
+ * runs the same core checks the native adapters do.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { execSync } = require('child_process');
+const { BaseAdapter } = require('./base-adapter');
+
+// Import from parent scripts directory
+const { PATHS } = require('../../flow-utils');
+
+/**
+ * Proxy events (one per proxy subcommand)
+ */
+const COMMAND_WRAPPER_EVENTS = [
+  'SessionStart',
+  'BeforeCommand',
+  'BeforeWrite',
+  'AfterWrite',
+  'Stop'
+];
+
+/**
+ * Proxy exit codes
+ */
+const EXIT_CODES = {
+  allowed: 0,
+  failed: 1,
+  blocked: 2
+};
+
+/**
+ * Markers delimiting the managed block in the instructions file
+ */
+const MANAGED_BLOCK_START = '<!-- WOGI_FLOW_MANAGED_HOOKS:START -->';
+const MANAGED_BLOCK_END = '<!-- WOGI_FLOW_MANAGED_HOOKS:END -->';
+
+/**
+ * Command Wrapper Adapter
+ */
+class CommandWrapperAdapter extends BaseAdapter {
+  /**
+   * @param {string} name - Adapter name (e.g., 'codex')
+   * @param {Object} options
+   * @param {string} options.displayName - Human-readable CLI name
+   * @param {string} [options.binary] - CLI binary used for detection
+   * @param {string} options.instructionsFile - Project-relative file the CLI reads instructions from
+   * @param {string} [options.configDir] - Project-relative CLI config directory used for detection
+   */
+  constructor(name, options = {}) {
+    super(name);
+    this.displayName = options.displayName || name;
+    this.binary = options.binary || null;
+    this.instructionsFile = options.instructionsFile || 'AGENTS.md';
+    this.configDir = options.configDir || null;
+  }
+
+  /**
+   * Get the instructions file the managed block is written to
+   */
+  getConfigPath() {
+    return path.join(PATHS.root, this.instructionsFile);
+  }
+
+  /**
+   * Get supported events
+   */
+  getSupportedEvents() {
+    return COMMAND_WRAPPER_EVENTS;
+  }
+
+  /**
+   * Check if the CLI is likely available
+   */
+  isAvailable() {
+    if (this.configDir && fs.existsSync(path.join(PATHS.root, this.configDir))) {
+      return true;
+    }
+
+    if (!this.binary) {
+      return false;
+    }
+
+    try {
+      execSync(`which ${this.binary}`, { stdio: 'ignore' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Parse proxy input
+   * @param {Object} input - { action, command, filePath, content }
+   */
+  parseInput(input) {
+    return {
+      action: input.action,
+      command: input.command,
+      filePath: input.filePath,
+      content: input.content,
+      operation: input.action === 'write' ? 'write' : 'edit'
+    };
+  }
+
+  /**
+   * Transform core result to proxy format
+   * @returns {Object} { proceed, exitCode, message }
+   */
+  transformResult(event, coreResult) {
+    switch (event) {
+      case 'SessionStart':
+        return this.transformSessionStart(coreResult);
+      case 'BeforeCommand':
+      case 'BeforeWrite':
+        return this.transformBeforeAction(coreResult);
+      case 'AfterWrite':
+        return this.transformAfterWrite(coreResult);
+      case 'Stop':
+        return this.transformStop(coreResult);
+      default:
+        return { proceed: true, exitCode: EXIT_CODES.allowed, message: null };
+    }
+  }
+
+  /**
+   * Transform SessionStart result
+   */
+  transformSessionStart(coreResult) {
+    if (!coreResult.enabled || !coreResult.context) {
+      return { proceed: true, exitCode: EXIT_CODES.allowed, message: null };
+    }
+
+    const { formatContextForInjection } = require('../core/session-context');
+    return {
+      proceed: true,
+      exitCode: EXIT_CODES.allowed,
+      message: formatContextForInjection(coreResult)
+    };
+  }
+
+  /**
+   * Transform pre-execution result (damage control, task gating, component check)
+   */
+  transformBeforeAction(coreResult) {
+    if (coreResult.blocked) {
+      return {
+        proceed: false,
+        exitCode: EXIT_CODES.blocked,
+        message: coreResult.message || 'Action blocked by Wogi Flow'
+      };
+    }
+
+    return {
+      proceed: true,
+      exitCode: EXIT_CODES.allowed,
+      message: coreResult.warning ? coreResult.message : null
+    };
+  }
+
+  /**
+   * Transform validation result
+   */
+  transformAfterWrite(coreResult) {
+    if (coreResult.skipped || coreResult.passed) {
+      return {
+        proceed: true,
+        exitCode: EXIT_CODES.allowed,
+        message: coreResult.summary || null
+      };
+    }
+
+    return {
+      proceed: true,
+      exitCode: EXIT_CODES.failed,
+      message: coreResult.summary || 'Validation failed'
+    };
+  }
+
+  /**
+   * Transform loop-check result
+   */
+  transformStop(coreResult) {
+    if (coreResult.canExit) {
+      return { proceed: true, exitCode: EXIT_CODES.allowed, message: coreResult.message };
+    }
+
+    if (coreResult.continueToNext) {
+      return {
+        proceed: false,
+        exitCode: EXIT_CODES.blocked,
+        message: `✓ Task complete!
+
+Continuing to next task in queue: ${coreResult.nextTaskId}
+(${coreResult.remaining} task(s) remaining)
+
+Run: ./scripts/flow start ${coreResult.nextTaskId}`
+      };
+    }
+
+    if (coreResult.shouldPrompt) {
+      return { proceed: true, exitCode: EXIT_CODES.allowed, message: coreResult.message };
+    }
+
+    return {
+      proceed: false,
+      exitCode: EXIT_CODES.blocked,
+      message: coreResult.message || 'Acceptance criteria not complete'
+    };
+  }
+
+  /**
+   * Generate the managed instructions block
+   * @returns {Object} { instructions } markdown telling the agent to use the proxy
+   */
+  generateConfig(rules, _projectRoot) {
+    const lines = [
+      MANAGED_BLOCK_START,
+      '## Wogi Flow Guardrails',
+      '',
+      `${this.displayName} has no hook system, so Wogi Flow checks run through \`./scripts/flow wrap\`.`,
+      'Follow these rules for every action in this project:',
+      ''
+    ];
+
+    if (rules.sessionContext?.enabled !== false) {
+      lines.push('- At the start of a session, run `./scripts/flow wrap context` and read its output.');
+    }
+
+    lines.push('- Run shell commands as `./scripts/flow wrap exec -- <command>`. Quote the whole command as one argument when it uses pipes, redirects or `&&`. Exit code 2 means the command was blocked; do not retry it another way.');
+
+    lines.push('- Create or overwrite files with `./scripts/flow wrap write <file> < content` (content on stdin).');
+    lines.push('- Before editing an existing file in place, run `./scripts/flow wrap check <file>` and only edit if it exits 0.');
+
+    if (rules.validation?.enabled !== false) {
+      lines.push('- After editing a file in place, run `./scripts/flow wrap validate <file>` and fix any reported errors.');
+    }
+
+    if (rules.loopEnforcement?.enabled !== false) {
+      lines.push('- Before declaring a task done, run `./scripts/flow wrap stop`. If it exits non-zero, keep working on what it reports.');
+    }
+
+    lines.push('', MANAGED_BLOCK_END);
+
+    return { instructions: lines.join('\n') };
+  }
+
+  /**
+   * Get install instructions
+   */
+  getInstallInstructions() {
+    return `${this.displayName} guardrails will be written to ${this.getConfigPath()}
+
+To use:
+1. Run: ./scripts/flow hooks setup --target ${this.name}
+2. ${this.displayName} reads ${this.instructionsFile} and routes actions through ./scripts/flow wrap
+
+To remove:
+- Run: ./scripts/flow hooks remove --target ${this.name}`;
+  }
+}
+
+module.exports = {
+  CommandWrapperAdapter,
+  COMMAND_WRAPPER_EVENTS,
+  EXIT_CODES,
+  MANAGED_BLOCK_START,
+  MANAGED_BLOCK_END
+};
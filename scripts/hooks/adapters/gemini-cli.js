@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Gemini CLI Adapter
+ *
+ * Transforms core hook results to Gemini CLI's hook format.
+ * Handles SessionStart, BeforeTool, AfterTool, AfterAgent, SessionEnd.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { execSync } = require('child_process');
+const { BaseAdapter } = require('./base-adapter');
+
+// Import from parent scripts directory
+const { PATHS } = require('../../flow-utils');
+
+/**
+ * Gemini CLI Hook Events
+ */
+const GEMINI_CLI_EVENTS = [
+  'SessionStart',
+  'SessionEnd',
+  'BeforeAgent',
+  'AfterAgent',
+  'BeforeModel',
+  'AfterModel',
+  'BeforeToolSelection',
+  'BeforeTool',
+  'AfterTool',
+  'PreCompress',
+  'Notification'
+];
+
+/**
+ * Gemini CLI file tools mapped to core operations
+ * (write_file creates/overwrites, replace edits in place)
+ */
+const GEMINI_FILE_TOOLS = {
+  write_file: 'write',
+  replace: 'edit'
+};
+
+/**
+ * Gemini CLI Adapter
+ */
+class GeminiCliAdapter extends BaseAdapter {
+  constructor() {
+    super('gemini');
+  }
+
+  /**
+   * Get Gemini CLI's project settings path
+   */
+  getConfigPath() {
+    return path.join(PATHS.gemini, 'settings.json');
+  }
+
+  /**
+   * Get supported events
+   */
+  getSupportedEvents() {
+    return GEMINI_CLI_EVENTS;
+  }
+
+  /**
+   * Check if Gemini CLI is likely available
+   */
+  isAvailable() {
+    // Project already configured for Gemini
+    if (fs.existsSync(PATHS.gemini)) {
+      return true;
+    }
+
+    // Or the gemini binary is on PATH
+    try {
+      execSync('which gemini', { stdio: 'ignore' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Map a Gemini tool name to a core operation
+   * @param {string} toolName - Gemini tool name (e.g., 'write_file')
+   * @returns {string|null} 'write', 'edit', or null for non-file tools
+   */
+  getOperation(toolName) {
+    return GEMINI_FILE_TOOLS[toolName] || null;
+  }
+
+  /**
+   * Parse Gemini CLI hook input
+   */
+  parseInput(input) {
+    const toolInput = input.tool_input || {};
+
+    return {
+      sessionId: input.session_id,
+      transcriptPath: input.transcript_path,
+      cwd: input.cwd,
+      hookEvent: input.hook_event_name,
+      timestamp: input.timestamp,
+      toolName: input.tool_name,
+      toolInput,
+      toolResponse: input.tool_response,
+      operation: this.getOperation(input.tool_name),
+      // Older Gemini CLI releases used absolute_path for file tools
+      filePath: toolInput.file_path || toolInput.absolute_path,
+      prompt: input.prompt,
+      promptResponse: input.prompt_response,
+      source: input.source,
+      reason: input.reason
+    };
+  }
+
+  /**
+   * Transform core result to Gemini CLI format
+   */
+  transformResult(event, coreResult) {
+    switch (event) {
+      case 'SessionStart':
+        return this.transformSessionStart(coreResult);
+      case 'BeforeTool':
+        return this.transformBeforeTool(coreResult);
+      case 'AfterTool':
+        return this.transformAfterTool(coreResult);
+      case 'AfterAgent':
+        return this.transformAfterAgent(coreResult);
+      case 'SessionEnd':
+        return this.transformSessionEnd(coreResult);
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Transform SessionStart result
+   */
+  transformSessionStart(coreResult) {
+    if (!coreResult.enabled || !coreResult.context) {
+      return {};
+    }
+
+    // Format context for injection
+    const { formatContextForInjection } = require('../core/session-context');
+    const contextText = formatContextForInjection(coreResult);
+
+    return {
+      hookSpecificOutput: {
+        hookEventName: 'SessionStart',
+        additionalContext: contextText
+      }
+    };
+  }
+
+  /**
+   * Transform BeforeTool result (task gating, component check)
+   */
+  transformBeforeTool(coreResult) {
+    // Blocked - deny the tool call, reason is shown to the agent
+    if (coreResult.blocked) {
+      return {
+        decision: 'deny',
+        reason: coreResult.message || 'Action blocked by Wogi Flow'
+      };
+    }
+
+    // Warning - allow but show message
+    if (coreResult.warning && coreResult.message) {
+      return {
+        decision: 'allow',
+        systemMessage: coreResult.message
+      };
+    }
+
+    // Allowed
+    return { decision: 'allow' };
+  }
+
+  /**
+   * Transform AfterTool result (validation)
+   */
+  transformAfterTool(coreResult) {
+    // If validation was skipped or passed
+    if (coreResult.skipped || coreResult.passed) {
+      const message = coreResult.summary || (coreResult.passed ? 'Validation passed' : null);
+      return message ? { systemMessage: message } : {};
+    }
+
+    // Validation failed - feed errors back to the agent with the tool result
+    const summary = coreResult.summary || 'Validation failed';
+    return {
+      systemMessage: summary,
+      ...(coreResult.blocked && { decision: 'deny', reason: coreResult.message || summary }),
+      hookSpecificOutput: {
+        hookEventName: 'AfterTool',
+        additionalContext: coreResult.message || summary
+      }
+    };
+  }
+
+  /**
+   * Transform AfterAgent result (loop enforcement + task queue continuation)
+   *
+   * Gemini CLI has no Stop event. AfterAgent runs once per turn, and a
+   * 'deny' decision rejects the response and re-prompts with the reason.
+   */
+  transformAfterAgent(coreResult) {
+    // Can exit
+    if (coreResult.canExit) {
+      return coreResult.message ? { systemMessage: coreResult.message } : {};
+    }
+
+    // Continue to next task in queue
+    if (coreResult.continueToNext) {
+      return {
+        decision: 'deny',
+        reason: `✓ Task complete!
+
+**Continuing to next task in queue:** ${coreResult.nextTaskId}
+(${coreResult.remaining} task(s) remaining)
+
+Run: /wogi-start ${coreResult.nextTaskId}`
+      };
+    }
+
+    // Prompt before continuing to next task (pauseBetweenTasks: true)
+    if (coreResult.shouldPrompt) {
+      return { systemMessage: coreResult.message };
+    }
+
+    // Block exit - criteria not complete
+    return {
+      decision: 'deny',
+      reason: coreResult.message || 'Acceptance criteria not complete'
+    };
+  }
+
+  /**
+   * Transform SessionEnd result (auto-logging)
+   */
+  transformSessionEnd(coreResult) {
+    // SessionEnd doesn't block, just provides info - keep both messages
+    const messages = [
+      coreResult.warning,
+      coreResult.logged && `Logged as ${coreResult.requestId}`
+    ].filter(Boolean);
+
+    return messages.length > 0 ? { systemMessage: messages.join('\n') } : {};
+  }
+
+  /**
+   * Generate Gemini CLI hook configuration
+   * Note: Gemini CLI timeouts are in milliseconds.
+   */
+  generateConfig(rules, projectRoot) {
+    const scriptsDir = path.join(projectRoot, 'scripts', 'hooks', 'entry', 'gemini');
+    const fileTools = Object.keys(GEMINI_FILE_TOOLS).join('|');
+    const hooks = {};
+
+    const command = (name, script, timeout) => ({
+      name,
+      type: 'command',
+      command: `node "${path.join(scriptsDir, script)}"`,
+      timeout
+    });
+
+    // SessionStart hook
+    if (rules.sessionContext?.enabled !== false) {
+      hooks.SessionStart = [{
+        hooks: [command('wogi-session-context', 'session-start.js', 10000)]
+      }];
+    }
+
+    // BeforeTool hook for file writes/edits
+    if (rules.taskGating?.enabled !== false) {
+      hooks.BeforeTool = [{
+        matcher: fileTools,
+        hooks: [command('wogi-task-gate', 'before-tool.js', 5000)]
+      }];
+    }
+
+    // AfterTool hook for validation
+    if (rules.validation?.enabled !== false) {
+      hooks.AfterTool = [{
+        matcher: fileTools,
+        hooks: [command('wogi-validation', 'after-tool.js', 60000)]
+      }];
+    }
+
+    // AfterAgent hook for loop enforcement
+    if (rules.loopEnforcement?.enabled !== false) {
+      hooks.AfterAgent = [{
+        hooks: [command('wogi-loop-check', 'after-agent.js', 5000)]
+      }];
+    }
+
+    // SessionEnd hook for auto-logging
+    if (rules.autoLogging?.enabled !== false) {
+      hooks.SessionEnd = [{
+        hooks: [command('wogi-session-end', 'session-end.js', 10000)]
+      }];
+    }
+
+    return { hooks };
+  }
+
+  /**
+   * Get install instructions
+   */
+  getInstallInstructions() {
+    return `Gemini CLI hooks will be installed to ${this.getConfigPath()}
+
+To use:
+1. Run: ./scripts/flow hooks setup --target gemini
+2. Hooks are automatically loaded by Gemini CLI in this project
+
+To remove:
+- Run: ./scripts/flow hooks remove --target gemini`;
+  }
+}
+
+// Export singleton instance
+const geminiCliAdapter = new GeminiCliAdapter();
+
+module.exports = {
+  GeminiCliAdapter,
+  geminiCliAdapter,
+  GEMINI_CLI_EVENTS,
+  GEMINI_FILE_TOOLS
+};
@@ -8,12 +8,17 @@
 
 const { BaseAdapter, CoreResultSchema } = require('./base-adapter');
 const { ClaudeCodeAdapter, claudeCodeAdapter, CLAUDE_CODE_EVENTS } = require('./claude-code');
+const { GeminiCliAdapter, geminiCliAdapter, GEMINI_CLI_EVENTS } = require('./gemini-cli');
+const { CommandWrapperAdapter, COMMAND_WRAPPER_EVENTS } = require('./command-wrapper');
+const { CodexAdapter, codexAdapter } = require('./codex');
 
 /**
  * Adapter registry
  */
 const adapters = {
-  'claude-code': claudeCodeAdapter
+  'claude-code': claudeCodeAdapter,
+  'gemini': geminiCliAdapter,
+  'codex': codexAdapter
 };
 
 /**
@@ -63,13 +68,20 @@ module.exports = {
   // Classes
   BaseAdapter,
   ClaudeCodeAdapter,
+  GeminiCliAdapter,
+  CommandWrapperAdapter,
+  CodexAdapter,
   CoreResultSchema,
 
   // Instances
   claudeCodeAdapter,
+  geminiCliAdapter,
+  codexAdapter,
 
   // Constants
   CLAUDE_CODE_EVENTS,
+  GEMINI_CLI_EVENTS,
+  COMMAND_WRAPPER_EVENTS,
 
   // Functions
   getAdapter,
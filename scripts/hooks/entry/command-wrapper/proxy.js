@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Command Wrapper Proxy
+ *
+ * Entry point for CLIs without native hooks (Codex, etc.).
+ * The agent routes its actions through this proxy so task gating,
+ * damage control and validation still run.
+ *
+ * Usage:
+ *   flow wrap context                 Print session context
+ *   flow wrap exec -- <command>       Check command with damage control, then run it
+ *   flow wrap write <file> < content  Gate, write file from stdin, then validate
+ *   flow wrap check <file>            Gate an in-place edit (run before editing)
+ *   flow wrap validate <file>         Validate a file (run after editing)
+ *   flow wrap stop                    Check whether the task loop can exit
+ *
+ * exec takes either one shell command string (`exec -- "npm test | tail"`),
+ * which is checked and run by the shell exactly as given, or a program and
+ * its arguments (`exec -- node -e "console.log(1)"`), which run directly
+ * with no shell so their quoting survives.
+ *
+ * Exit codes: 0 allowed, 1 failed (command or validation), 2 blocked
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+
+const { checkTaskGate } = require('../../core/task-gate');
+const { checkComponentReuse } = require('../../core/component-check');
+const { runValidation } = require('../../core/validation');
+const { checkLoopExit } = require('../../core/loop-check');
+const { gatherSessionContext } = require('../../core/session-context');
+const { CommandWrapperAdapter, EXIT_CODES } = require('../../adapters/command-wrapper');
+const { checkBashEvent, checkFileEvent } = require('../../../flow-damage-control');
+
+// Import from parent scripts directory
+const { PATHS, isPathWithinProject } = require('../../../flow-utils');
+
+const adapter = new CommandWrapperAdapter('command-wrapper');
+
+/**
+ * Print the adapter result and exit with its code
+ */
+function finish(result, toStdout = false) {
+  if (result.message) {
+    const text = toStdout ? result.message : `[Wogi Flow] ${result.message}`;
+    (toStdout ? console.log : console.error)(text);
+  }
+  process.exit(result.exitCode);
+}
+
+/**
+ * Ask the user to confirm a sensitive command (interactive terminals only)
+ * @returns {Promise<boolean>}
+ */
+function confirm(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.resolve(false);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise((resolve) => {
+    rl.question(`${question} [y/N] `, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Read all of stdin
+ */
+async function readStdin() {
+  let data = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) {
+    data += chunk;
+  }
+  return data;
+}
+
+/**
+ * Convert a damage-control result to the core result shape
+ */
+function damageControlToCore(dcResult) {
+  if (dcResult.allowed) {
+    return {
+      allowed: true,
+      blocked: false,
+      warning: dcResult.action === 'warn',
+      message: dcResult.action === 'warn' ? dcResult.message : null
+    };
+  }
+
+  return {
+    allowed: false,
+    blocked: true,
+    message: dcResult.message || dcResult.reason || 'Blocked by damage control',
+    requiresConfirmation: dcResult.requiresConfirmation === true,
+    reason: 'damage_control'
+  };
+}
+
+/**
+ * Pre-edit checks shared by write and check: damage control, then task gating
+ */
+function checkFileAction(filePath, operation, content = '') {
+  const dcResult = damageControlToCore(checkFileEvent(filePath, operation, content));
+  if (dcResult.blocked) {
+    return dcResult;
+  }
+
+  return checkTaskGate({ filePath, operation });
+}
+
+/**
+ * Quote an argument for a POSIX shell, only when it needs it
+ */
+function quoteShellArg(arg) {
+  if (arg !== '' && /^[\w@%+=:,./-]+$/.test(arg)) {
+    return arg;
+  }
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * What exec will run: one argument is a shell command string, several are
+ * a program and its arguments (run without a shell). `command` is the
+ * string damage control checks - for argv it's the quoted form, which the
+ * shell would parse back to the same arguments.
+ * @returns {{ command: string, argv: string[]|null }}
+ */
+function resolveExecCommand(commandArgs) {
+  if (commandArgs.length === 1) {
+    return { command: commandArgs[0], argv: null };
+  }
+  return { command: commandArgs.map(quoteShellArg).join(' '), argv: commandArgs };
+}
+
+async function runContext() {
+  const coreResult = gatherSessionContext({
+    includeSuspended: true,
+    includeDecisions: true,
+    includeActivity: true
+  });
+  finish(adapter.transformResult('SessionStart', coreResult), true);
+}
+
+async function runExec(commandArgs) {
+  const { command, argv } = resolveExecCommand(commandArgs);
+  const input = adapter.parseInput({ action: 'exec', command });
+  if (!input.command.trim()) {
+    finish({ exitCode: EXIT_CODES.failed, message: 'Usage: flow wrap exec -- <command>' });
+  }
+
+  let coreResult = damageControlToCore(checkBashEvent(input.command));
+
+  // "ask" rules need a human - only an interactive terminal can approve
+  if (coreResult.requiresConfirmation) {
+    const approved = await confirm(`${coreResult.message}\nRun "${input.command}"?`);
+    coreResult = approved
+      ? { allowed: true, blocked: false }
+      : { ...coreResult, message: `${coreResult.message}\nThis command requires human confirmation. Ask the user to run it.` };
+  }
+
+  const result = adapter.transformResult('BeforeCommand', coreResult);
+  if (!result.proceed) {
+    finish(result);
+  }
+  if (result.message) {
+    console.error(`[Wogi Flow] ${result.message}`);
+  }
+
+  const options = { cwd: process.cwd(), stdio: 'inherit' };
+  const proc = argv
+    ? spawnSync(argv[0], argv.slice(1), options)
+    : spawnSync(input.command, { ...options, shell: true });
+
+  if (proc.error) {
+    finish({ exitCode: EXIT_CODES.failed, message: `Failed to run command: ${proc.error.message}` });
+  }
+  process.exit(proc.status === null ? EXIT_CODES.failed : proc.status);
+}
+
+async function runWrite(filePath) {
+  if (!filePath) {
+    finish({ exitCode: EXIT_CODES.failed, message: 'Usage: flow wrap write <file> < content' });
+  }
+  if (process.stdin.isTTY) {
+    finish({ exitCode: EXIT_CODES.failed, message: 'File content must be piped on stdin' });
+  }
+
+  const content = await readStdin();
+  const input = adapter.parseInput({ action: 'write', filePath, content });
+  const absolutePath = path.resolve(input.filePath);
+
+  if (!isPathWithinProject(absolutePath, PATHS.root)) {
+    finish({ exitCode: EXIT_CODES.blocked, message: `Refusing to write outside the project: ${input.filePath}` });
+  }
+
+  let coreResult = checkFileAction(input.filePath, 'write', content);
+
+  // Component reuse check (new files only)
+  if (!coreResult.blocked && !fs.existsSync(absolutePath)) {
+    const componentResult = checkComponentReuse({ filePath: input.filePath, content });
+    if (componentResult.blocked || componentResult.warning) {
+      coreResult = {
+        ...coreResult,
+        ...componentResult,
+        allowed: !componentResult.blocked,
+        blocked: componentResult.blocked
+      };
+    }
+  }
+
+  const before = adapter.transformResult('BeforeWrite', coreResult);
+  if (!before.proceed) {
+    finish(before);
+  }
+  if (before.message) {
+    console.error(`[Wogi Flow] ${before.message}`);
+  }
+
+  fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+  fs.writeFileSync(absolutePath, content);
+  console.error(`[Wogi Flow] Wrote ${path.relative(PATHS.root, absolutePath)}`);
+
+  const validation = await runValidation({ filePath: absolutePath, timeout: 30000 });
+  finish(adapter.transformResult('AfterWrite', validation));
+}
+
+async function runCheck(filePath) {
+  if (!filePath) {
+    finish({ exitCode: EXIT_CODES.failed, message: 'Usage: flow wrap check <file>' });
+  }
+
+  if (!isPathWithinProject(path.resolve(filePath), PATHS.root)) {
+    finish({ exitCode: EXIT_CODES.blocked, message: `Refusing to edit outside the project: ${filePath}` });
+  }
+
+  const coreResult = checkFileAction(filePath, 'edit');
+  const result = adapter.transformResult('BeforeWrite', coreResult);
+  finish(result.proceed && !result.message
+    ? { ...result, message: `OK to edit ${filePath}` }
+    : result);
+}
+
+async function runValidate(filePath) {
+  if (!filePath) {
+    finish({ exitCode: EXIT_CODES.failed, message: 'Usage: flow wrap validate <file>' });
+  }
+
+  const coreResult = await runValidation({ filePath: path.resolve(filePath), timeout: 30000 });
+  finish(adapter.transformResult('AfterWrite', coreResult));
+}
+
+async function runStop() {
+  finish(adapter.transformResult('Stop', checkLoopExit()));
+}
+
+function showHelp() {
+  console.log(`
+Wogi Flow - Command Wrapper Proxy
+
+Routes agent actions through Wogi Flow checks for CLIs without hooks.
+
+Usage:
+  flow wrap context                 Print session context
+  flow wrap exec -- <command>       Check command with damage control, then run it
+                                    (one quoted string runs through the shell;
+                                    several arguments run directly)
+  flow wrap write <file> < content  Gate, write file from stdin, then validate
+  flow wrap check <file>            Gate an in-place edit (run before editing)
+  flow wrap validate <file>         Validate a file (run after editing)
+  flow wrap stop                    Check whether the task loop can exit
+
+Exit codes:
+  0  Allowed / passed
+  1  Command or validation failed
+  2  Blocked by Wogi Flow
+`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  try {
+    switch (command) {
+      case 'context':
+        await runContext();
+        break;
+      case 'exec': {
+        const rest = args.slice(1);
+        await runExec(rest[0] === '--' ? rest.slice(1) : rest);
+        break;
+      }
+      case 'write':
+        await runWrite(args[1]);
+        break;
+      case 'check':
+        await runCheck(args[1]);
+        break;
+      case 'validate':
+        await runValidate(args[1]);
+        break;
+      case 'stop':
+        await runStop();
+        break;
+      case 'help':
+      case '--help':
+      case '-h':
+      case undefined:
+        showHelp();
+        break;
+      default:
+        console.error(`Unknown command: ${command}`);
+        showHelp();
+        process.exit(EXIT_CODES.failed);
+    }
+  } catch (err) {
+    // Report check failures as a normal failure instead of a stack trace
+    console.error(`[Wogi Flow Hook Error] ${err.message}`);
+    process.exit(EXIT_CODES.failed);
+  }
+}
+
+main();
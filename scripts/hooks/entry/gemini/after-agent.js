@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Gemini CLI AfterAgent Hook
+ *
+ * Called when the Gemini agent finishes a turn.
+ * Enforces loop completion - re-prompts if acceptance criteria incomplete.
+ */
+
+const { checkLoopExit } = require('../../core/loop-check');
+const { geminiCliAdapter } = require('../../adapters/gemini-cli');
+
+async function main() {
+  try {
+    // Read input from stdin
+    let inputData = '';
+    for await (const chunk of process.stdin) {
+      inputData += chunk;
+    }
+
+    const input = inputData ? JSON.parse(inputData) : {};
+    geminiCliAdapter.parseInput(input);
+
+    // Check if loop can exit
+    const coreResult = checkLoopExit();
+
+    // Transform to Gemini CLI format
+    const output = geminiCliAdapter.transformResult('AfterAgent', coreResult);
+
+    // Output JSON
+    console.log(JSON.stringify(output));
+    process.exit(0);
+  } catch (err) {
+    // On error, allow the turn to end (don't block user)
+    console.error(`[Wogi Flow Hook Error] ${err.message}`);
+    console.log(JSON.stringify({}));
+    process.exit(0);
+  }
+}
+
+// Handle stdin properly
+process.stdin.setEncoding('utf8');
+main();
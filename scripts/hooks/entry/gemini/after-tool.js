@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Gemini CLI AfterTool Hook
+ *
+ * Called after write_file/replace tool execution.
+ * Runs validation (lint, typecheck) on modified files.
+ */
+
+const { runValidation } = require('../../core/validation');
+const { geminiCliAdapter } = require('../../adapters/gemini-cli');
+
+async function main() {
+  try {
+    // Read input from stdin
+    let inputData = '';
+    for await (const chunk of process.stdin) {
+      inputData += chunk;
+    }
+
+    const input = inputData ? JSON.parse(inputData) : {};
+    const parsedInput = geminiCliAdapter.parseInput(input);
+
+    const toolResponse = parsedInput.toolResponse;
+    const filePath = parsedInput.filePath;
+
+    // Only run validation for file tools
+    if (!parsedInput.operation) {
+      console.log(JSON.stringify({}));
+      process.exit(0);
+      return;
+    }
+
+    // Skip if tool failed
+    if (toolResponse && toolResponse.error) {
+      console.log(JSON.stringify({}));
+      process.exit(0);
+      return;
+    }
+
+    // Run validation
+    const coreResult = await runValidation({
+      filePath,
+      timeout: 30000
+    });
+
+    // Transform to Gemini CLI format
+    const output = geminiCliAdapter.transformResult('AfterTool', coreResult);
+
+    // Output JSON
+    console.log(JSON.stringify(output));
+    process.exit(0);
+  } catch (err) {
+    // Non-blocking error
+    console.error(`[Wogi Flow Hook Error] ${err.message}`);
+    console.log(JSON.stringify({}));
+    process.exit(0);
+  }
+}
+
+// Handle stdin properly
+process.stdin.setEncoding('utf8');
+main();
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Gemini CLI BeforeTool Hook
+ *
+ * Called before write_file/replace tool execution.
+ * Enforces task gating and component reuse checking.
+ */
+
+const { checkTaskGate } = require('../../core/task-gate');
+const { checkComponentReuse } = require('../../core/component-check');
+const { geminiCliAdapter } = require('../../adapters/gemini-cli');
+
+async function main() {
+  try {
+    // Read input from stdin
+    let inputData = '';
+    for await (const chunk of process.stdin) {
+      inputData += chunk;
+    }
+
+    const input = inputData ? JSON.parse(inputData) : {};
+    const parsedInput = geminiCliAdapter.parseInput(input);
+
+    const operation = parsedInput.operation;
+    const toolInput = parsedInput.toolInput || {};
+    const filePath = parsedInput.filePath;
+
+    let coreResult = { allowed: true, blocked: false };
+
+    // Task gating check (for write_file and replace)
+    if (operation) {
+      coreResult = checkTaskGate({
+        filePath,
+        operation
+      });
+
+      // If blocked by task gating, return early
+      if (coreResult.blocked) {
+        const output = geminiCliAdapter.transformResult('BeforeTool', coreResult);
+        console.log(JSON.stringify(output));
+        process.exit(0);
+        return;
+      }
+    }
+
+    // Component reuse check (for write_file only)
+    if (operation === 'write' && filePath) {
+      const componentResult = checkComponentReuse({
+        filePath,
+        content: toolInput.content
+      });
+
+      // Merge results - component check can add warning or block
+      if (componentResult.blocked || componentResult.warning) {
+        coreResult = {
+          ...coreResult,
+          ...componentResult,
+          // Preserve task gating allowance unless component check blocks
+          allowed: !componentResult.blocked,
+          blocked: componentResult.blocked
+        };
+      }
+    }
+
+    // Transform to Gemini CLI format
+    const output = geminiCliAdapter.transformResult('BeforeTool', coreResult);
+
+    // Output JSON
+    console.log(JSON.stringify(output));
+    process.exit(0);
+  } catch (err) {
+    // Non-blocking error - allow operation to continue
+    console.error(`[Wogi Flow Hook Error] ${err.message}`);
+    // Exit 0 with allow to not block on hook errors (graceful degradation)
+    console.log(JSON.stringify({ decision: 'allow' }));
+    process.exit(0);
+  }
+}
+
+// Handle stdin properly
+process.stdin.setEncoding('utf8');
+main();
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Gemini CLI SessionEnd Hook
+ *
+ * Called when a Gemini CLI session ends.
+ * Warns about uncommitted work.
+ */
+
+const { execSync } = require('child_process');
+const { geminiCliAdapter } = require('../../adapters/gemini-cli');
+
+// Import from parent scripts directory
+const { PATHS } = require('../../../flow-utils');
+
+/**
+ * Get uncommitted file count
+ */
+function getUncommittedCount() {
+  try {
+    const output = execSync('git status --porcelain', {
+      cwd: PATHS.root,
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    return output.trim().split('\n').filter(line => line.trim()).length;
+  } catch {
+    return 0;
+  }
+}
+
+async function main() {
+  try {
+    // Read input from stdin
+    let inputData = '';
+    for await (const chunk of process.stdin) {
+      inputData += chunk;
+    }
+
+    const input = inputData ? JSON.parse(inputData) : {};
+    geminiCliAdapter.parseInput(input);
+
+    const result = {
+      logged: false,
+      warning: null
+    };
+
+    // Check for uncommitted work
+    const uncommitted = getUncommittedCount();
+    if (uncommitted > 0) {
+      result.warning = `${uncommitted} uncommitted file${uncommitted !== 1 ? 's' : ''}. Consider committing before ending session.`;
+    }
+
+    // Transform to Gemini CLI format
+    const output = geminiCliAdapter.transformResult('SessionEnd', result);
+
+    // Output JSON
+    console.log(JSON.stringify(output));
+    process.exit(0);
+  } catch (err) {
+    // Non-blocking error
+    console.error(`[Wogi Flow Hook Error] ${err.message}`);
+    console.log(JSON.stringify({}));
+    process.exit(0);
+  }
+}
+
+// Handle stdin properly
+process.stdin.setEncoding('utf8');
+main();
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Wogi Flow - Gemini CLI SessionStart Hook
+ *
+ * Called when a Gemini CLI session starts.
+ * Injects context (suspended tasks, decisions, recent activity).
+ */
+
+const { gatherSessionContext } = require('../../core/session-context');
+const { geminiCliAdapter } = require('../../adapters/gemini-cli');
+
+async function main() {
+  try {
+    // Read input from stdin (consumed so Gemini CLI doesn't block on the pipe)
+    let inputData = '';
+    for await (const chunk of process.stdin) {
+      inputData += chunk;
+    }
+
+    const input = inputData ? JSON.parse(inputData) : {};
+    geminiCliAdapter.parseInput(input);
+
+    // Gather session context
+    const coreResult = gatherSessionContext({
+      includeSuspended: true,
+      includeDecisions: true,
+      includeActivity: true
+    });
+
+    // Transform to Gemini CLI format
+    const output = geminiCliAdapter.transformResult('SessionStart', coreResult);
+
+    // Output JSON
+    console.log(JSON.stringify(output));
+    process.exit(0);
+  } catch (err) {
+    // Non-blocking error - session starts without injected context
+    console.error(`[Wogi Flow Hook Error] ${err.message}`);
+    console.log(JSON.stringify({}));
+    process.exit(0);
+  }
+}
+
+// Handle stdin properly
+process.stdin.setEncoding('utf8');
+main();